@@ -0,0 +1,770 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface for converting UBC Workday exports
+ *
+ * Usage: workday-cal convert schedule.xlsx -o out.ics
+ *        workday-cal serve schedule.xlsx
+ *        workday-cal caldav schedule.xlsx --url https://example.com/dav/calendars/me/ubc/
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { WorkdayParser, CalendarGenerator, HolidayCalendar, ReminderRules, EventTemplates, ExamSchedule, CalDAVExporter } = require('../js');
+const pkg = require('../package.json');
+
+const USAGE = `Usage: workday-cal <command> <file> [options]
+
+Commands:
+  convert <file>          Convert a Workday export to a calendar (or read
+                          back a calendar exported by this tool)
+  list <file>             List the sections found in a Workday export
+  serve [file]            Host calendars to subscribe to at a stable URL,
+                          publishing the file (again whenever it changes)
+                          and accepting uploads from the web app
+  caldav <file>           Add the classes to a CalDAV calendar (Nextcloud,
+                          Radicale, Fastmail, iCloud...), updating them and
+                          removing dropped ones when run again
+
+Options:
+  -o, --output <file>     Write to a file instead of stdout
+  -f, --format <format>   Output format: ics, json or text
+                          (default: from the output extension, else ics)
+  -t, --term <term>       Only include a term, e.g. 2025W1 or W2 (repeatable)
+  -c, --course <course>   Only include a course or section, e.g. "CPSC 110"
+                          or "CPSC 110 L1A" (repeatable)
+  -s, --student <student> Only include a student, by name, ID or sheet name,
+                          for workbooks with several students (repeatable)
+      --per-student       Write one calendar per student, named after the
+                          --output file (e.g. schedule-jane-doe-12345678.ics)
+      --campus-timezone <tzid>
+                          IANA timezone of the campus, which the class times
+                          in the export are in (default: America/Vancouver);
+                          calendar apps convert them to your own timezone
+      --no-holidays       Don't skip UBC holidays and midterm breaks
+      --skip <dates>      Extra dates or ranges to skip, comma separated
+  -r, --reminder <rule>   Add reminders: "10m" for every class, or
+                          "Laboratory=1h", "CPSC 110=30m",
+                          "delivery:Online Learning=none" (repeatable)
+  -e, --exams <file>      Add exams from a text file with one exam per line,
+                          e.g. "CPSC 110 101  Final Exam  Dec 10, 2025
+                          12:00 PM - 2:30 PM  OSBO A" (repeatable)
+      --title <template>  Event titles, e.g. "{code} {format} – {room}";
+                          text in [brackets] is left out when a field in
+                          it is empty (default: "{code} - {name}[ ({component})]")
+      --description <template>
+                          Event descriptions; "\\n" starts a new line
+      --location <template>
+                          Event locations (default: "{room}")
+      --revisions <file>  Remember event revisions in this file, so
+                          calendar apps see which events changed when a
+                          corrected export is imported again
+      --verbose           Print parser diagnostics to stderr
+  -h, --help              Show this help
+  -v, --version           Show the version
+
+Server options (serve):
+      --port <port>       Port to listen on (default: 8787)
+      --host <host>       Address to listen on (default: 127.0.0.1, this
+                          computer only). Everything but subscribing to a
+                          calendar needs the token printed at start (kept
+                          in the --data folder), or the one set in the
+                          WORKDAY_CAL_TOKEN environment variable
+      --origin <origin>   Also let the web app served from this origin
+                          publish, e.g. http://localhost:8000 (repeatable;
+                          https://voctory.github.io is always allowed)
+      --data <dir>        Where published schedules are kept
+                          (default: ~/.workday-cal/feeds)
+      --feed <name>       Feed name for the file (default: schedule); in
+                          workbooks with several students, each gets
+                          <name>-<student>
+
+CalDAV options (caldav):
+      --url <url>         Address of the calendar collection, e.g.
+                          https://cloud.example.com/remote.php/dav/calendars/jane/ubc/
+      --user <name>       User name; the password is read from the
+                          CALDAV_PASSWORD environment variable
+      --keep-missing      Don't delete classes that are no longer in the
+                          file (with --term or --course, classes left out are
+                          otherwise deleted too)
+
+Examples:
+  workday-cal convert View_My_Courses.xlsx -o schedule.ics
+  workday-cal convert View_My_Courses.xlsx --term 2025W1 --course "CPSC 110"
+  workday-cal convert View_My_Courses.xlsx -f json > courses.json
+  workday-cal convert advisees.xlsx --per-student -o calendars/schedule.ics
+  workday-cal convert View_My_Courses.xlsx -r 10m -r Laboratory=1h -o schedule.ics
+  workday-cal convert View_My_Courses.xlsx --exams exams.txt -o schedule.ics
+  workday-cal convert View_My_Courses.xlsx --title "{code}[ {component}]" -o schedule.ics
+  workday-cal convert View_My_Courses.xlsx --revisions revisions.json -o schedule.ics
+  workday-cal convert schedule.ics -f json > courses.json
+  workday-cal serve View_My_Courses.xlsx --port 8787
+  CALDAV_PASSWORD=... workday-cal caldav View_My_Courses.xlsx \\
+      --url https://cloud.example.com/remote.php/dav/calendars/jane/ubc/ --user jane
+`;
+
+const FORMATS = ['ics', 'json', 'text'];
+
+class UsageError extends Error {}
+
+/**
+ * Parse command-line arguments
+ * @param {Array} argv - Arguments without the node executable and script
+ * @returns {Object} { command, file, options }
+ */
+function parseArgs(argv) {
+    const options = {
+        output: null,
+        format: null,
+        terms: [],
+        courses: [],
+        students: [],
+        perStudent: false,
+        campusTimezone: null,
+        holidays: true,
+        skip: [],
+        reminders: [],
+        exams: [],
+        templates: {},
+        revisions: null,
+        port: 8787,
+        host: '127.0.0.1',
+        origins: [],
+        dataDir: null,
+        feed: 'schedule',
+        url: null,
+        user: null,
+        keepMissing: false,
+        verbose: false,
+        help: false,
+        version: false
+    };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+            ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+            : [arg, undefined];
+
+        const value = () => {
+            if (inlineValue !== undefined) return inlineValue;
+            if (i + 1 >= argv.length || argv[i + 1].startsWith('-')) {
+                throw new UsageError(`Option ${flag} requires a value`);
+            }
+            return argv[++i];
+        };
+
+        switch (flag) {
+            case '-o':
+            case '--output':
+                options.output = value();
+                break;
+            case '-f':
+            case '--format':
+                options.format = value().toLowerCase();
+                break;
+            case '-t':
+            case '--term':
+                options.terms.push(value());
+                break;
+            case '-c':
+            case '--course':
+                options.courses.push(value());
+                break;
+            case '-s':
+            case '--student':
+                options.students.push(value());
+                break;
+            case '--per-student':
+                options.perStudent = true;
+                break;
+            case '--campus-timezone':
+                options.campusTimezone = value();
+                break;
+            case '--no-holidays':
+                options.holidays = false;
+                break;
+            case '--skip':
+                options.skip.push(value());
+                break;
+            case '-r':
+            case '--reminder':
+                options.reminders.push(value());
+                break;
+            case '-e':
+            case '--exams':
+                options.exams.push(value());
+                break;
+            case '--title':
+                options.templates.summary = value();
+                break;
+            case '--description':
+                options.templates.description = value().replace(/\\n/g, '\n');
+                break;
+            case '--location':
+                options.templates.location = value();
+                break;
+            case '--revisions':
+                options.revisions = value();
+                break;
+            case '--port': {
+                const port = value();
+                options.port = Number(port);
+                if (!/^\d+$/.test(port) || options.port > 65535) {
+                    throw new UsageError(`Invalid port: ${port}`);
+                }
+                break;
+            }
+            case '--host':
+                options.host = value();
+                break;
+            case '--origin':
+                options.origins.push(value());
+                break;
+            case '--data':
+                options.dataDir = value();
+                break;
+            case '--feed':
+                options.feed = value();
+                break;
+            case '--url':
+                options.url = value();
+                break;
+            case '--user':
+                options.user = value();
+                break;
+            case '--keep-missing':
+                options.keepMissing = true;
+                break;
+            case '--verbose':
+                options.verbose = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '-v':
+            case '--version':
+                options.version = true;
+                break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') {
+                    throw new UsageError(`Unknown option: ${arg}`);
+                }
+                positional.push(arg);
+        }
+    }
+
+    if (options.format && !FORMATS.includes(options.format)) {
+        throw new UsageError(`Unknown format: ${options.format} (expected ${FORMATS.join(', ')})`);
+    }
+
+    return { command: positional[0], file: positional[1], extra: positional.slice(2), options };
+}
+
+/**
+ * Print what the parser couldn't read
+ */
+function printDiagnostics(diagnostics, io) {
+    if (!diagnostics) return;
+
+    const percent = Math.round(diagnostics.confidence * 100);
+    io.stderr.write(`Parsed ${diagnostics.coursesParsed} of ${diagnostics.courseRows} course rows ` +
+        `(confidence: ${diagnostics.confidenceLevel}, ${percent}%)\n`);
+
+    for (const note of diagnostics.notes) {
+        io.stderr.write(`  note: ${note}\n`);
+    }
+    for (const warning of diagnostics.warnings) {
+        const value = warning.value ? `: ${warning.value}` : '';
+        io.stderr.write(`  row ${warning.row || '?'}: ${warning.message}${value}\n`);
+    }
+    for (const meeting of diagnostics.unparsedMeetings) {
+        io.stderr.write(`  row ${meeting.row || '?'}: unreadable meeting pattern: ${meeting.line}\n`);
+    }
+}
+
+/**
+ * Parse an export
+ * @returns {Object} { courses, diagnostics, groups } (groups: courses per student)
+ */
+function parseFile(file, options, io) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`File not found: ${file}`);
+    }
+
+    const data = fs.readFileSync(file);
+    const parser = new WorkdayParser();
+
+    const result = parser.parseWithDiagnostics(data, file);
+    if (options.verbose) {
+        printDiagnostics(result.diagnostics, io);
+    }
+    return { ...result, groups: parser.groupByStudent(result.courses) };
+}
+
+/**
+ * Get the UBC session codes (e.g. "2025W1") a course meets in
+ */
+function getCourseTerms(course, generator) {
+    const dates = [course.startDate, course.endDate];
+    for (const meeting of course.meetings || []) {
+        dates.push(meeting.startDate, meeting.endDate);
+    }
+
+    const terms = dates.filter(date => date).map(date => generator.getTermCode(date));
+    return Array.from(new Set(terms)).sort();
+}
+
+function normalize(value) {
+    return String(value || '').replace(/[^a-zA-Z0-9]/g, '').toUpperCase();
+}
+
+/**
+ * Apply --term and --course filters
+ */
+function filterCourses(courses, options, generator) {
+    // One entry per section, like the web app's list
+    const sections = new Map();
+    for (const course of courses) {
+        const key = course.key || course.code;
+        if (!sections.has(key)) {
+            sections.set(key, course);
+        }
+    }
+
+    let result = Array.from(sections.values());
+
+    if (options.terms.length > 0) {
+        const wanted = options.terms.map(normalize);
+        for (const term of wanted) {
+            if (!/^(\d{4})?[WS][12]$/.test(term)) {
+                throw new UsageError(`Invalid term: ${term} (expected e.g. 2025W1, W2 or S1)`);
+            }
+        }
+
+        result = result.filter(course => getCourseTerms(course, generator)
+            .some(term => wanted.some(w => w.length === 2 ? term.endsWith(w) : term === w)));
+    }
+
+    if (options.courses.length > 0) {
+        const wanted = options.courses.map(normalize);
+        result = result.filter(course =>
+            wanted.includes(normalize(course.code)) || wanted.includes(normalize(course.key)));
+    }
+
+    return result;
+}
+
+/**
+ * Apply --student filters to the per-student groups of an export
+ */
+function filterStudents(groups, options) {
+    if (options.students.length === 0) return groups;
+
+    const result = groups.filter(group => options.students.some(student => {
+        const wanted = normalize(student);
+        return [group.id, group.label, group.student && group.student.name, ...group.sheets]
+            .some(value => value && normalize(value) === wanted);
+    }));
+
+    if (result.length === 0) {
+        throw new Error(`No student matches ${options.students.map(s => `"${s}"`).join(', ')}. ` +
+            `Students in this file: ${groups.map(group => group.label).join(', ')}`);
+    }
+    return result;
+}
+
+function inferFormat(options) {
+    if (options.format) return options.format;
+
+    const extension = options.output ? path.extname(options.output).toLowerCase() : '';
+    if (extension === '.json') return 'json';
+    if (extension === '.txt') return 'text';
+    return 'ics';
+}
+
+/**
+ * Build reminder rules from --reminder options
+ * A rule without a name applies to every class; names are course codes or
+ * sections, instructional formats, or prefixed with course:, format: or delivery:
+ */
+function createReminders(rules) {
+    const reminders = new ReminderRules();
+
+    for (const rule of rules) {
+        const separator = rule.lastIndexOf('=');
+        const name = separator >= 0 ? rule.slice(0, separator).trim() : '';
+        const minutes = separator >= 0 ? rule.slice(separator + 1) : rule;
+
+        try {
+            const prefixed = name.match(/^(course|format|delivery):\s*(.+)$/i);
+            const type = prefixed ? prefixed[1].toLowerCase()
+                : /^[A-Z]{2,4}(_[VG])?\s*\d{3}/i.test(name) ? 'course'
+                : 'format';
+            const target = prefixed ? prefixed[2] : name;
+
+            if (!name) {
+                reminders.setDefault(minutes);
+            } else if (type === 'course') {
+                reminders.setCourseReminder(target, minutes);
+            } else if (type === 'delivery') {
+                reminders.setDeliveryReminder(target, minutes);
+            } else {
+                reminders.setFormatReminder(target, minutes);
+            }
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+
+    return reminders;
+}
+
+/**
+ * Read the --exams files
+ */
+function readExams(files) {
+    return files.map(file => {
+        if (!fs.existsSync(file)) {
+            throw new Error(`Exam file not found: ${file}`);
+        }
+        return fs.readFileSync(file, 'utf8');
+    }).join('\n');
+}
+
+/**
+ * Add exams to their sections, reporting lines that couldn't be used
+ */
+function attachExams(courses, text, report, io) {
+    const exams = new ExamSchedule();
+    const parsed = exams.parse(text, courses);
+    exams.attach(parsed);
+
+    if (report) {
+        for (const { line, reason } of parsed.unmatched) {
+            io.stderr.write(`workday-cal: skipped exam (${reason}): ${line}\n`);
+        }
+    }
+}
+
+function createGenerator(options) {
+    const holidays = new HolidayCalendar({ includeBuiltIn: options.holidays });
+    options.skip.forEach(skip => holidays.addExceptionsFromText(skip));
+
+    return new CalendarGenerator({
+        holidays: holidays,
+        reminders: createReminders(options.reminders),
+        templates: new EventTemplates(options.templates),
+        timezone: options.campusTimezone || undefined,
+        revisions: readRevisions(options.revisions)
+    });
+}
+
+/**
+ * Read the --revisions file, if there is one yet
+ */
+function readRevisions(file) {
+    if (!file || !fs.existsSync(file)) return {};
+
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Couldn't read revisions from ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Keep the revisions of what was exported for the next run
+ */
+function saveRevisions(generator, options) {
+    if (options.revisions) {
+        fs.writeFileSync(options.revisions, JSON.stringify(generator.revisions, null, 2) + '\n');
+    }
+}
+
+function slugify(label) {
+    return label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Output file for one student with --per-student, e.g. schedule-jane-doe.ics
+ */
+function getStudentOutput(output, group) {
+    const extension = path.extname(output);
+    return path.join(path.dirname(output), `${path.basename(output, extension)}-${slugify(group.label)}${extension}`);
+}
+
+function render(courses, format, generator, meta, diagnostics) {
+    switch (format) {
+        case 'json':
+            return JSON.stringify({ ...meta, courses: courses, diagnostics: diagnostics }, null, 2) + '\n';
+        case 'text':
+            return generator.createRecurrence().formatSchedule(courses);
+        default:
+            return generator.generateICS(courses) + '\r\n';
+    }
+}
+
+function convert(file, options, io) {
+    const generator = createGenerator(options);
+    const { groups: allGroups, diagnostics } = parseFile(file, options, io);
+    const groups = filterStudents(allGroups, options);
+    const format = inferFormat(options);
+
+    if (options.perStudent && !options.output) {
+        throw new UsageError('--per-student needs --output to name the files');
+    }
+    if (!options.perStudent && groups.length > 1) {
+        throw new Error(`This file has ${groups.length} students (${groups.map(group => group.label).join(', ')}). ` +
+            'Pick one with --student, or use --per-student.');
+    }
+
+    const exams = readExams(options.exams);
+
+    let written = 0;
+    for (const group of groups) {
+        const courses = filterCourses(group.courses, options, generator);
+        if (courses.length === 0) continue;
+
+        if (exams) {
+            // Other students' exams are expected not to match
+            attachExams(courses, exams, groups.length === 1 || options.verbose, io);
+        }
+
+        // Keep UIDs distinct when calendars for several students share an account
+        generator.uidNamespace = allGroups.length > 1 ? group.id : '';
+
+        const meta = { source: path.basename(file) };
+        if (allGroups.length > 1) meta.student = group.label;
+
+        const output = render(courses, format, generator, meta, diagnostics);
+        const target = options.perStudent ? getStudentOutput(options.output, group) : options.output;
+
+        if (target) {
+            fs.writeFileSync(target, output);
+            io.stderr.write(`Wrote ${courses.length} section${courses.length !== 1 ? 's' : ''} to ${target}\n`);
+        } else {
+            io.stdout.write(output);
+        }
+        written++;
+    }
+
+    if (written === 0) {
+        throw new Error('No courses found. Check the file and any --term, --course or --student filters.');
+    }
+    saveRevisions(generator, options);
+}
+
+function list(file, options, io) {
+    const generator = createGenerator(options);
+    const { groups: allGroups } = parseFile(file, options, io);
+
+    for (const group of filterStudents(allGroups, options)) {
+        if (allGroups.length > 1) {
+            io.stdout.write(`# ${group.label}\n`);
+        }
+
+        for (const course of filterCourses(group.courses, options, generator)) {
+            const terms = getCourseTerms(course, generator).join(',');
+            io.stdout.write(`${course.key || course.code}\t${course.format || ''}\t${terms}\t${course.name}\n`);
+        }
+    }
+}
+
+/**
+ * Publish an export to the sync server's feeds, one per student
+ */
+function publishFile(server, file, options, io) {
+    const generator = createGenerator(options);
+    const { groups: allGroups } = parseFile(file, options, io);
+    const exams = readExams(options.exams);
+    const settings = {
+        timezone: generator.timezone,
+        holidays: { includeBuiltIn: generator.holidays.includeBuiltIn, additions: generator.holidays.additions },
+        reminders: generator.reminders.toJSON(),
+        templates: generator.templates.toJSON()
+    };
+
+    for (const group of filterStudents(allGroups, options)) {
+        const courses = filterCourses(group.courses, options, generator);
+        if (courses.length === 0) continue;
+
+        if (exams) {
+            attachExams(courses, exams, allGroups.length === 1 || options.verbose, io);
+        }
+
+        const name = allGroups.length > 1 ? `${options.feed}-${slugify(group.label)}` : options.feed;
+        const feed = server.publish(name, {
+            courses: courses,
+            settings: { ...settings, uidNamespace: allGroups.length > 1 ? group.id : '' },
+            source: path.basename(file)
+        });
+        const { webcal, sections } = server.describeFeed(feed);
+        io.stderr.write(`Published ${sections} section${sections !== 1 ? 's' : ''} to ${webcal}\n`);
+    }
+}
+
+/**
+ * Host subscribable feeds until stopped, republishing the file when it changes
+ */
+async function serve(file, options, io, env) {
+    const SyncServer = require('../server/sync-server');
+    const server = new SyncServer({
+        port: options.port,
+        host: options.host,
+        dataDir: options.dataDir || undefined,
+        origins: ['https://voctory.github.io', ...options.origins],
+        token: env.WORKDAY_CAL_TOKEN || undefined
+    });
+
+    if (file && !fs.existsSync(file)) {
+        throw new Error(`File not found: ${file}`);
+    }
+
+    const url = await server.start();
+    io.stderr.write(`Serving calendar feeds from ${server.dataDir} at ${url}\n`);
+    if (!env.WORKDAY_CAL_TOKEN) {
+        io.stderr.write(`Token for publishing (e.g. in the web app): ${server.token}\n`);
+    }
+
+    if (!file) return;
+
+    try {
+        publishFile(server, file, options, io);
+    } catch (error) {
+        await server.stop();
+        throw error;
+    }
+
+    fs.watchFile(file, { interval: 2000 }, (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs || !fs.existsSync(file)) return;
+
+        try {
+            publishFile(server, file, options, io);
+        } catch (error) {
+            // Keep serving the last good schedule
+            io.stderr.write(`workday-cal: ${file} changed but couldn't be published: ${error.message}\n`);
+        }
+    });
+}
+
+/**
+ * Add every student's classes to a CalDAV calendar in one go, so classes
+ * missing from all of them can be deleted
+ */
+async function pushCalDAV(file, options, io, env) {
+    if (!options.url) {
+        throw new UsageError('caldav needs the calendar address with --url');
+    }
+
+    const generator = createGenerator(options);
+    const { groups: allGroups } = parseFile(file, options, io);
+    const exams = readExams(options.exams);
+    const now = new Date();
+
+    const events = [];
+    let sections = 0;
+    for (const group of filterStudents(allGroups, options)) {
+        const courses = filterCourses(group.courses, options, generator);
+        if (courses.length === 0) continue;
+
+        if (exams) {
+            attachExams(courses, exams, allGroups.length === 1 || options.verbose, io);
+        }
+
+        generator.uidNamespace = allGroups.length > 1 ? group.id : '';
+        events.push(...generator.createEvents(courses, now));
+        sections += courses.length;
+    }
+
+    if (sections === 0) {
+        throw new Error('No courses found. Check the file and any --term, --course or --student filters.');
+    }
+
+    const exporter = new CalDAVExporter({
+        url: options.url,
+        username: options.user || undefined,
+        password: env.CALDAV_PASSWORD || undefined,
+        deleteMissing: !options.keepMissing
+    });
+    const result = await exporter.exportEvents(events, generator);
+    saveRevisions(generator, options);
+
+    io.stderr.write(`Added ${sections} section${sections !== 1 ? 's' : ''} to ${options.url}: ` +
+        `${result.created} new, ${result.updated} updated, ${result.unchanged} unchanged, ${result.deleted} deleted\n`);
+}
+
+function reportError(error, io) {
+    io.stderr.write(`workday-cal: ${error.message}\n`);
+    if (error.hints && error.hints.length > 0) {
+        io.stderr.write(`\n${error.hints.join('\n')}\n`);
+    }
+    if (error instanceof UsageError) {
+        io.stderr.write('Run "workday-cal --help" for usage.\n');
+        return 2;
+    }
+    return 1;
+}
+
+/**
+ * Run the CLI
+ * @param {Array} argv - Arguments without the node executable and script
+ * @param {Object} io - { stdout, stderr } writable streams
+ * @param {Object} env - Environment variables, for the CalDAV password and
+ *                       the sync server token
+ * @returns {number|Promise<number>} Exit code (a promise for serve, which
+ *                                    resolves once the server is listening,
+ *                                    and caldav, once the calendar is updated)
+ */
+function main(argv, io = { stdout: process.stdout, stderr: process.stderr }, env = process.env) {
+    try {
+        const { command, file, extra, options } = parseArgs(argv);
+
+        if (options.version) {
+            io.stdout.write(`${pkg.version}\n`);
+            return 0;
+        }
+
+        if (options.help || !command) {
+            (options.help ? io.stdout : io.stderr).write(USAGE);
+            return options.help ? 0 : 2;
+        }
+
+        if (!['convert', 'list', 'serve', 'caldav'].includes(command)) {
+            throw new UsageError(`Unknown command: ${command}`);
+        }
+        if (command === 'serve') {
+            if (extra.length > 0) {
+                throw new UsageError(`Unexpected argument: ${extra[0]}`);
+            }
+            return serve(file, options, io, env).then(() => 0, error => reportError(error, io));
+        }
+        if (!file) {
+            throw new UsageError(`Missing file for ${command}`);
+        }
+        if (extra.length > 0) {
+            throw new UsageError(`Unexpected argument: ${extra[0]}`);
+        }
+
+        if (command === 'caldav') {
+            return pushCalDAV(file, options, io, env).then(() => 0, error => reportError(error, io));
+        }
+        if (command === 'convert') {
+            convert(file, options, io);
+        } else {
+            list(file, options, io);
+        }
+        return 0;
+    } catch (error) {
+        return reportError(error, io);
+    }
+}
+
+if (require.main === module) {
+    Promise.resolve(main(process.argv.slice(2))).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main, parseArgs, filterCourses, filterStudents };
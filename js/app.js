@@ -5,13 +5,32 @@
 class WorkdayCalendarApp {
     constructor() {
         this.parser = new WorkdayParser();
-        this.calendar = new CalendarGenerator();
+        this.reminders = new ReminderRules();
+        this.exams = new ExamSchedule();
+        this.conflicts = new ConflictDetector();
+        this.templates = new EventTemplates();
+        this.calendar = new CalendarGenerator({ reminders: this.reminders, templates: this.templates });
         this.calendarView = new CalendarView();
+        this.calendarView.holidays = this.calendar.holidays;
+        this.scheduleDiff = new ScheduleDiff();
+        this.store = new ScheduleStore();
+        this.savedScheduleId = null; // Where this schedule is saved, once remembered
+        this.savedScheduleName = null;
+        this.saveTimer = null;
+        this.googleExporter = this.createGoogleExporter();
+        this.outlookExporter = this.createOutlookExporter();
         this.courses = [];
+        this.lastImport = null; // Last file or paste, kept for column remapping
+        this.studentGroups = []; // Courses per student (or sheet) in the import
+        this.activeGroup = null;
         this.currentView = 'list';
+        this.supportedFiles = /\.(xlsx|xls|csv|html?|ics)$/i;
         
         this.initializeElements();
         this.initializeEventListeners();
+        this.displayTemplateOptions();
+        this.initializeStorage();
+        this.initializeFileHandling();
     }
 
     initializeElements() {
@@ -28,9 +47,44 @@ class WorkdayCalendarApp {
         this.selectNoneBtn = document.getElementById('select-none');
         this.selectionCount = document.getElementById('selection-count');
         this.googleBtn = document.getElementById('google-calendar');
+        this.googleResult = document.getElementById('google-result');
         this.appleBtn = document.getElementById('apple-calendar');
         this.outlookBtn = document.getElementById('outlook-web');
+        this.outlookResult = document.getElementById('outlook-result');
+        this.outlookCalendarChoice = document.getElementById('outlook-calendar-choice');
+        this.outlookCalendarSelect = document.getElementById('outlook-calendar');
+        this.outlookLoadCalendarsBtn = document.getElementById('outlook-load-calendars');
         this.copyBtn = document.getElementById('copy-events');
+        this.syncPublishBtn = document.getElementById('sync-publish');
+        this.syncServerInput = document.getElementById('sync-server-url');
+        this.syncTokenInput = document.getElementById('sync-server-token');
+        this.syncResult = document.getElementById('sync-result');
+        this.rememberInput = document.getElementById('remember-schedules');
+        this.savedSchedules = document.getElementById('saved-schedules');
+        this.savedScheduleList = document.getElementById('saved-schedule-list');
+        this.skipHolidaysInput = document.getElementById('skip-holidays');
+        this.extraSkipDatesInput = document.getElementById('extra-skip-dates');
+        this.reminderOptions = document.getElementById('reminder-options');
+        this.templateInputs = document.querySelectorAll('.template-input');
+        this.templatePresetSelect = document.getElementById('template-preset');
+        this.templatePresetName = document.getElementById('template-preset-name');
+        this.templateSavePresetBtn = document.getElementById('template-save-preset');
+        this.templateDeletePresetBtn = document.getElementById('template-delete-preset');
+        this.templateError = document.getElementById('template-error');
+        this.templatePreview = document.getElementById('template-preview');
+        this.templateFields = document.getElementById('template-fields');
+        this.compareBtn = document.getElementById('compare-export');
+        this.compareFileInput = document.getElementById('compare-file-input');
+        this.diffPanel = document.getElementById('diff-panel');
+        this.examText = document.getElementById('exam-text');
+        this.examImportBtn = document.getElementById('exam-import-btn');
+        this.examImportResult = document.getElementById('exam-import-result');
+        this.diagnosticsPanel = document.getElementById('diagnostics-panel');
+        this.diagnosticsSummary = document.getElementById('diagnostics-summary');
+        this.diagnosticsContent = document.getElementById('diagnostics-content');
+        this.studentControls = document.getElementById('student-controls');
+        this.studentSelect = document.getElementById('student-select');
+        this.downloadAllStudentsBtn = document.getElementById('download-all-students');
         
         // View toggle elements
         this.listViewBtn = document.getElementById('list-view-btn');
@@ -38,8 +92,11 @@ class WorkdayCalendarApp {
         this.listView = document.getElementById('list-view');
         this.calendarViewContainer = document.getElementById('calendar-view');
         this.saveImageBtn = document.getElementById('save-calendar-image');
+        this.calendarRangeSelect = document.getElementById('calendar-range');
+        this.calendarRangeLabel = document.getElementById('calendar-range-label');
+        this.calendarModeButtons = document.querySelectorAll('.calendar-mode-btn');
         
-        // Track selected courses
+        // Track selected courses by section key
         this.selectedCourses = new Set();
     }
 
@@ -103,6 +160,19 @@ class WorkdayCalendarApp {
             this.saveImageBtn.addEventListener('click', () => this.saveCalendarAsImage());
         }
         
+        // Calendar day and hour range
+        if (this.calendarRangeSelect) {
+            this.calendarRangeSelect.addEventListener('change', () => {
+                this.calendarView.setRange(this.calendarRangeSelect.value);
+                this.refreshCalendarView();
+            });
+        }
+        
+        // Week, month and agenda views
+        this.calendarModeButtons.forEach(button => {
+            button.addEventListener('click', () => this.switchCalendarMode(button.dataset.mode));
+        });
+        
         // Select all/none buttons
         this.selectAllBtn.addEventListener('click', () => {
             this.selectAllCourses();
@@ -125,9 +195,74 @@ class WorkdayCalendarApp {
             this.exportToOutlook();
         });
         
+        // Calendar to add Outlook events to, once signed in
+        if (this.outlookExporter) {
+            this.outlookCalendarChoice.style.display = 'flex';
+            this.outlookLoadCalendarsBtn.addEventListener('click', () => {
+                this.loadOutlookCalendars();
+            });
+        }
+        
         this.copyBtn.addEventListener('click', () => {
             this.copyEventsAsText();
         });
+        
+        this.syncPublishBtn.addEventListener('click', () => {
+            this.publishToSyncServer();
+        });
+        
+        // Compare with an older export
+        this.compareBtn.addEventListener('click', () => {
+            this.compareFileInput.click();
+        });
+        
+        this.compareFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.handleCompareFile(file);
+            }
+        });
+        
+        // Exams from a pasted exam schedule
+        this.examImportBtn.addEventListener('click', () => {
+            this.importExams();
+        });
+        
+        // Student picker for workbooks with several students or sheets
+        this.studentSelect.addEventListener('change', () => {
+            this.selectStudent(this.studentSelect.value);
+        });
+        this.downloadAllStudentsBtn.addEventListener('click', () => {
+            this.downloadAllStudents();
+        });
+        
+        // Holiday and break options
+        this.skipHolidaysInput.addEventListener('change', () => {
+            this.updateHolidaySettings();
+        });
+        
+        this.extraSkipDatesInput.addEventListener('change', () => {
+            this.updateHolidaySettings();
+        });
+        
+        // Event title, description and location templates
+        this.templateInputs.forEach(input => {
+            input.addEventListener('input', () => this.updateTemplates());
+        });
+        this.templatePresetSelect.addEventListener('change', () => {
+            this.applyTemplatePreset(this.templatePresetSelect.value);
+        });
+        this.templateSavePresetBtn.addEventListener('click', () => {
+            this.saveTemplatePreset();
+        });
+        this.templateDeletePresetBtn.addEventListener('click', () => {
+            this.deleteTemplatePreset();
+        });
+        
+        // Remember schedules in this browser
+        this.rememberInput.addEventListener('change', () => {
+            this.setRemember(this.rememberInput.checked);
+        });
 
         // Prevent default drag behaviors on document
         document.addEventListener('dragover', (e) => {
@@ -137,12 +272,33 @@ class WorkdayCalendarApp {
         document.addEventListener('drop', (e) => {
             e.preventDefault();
         });
+        
+        // Paste a course table copied from Workday
+        document.addEventListener('paste', (e) => {
+            this.handlePaste(e);
+        });
+    }
+
+    /**
+     * Open spreadsheets launched with the installed app (see file_handlers
+     * in manifest.json)
+     */
+    initializeFileHandling() {
+        if (!('launchQueue' in window)) return;
+
+        window.launchQueue.setConsumer(async (launchParams) => {
+            if (!launchParams.files || launchParams.files.length === 0) return;
+
+            const file = await launchParams.files[0].getFile();
+            this.reset();
+            this.handleFile(file);
+        });
     }
 
     handleFile(file) {
         // Validate file type
-        if (!file.name.match(/\.(xlsx|xls)$/i)) {
-            this.showError('Please upload an Excel file (.xlsx or .xls)');
+        if (!file.name.match(this.supportedFiles)) {
+            this.showError('Please upload a Workday export (.xlsx, .xls, .csv or a saved .html page), or a calendar (.ics) exported from here');
             return;
         }
 
@@ -152,21 +308,337 @@ class WorkdayCalendarApp {
         // Read file
         const reader = new FileReader();
         reader.onload = (e) => {
+            this.parser.setColumnOverrides({});
+            this.importSource({ data: e.target.result, fileName: file.name });
+        };
+
+        reader.onerror = () => {
+            this.showError('Error reading file. Please try again.');
+        };
+
+        reader.readAsArrayBuffer(file);
+    }
+
+    handlePaste(e) {
+        // Only import while the upload area is showing
+        if (this.uploadSection.style.display === 'none') return;
+        
+        const clipboard = e.clipboardData;
+        if (!clipboard) return;
+        
+        const html = clipboard.getData('text/html');
+        const text = clipboard.getData('text/plain');
+        if (!html && !text) return;
+        
+        e.preventDefault();
+        this.hideError();
+        this.parser.setColumnOverrides({});
+        this.importSource({ html, text });
+    }
+
+    /**
+     * Parse and load an import, remembering it so columns can be remapped
+     * @param {Object} source - { data, fileName } for files, { html, text } for pastes
+     */
+    importSource(source) {
+        try {
+            const courses = this.parseSource(source);
+            this.lastImport = source;
+            this.loadCourses(courses);
+        } catch (error) {
+            console.error('Error processing import:', error);
+            this.showError(this.formatError(error));
+        }
+    }
+
+    parseSource(source) {
+        if (source.data !== undefined) {
+            return this.parser.parse(source.data, source.fileName);
+        }
+        
+        let courses = [];
+        if (source.html) {
             try {
-                const data = e.target.result;
-                this.courses = this.parser.parseExcel(data);
+                courses = this.parser.parseHTML(source.html);
+            } catch (error) {
+                // Some browsers put a table-less fragment on the clipboard
+                if (!source.text) throw error;
+            }
+        }
+        if (courses.length === 0 && source.text) {
+            courses = this.parser.parseCSV(source.text);
+        }
+        return courses;
+    }
+
+    loadCourses(courses) {
+        if (courses.length === 0) {
+            this.showError('No courses found in the uploaded file. Please ensure you\'re uploading a UBC Workday course schedule.');
+            return;
+        }
+
+        // Keep the chosen student when re-reading the same import
+        const previousKey = this.activeGroup ? this.activeGroup.key : null;
+        this.studentGroups = this.parser.groupByStudent(courses);
+        this.activeGroup = this.studentGroups.find(group => group.key === previousKey) || this.studentGroups[0];
+        this.courses = this.activeGroup.courses;
+
+        this.displayStudents();
+        this.displayCourses();
+        this.displayDiagnostics(this.parser.diagnostics);
+        this.showPreview();
+    }
+
+    /**
+     * Show the student picker when an import has more than one student or sheet
+     */
+    displayStudents() {
+        this.studentSelect.innerHTML = '';
+        
+        if (this.studentGroups.length <= 1) {
+            this.studentControls.style.display = 'none';
+            return;
+        }
+        
+        for (const group of this.studentGroups) {
+            const sections = new Set(group.courses.map(course => this.getCourseKey(course))).size;
+            this.studentSelect.add(new Option(`${group.label} (${sections} section${sections !== 1 ? 's' : ''})`, group.key));
+        }
+        this.studentSelect.value = this.activeGroup.key;
+        this.studentControls.style.display = 'flex';
+    }
+
+    selectStudent(key) {
+        const group = this.studentGroups.find(g => g.key === key);
+        if (!group || group === this.activeGroup) return;
+        
+        this.activeGroup = group;
+        this.courses = group.courses;
+        this.hideDiff();
+        this.displayCourses();
+    }
+
+    /**
+     * Generate a calendar for one student's courses
+     * UIDs include the student when the import has several, so their
+     * calendars stay separate if imported into the same account
+     */
+    generateICS(courses, group = this.activeGroup) {
+        this.calendar.uidNamespace = this.studentGroups.length > 1 && group ? group.id : '';
+        return this.calendar.generateICS(courses);
+    }
+
+    getCalendarFileName(group = this.activeGroup) {
+        const dateStr = new Date().toISOString().split('T')[0];
+        return `ubc-schedule${this.getStudentSuffix(group)}-${dateStr}.ics`;
+    }
+
+    /**
+     * "-jane-doe-12345678" for imports with several students, else ''
+     */
+    getStudentSuffix(group = this.activeGroup) {
+        return this.studentGroups.length > 1 && group
+            ? `-${group.label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}`
+            : '';
+    }
+
+    /**
+     * Download every section of every student, one calendar file each
+     */
+    downloadAllStudents() {
+        try {
+            for (const group of this.studentGroups) {
+                const sections = new Map();
+                for (const course of group.courses) {
+                    const key = this.getCourseKey(course);
+                    if (!sections.has(key)) sections.set(key, course);
+                }
                 
-                if (this.courses.length === 0) {
-                    this.showError('No courses found in the uploaded file. Please ensure you\'re uploading a UBC Workday course schedule.');
-                    return;
+                const icsContent = this.generateICS(Array.from(sections.values()), group);
+                this.calendar.downloadICS(icsContent, this.getCalendarFileName(group));
+            }
+        } catch (error) {
+            console.error('Error generating calendars:', error);
+            this.showError(`Error generating calendar: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show what the parser couldn't read in a collapsible panel
+     */
+    displayDiagnostics(diagnostics) {
+        this.diagnosticsContent.innerHTML = '';
+        
+        if (!diagnostics) {
+            this.hideDiagnostics();
+            return;
+        }
+        
+        const guessedColumns = Object.values(diagnostics.columns)
+            .filter(column => column.guessed);
+        const issueCount = diagnostics.warnings.length + diagnostics.unparsedMeetings.length;
+        
+        if (issueCount === 0 && !diagnostics.uncertainColumns && diagnostics.confidenceLevel === 'high') {
+            this.hideDiagnostics();
+            return;
+        }
+        
+        const percent = Math.round(diagnostics.confidence * 100);
+        this.diagnosticsSummary.textContent = `⚠️ What we couldn't read: ${issueCount} issue${issueCount !== 1 ? 's' : ''} (confidence: ${diagnostics.confidenceLevel}, ${percent}%)`;
+        
+        const addSection = (heading, items) => {
+            if (items.length === 0) return;
+            
+            const title = document.createElement('h4');
+            title.textContent = heading;
+            const list = document.createElement('ul');
+            
+            for (const { label, value } of items) {
+                const item = document.createElement('li');
+                item.textContent = label.trim();
+                if (value) {
+                    const code = document.createElement('code');
+                    code.textContent = value;
+                    item.append(' ', code);
                 }
+                list.appendChild(item);
+            }
+            
+            this.diagnosticsContent.append(title, list);
+        };
+        
+        const multipleSheets = diagnostics.sheets.length > 1;
+        const rowLabel = (item) => {
+            if (multipleSheets && item.sheet) {
+                return item.row ? `${item.sheet}, row ${item.row}: ` : `${item.sheet}: `;
+            }
+            return item.row ? `Row ${item.row}: ` : '';
+        };
+        
+        addSection('Rows with problems', diagnostics.warnings.map(w => ({
+            label: `${rowLabel(w)}${w.message}`,
+            value: w.value
+        })));
+        
+        addSection('Meeting times we couldn\'t read (no events created for these)', diagnostics.unparsedMeetings.map(m => ({
+            label: rowLabel(m),
+            value: m.line
+        })));
+        
+        addSection('Columns we guessed (header didn\'t match)', guessedColumns.map(column => ({
+            label: `${column.label}: column ${this.parser.columnMapper.columnLetter(column.index)}${column.header ? ` (header "${column.header}")` : ''}`,
+            value: ''
+        })));
+        
+        if (diagnostics.uncertainColumns && this.lastImport) {
+            this.diagnosticsContent.appendChild(this.createColumnMapping(diagnostics));
+        }
+        
+        this.diagnosticsPanel.open = diagnostics.confidenceLevel === 'low';
+        this.diagnosticsPanel.style.display = 'block';
+    }
 
-                this.displayCourses();
-                this.showPreview();
+    hideDiagnostics() {
+        this.diagnosticsPanel.style.display = 'none';
+        this.diagnosticsContent.innerHTML = '';
+    }
+
+    /**
+     * Build the form for choosing which column holds each field
+     */
+    createColumnMapping(diagnostics) {
+        const container = document.createElement('div');
+        container.className = 'column-mapping';
+        
+        const title = document.createElement('h4');
+        title.textContent = 'Choose columns';
+        container.appendChild(title);
+        
+        const grid = document.createElement('div');
+        grid.className = 'column-mapping-grid';
+        
+        // Data can run past the headers, and fields can be found there
+        const columns = Object.values(diagnostics.columns);
+        const columnCount = Math.max(diagnostics.headers.length, diagnostics.columnCount || 0,
+            ...columns.map(column => column.index === null ? 0 : column.index + 1));
+        
+        const selects = [];
+        for (const column of columns) {
+            const label = document.createElement('label');
+            label.className = 'option-label';
+            label.textContent = column.label;
+            
+            const select = document.createElement('select');
+            select.className = 'option-input';
+            select.dataset.field = column.field;
+            select.add(new Option('Not in this file', ''));
+            for (let index = 0; index < columnCount; index++) {
+                const letter = this.parser.columnMapper.columnLetter(index);
+                select.add(new Option(`${letter}: ${diagnostics.headers[index] || '(no header)'}`, String(index)));
+            }
+            select.value = column.index === null ? '' : String(column.index);
+            
+            label.appendChild(select);
+            grid.appendChild(label);
+            selects.push(select);
+        }
+        
+        const apply = document.createElement('button');
+        apply.className = 'btn btn-secondary';
+        apply.textContent = 'Re-read with these columns';
+        apply.addEventListener('click', () => {
+            const overrides = {};
+            for (const select of selects) {
+                overrides[select.dataset.field] = select.value === '' ? null : Number(select.value);
+            }
+            this.applyColumnMapping(overrides);
+        });
+        
+        container.append(grid, apply);
+        return container;
+    }
+
+    /**
+     * Re-read the last import with hand-picked columns
+     */
+    applyColumnMapping(overrides) {
+        if (!this.lastImport) return;
+        
+        this.hideError();
+        this.parser.setColumnOverrides(overrides);
+        this.importSource(this.lastImport);
+    }
+
+    /**
+     * Combine an error message with any troubleshooting hints
+     */
+    formatError(error) {
+        if (error.hints && error.hints.length > 0) {
+            return [error.message, '', ...error.hints].join('\n');
+        }
+        return error.message;
+    }
+
+    handleCompareFile(file) {
+        if (!file.name.match(this.supportedFiles)) {
+            this.showError('Please choose a Workday export (.xlsx, .xls, .csv or .html) or exported calendar (.ics) to compare with');
+            return;
+        }
+
+        this.hideError();
+
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                // Use a separate parser, since header detection is stateful
+                const oldCourses = this.getMatchingStudentCourses(new WorkdayParser().parse(e.target.result, file.name));
+                this.diff = this.scheduleDiff.compare(oldCourses, this.courses);
+                this.displayDiff(this.diff, file.name);
             } catch (error) {
-                console.error('Error processing file:', error);
-                // Show the error message directly without wrapping
-                this.showError(error.message);
+                console.error('Error comparing files:', error);
+                this.showError(this.formatError(error));
+            } finally {
+                this.compareFileInput.value = '';
             }
         };
 
@@ -177,19 +649,95 @@ class WorkdayCalendarApp {
         reader.readAsArrayBuffer(file);
     }
 
-    displayCourses() {
-        this.courseList.innerHTML = '';
-        this.selectedCourses.clear();
+    /**
+     * Pick the current student's courses out of another export
+     */
+    getMatchingStudentCourses(courses) {
+        const groups = this.parser.groupByStudent(courses);
+        if (groups.length <= 1 || !this.activeGroup) return courses;
         
-        // Group courses by code for better display
-        const courseMap = new Map();
+        const match = groups.find(group => group.key === this.activeGroup.key);
+        if (!match) {
+            throw new Error(`${this.activeGroup.label} isn't in the older export`);
+        }
+        return match.courses;
+    }
+
+    displayDiff(diff, fileName) {
+        this.diffPanel.innerHTML = '';
         
-        for (const course of this.courses) {
-            if (!courseMap.has(course.code)) {
-                courseMap.set(course.code, course);
+        const title = document.createElement('h3');
+        title.textContent = `Changes since ${fileName}`;
+        this.diffPanel.appendChild(title);
+        
+        if (!diff.hasChanges) {
+            const none = document.createElement('p');
+            none.textContent = '✅ No changes: both exports list the same courses and meeting details.';
+            this.diffPanel.appendChild(none);
+        }
+        
+        const groups = [
+            { items: diff.added, type: 'added', heading: '➕ Added' },
+            { items: diff.dropped, type: 'dropped', heading: '➖ Dropped' },
+            { items: diff.modified, type: 'modified', heading: '✏️ Modified' }
+        ];
+        
+        for (const { items, type, heading } of groups) {
+            if (items.length === 0) continue;
+            
+            const group = document.createElement('div');
+            group.className = 'diff-group';
+            
+            const groupTitle = document.createElement('h4');
+            groupTitle.textContent = `${heading} (${items.length})`;
+            group.appendChild(groupTitle);
+            
+            for (const item of items) {
+                const course = item.course || item.after;
+                const entry = document.createElement('div');
+                entry.className = `diff-item ${type}`;
+                
+                const name = document.createElement('strong');
+                name.textContent = `${item.key} - ${course.name}`;
+                entry.appendChild(name);
+                
+                for (const change of item.changes || []) {
+                    const line = document.createElement('div');
+                    line.className = 'diff-change';
+                    
+                    const label = document.createElement('span');
+                    label.textContent = `${change.label}: `;
+                    const before = document.createElement('del');
+                    before.textContent = change.before || '(none)';
+                    const after = document.createElement('ins');
+                    after.textContent = change.after || '(none)';
+                    
+                    line.append(label, before, ' → ', after);
+                    entry.appendChild(line);
+                }
+                
+                group.appendChild(entry);
             }
+            
+            this.diffPanel.appendChild(group);
         }
         
+        this.diffPanel.style.display = 'block';
+    }
+
+    hideDiff() {
+        this.diff = null;
+        this.diffPanel.style.display = 'none';
+        this.diffPanel.innerHTML = '';
+    }
+
+    displayCourses() {
+        this.courseList.innerHTML = '';
+        this.selectedCourses.clear();
+        
+        // One entry per section, so labs and tutorials stay separate from lectures
+        const courseMap = this.getCourseMap();
+        
         // Separate courses by term
         const coursesByTerm = {
             'Winter Term 1': [],
@@ -200,7 +748,7 @@ class WorkdayCalendarApp {
             'Other': []
         };
         
-        for (const [code, course] of courseMap) {
+        for (const [key, course] of courseMap) {
             const termInfo = this.determineTerm(course);
             
             // Handle Winter Full Year courses - add to both Term 1 and Term 2
@@ -236,7 +784,6 @@ class WorkdayCalendarApp {
         };
         
         // Display courses by term
-        let index = 0;
         for (const [termName, courses] of Object.entries(coursesByTerm)) {
             if (courses.length === 0) continue;
             
@@ -247,26 +794,26 @@ class WorkdayCalendarApp {
             
             const termHeader = document.createElement('div');
             termHeader.className = 'term-header';
-            termHeader.innerHTML = `<h3>${headerText}</h3><span class="term-count">${courses.length} course${courses.length !== 1 ? 's' : ''}</span>`;
+            termHeader.innerHTML = `<h3>${headerText}</h3><span class="term-count">${courses.length} section${courses.length !== 1 ? 's' : ''}</span>`;
             this.courseList.appendChild(termHeader);
             
             const termContainer = document.createElement('div');
             termContainer.className = 'term-container';
             
             for (const course of courses) {
-                const courseElement = this.createCourseElement(course, index);
+                const courseElement = this.createCourseElement(course);
                 termContainer.appendChild(courseElement);
-                this.selectedCourses.add(index);
-                index++;
+                this.selectedCourses.add(this.getCourseKey(course));
             }
             this.courseList.appendChild(termContainer);
         }
         
         this.updateSelectionCount();
+        this.displayReminderOptions();
         
         // Also update calendar view if it's active
         if (this.currentView === 'calendar') {
-            this.calendarView.render(this.courses);
+            this.calendarView.render(Array.from(this.getCourseMap().values()));
         }
     }
     
@@ -316,36 +863,601 @@ class WorkdayCalendarApp {
             else if (startMonth >= 7 && startMonth <= 8) {
                 return 'Summer Term 2';
             }
-            // Full Summer: May-Aug (months 5-8, spanning both terms)
-            else if (startMonth >= 5 && endMonth >= 7) {
-                return 'Summer Full Term';
+            // Full Summer: May-Aug (months 5-8, spanning both terms)
+            else if (startMonth >= 5 && endMonth >= 7) {
+                return 'Summer Full Term';
+            }
+        }
+        
+        // Check meeting patterns for date ranges
+        if (course.meetings && course.meetings.length > 0) {
+            const firstMeeting = course.meetings[0];
+            if (firstMeeting.startDate && firstMeeting.endDate) {
+                const startMonth = parseInt(firstMeeting.startDate.split('-')[1]);
+                const endMonth = parseInt(firstMeeting.endDate.split('-')[1]);
+                
+                // Winter Full Year
+                if (startMonth >= 9 && endMonth >= 3 && endMonth <= 4) return 'Winter Full Year';
+                if (startMonth >= 9 && endMonth <= 12) return 'Winter Term 1';
+                if (startMonth >= 1 && startMonth <= 4 && endMonth <= 4) return 'Winter Term 2';
+                if (startMonth >= 5 && startMonth <= 6 && endMonth <= 6) return 'Summer Term 1';
+                if (startMonth >= 7 && startMonth <= 8) return 'Summer Term 2';
+                if (startMonth >= 5 && endMonth >= 7) return 'Summer Full Term';
+            }
+        }
+        
+        return 'Other';
+    }
+
+    /**
+     * Get unique courses keyed by section, in file order
+     */
+    getCourseMap() {
+        const courseMap = new Map();
+        for (const course of this.courses) {
+            const key = this.getCourseKey(course);
+            if (!courseMap.has(key)) {
+                courseMap.set(key, course);
+            }
+        }
+        return courseMap;
+    }
+    
+    getCourseKey(course) {
+        return course.key || this.parser.getCourseKey(course);
+    }
+
+    setCourseSelected(key, selected) {
+        if (selected) {
+            this.selectedCourses.add(key);
+        } else {
+            this.selectedCourses.delete(key);
+        }
+        
+        // Full year courses are listed under both terms
+        this.courseList.querySelectorAll('.course-item').forEach((item) => {
+            if (item.dataset.key !== key) return;
+            const checkbox = item.querySelector('.course-checkbox');
+            if (checkbox) checkbox.checked = selected;
+            item.classList.toggle('unchecked', !selected);
+        });
+    }
+
+    /**
+     * Add exams from the pasted exam schedule to their sections
+     */
+    importExams() {
+        const parsed = this.exams.parse(this.examText.value, Array.from(this.getCourseMap().values()));
+        const added = this.exams.attach(parsed);
+        
+        this.examImportResult.innerHTML = '';
+        const summary = document.createElement('p');
+        summary.textContent = parsed.events.length === 0 && parsed.unmatched.length === 0
+            ? 'No exams found. Each line needs a course code and a date.'
+            : `Added ${added} exam${added !== 1 ? 's' : ''}.`;
+        this.examImportResult.appendChild(summary);
+        
+        if (parsed.unmatched.length > 0) {
+            const list = document.createElement('ul');
+            for (const { line, reason } of parsed.unmatched) {
+                const item = document.createElement('li');
+                item.textContent = `${reason}: ${line}`;
+                list.appendChild(item);
+            }
+            this.examImportResult.appendChild(list);
+        } else if (parsed.events.length > 0) {
+            this.examText.value = '';
+        }
+        
+        this.refreshCourseEvents();
+    }
+
+    /**
+     * Redraw the exams and deadlines listed under each section
+     */
+    refreshCourseEvents() {
+        const courseMap = this.getCourseMap();
+        this.courseList.querySelectorAll('.course-events').forEach((container) => {
+            const course = courseMap.get(container.dataset.key);
+            if (course) this.renderCourseEvents(container, course);
+        });
+        this.updateSelectionCount();
+        
+        if (this.currentView === 'calendar') {
+            this.calendarView.render(Array.from(courseMap.values()));
+        }
+    }
+
+    renderCourseEvents(container, course) {
+        container.innerHTML = '';
+        
+        for (const event of course.events || []) {
+            const item = document.createElement('div');
+            item.className = 'schedule-item course-event';
+            
+            const date = new Date(event.date + 'T00:00:00')
+                .toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+            const time = event.startTime
+                ? ` ${this.formatTime(event.startTime)}${event.endTime && event.endTime !== event.startTime ? ` - ${this.formatTime(event.endTime)}` : ''}`
+                : '';
+            const text = document.createElement('span');
+            text.textContent = `📝 ${this.exams.getLabel(event)}: ${date}${time}${event.location ? ` · 📍 ${event.location}` : ''}`;
+            item.appendChild(text);
+            
+            const remove = document.createElement('button');
+            remove.className = 'course-event-remove';
+            remove.title = 'Remove';
+            remove.textContent = '✕';
+            remove.addEventListener('click', () => {
+                this.exams.removeEvent(course, event);
+                this.refreshCourseEvents();
+            });
+            item.appendChild(remove);
+            
+            container.appendChild(item);
+        }
+        
+        // Cancelled and changed classes
+        for (const override of course.overrides || []) {
+            const item = document.createElement('div');
+            item.className = `schedule-item course-override${override.cancelled ? ' cancelled' : ''}`;
+            
+            const text = document.createElement('span');
+            text.textContent = this.describeOverride(override);
+            item.appendChild(text);
+            
+            const remove = document.createElement('button');
+            remove.className = 'course-event-remove';
+            remove.title = 'Undo';
+            remove.textContent = '✕';
+            remove.addEventListener('click', () => {
+                this.calendar.createRecurrence().removeOverride(course, override);
+                this.refreshCourseEvents();
+            });
+            item.appendChild(remove);
+            
+            container.appendChild(item);
+        }
+    }
+    
+    /**
+     * Describe a cancelled or changed class, e.g.
+     * "✏️ Mon, Oct 20, 2025 9:00 AM: moved to Tue, Oct 21, 2025 10:00 AM - 11:00 AM"
+     */
+    describeOverride(override) {
+        const formatDate = (date) => new Date(date + 'T00:00:00')
+            .toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+        const original = `${formatDate(override.date)}${override.startTime ? ` ${this.formatTime(override.startTime)}` : ''}`;
+        
+        if (override.cancelled) {
+            return `🚫 ${original}: cancelled`;
+        }
+        
+        const changes = [];
+        if (override.newDate || override.newStartTime || override.newEndTime) {
+            const date = override.newDate ? formatDate(override.newDate) : '';
+            let times = '';
+            if (override.newStartTime) {
+                times = `${this.formatTime(override.newStartTime)}${override.newEndTime ? ` - ${this.formatTime(override.newEndTime)}` : ''}`;
+            } else if (override.newEndTime) {
+                times = `ending ${this.formatTime(override.newEndTime)}`;
+            }
+            changes.push(`moved to ${[date, times].filter(part => part).join(' ')}`);
+        }
+        if (override.newLocation) {
+            changes.push(`in 📍 ${override.newLocation}`);
+        }
+        return `✏️ ${original}: ${changes.join(', ')}`;
+    }
+    
+    /**
+     * Build the form for cancelling or changing one class of a section
+     */
+    createOverrideForm(course) {
+        const form = document.createElement('details');
+        form.className = 'course-event-form course-override-form';
+        form.innerHTML = '<summary>✏️ Cancel or change one class</summary>';
+        
+        const fields = document.createElement('div');
+        fields.className = 'course-event-fields';
+        
+        const occurrence = document.createElement('select');
+        occurrence.className = 'option-input';
+        occurrence.title = 'Class';
+        fields.appendChild(occurrence);
+        
+        const action = document.createElement('select');
+        action.className = 'option-input';
+        action.add(new Option('Cancel it', 'cancel'));
+        action.add(new Option('Change time or room', 'change'));
+        fields.appendChild(action);
+        
+        const input = (inputType, title, placeholder = '') => {
+            const element = document.createElement('input');
+            element.type = inputType;
+            element.className = 'option-input';
+            element.title = title;
+            element.placeholder = placeholder;
+            fields.appendChild(element);
+            return element;
+        };
+        
+        const date = input('date', 'New date (leave empty to keep)');
+        const startTime = input('time', 'New start time (leave empty to keep)');
+        const endTime = input('time', 'New end time (leave empty to keep)');
+        const location = input('text', 'New room (leave empty to keep)', 'New room');
+        const changeFields = [date, startTime, endTime, location];
+        
+        const showFields = () => {
+            changeFields.forEach(element => {
+                element.style.display = action.value === 'change' ? '' : 'none';
+            });
+        };
+        action.addEventListener('change', showFields);
+        showFields();
+        
+        // List the classes when opened, so holiday changes are taken into account
+        form.addEventListener('toggle', () => {
+            if (!form.open) return;
+            
+            occurrence.innerHTML = '';
+            for (const scheduled of this.calendar.createRecurrence().getClasses(course)) {
+                const label = new Date(scheduled.date + 'T00:00:00')
+                    .toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+                occurrence.add(new Option(`${label} ${this.formatTime(scheduled.startTime)}`,
+                    `${scheduled.date}|${scheduled.startTime}`));
+            }
+        });
+        
+        const save = document.createElement('button');
+        save.className = 'btn btn-small';
+        save.textContent = 'Save';
+        save.addEventListener('click', () => {
+            const [classDate, classTime] = occurrence.value.split('|');
+            try {
+                this.calendar.createRecurrence().setOverride(course, {
+                    date: classDate,
+                    startTime: classTime,
+                    cancelled: action.value === 'cancel',
+                    newDate: date.value,
+                    newStartTime: startTime.value,
+                    newEndTime: endTime.value,
+                    newLocation: location.value
+                });
+                changeFields.forEach(element => { element.value = ''; });
+                this.hideError();
+                this.refreshCourseEvents();
+            } catch (error) {
+                this.showError(error.message);
+            }
+        });
+        fields.appendChild(save);
+        
+        form.appendChild(fields);
+        return form;
+    }
+
+    /**
+     * Build the form for adding one exam or deadline to a section
+     */
+    createEventForm(course) {
+        const form = document.createElement('details');
+        form.className = 'course-event-form';
+        form.innerHTML = '<summary>➕ Add exam or deadline</summary>';
+        
+        const fields = document.createElement('div');
+        fields.className = 'course-event-fields';
+        
+        const type = document.createElement('select');
+        type.className = 'option-input';
+        for (const name of ['Midterm', 'Final Exam', 'Quiz', 'Deadline']) {
+            type.add(new Option(name, name));
+        }
+        
+        const input = (inputType, title, placeholder = '') => {
+            const element = document.createElement('input');
+            element.type = inputType;
+            element.className = 'option-input';
+            element.title = title;
+            element.placeholder = placeholder;
+            fields.appendChild(element);
+            return element;
+        };
+        
+        fields.appendChild(type);
+        const title = input('text', 'Title (optional)', 'Title (optional)');
+        const date = input('date', 'Date');
+        const startTime = input('time', 'Start time (leave empty for all day)');
+        const endTime = input('time', 'End time (leave empty for a deadline)');
+        const location = input('text', 'Location', 'Location');
+        
+        const add = document.createElement('button');
+        add.className = 'btn btn-small';
+        add.textContent = 'Add';
+        add.addEventListener('click', () => {
+            try {
+                this.exams.addEvent(course, {
+                    type: type.value,
+                    title: title.value,
+                    date: date.value,
+                    startTime: startTime.value,
+                    endTime: endTime.value,
+                    location: location.value
+                });
+                [title, date, startTime, endTime, location].forEach(element => {
+                    element.value = '';
+                    element.classList.remove('invalid');
+                });
+                this.hideError();
+                this.refreshCourseEvents();
+            } catch (error) {
+                date.classList.toggle('invalid', !date.value);
+                this.showError(error.message);
+            }
+        });
+        fields.appendChild(add);
+        
+        form.appendChild(fields);
+        return form;
+    }
+
+    /**
+     * Show reminder choices for every class and for each instructional
+     * format and (non in-person) delivery mode in the schedule
+     */
+    displayReminderOptions() {
+        this.reminderOptions.innerHTML = '';
+        
+        const addRow = (labelText, select) => {
+            const label = document.createElement('label');
+            label.className = 'option-label';
+            label.textContent = labelText;
+            label.appendChild(select);
+            this.reminderOptions.appendChild(label);
+        };
+        
+        const allClasses = this.createReminderSelect(this.reminders.defaultMinutes, null);
+        allClasses.addEventListener('change', () => {
+            this.reminders.setDefault(this.readReminderSelect(allClasses));
+            this.scheduleSave();
+        });
+        addRow('All classes', allClasses);
+        
+        const formats = new Set(this.courses.map(course => course.format || 'Lecture'));
+        for (const format of formats) {
+            const select = this.createReminderSelect(this.reminders.getRule(this.reminders.formats, format), 'Same as all classes');
+            select.addEventListener('change', () => {
+                this.reminders.setFormatReminder(format, this.readReminderSelect(select));
+                this.scheduleSave();
+            });
+            addRow(format, select);
+        }
+        
+        const deliveries = new Set(this.courses
+            .map(course => course.delivery)
+            .filter(delivery => delivery && !/in person/i.test(delivery)));
+        for (const delivery of deliveries) {
+            const select = this.createReminderSelect(this.reminders.getRule(this.reminders.deliveries, delivery), 'Same as its format');
+            select.addEventListener('change', () => {
+                this.reminders.setDeliveryReminder(delivery, this.readReminderSelect(select));
+                this.scheduleSave();
+            });
+            addRow(`${delivery} (any format)`, select);
+        }
+    }
+
+    /**
+     * Build a reminder dropdown
+     * @param {number|null|undefined} current - Current rule (undefined when not set)
+     * @param {string|null} inheritLabel - Label for falling back to the broader rule, if allowed
+     */
+    createReminderSelect(current, inheritLabel) {
+        const select = document.createElement('select');
+        select.className = 'option-input reminder-select';
+        
+        if (inheritLabel) {
+            select.add(new Option(inheritLabel, 'inherit'));
+        }
+        select.add(new Option('No reminder', 'none'));
+        
+        const choices = [0, 5, 10, 15, 30, 60, 120, 1440];
+        if (typeof current === 'number' && !choices.includes(current)) {
+            choices.push(current);
+            choices.sort((a, b) => a - b);
+        }
+        for (const minutes of choices) {
+            select.add(new Option(this.reminders.describe(minutes), String(minutes)));
+        }
+        
+        if (current === undefined) {
+            select.value = inheritLabel ? 'inherit' : 'none';
+        } else {
+            select.value = current === null ? 'none' : String(current);
+        }
+        return select;
+    }
+
+    /**
+     * Read a reminder dropdown: minutes, null for none, undefined to inherit
+     */
+    readReminderSelect(select) {
+        if (select.value === 'inherit') return undefined;
+        if (select.value === 'none') return null;
+        return Number(select.value);
+    }
+
+    /**
+     * Show the current templates, the presets to start from and the fields
+     * templates can use
+     */
+    displayTemplateOptions() {
+        if (this.templateFields.children.length === 0) {
+            for (const [name, description] of Object.entries(this.templates.fields)) {
+                const item = document.createElement('li');
+                const code = document.createElement('code');
+                code.textContent = `{${name}}`;
+                item.append(code, ` ${description}`);
+                this.templateFields.appendChild(item);
+            }
+        }
+
+        this.templateInputs.forEach(input => {
+            input.value = this.templates[input.dataset.part];
+            input.classList.remove('invalid');
+        });
+        this.templateError.textContent = '';
+        this.displayTemplatePresets();
+        this.updateTemplatePreview();
+    }
+
+    /**
+     * Fill the preset dropdown, choosing the preset the templates match
+     * @param {string} preferred - Preset to choose when several match (default: the chosen one)
+     */
+    displayTemplatePresets(preferred = this.templatePresetSelect.value) {
+        const select = this.templatePresetSelect;
+        const groups = [
+            ['Built in', 'built-in', this.templates.getBuiltInPresets()],
+            ['Saved on this device', 'saved', this.store.listPresets()]
+        ];
+        const matches = preset => Object.keys(this.templates.parts).every(part => preset[part] === this.templates[part]);
+
+        let current = '';
+        const preferredPreset = preferred ? this.findTemplatePreset(preferred) : null;
+        if (preferredPreset && matches(preferredPreset)) current = preferred;
+
+        select.innerHTML = '';
+        for (const [label, prefix, presets] of groups) {
+            if (presets.length === 0) continue;
+
+            const group = document.createElement('optgroup');
+            group.label = label;
+            for (const preset of presets) {
+                const value = `${prefix}:${preset.name}`;
+                group.appendChild(new Option(preset.name, value));
+                if (!current && matches(preset)) current = value;
             }
+            select.appendChild(group);
         }
-        
-        // Check meeting patterns for date ranges
-        if (course.meetings && course.meetings.length > 0) {
-            const firstMeeting = course.meetings[0];
-            if (firstMeeting.startDate && firstMeeting.endDate) {
-                const startMonth = parseInt(firstMeeting.startDate.split('-')[1]);
-                const endMonth = parseInt(firstMeeting.endDate.split('-')[1]);
-                
-                // Winter Full Year
-                if (startMonth >= 9 && endMonth >= 3 && endMonth <= 4) return 'Winter Full Year';
-                if (startMonth >= 9 && endMonth <= 12) return 'Winter Term 1';
-                if (startMonth >= 1 && startMonth <= 4 && endMonth <= 4) return 'Winter Term 2';
-                if (startMonth >= 5 && startMonth <= 6 && endMonth <= 6) return 'Summer Term 1';
-                if (startMonth >= 7 && startMonth <= 8) return 'Summer Term 2';
-                if (startMonth >= 5 && endMonth >= 7) return 'Summer Full Term';
+
+        if (!current) {
+            select.insertBefore(new Option('Custom', ''), select.firstChild);
+        }
+        select.value = current;
+        this.templateDeletePresetBtn.disabled = !current.startsWith('saved:');
+    }
+
+    findTemplatePreset(value) {
+        const [prefix, ...rest] = value.split(':');
+        const name = rest.join(':');
+        const presets = prefix === 'saved' ? this.store.listPresets() : this.templates.getBuiltInPresets();
+        return presets.find(preset => preset.name === name) || null;
+    }
+
+    /**
+     * Use other templates for the events, e.g. a preset or a saved schedule's
+     * @returns {boolean} Whether they could be used
+     */
+    setTemplates(templates) {
+        let ok = true;
+        try {
+            this.templates = new EventTemplates(templates);
+            this.calendar.templates = this.templates;
+        } catch (error) {
+            ok = false;
+        }
+
+        this.displayTemplateOptions();
+        if (!ok) {
+            this.templateError.textContent = 'Those templates can\'t be used; keeping the current ones';
+        }
+        return ok;
+    }
+
+    applyTemplatePreset(value) {
+        const preset = this.findTemplatePreset(value);
+        if (!preset) return;
+
+        if (this.setTemplates(preset)) {
+            this.templatePresetName.value = value.startsWith('saved:') ? preset.name : '';
+            this.scheduleSave();
+        }
+    }
+
+    /**
+     * Check and use the templates as they're typed; a template with a
+     * mistake keeps its last working version until it's fixed
+     */
+    updateTemplates() {
+        const errors = [];
+        this.templateInputs.forEach(input => {
+            try {
+                this.templates.setTemplate(input.dataset.part, input.value);
+                input.classList.remove('invalid');
+            } catch (error) {
+                input.classList.add('invalid');
+                errors.push(error.message);
             }
+        });
+
+        this.templateError.textContent = errors.join('\n');
+        this.displayTemplatePresets();
+        this.updateTemplatePreview();
+        this.scheduleSave();
+    }
+
+    /**
+     * Show how the first selected section's classes will look
+     */
+    updateTemplatePreview() {
+        this.templatePreview.innerHTML = '';
+
+        const selected = this.getSelectedCourses();
+        const course = selected.find(item => item.meetings && item.meetings.length > 0) || selected[0];
+        if (!course) {
+            this.templatePreview.textContent = 'Select a section to see how its classes will look';
+            return;
+        }
+
+        const meeting = course.meetings && course.meetings.length > 0 ? course.meetings[0] : null;
+        const parts = [
+            ['template-preview-title', this.calendar.buildSummary(course, meeting)],
+            ['template-preview-location', this.calendar.buildLocation(course, meeting)],
+            ['template-preview-description', this.calendar.buildDescription(course, meeting)]
+        ];
+        for (const [className, text] of parts) {
+            if (!text) continue;
+            const element = document.createElement('div');
+            element.className = className;
+            element.textContent = className === 'template-preview-location' ? `📍 ${text}` : text;
+            this.templatePreview.appendChild(element);
+        }
+    }
+
+    saveTemplatePreset() {
+        try {
+            const preset = this.store.savePreset(this.templatePresetName.value, this.templates.toJSON());
+            this.displayTemplatePresets(`saved:${preset.name}`);
+            this.templateError.textContent = '';
+        } catch (error) {
+            this.templateError.textContent = error.message;
         }
-        
-        return 'Other';
     }
 
-    createCourseElement(course, index) {
+    deleteTemplatePreset() {
+        const value = this.templatePresetSelect.value;
+        if (!value.startsWith('saved:')) return;
+
+        this.store.removePreset(value.slice('saved:'.length));
+        this.templatePresetName.value = '';
+        this.displayTemplatePresets();
+    }
+
+    createCourseElement(course) {
+        const key = this.getCourseKey(course);
         const div = document.createElement('div');
         div.className = 'course-item';
-        div.dataset.index = index;
+        div.dataset.key = key;
         
         // Add checkbox
         const checkbox = document.createElement('input');
@@ -353,13 +1465,7 @@ class WorkdayCalendarApp {
         checkbox.className = 'course-checkbox';
         checkbox.checked = true;
         checkbox.addEventListener('change', (e) => {
-            if (e.target.checked) {
-                this.selectedCourses.add(index);
-                div.classList.remove('unchecked');
-            } else {
-                this.selectedCourses.delete(index);
-                div.classList.add('unchecked');
-            }
+            this.setCourseSelected(key, e.target.checked);
             this.updateSelectionCount();
         });
         div.appendChild(checkbox);
@@ -367,6 +1473,12 @@ class WorkdayCalendarApp {
         const title = document.createElement('div');
         title.className = 'course-title';
         title.textContent = `${course.code} - ${course.displayName || course.name}`;
+        if (course.format) {
+            const component = document.createElement('span');
+            component.className = 'course-component';
+            component.textContent = course.format;
+            title.appendChild(component);
+        }
         div.appendChild(title);
 
         const details = document.createElement('div');
@@ -381,6 +1493,23 @@ class WorkdayCalendarApp {
         details.innerHTML = detailItems.join('');
         div.appendChild(details);
 
+        // Reminder for this section, overriding the format's
+        const reminder = this.createReminderSelect(this.reminders.getRule(this.reminders.courses, key), '🔔 Default reminder');
+        reminder.classList.add('course-reminder');
+        reminder.addEventListener('change', () => {
+            this.reminders.setCourseReminder(key, this.readReminderSelect(reminder));
+            this.scheduleSave();
+            
+            // Full year courses are listed under both terms
+            this.courseList.querySelectorAll('.course-item').forEach((item) => {
+                const other = item.querySelector('.course-reminder');
+                if (item.dataset.key === key && other && other !== reminder) {
+                    other.value = reminder.value;
+                }
+            });
+        });
+        div.appendChild(reminder);
+
         // Add meeting times
         if (course.meetings && course.meetings.length > 0) {
             const schedule = document.createElement('div');
@@ -410,6 +1539,19 @@ class WorkdayCalendarApp {
             div.appendChild(schedule);
         }
 
+        // Exams and deadlines, added to the listed section so full year
+        // courses shown under both terms share them
+        const section = this.getCourseMap().get(key) || course;
+        const events = document.createElement('div');
+        events.className = 'course-events';
+        events.dataset.key = key;
+        this.renderCourseEvents(events, section);
+        div.appendChild(events);
+        div.appendChild(this.createEventForm(section));
+        if (section.meetings && section.meetings.length > 0) {
+            div.appendChild(this.createOverrideForm(section));
+        }
+
         return div;
     }
 
@@ -433,6 +1575,27 @@ class WorkdayCalendarApp {
         return `${start.toLocaleDateString('en-US', options)} - ${end.toLocaleDateString('en-US', options)}`;
     }
 
+    updateHolidaySettings() {
+        const holidays = new HolidayCalendar({
+            includeBuiltIn: this.skipHolidaysInput.checked
+        });
+        
+        try {
+            holidays.addExceptionsFromText(this.extraSkipDatesInput.value);
+            this.extraSkipDatesInput.classList.remove('invalid');
+            this.hideError();
+        } catch (error) {
+            this.extraSkipDatesInput.classList.add('invalid');
+            this.showError(error.message);
+            return;
+        }
+        
+        this.calendar.holidays = holidays;
+        this.calendarView.holidays = holidays;
+        this.refreshCalendarView();
+        this.scheduleSave();
+    }
+
     showPreview() {
         this.uploadSection.style.display = 'none';
         this.previewSection.style.display = 'block';
@@ -455,55 +1618,68 @@ class WorkdayCalendarApp {
     }
 
     updateSelectionCount() {
-        const total = this.courseList.querySelectorAll('.course-item').length;
+        const total = this.getCourseMap().size;
         const selected = this.selectedCourses.size;
-        this.selectionCount.textContent = `${selected} of ${total} courses selected`;
+        this.selectionCount.textContent = `${selected} of ${total} sections selected`;
+        this.updateConflicts();
+        this.updateTemplatePreview();
+        this.scheduleSave();
     }
-    
-    selectAllCourses() {
-        const courseItems = this.courseList.querySelectorAll('.course-item');
-        courseItems.forEach((item) => {
-            const checkbox = item.querySelector('.course-checkbox');
-            const index = parseInt(item.dataset.index);
-            if (checkbox && !isNaN(index)) {
-                checkbox.checked = true;
-                this.selectedCourses.add(index);
-                item.classList.remove('unchecked');
+
+    /**
+     * Flag selected sections that meet at the same time as another
+     */
+    updateConflicts() {
+        const conflicts = this.conflicts.findConflicts(this.getSelectedCourses());
+        const bySection = this.conflicts.groupBySection(conflicts);
+        
+        this.courseList.querySelectorAll('.course-item').forEach((item) => {
+            const previous = item.querySelector('.course-conflicts');
+            if (previous) previous.remove();
+            
+            const entries = bySection.get(item.dataset.key) || [];
+            item.classList.toggle('has-conflict', entries.length > 0);
+            if (entries.length === 0) return;
+            
+            const warning = document.createElement('div');
+            warning.className = 'course-conflicts';
+            warning.textContent = '⚠️ Time conflict with:';
+            const list = document.createElement('ul');
+            for (const { conflict, other } of entries) {
+                const entry = document.createElement('li');
+                entry.textContent = this.conflicts.describe(conflict, other);
+                list.appendChild(entry);
             }
+            warning.appendChild(list);
+            item.insertBefore(warning, item.querySelector('.course-reminder'));
         });
+        
+        if (conflicts.length > 0) {
+            this.selectionCount.textContent += ` · ⚠️ ${conflicts.length} time conflict${conflicts.length !== 1 ? 's' : ''}`;
+        }
+    }
+    
+    selectAllCourses() {
+        for (const key of this.getCourseMap().keys()) {
+            this.setCourseSelected(key, true);
+        }
         this.updateSelectionCount();
     }
     
     selectNoCourses() {
-        const courseItems = this.courseList.querySelectorAll('.course-item');
-        courseItems.forEach((item) => {
-            const checkbox = item.querySelector('.course-checkbox');
-            const index = parseInt(item.dataset.index);
-            if (checkbox && !isNaN(index)) {
-                checkbox.checked = false;
-                this.selectedCourses.delete(index);
-                item.classList.add('unchecked');
-            }
-        });
+        for (const key of this.getCourseMap().keys()) {
+            this.setCourseSelected(key, false);
+        }
         this.updateSelectionCount();
     }
     
     getSelectedCourses() {
-        // Get only selected courses
-        const courseMap = new Map();
-        for (const course of this.courses) {
-            if (!courseMap.has(course.code)) {
-                courseMap.set(course.code, course);
-            }
-        }
-        
+        // Get only selected sections
         const selectedCoursesList = [];
-        let index = 0;
-        for (const [code, course] of courseMap) {
-            if (this.selectedCourses.has(index)) {
+        for (const [key, course] of this.getCourseMap()) {
+            if (this.selectedCourses.has(key)) {
                 selectedCoursesList.push(course);
             }
-            index++;
         }
         return selectedCoursesList;
     }
@@ -516,21 +1692,42 @@ class WorkdayCalendarApp {
                 return;
             }
             
-            const icsContent = this.calendar.generateICS(selectedCourses);
-            
-            // Generate filename with current date
-            const now = new Date();
-            const dateStr = now.toISOString().split('T')[0];
-            const filename = `ubc-schedule-${dateStr}.ics`;
-            
-            this.calendar.downloadICS(icsContent, filename);
+            const icsContent = this.generateICS(selectedCourses);
+            this.calendar.downloadICS(icsContent, this.getCalendarFileName());
         } catch (error) {
             console.error('Error generating calendar:', error);
             this.showError(`Error generating calendar: ${error.message}`);
         }
     }
     
-    exportToGoogle() {
+    /**
+     * Google Calendar API export, when this site has an OAuth client ID
+     */
+    createGoogleExporter() {
+        const meta = document.querySelector('meta[name="google-client-id"]');
+        const clientId = meta ? meta.content.trim() : '';
+        if (!clientId) return null;
+        
+        return new GoogleCalendarExporter({ auth: new GoogleAuth({ clientId }) });
+    }
+    
+    /**
+     * Microsoft Graph export, when this site has an application ID
+     */
+    createOutlookExporter() {
+        const meta = document.querySelector('meta[name="microsoft-client-id"]');
+        const clientId = meta ? meta.content.trim() : '';
+        if (!clientId) return null;
+        
+        return new OutlookCalendarExporter({ auth: new MicrosoftAuth({ clientId }) });
+    }
+    
+    async exportToGoogle() {
+        if (this.googleExporter) {
+            await this.exportToGoogleCalendar();
+            return;
+        }
+        
         try {
             const selectedCourses = this.getSelectedCourses();
             if (selectedCourses.length === 0) {
@@ -539,7 +1736,7 @@ class WorkdayCalendarApp {
             }
             
             // Generate ICS file
-            const icsContent = this.calendar.generateICS(selectedCourses);
+            const icsContent = this.generateICS(selectedCourses);
             const blob = new Blob([icsContent], { type: 'text/calendar' });
             const url = URL.createObjectURL(blob);
             
@@ -556,6 +1753,56 @@ class WorkdayCalendarApp {
         }
     }
     
+    /**
+     * Add the selected sections to the "UBC Courses" calendar in the user's
+     * Google account, updating events added by earlier exports
+     */
+    async exportToGoogleCalendar() {
+        const selectedCourses = this.getSelectedCourses();
+        if (selectedCourses.length === 0) {
+            this.showError('Please select at least one course to export');
+            return;
+        }
+        
+        this.googleResult.classList.remove('error');
+        this.googleResult.textContent = 'Adding to Google Calendar...';
+        this.googleBtn.disabled = true;
+        
+        try {
+            this.calendar.uidNamespace = this.studentGroups.length > 1 && this.activeGroup ? this.activeGroup.id : '';
+            const result = await this.googleExporter.exportCourses(selectedCourses, this.calendar);
+            
+            this.googleResult.innerHTML = '';
+            const link = document.createElement('a');
+            link.href = 'https://calendar.google.com/calendar/r';
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = `"${this.googleExporter.calendarName}"`;
+            this.googleResult.append(`${this.describeExportResult(result)} to `, link, '.');
+            this.scheduleSave();
+        } catch (error) {
+            console.error('Error exporting to Google Calendar:', error);
+            this.googleResult.classList.add('error');
+            this.googleResult.textContent = `Couldn't add to Google Calendar: ${error.message}`;
+        } finally {
+            this.googleBtn.disabled = false;
+        }
+    }
+    
+    /**
+     * Summarize an API export, e.g. "Saved 3 events (1 new, 2 unchanged)"
+     */
+    describeExportResult(result) {
+        const total = result.created + result.updated + result.unchanged;
+        const counts = [
+            result.created > 0 ? `${result.created} new` : '',
+            result.updated > 0 ? `${result.updated} updated` : '',
+            result.unchanged > 0 ? `${result.unchanged} unchanged` : ''
+        ].filter(count => count);
+        
+        return `Saved ${total} event${total !== 1 ? 's' : ''} (${counts.join(', ')})`;
+    }
+    
     exportToApple() {
         try {
             const selectedCourses = this.getSelectedCourses();
@@ -565,7 +1812,7 @@ class WorkdayCalendarApp {
             }
             
             // Generate ICS content
-            const icsContent = this.calendar.generateICS(selectedCourses);
+            const icsContent = this.generateICS(selectedCourses);
             
             // Create a data URL for the ICS content
             const base64 = btoa(unescape(encodeURIComponent(icsContent)));
@@ -578,7 +1825,7 @@ class WorkdayCalendarApp {
             // Create a temporary link and click it
             const a = document.createElement('a');
             a.href = dataUrl;
-            a.download = `ubc-schedule-${new Date().toISOString().split('T')[0]}.ics`;
+            a.download = this.getCalendarFileName();
             
             // Check if we're on an Apple device
             const isApple = /Mac|iPhone|iPad|iPod/.test(navigator.userAgent);
@@ -603,7 +1850,12 @@ class WorkdayCalendarApp {
         }
     }
     
-    exportToOutlook() {
+    async exportToOutlook() {
+        if (this.outlookExporter) {
+            await this.exportToOutlookCalendar();
+            return;
+        }
+        
         try {
             const selectedCourses = this.getSelectedCourses();
             if (selectedCourses.length === 0) {
@@ -622,6 +1874,130 @@ class WorkdayCalendarApp {
         }
     }
     
+    /**
+     * Add the selected sections to the chosen Outlook calendar through
+     * Microsoft Graph, updating events added by earlier exports
+     */
+    async exportToOutlookCalendar() {
+        const selectedCourses = this.getSelectedCourses();
+        if (selectedCourses.length === 0) {
+            this.showError('Please select at least one course to export');
+            return;
+        }
+        
+        this.outlookResult.classList.remove('error');
+        this.outlookResult.textContent = 'Adding to Outlook...';
+        this.outlookBtn.disabled = true;
+        
+        try {
+            this.calendar.uidNamespace = this.studentGroups.length > 1 && this.activeGroup ? this.activeGroup.id : '';
+            const calendarId = this.outlookCalendarSelect.value || null;
+            const result = await this.outlookExporter.exportCourses(selectedCourses, this.calendar, calendarId);
+            
+            const option = this.outlookCalendarSelect.selectedOptions[0];
+            const name = calendarId && option ? option.textContent : this.outlookExporter.calendarName;
+            this.outlookResult.textContent = `${this.describeExportResult(result)} to "${name}".`;
+            this.scheduleSave();
+        } catch (error) {
+            console.error('Error exporting to Outlook:', error);
+            this.outlookResult.classList.add('error');
+            this.outlookResult.textContent = `Couldn't add to Outlook: ${error.message}`;
+        } finally {
+            this.outlookBtn.disabled = false;
+        }
+    }
+    
+    /**
+     * Sign in to Microsoft and list the calendars events can be added to
+     */
+    async loadOutlookCalendars() {
+        this.outlookResult.classList.remove('error');
+        this.outlookResult.textContent = 'Loading calendars...';
+        
+        try {
+            const calendars = await this.outlookExporter.listCalendars();
+            const current = this.outlookCalendarSelect.value;
+            
+            this.outlookCalendarSelect.innerHTML = '';
+            if (!calendars.some(calendar => calendar.name === this.outlookExporter.calendarName)) {
+                this.outlookCalendarSelect.add(new Option(`${this.outlookExporter.calendarName} (new calendar)`, ''));
+            }
+            for (const calendar of calendars) {
+                this.outlookCalendarSelect.add(new Option(calendar.name, calendar.id));
+            }
+            
+            const preferred = calendars.find(calendar => calendar.id === current)
+                || calendars.find(calendar => calendar.name === this.outlookExporter.calendarName);
+            this.outlookCalendarSelect.value = preferred ? preferred.id : '';
+            this.outlookResult.textContent = '';
+        } catch (error) {
+            console.error('Error listing Outlook calendars:', error);
+            this.outlookResult.classList.add('error');
+            this.outlookResult.textContent = `Couldn't load your calendars: ${error.message}`;
+        }
+    }
+    
+    /**
+     * Send the selected sections to a sync server (workday-cal serve), which
+     * hosts them at a URL calendar apps can subscribe to
+     */
+    async publishToSyncServer() {
+        const selectedCourses = this.getSelectedCourses();
+        if (selectedCourses.length === 0) {
+            this.showError('Please select at least one course to export');
+            return;
+        }
+        
+        const server = this.syncServerInput.value.trim().replace(/\/+$/, '');
+        const feed = `schedule${this.getStudentSuffix()}`;
+        const upload = {
+            source: this.lastImport && this.lastImport.fileName ? this.lastImport.fileName : 'Workday export',
+            courses: selectedCourses,
+            settings: {
+                timezone: this.calendar.timezone,
+                holidays: {
+                    includeBuiltIn: this.calendar.holidays.includeBuiltIn,
+                    additions: this.calendar.holidays.additions
+                },
+                reminders: this.reminders.toJSON(),
+                templates: this.templates.toJSON(),
+                uidNamespace: this.studentGroups.length > 1 && this.activeGroup ? this.activeGroup.id : ''
+            }
+        };
+        
+        this.syncResult.classList.remove('error');
+        this.syncResult.textContent = 'Publishing...';
+        
+        try {
+            const headers = { 'Content-Type': 'application/json' };
+            const token = this.syncTokenInput.value.trim();
+            if (token) {
+                headers['Authorization'] = `Bearer ${token}`;
+            }
+            const response = await fetch(`${server}/feeds/${feed}`, {
+                method: 'PUT',
+                headers: headers,
+                body: JSON.stringify(upload)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || `Server responded ${response.status}`);
+            }
+            
+            this.syncResult.innerHTML = '';
+            const link = document.createElement('a');
+            link.href = result.webcal;
+            link.textContent = result.webcal;
+            this.syncResult.append(`Published ${result.sections} section${result.sections !== 1 ? 's' : ''}. Subscribe at `, link);
+        } catch (error) {
+            console.error('Error publishing to sync server:', error);
+            this.syncResult.classList.add('error');
+            this.syncResult.textContent = error.name === 'TypeError'
+                ? `Couldn't reach ${server}. Is "workday-cal serve" running?`
+                : `Couldn't publish: ${error.message}`;
+        }
+    }
+    
     copyEventsAsText() {
         try {
             const selectedCourses = this.getSelectedCourses();
@@ -630,28 +2006,7 @@ class WorkdayCalendarApp {
                 return;
             }
             
-            let text = 'UBC Course Schedule\n';
-            text += '===================\n\n';
-            
-            for (const course of selectedCourses) {
-                text += `${course.code} - ${course.name}\n`;
-                if (course.instructor) text += `Instructor: ${course.instructor}\n`;
-                if (course.credits) text += `Credits: ${course.credits}\n`;
-                
-                if (course.meetings && course.meetings.length > 0) {
-                    for (const meeting of course.meetings) {
-                        const days = meeting.days ? meeting.days.map(d => {
-                            const dayNames = { 'MO': 'Mon', 'TU': 'Tue', 'WE': 'Wed', 'TH': 'Thu', 'FR': 'Fri' };
-                            return dayNames[d] || d;
-                        }).join(', ') : '';
-                        
-                        text += `Schedule: ${days} ${this.formatTime(meeting.startTime)}-${this.formatTime(meeting.endTime)}\n`;
-                        text += `Period: ${meeting.startDate} to ${meeting.endDate}\n`;
-                        if (meeting.location) text += `Location: ${meeting.location}\n`;
-                    }
-                }
-                text += '\n';
-            }
+            const text = this.calendar.createRecurrence().formatSchedule(selectedCourses);
             
             // Copy to clipboard
             navigator.clipboard.writeText(text).then(() => {
@@ -675,14 +2030,218 @@ class WorkdayCalendarApp {
     }
 
     reset() {
+        // Finish any pending save before the schedule is cleared
+        const saving = this.saveTimer ? this.saveSchedule() : Promise.resolve();
+        saving.then(() => this.displaySavedSchedules());
+        this.savedScheduleId = null;
+        this.savedScheduleName = null;
+        this.store.setLastOpened(null);
+        
         this.courses = [];
         this.selectedCourses.clear();
         this.fileInput.value = '';
         this.hidePreview();
         this.hideError();
+        this.hideDiff();
+        this.hideDiagnostics();
+        this.lastImport = null;
+        this.studentGroups = [];
+        this.activeGroup = null;
+        this.studentControls.style.display = 'none';
         this.courseList.innerHTML = '';
+        this.examText.value = '';
+        this.examImportResult.innerHTML = '';
+        this.syncResult.textContent = '';
+        this.googleResult.textContent = '';
+        this.outlookResult.textContent = '';
     }
-    
+
+    /**
+     * Show the saved schedules and reopen the one left open last time,
+     * when the user has chosen to remember schedules
+     */
+    async initializeStorage() {
+        if (!this.store.isAvailable()) {
+            this.rememberInput.disabled = true;
+            this.rememberInput.closest('.calendar-option').title = 'This browser doesn\'t allow saving data for this page';
+            return;
+        }
+
+        this.rememberInput.checked = this.store.isEnabled();
+        await this.displaySavedSchedules();
+
+        const lastOpened = this.store.getLastOpened();
+        if (lastOpened) {
+            await this.openSavedSchedule(lastOpened);
+        }
+    }
+
+    async setRemember(enabled) {
+        try {
+            await this.store.setEnabled(enabled);
+            if (enabled) {
+                await this.saveSchedule();
+            } else {
+                clearTimeout(this.saveTimer);
+                this.saveTimer = null;
+                this.savedScheduleId = null;
+            }
+        } catch (error) {
+            console.error('Error changing saved schedules:', error);
+            this.rememberInput.checked = this.store.isEnabled();
+            this.showError(error.message);
+        }
+        await this.displaySavedSchedules();
+    }
+
+    /**
+     * Save the schedule shortly after an edit, so a run of changes is one save
+     */
+    scheduleSave() {
+        if (!this.store.isEnabled() || this.courses.length === 0) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveSchedule(), 500);
+    }
+
+    /**
+     * Save the courses (with their exams, deadlines and class changes),
+     * the selection and the export settings
+     */
+    async saveSchedule() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.store.isEnabled() || this.courses.length === 0) return;
+
+        // Read everything now, in case the schedule is closed while saving
+        const id = this.savedScheduleId || this.store.createId();
+        this.savedScheduleId = id;
+        const schedule = {
+            id: id,
+            name: this.lastImport && this.lastImport.fileName ? this.lastImport.fileName : this.savedScheduleName || 'Pasted schedule',
+            sections: this.getCourseMap().size,
+            studentGroups: this.studentGroups,
+            activeGroup: this.activeGroup ? this.activeGroup.key : null,
+            selected: Array.from(this.selectedCourses),
+            settings: {
+                skipHolidays: this.skipHolidaysInput.checked,
+                extraSkipDates: this.extraSkipDatesInput.value,
+                reminders: this.reminders.toJSON(),
+                templates: this.templates.toJSON(),
+                revisions: this.calendar.revisions
+            }
+        };
+        this.savedScheduleName = schedule.name;
+
+        try {
+            await this.store.save(schedule);
+            if (this.savedScheduleId === id) {
+                this.store.setLastOpened(id);
+            }
+        } catch (error) {
+            console.error('Error saving schedule:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Load a saved schedule, as it was when last changed
+     */
+    async openSavedSchedule(id) {
+        let schedule;
+        try {
+            schedule = await this.store.load(id);
+        } catch (error) {
+            console.error('Error opening saved schedule:', error);
+            this.showError(`Couldn't open the saved schedule: ${error.message}`);
+            return;
+        }
+        if (!schedule || !schedule.studentGroups || schedule.studentGroups.length === 0) {
+            this.store.setLastOpened(null);
+            return;
+        }
+
+        const settings = schedule.settings || {};
+        this.hideError();
+        this.hideDiagnostics();
+        this.savedScheduleId = schedule.id;
+        this.savedScheduleName = schedule.name;
+        this.lastImport = null;
+
+        this.reminders = new ReminderRules(settings.reminders || {});
+        this.calendar.reminders = this.reminders;
+        this.setTemplates(settings.templates || {});
+        this.calendar.revisions = settings.revisions || {};
+        this.skipHolidaysInput.checked = settings.skipHolidays !== false;
+        this.extraSkipDatesInput.value = settings.extraSkipDates || '';
+        this.updateHolidaySettings();
+
+        this.studentGroups = schedule.studentGroups;
+        this.activeGroup = this.studentGroups.find(group => group.key === schedule.activeGroup) || this.studentGroups[0];
+        this.courses = this.activeGroup.courses;
+        this.displayStudents();
+        this.displayCourses();
+
+        const selected = new Set(schedule.selected || []);
+        for (const key of this.getCourseMap().keys()) {
+            if (!selected.has(key)) this.setCourseSelected(key, false);
+        }
+        this.updateSelectionCount();
+        this.store.setLastOpened(schedule.id);
+        this.showPreview();
+    }
+
+    async deleteSavedSchedule(id) {
+        try {
+            await this.store.remove(id);
+        } catch (error) {
+            console.error('Error deleting saved schedule:', error);
+            this.showError(error.message);
+        }
+        await this.displaySavedSchedules();
+    }
+
+    /**
+     * List saved schedules under the upload area
+     */
+    async displaySavedSchedules() {
+        let schedules = [];
+        try {
+            schedules = await this.store.list();
+        } catch (error) {
+            console.error('Error listing saved schedules:', error);
+        }
+
+        this.savedScheduleList.innerHTML = '';
+        this.savedSchedules.style.display = schedules.length > 0 ? 'block' : 'none';
+
+        for (const schedule of schedules) {
+            const item = document.createElement('li');
+            item.className = 'saved-schedule';
+
+            const text = document.createElement('span');
+            const saved = new Date(schedule.savedAt)
+                .toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+            text.textContent = `${schedule.name} · ${schedule.sections} section${schedule.sections !== 1 ? 's' : ''} · saved ${saved}`;
+            item.appendChild(text);
+
+            const open = document.createElement('button');
+            open.className = 'btn btn-small';
+            open.textContent = 'Open';
+            open.addEventListener('click', () => this.openSavedSchedule(schedule.id));
+            item.appendChild(open);
+
+            const remove = document.createElement('button');
+            remove.className = 'course-event-remove';
+            remove.title = 'Delete';
+            remove.textContent = '✕';
+            remove.addEventListener('click', () => this.deleteSavedSchedule(schedule.id));
+            item.appendChild(remove);
+
+            this.savedScheduleList.appendChild(item);
+        }
+    }
+
     switchView(view) {
         this.currentView = view;
         
@@ -699,11 +2258,33 @@ class WorkdayCalendarApp {
             
             // Render calendar view
             if (this.courses.length > 0) {
-                this.calendarView.render(this.courses);
+                this.calendarView.render(Array.from(this.getCourseMap().values()));
             }
         }
     }
     
+    switchCalendarMode(mode) {
+        this.calendarView.setMode(mode);
+        this.calendarModeButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === mode);
+        });
+        
+        // The day and hour range only applies to the week grid
+        if (this.calendarRangeLabel) {
+            this.calendarRangeLabel.style.display = mode === 'week' ? '' : 'none';
+        }
+        this.refreshCalendarView();
+    }
+    
+    /**
+     * Redraw the calendar view after a setting changes, if it's showing
+     */
+    refreshCalendarView() {
+        if (this.currentView === 'calendar' && this.courses.length > 0) {
+            this.calendarView.render(Array.from(this.getCourseMap().values()));
+        }
+    }
+    
     async saveCalendarAsImage() {
         try {
             // Show loading state
@@ -783,4 +2364,13 @@ class WorkdayCalendarApp {
 // Initialize app when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     window.app = new WorkdayCalendarApp();
-});
\ No newline at end of file
+});
+
+// Cache the app for offline use; service workers need http(s)
+if ('serviceWorker' in navigator && location.protocol !== 'file:') {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch((error) => {
+            console.error('Error registering service worker:', error);
+        });
+    });
+}
\ No newline at end of file
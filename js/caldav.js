@@ -0,0 +1,266 @@
+/**
+ * CalDAV module for adding a schedule to a self-hosted or other standards
+ * based calendar (Nextcloud, Radicale, Fastmail, iCloud and the like)
+ *
+ * Every class is stored as its own resource in a calendar collection the
+ * user picks: a recurring series together with its changed classes, or a
+ * one-off event. Existing resources are found by their UID and replaced only
+ * when their ETag still matches, and resources this converter added for
+ * classes no longer in the schedule are deleted. Requests go through a
+ * replaceable HTTP function so a stand-in server can answer them.
+ */
+
+class CalDAVError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'CalDAVError';
+        this.status = status;
+    }
+}
+
+class CalDAVExporter {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Calendar collection, e.g.
+     *                               "https://cloud.example.com/remote.php/dav/calendars/jane/ubc/"
+     * @param {string} options.username - For HTTP Basic authentication (optional)
+     * @param {string} options.password
+     * @param {Function} options.http - Sends { method, url, headers, body } and resolves to
+     *                                  { status, headers, body } with a text body (default: fetch)
+     * @param {boolean} options.deleteMissing - Delete classes no longer in the schedule (default true)
+     */
+    constructor(options = {}) {
+        if (!options.url) {
+            throw new CalDAVError(0, 'No CalDAV calendar address given');
+        }
+
+        // Resources are resolved against the collection, so it must end in a slash
+        this.url = options.url.replace(/\/*$/, '/');
+        this.username = options.username || '';
+        this.password = options.password || '';
+        this.http = options.http || CalDAVExporter.fetchText;
+        this.deleteMissing = options.deleteMissing !== false;
+        this.uidSuffix = '@workday-cal';
+        this.fingerprintProperty = 'X-WORKDAY-CAL-FINGERPRINT';
+    }
+
+    /**
+     * Default HTTP function, using fetch
+     */
+    static async fetchText(request) {
+        let response;
+        try {
+            response = await fetch(request.url, {
+                method: request.method,
+                headers: request.headers,
+                body: request.body
+            });
+        } catch (error) {
+            // Browsers also end up here when the server doesn't allow other sites (CORS)
+            throw new CalDAVError(0, `Couldn't reach the calendar server at ${request.url}`);
+        }
+
+        const headers = {};
+        response.headers.forEach((value, name) => {
+            headers[name.toLowerCase()] = value;
+        });
+        return { status: response.status, headers, body: await response.text() };
+    }
+
+    /**
+     * Put the courses' events in the calendar collection
+     * @param {Array} courses - Parsed courses
+     * @param {CalendarGenerator} generator - Builds the events (holidays, reminders, UIDs)
+     * @returns {Promise<Object>} { created, updated, unchanged, deleted }
+     */
+    async exportCourses(courses, generator) {
+        return this.exportEvents(generator.createEvents(courses), generator);
+    }
+
+    /**
+     * Put events in the calendar collection, e.g. several students' events
+     * made with different UID namespaces
+     * @param {Array} events - From CalendarGenerator.createEvents
+     * @param {CalendarGenerator} generator - Writes the resources
+     * @returns {Promise<Object>} { created, updated, unchanged, deleted }
+     */
+    async exportEvents(events, generator) {
+        const now = new Date();
+        const existing = await this.listResources();
+        const result = { created: 0, updated: 0, unchanged: 0, deleted: 0 };
+
+        // A series and its changed classes share a UID, and so a resource
+        const groups = new Map();
+        for (const event of events.filter(event => event.dtstart && event.dtend)) {
+            if (!groups.has(event.uid)) groups.set(event.uid, []);
+            groups.get(event.uid).push(event);
+        }
+
+        for (const [uid, group] of groups) {
+            const fingerprint = group.map(event => generator.getEventFingerprint(event)).join('-');
+            const resource = existing.get(uid);
+
+            if (resource && resource.fingerprint === fingerprint) {
+                result.unchanged++;
+                continue;
+            }
+
+            const content = generator.buildICSContent(group, now, {
+                method: null,
+                properties: [`${this.fingerprintProperty}:${fingerprint}`]
+            });
+            await this.putResource(resource ? resource.url : this.getResourceUrl(uid), content, resource);
+            result[resource ? 'updated' : 'created']++;
+        }
+
+        if (this.deleteMissing) {
+            for (const [uid, resource] of existing) {
+                if (groups.has(uid) || !uid.endsWith(this.uidSuffix)) continue;
+
+                // Already gone is as good as deleted
+                await this.send('DELETE', resource.url, null, resource.etag ? { 'If-Match': resource.etag } : {}, [200, 204, 404]);
+                result.deleted++;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Read the events in the collection
+     * @returns {Promise<Map>} UID -> { url, etag, fingerprint }
+     */
+    async listResources() {
+        const query = [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<C:calendar-query xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">',
+            '<D:prop><D:getetag/><C:calendar-data/></D:prop>',
+            '<C:filter><C:comp-filter name="VCALENDAR"><C:comp-filter name="VEVENT"/></C:comp-filter></C:filter>',
+            '</C:calendar-query>'
+        ].join('\n');
+
+        const response = await this.send('REPORT', this.url, query, {
+            'Content-Type': 'application/xml; charset=utf-8',
+            'Depth': '1'
+        }, [207]);
+
+        const resources = new Map();
+        for (const item of this.parseMultistatus(response.body)) {
+            if (!item.calendarData) continue;
+
+            const data = item.calendarData.replace(/\r?\n[ \t]/g, '');
+            const uid = data.match(/^UID:(.*?)\r?$/m);
+            if (!uid) continue;
+
+            const fingerprint = data.match(new RegExp(`^${this.fingerprintProperty}:(.*?)\\r?$`, 'm'));
+            resources.set(uid[1], {
+                url: new URL(item.href, this.url).toString(),
+                etag: item.etag,
+                fingerprint: fingerprint ? fingerprint[1] : null
+            });
+        }
+        return resources;
+    }
+
+    /**
+     * Create a resource, or replace one only if nobody changed it since it was read
+     */
+    async putResource(url, content, existing) {
+        const headers = { 'Content-Type': 'text/calendar; charset=utf-8' };
+        if (!existing) {
+            headers['If-None-Match'] = '*';
+        } else if (existing.etag) {
+            headers['If-Match'] = existing.etag;
+        }
+
+        return this.send('PUT', url, content, headers, [200, 201, 204]);
+    }
+
+    /**
+     * Resource address for a new event, named after its UID
+     */
+    getResourceUrl(uid) {
+        return new URL(`${uid.replace(/[^A-Za-z0-9._-]/g, '_')}.ics`, this.url).toString();
+    }
+
+    /**
+     * Split a WebDAV multistatus response into its responses, whatever
+     * namespace prefixes the server chose
+     * @returns {Array} Array of { href, etag, calendarData }
+     */
+    parseMultistatus(xml) {
+        const element = (name, flags = '') => new RegExp(
+            `<(?:[\\w.-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w.-]+:)?${name}>`, flags);
+        const read = (text, name) => {
+            const match = text.match(element(name));
+            return match ? this.decodeXML(match[1]).trim() : null;
+        };
+
+        const items = [];
+        for (const [, response] of (xml || '').matchAll(element('response', 'g'))) {
+            // Properties the server doesn't have come back in a separate 404 propstat
+            const found = Array.from(response.matchAll(element('propstat', 'g')))
+                .map(match => match[1])
+                .filter(propstat => /\s2\d\d\s/.test(read(propstat, 'status') || ''));
+
+            items.push({
+                href: read(response, 'href'),
+                etag: found.map(propstat => read(propstat, 'getetag')).find(etag => etag) || null,
+                calendarData: found.map(propstat => read(propstat, 'calendar-data')).find(data => data) || null
+            });
+        }
+        return items;
+    }
+
+    decodeXML(text) {
+        const cdata = text.match(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/);
+        if (cdata) return cdata[1];
+
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, '\'')
+            .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Send a request, turning unexpected responses into a CalDAVError
+     * @param {Array} expected - Success statuses (default: any 2xx)
+     */
+    async send(method, url, body, headers = {}, expected = null) {
+        if (this.username || this.password) {
+            const credentials = `${this.username}:${this.password}`;
+            headers = { ...headers, 'Authorization': `Basic ${btoa(unescape(encodeURIComponent(credentials)))}` };
+        }
+
+        const response = await this.http({ method, url, headers, body: body || undefined });
+        const ok = expected ? expected.includes(response.status) : response.status >= 200 && response.status < 300;
+        if (ok) return response;
+
+        throw new CalDAVError(response.status, this.describeError(method, url, response.status));
+    }
+
+    describeError(method, url, status) {
+        if (status === 401 || status === 403) {
+            return `The calendar server didn't accept the user name and password (${status})`;
+        }
+        if (status === 412) {
+            return `${url} was changed on the server while exporting. Export again to update it.`;
+        }
+        if (method === 'REPORT') {
+            return status === 404
+                ? `No calendar at ${url}`
+                : `${url} isn't a CalDAV calendar (the server responded ${status})`;
+        }
+        return `The calendar server responded ${status} to ${method} ${url}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalDAVExporter;
+    module.exports.CalDAVError = CalDAVError;
+}
@@ -5,22 +5,54 @@
 class CalendarView {
     constructor() {
         this.container = document.getElementById('calendar-container');
-        this.days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
-        this.dayMap = {
-            'MO': 0, 'TU': 1, 'WE': 2, 'TH': 3, 'FR': 4
-        };
-        this.timeSlots = this.generateTimeSlots();
+        this.days = [
+            { code: 'MO', name: 'Monday' }, { code: 'TU', name: 'Tuesday' }, { code: 'WE', name: 'Wednesday' },
+            { code: 'TH', name: 'Thursday' }, { code: 'FR', name: 'Friday' },
+            { code: 'SA', name: 'Saturday' }, { code: 'SU', name: 'Sunday' }
+        ];
+        this.weekend = ['SA', 'SU'];
+        
+        // 'compact' fits the grid to the classes; 'full' shows every day
+        // and at least the usual 8:00-21:00
+        this.range = 'compact';
+        this.defaultStartHour = 8;
+        this.defaultEndHour = 21;
+        this.startHour = this.defaultStartHour;
+        this.timeSlots = this.generateTimeSlots(this.defaultStartHour, this.defaultEndHour);
         this.colors = [
             '#FF6B6B', '#4ECDC4', '#45B7D1', '#5CB85C', '#F39C12',
             '#9B59B6', '#3498DB', '#E74C3C', '#1ABC9C', '#34495E',
             '#E67E22', '#16A085', '#8E44AD', '#2980B9', '#27AE60'
         ];
         this.courseColors = new Map();
+        
+        // 'week' draws one abstract week per term; 'month' and 'agenda'
+        // show the classes on their actual dates
+        this.mode = 'week';
+        const Holidays = typeof HolidayCalendar !== 'undefined' ? HolidayCalendar : require('./holidays');
+        this.holidays = new Holidays();
+        const Conflicts = typeof ConflictDetector !== 'undefined' ? ConflictDetector : require('./conflicts');
+        this.conflictDetector = new Conflicts();
+        this.conflictsBySection = new Map();
+    }
+
+    setMode(mode) {
+        if (!['week', 'month', 'agenda'].includes(mode)) {
+            throw new Error(`Unknown calendar view: "${mode}" (expected week, month or agenda)`);
+        }
+        this.mode = mode;
+    }
+
+    setRange(range) {
+        if (range !== 'compact' && range !== 'full') {
+            throw new Error(`Unknown calendar range: "${range}" (expected compact or full)`);
+        }
+        this.range = range;
     }
 
-    generateTimeSlots() {
+    generateTimeSlots(startHour, endHour) {
         const slots = [];
-        for (let hour = 8; hour <= 20; hour++) {
+        for (let hour = startHour; hour < endHour; hour++) {
             slots.push(`${hour}:00`);
             slots.push(`${hour}:30`);
         }
@@ -35,6 +67,13 @@ class CalendarView {
         courses.forEach((course, index) => {
             this.courseColors.set(course.code, this.colors[index % this.colors.length]);
         });
+        
+        this.conflictsBySection = this.conflictDetector.groupBySection(this.conflictDetector.findConflicts(courses));
+        
+        if (this.mode === 'month' || this.mode === 'agenda') {
+            this.createDatedCalendar(courses);
+            return;
+        }
 
         // Group courses by term
         const coursesByTerm = this.groupCoursesByTerm(courses);
@@ -126,7 +165,51 @@ class CalendarView {
         return 'Other';
     }
 
+    /**
+     * Work out which days and hours a term's grid needs so every class fits
+     * @returns {Object} { days: [{ code, name }], startHour, endHour }
+     */
+    getGridRange(courses) {
+        const usedDays = new Set();
+        let earliest = null;
+        let latest = null;
+        
+        courses.forEach(course => {
+            (course.meetings || []).forEach(meeting => {
+                if (!meeting.days || !meeting.startTime || !meeting.endTime) return;
+                
+                const start = this.timeToMinutes(meeting.startTime);
+                const end = this.timeToMinutes(meeting.endTime);
+                if (end <= start) return;
+                
+                meeting.days.forEach(day => usedDays.add(day));
+                earliest = earliest === null ? start : Math.min(earliest, start);
+                latest = latest === null ? end : Math.max(latest, end);
+            });
+        });
+        
+        const days = this.days.filter(day =>
+            this.range === 'full' || !this.weekend.includes(day.code) || usedDays.has(day.code));
+        
+        if (earliest === null) {
+            return { days, startHour: this.defaultStartHour, endHour: this.defaultEndHour };
+        }
+        
+        let startHour = Math.floor(earliest / 60);
+        let endHour = Math.min(Math.ceil(latest / 60), 24);
+        if (this.range === 'full') {
+            startHour = Math.min(startHour, this.defaultStartHour);
+            endHour = Math.max(endHour, this.defaultEndHour);
+        }
+        
+        return { days, startHour, endHour };
+    }
+
     createTermCalendar(termName, courses) {
+        const grid = this.getGridRange(courses);
+        this.startHour = grid.startHour;
+        this.timeSlots = this.generateTimeSlots(grid.startHour, grid.endHour);
+        
         const termContainer = document.createElement('div');
         termContainer.className = 'term-calendar';
         
@@ -160,14 +243,14 @@ class CalendarView {
         calendarGrid.appendChild(timeColumn);
         
         // Add day columns
-        this.days.forEach((day, dayIndex) => {
+        grid.days.forEach(day => {
             const dayColumn = document.createElement('div');
             dayColumn.className = 'day-column';
             
             // Day header
             const dayHeader = document.createElement('div');
             dayHeader.className = 'calendar-header-cell';
-            dayHeader.textContent = day;
+            dayHeader.textContent = day.name;
             dayColumn.appendChild(dayHeader);
             
             // Create slots for this day
@@ -184,17 +267,11 @@ class CalendarView {
                 daySlots.appendChild(gridLine);
             });
             
-            // Add courses for this day
-            courses.forEach(course => {
-                if (course.meetings) {
-                    course.meetings.forEach(meeting => {
-                        if (meeting.days && meeting.days.includes(this.getDayCode(dayIndex))) {
-                            const courseBlock = this.createCourseBlock(course, meeting);
-                            if (courseBlock) {
-                                daySlots.appendChild(courseBlock);
-                            }
-                        }
-                    });
+            // Add courses for this day, side by side where they overlap
+            this.layoutOverlaps(this.getDayMeetings(courses, day.code)).forEach(({ course, meeting, column, columns }) => {
+                const courseBlock = this.createCourseBlock(course, meeting, column, columns, day.code);
+                if (courseBlock) {
+                    daySlots.appendChild(courseBlock);
                 }
             });
             
@@ -208,30 +285,99 @@ class CalendarView {
         const legend = this.createLegend(courses);
         termContainer.appendChild(legend);
         
+        // Add exams and deadlines
+        const termEvents = this.createEventList(termName, courses);
+        if (termEvents) {
+            termContainer.appendChild(termEvents);
+        }
+        
         // Add attribution watermark
+        termContainer.appendChild(this.createAttribution());
+        
+        this.container.appendChild(termContainer);
+    }
+
+    createAttribution() {
         const attribution = document.createElement('div');
         attribution.className = 'calendar-attribution';
         attribution.innerHTML = `
             <span class="attribution-text">voctory.github.io/workday-cal</span>
         `;
-        termContainer.appendChild(attribution);
+        return attribution;
+    }
+
+    /**
+     * Get the meetings on a day, once each (meetings split around a break
+     * would otherwise be drawn twice)
+     */
+    getDayMeetings(courses, dayCode) {
+        const seen = new Set();
+        const dayMeetings = [];
         
-        this.container.appendChild(termContainer);
+        courses.forEach(course => {
+            (course.meetings || []).forEach(meeting => {
+                if (!meeting.days || !meeting.days.includes(dayCode) || !meeting.startTime || !meeting.endTime) return;
+                
+                const id = [course.key || course.code, meeting.startTime, meeting.endTime, meeting.location].join('|');
+                if (seen.has(id)) return;
+                seen.add(id);
+                dayMeetings.push({ course, meeting });
+            });
+        });
+        
+        return dayMeetings;
     }
 
-    getDayCode(dayIndex) {
-        const codes = ['MO', 'TU', 'WE', 'TH', 'FR'];
-        return codes[dayIndex];
+    /**
+     * Give each meeting a column so overlapping ones sit side by side
+     * @returns {Array} The meetings with column and columns (the number of
+     *                  columns in its group of overlapping meetings)
+     */
+    layoutOverlaps(dayMeetings) {
+        const sorted = [...dayMeetings].sort((a, b) =>
+            a.meeting.startTime.localeCompare(b.meeting.startTime) || b.meeting.endTime.localeCompare(a.meeting.endTime));
+        const laidOut = [];
+        let group = [];
+        let columnEnds = [];
+        let groupEnd = '';
+        
+        const closeGroup = () => {
+            group.forEach(item => { item.columns = columnEnds.length; });
+            group = [];
+            columnEnds = [];
+        };
+        
+        sorted.forEach(item => {
+            if (group.length > 0 && item.meeting.startTime >= groupEnd) {
+                closeGroup();
+            }
+            
+            let column = columnEnds.findIndex(end => end <= item.meeting.startTime);
+            if (column === -1) {
+                column = columnEnds.length;
+                columnEnds.push(item.meeting.endTime);
+            } else {
+                columnEnds[column] = item.meeting.endTime;
+            }
+            
+            const placed = { ...item, column: column, columns: 1 };
+            group.push(placed);
+            laidOut.push(placed);
+            groupEnd = group.length === 1 || item.meeting.endTime > groupEnd ? item.meeting.endTime : groupEnd;
+        });
+        closeGroup();
+        
+        return laidOut;
     }
 
-    createCourseBlock(course, meeting) {
+    createCourseBlock(course, meeting, column = 0, columns = 1, dayCode = '') {
         if (!meeting.startTime || !meeting.endTime) return null;
         
         const startMinutes = this.timeToMinutes(meeting.startTime);
         const endMinutes = this.timeToMinutes(meeting.endTime);
         
         // Calculate position and height
-        const baseTime = 8 * 60; // 8:00 AM in minutes
+        const baseTime = this.startHour * 60; // Top of the grid in minutes
         const top = ((startMinutes - baseTime) / 30) * 30; // 30px per half hour
         const height = ((endMinutes - startMinutes) / 30) * 30;
         
@@ -243,21 +389,37 @@ class CalendarView {
         block.style.top = `${top}px`;
         block.style.height = `${height}px`;
         block.style.backgroundColor = this.courseColors.get(course.code);
-        block.style.left = '2px';
-        block.style.right = '2px';
+        block.style.left = `calc(${(column * 100) / columns}% + 2px)`;
+        block.style.width = `calc(${100 / columns}% - 4px)`;
+        
+        // Flag real clashes (not just meetings drawn in the same weekly slot,
+        // e.g. in different date ranges)
+        const key = this.conflictDetector.getKey(course);
+        const clashes = (this.conflictsBySection.get(key) || []).filter(({ conflict, other }) => {
+            const own = this.conflictDetector.getKey(conflict.first.course) === key ? conflict.first : conflict.second;
+            return other.meeting && own.meeting && (!dayCode || conflict.days.includes(dayCode)) &&
+                own.meeting.startTime === meeting.startTime &&
+                own.meeting.endTime === meeting.endTime && own.meeting.location === meeting.location;
+        });
+        if (clashes.length > 0) {
+            block.classList.add('conflict');
+        }
         
         // Add course info
         const courseInfo = document.createElement('div');
         courseInfo.className = 'course-block-info';
         courseInfo.innerHTML = `
-            <div class="course-block-code">${course.code}</div>
+            <div class="course-block-code">${course.code}${course.format && course.format !== 'Lecture' ? ` ${course.format}` : ''}</div>
             <div class="course-block-time">${meeting.startTime} - ${meeting.endTime}</div>
             ${meeting.location ? `<div class="course-block-location">${meeting.location}</div>` : ''}
         `;
         block.appendChild(courseInfo);
         
         // Add tooltip
-        block.title = `${course.code} - ${course.name}\n${meeting.startTime} - ${meeting.endTime}\n${meeting.location || 'No location'}`;
+        block.title = `${course.code} - ${course.name}${course.format ? ` (${course.format})` : ''}\n${meeting.startTime} - ${meeting.endTime}\n${meeting.location || 'No location'}`;
+        clashes.forEach(({ conflict, other }) => {
+            block.title += `\n⚠️ Conflicts with ${this.conflictDetector.describe(conflict, other)}`;
+        });
         
         return block;
     }
@@ -301,7 +463,8 @@ class CalendarView {
             
             const label = document.createElement('span');
             label.className = 'legend-label';
-            label.textContent = `${course.code} - ${course.name}${course.isFullYear ? ' (Full Year)' : ''}`;
+            const component = course.format && course.format !== 'Lecture' ? ` (${course.format})` : '';
+            label.textContent = `${course.code} - ${course.name}${component}${course.isFullYear ? ' (Full Year)' : ''}`;
             
             item.appendChild(colorBox);
             item.appendChild(label);
@@ -311,6 +474,290 @@ class CalendarView {
         legend.appendChild(legendItems);
         return legend;
     }
+
+    /**
+     * List a term's exams and deadlines by date, in their course's colour
+     * @returns {HTMLElement|null} null when the term has none
+     */
+    createEventList(termName, courses) {
+        const items = [];
+        courses.forEach(course => {
+            (course.events || []).forEach(event => {
+                // Full year courses are shown in both terms; keep each event in its own
+                if (course.isFullYear && this.determineTerm({ meetings: [{ startDate: event.date }] }) !== termName) return;
+                items.push({ course, event });
+            });
+        });
+        
+        if (items.length === 0) return null;
+        items.sort((a, b) => (a.event.date + (a.event.startTime || '')).localeCompare(b.event.date + (b.event.startTime || '')));
+        
+        const list = document.createElement('div');
+        list.className = 'calendar-legend term-events';
+        
+        const title = document.createElement('h4');
+        title.textContent = 'Exams & Deadlines';
+        list.appendChild(title);
+        
+        const listItems = document.createElement('div');
+        listItems.className = 'legend-items';
+        
+        items.forEach(({ course, event }) => {
+            const item = document.createElement('div');
+            item.className = 'legend-item';
+            
+            const colorBox = document.createElement('span');
+            colorBox.className = 'legend-color';
+            colorBox.style.backgroundColor = this.courseColors.get(course.code);
+            
+            const date = new Date(event.date + 'T00:00:00').toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+            const label = document.createElement('span');
+            label.className = 'legend-label';
+            label.textContent = `${date}${event.startTime ? ` ${event.startTime}` : ''} - ${course.code} ${event.title || event.type}`;
+            
+            item.appendChild(colorBox);
+            item.appendChild(label);
+            listItems.appendChild(item);
+        });
+        
+        list.appendChild(listItems);
+        return list;
+    }
+
+    /**
+     * Get every class, exam and deadline on its actual date, and the dates
+     * classes are skipped (holidays and breaks)
+     * @returns {Object} { occurrences (see RecurrenceEngine.expand, with cancelled
+     *                   classes marked cancelled: true), skipped: [{ date, name }] }
+     */
+    getOccurrences(courses) {
+        const Recurrence = typeof RecurrenceEngine !== 'undefined' ? RecurrenceEngine : require('./recurrence');
+        const { occurrences, skipped } = new Recurrence({ holidays: this.holidays }).expand(courses);
+        
+        const skippedDates = new Map();
+        const cancelled = [];
+        skipped.forEach(item => {
+            if (item.override) {
+                cancelled.push({ ...item, endTime: item.meeting.endTime || '', location: item.meeting.location || '', cancelled: true });
+            } else if (!skippedDates.has(item.date)) {
+                skippedDates.set(item.date, item.reason);
+            }
+        });
+        
+        return {
+            occurrences: occurrences.concat(cancelled).sort((a, b) =>
+                (a.date + a.startTime).localeCompare(b.date + b.startTime) || a.course.code.localeCompare(b.course.code)),
+            skipped: Array.from(skippedDates, ([date, name]) => ({ date, name }))
+        };
+    }
+
+    /**
+     * Draw the month or agenda view of the whole schedule
+     */
+    createDatedCalendar(courses) {
+        const { occurrences, skipped } = this.getOccurrences(courses);
+        
+        const container = document.createElement('div');
+        container.className = 'term-calendar';
+        
+        const header = document.createElement('div');
+        header.className = 'term-calendar-header';
+        header.innerHTML = `<h3>${this.mode === 'month' ? '🗓️ Month by Month' : '📋 Agenda'}</h3>`;
+        container.appendChild(header);
+        
+        if (occurrences.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'calendar-empty';
+            empty.textContent = 'No dated classes to show. Sections without start and end dates only appear in the week view.';
+            container.appendChild(empty);
+        } else if (this.mode === 'month') {
+            this.getMonths(occurrences[0].date, occurrences[occurrences.length - 1].date).forEach(month => {
+                container.appendChild(this.createMonth(month, occurrences, skipped));
+            });
+        } else {
+            container.appendChild(this.createAgenda(occurrences, skipped));
+        }
+        
+        container.appendChild(this.createLegend(courses));
+        container.appendChild(this.createAttribution());
+        this.container.appendChild(container);
+    }
+
+    /**
+     * Months (YYYY-MM) from one date to another
+     */
+    getMonths(startDate, endDate) {
+        const months = [];
+        let [year, month] = startDate.split('-').map(Number);
+        const last = endDate.slice(0, 7);
+        
+        while (`${year}-${String(month).padStart(2, '0')}` <= last) {
+            months.push(`${year}-${String(month).padStart(2, '0')}`);
+            month++;
+            if (month > 12) {
+                month = 1;
+                year++;
+            }
+        }
+        return months;
+    }
+
+    createMonth(month, occurrences, skipped) {
+        const [year, monthNumber] = month.split('-').map(Number);
+        const daysInMonth = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+        const firstDay = (new Date(Date.UTC(year, monthNumber - 1, 1)).getUTCDay() + 6) % 7; // Monday first
+        
+        const monthContainer = document.createElement('div');
+        monthContainer.className = 'month-calendar';
+        
+        const title = document.createElement('h4');
+        title.className = 'month-title';
+        title.textContent = new Date(Date.UTC(year, monthNumber - 1, 1))
+            .toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+        monthContainer.appendChild(title);
+        
+        const grid = document.createElement('div');
+        grid.className = 'month-grid';
+        
+        this.days.forEach(day => {
+            const dayHeader = document.createElement('div');
+            dayHeader.className = 'month-day-header';
+            dayHeader.textContent = day.name.slice(0, 3);
+            grid.appendChild(dayHeader);
+        });
+        
+        for (let i = 0; i < firstDay; i++) {
+            const blank = document.createElement('div');
+            blank.className = 'month-day outside';
+            grid.appendChild(blank);
+        }
+        
+        for (let dayNumber = 1; dayNumber <= daysInMonth; dayNumber++) {
+            const date = `${month}-${String(dayNumber).padStart(2, '0')}`;
+            const cell = document.createElement('div');
+            cell.className = 'month-day';
+            cell.dataset.date = date;
+            
+            const number = document.createElement('div');
+            number.className = 'month-day-number';
+            number.textContent = dayNumber;
+            cell.appendChild(number);
+            
+            const holiday = skipped.find(item => item.date === date);
+            if (holiday) {
+                cell.classList.add('skipped');
+                cell.title = `No classes: ${holiday.name}`;
+                const note = document.createElement('div');
+                note.className = 'month-day-note';
+                note.textContent = holiday.name;
+                cell.appendChild(note);
+            }
+            
+            occurrences.filter(occurrence => occurrence.date === date).forEach(occurrence => {
+                const chip = document.createElement('div');
+                chip.className = `month-item${this.getOccurrenceClasses(occurrence)}`;
+                chip.style.backgroundColor = this.courseColors.get(occurrence.course.code);
+                chip.textContent = `${occurrence.startTime ? `${occurrence.startTime} ` : ''}${this.describeOccurrence(occurrence)}`;
+                chip.title = this.describeOccurrence(occurrence, true);
+                cell.appendChild(chip);
+            });
+            
+            grid.appendChild(cell);
+        }
+        
+        monthContainer.appendChild(grid);
+        return monthContainer;
+    }
+
+    createAgenda(occurrences, skipped) {
+        const agenda = document.createElement('div');
+        agenda.className = 'agenda';
+        
+        const dates = new Set(occurrences.map(occurrence => occurrence.date));
+        skipped.forEach(item => dates.add(item.date));
+        
+        Array.from(dates).sort().forEach(date => {
+            const day = document.createElement('div');
+            day.className = 'agenda-day';
+            day.dataset.date = date;
+            
+            const heading = document.createElement('div');
+            heading.className = 'agenda-date';
+            heading.textContent = new Date(date + 'T00:00:00Z')
+                .toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+            day.appendChild(heading);
+            
+            const holiday = skipped.find(item => item.date === date);
+            if (holiday) {
+                day.classList.add('skipped');
+                const note = document.createElement('div');
+                note.className = 'agenda-item agenda-skipped';
+                note.textContent = `No classes: ${holiday.name}`;
+                day.appendChild(note);
+            }
+            
+            occurrences.filter(occurrence => occurrence.date === date).forEach(occurrence => {
+                const item = document.createElement('div');
+                item.className = `agenda-item${this.getOccurrenceClasses(occurrence)}`;
+                
+                const colorBox = document.createElement('span');
+                colorBox.className = 'legend-color';
+                colorBox.style.backgroundColor = this.courseColors.get(occurrence.course.code);
+                
+                const time = document.createElement('span');
+                time.className = 'agenda-time';
+                time.textContent = occurrence.startTime
+                    ? `${occurrence.startTime}${occurrence.endTime ? ` - ${occurrence.endTime}` : ''}`
+                    : 'All day';
+                
+                const label = document.createElement('span');
+                label.className = 'agenda-label';
+                label.textContent = this.describeOccurrence(occurrence, true);
+                
+                item.appendChild(colorBox);
+                item.appendChild(time);
+                item.appendChild(label);
+                day.appendChild(item);
+            });
+            
+            agenda.appendChild(day);
+        });
+        
+        return agenda;
+    }
+
+    getOccurrenceClasses(occurrence) {
+        if (occurrence.event) return ' event';
+        if (occurrence.cancelled) return ' cancelled';
+        if (occurrence.override) return ' changed';
+        return '';
+    }
+
+    /**
+     * Describe an occurrence, e.g. "CPSC 110 Laboratory" or, in full,
+     * "CPSC 110 - Computation (Laboratory) · DMP 110"
+     */
+    describeOccurrence(occurrence, full = false) {
+        const course = occurrence.course;
+        let text;
+        if (occurrence.event) {
+            text = `${course.code} ${occurrence.event.title || occurrence.event.type}`;
+        } else if (full) {
+            text = `${course.code} - ${course.name}${course.format && course.format !== 'Lecture' ? ` (${course.format})` : ''}`;
+        } else {
+            text = `${course.code}${course.format && course.format !== 'Lecture' ? ` ${course.format}` : ''}`;
+        }
+        
+        if (full && occurrence.location) text += ` · ${occurrence.location}`;
+        if (full && occurrence.cancelled) text += ' (cancelled)';
+        if (full && occurrence.override && !occurrence.cancelled) {
+            const { date, startTime } = occurrence.original;
+            text += date !== occurrence.date || startTime !== occurrence.startTime
+                ? ` (moved from ${date} ${startTime})`
+                : ' (room changed)';
+        }
+        return text;
+    }
 }
 
 // Export for use
@@ -3,11 +3,48 @@
  */
 
 class CalendarGenerator {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {HolidayCalendar} options.holidays - Dates to skip in recurring events
+     * @param {Object} options.revisions - Previous revisions by UID, updated on each export
+     * @param {string} options.timezone - IANA timezone of the campus, which the
+     *                                    meeting times are in
+     * @param {ReminderRules} options.reminders - Reminders to add to each class (default none)
+     * @param {EventTemplates} options.templates - How titles, descriptions and locations
+     *                                            are written (default: the built-in layout)
+     * @param {string} options.uidNamespace - Added to UIDs to keep calendars for
+     *                                        different students apart (e.g. a student ID)
+     * @param {string} options.refreshInterval - How often subscribed clients should
+     *                                           reload a published feed, e.g. "PT1H"
+     */
+    constructor(options = {}) {
         this.prodId = 'UBC Workday Calendar Converter';
         this.version = '2.0';
         this.calScale = 'GREGORIAN';
         this.method = 'PUBLISH';
+
+        const Holidays = typeof HolidayCalendar !== 'undefined' ? HolidayCalendar : require('./holidays');
+        this.holidays = options.holidays || new Holidays();
+        this.revisions = options.revisions || {};
+        const Reminders = typeof ReminderRules !== 'undefined' ? ReminderRules : require('./reminders');
+        this.reminders = options.reminders || new Reminders();
+        const Templates = typeof EventTemplates !== 'undefined' ? EventTemplates : require('./templates');
+        this.templates = options.templates || new Templates();
+        this.uidNamespace = options.uidNamespace || '';
+        this.refreshInterval = options.refreshInterval || null;
+        this.setTimezone(options.timezone || 'America/Vancouver');
+    }
+
+    /**
+     * Change the campus timezone, written as the TZID of event times
+     * Times are not converted: Workday lists them in the campus's local time,
+     * and calendar apps show them in their user's own timezone
+     * @param {string} tzid - IANA timezone name
+     */
+    setTimezone(tzid) {
+        const Timezone = typeof TimezoneBuilder !== 'undefined' ? TimezoneBuilder : require('./timezone');
+        this.timezoneBuilder = new Timezone(tzid);
+        this.timezone = tzid;
     }
 
     /**
@@ -16,20 +53,66 @@ class CalendarGenerator {
      * @returns {string} ICS file content
      */
     generateICS(courses) {
+        const now = new Date();
+        const events = this.createEvents(courses, now);
+        
+        // Build ICS content
+        const icsContent = this.buildICSContent(events, now);
+        return icsContent;
+    }
+
+    /**
+     * Create the events for a set of courses, with stable UIDs and revisions
+     * @param {Array} courses - Array of parsed courses
+     * @param {Date} now - Time of this export, for new revisions
+     * @returns {Array} Events: recurring series, their changed classes
+     *                  (with recurrenceId) and one-off events
+     */
+    createEvents(courses, now = new Date()) {
         const events = [];
         
         // Generate events for each course
         for (const course of courses) {
             if (course.meetings && course.meetings.length > 0) {
-                for (const meeting of course.meetings) {
+                for (const meeting of this.mergeSplitMeetings(course.meetings)) {
                     events.push(...this.createRecurringEvents(course, meeting));
                 }
             }
+
+            for (const item of course.events || []) {
+                events.push(this.createOneOffEvent(course, item));
+            }
         }
 
-        // Build ICS content
-        const icsContent = this.buildICSContent(events);
-        return icsContent;
+        // Meetings that share days within one section are told apart by their
+        // pattern rather than their order, so reordered or added rows don't
+        // move UIDs to other classes; a number is only added for identical
+        // events, and changed classes keep the UID of the series they belong to
+        const shared = new Map();
+        for (const event of events.filter(event => !event.series)) {
+            shared.set(event.uid, (shared.get(event.uid) || 0) + 1);
+        }
+        for (const event of events.filter(event => event.meeting && shared.get(event.uid) > 1)) {
+            event.uid = this.generateUID(event.course, event.meeting, true);
+        }
+
+        const seen = new Map();
+        for (const event of events.filter(event => !event.series)) {
+            const count = (seen.get(event.uid) || 0) + 1;
+            seen.set(event.uid, count);
+            if (count > 1) {
+                event.uid = event.uid.replace('@', `-${count}@`);
+            }
+        }
+        for (const event of events.filter(event => event.series)) {
+            event.uid = event.series.uid;
+        }
+
+        for (const event of events) {
+            this.applyRevision(event, now);
+        }
+
+        return events;
     }
 
     /**
@@ -42,39 +125,193 @@ class CalendarGenerator {
             return events;
         }
 
+        // Cancelled classes are left out of the series; changed ones are
+        // sent as their own events replacing that date (RECURRENCE-ID)
+        const overrides = meeting.startTime ? this.createRecurrence().getMeetingOverrides(course, meeting) : [];
+        const cancelled = overrides
+            .filter(({ override }) => override.cancelled)
+            .map(({ occurrence }) => this.formatOccurrence(occurrence.date, occurrence.startTime));
+
         // Create recurring event
         const event = {
             uid: this.generateUID(course, meeting),
-            summary: `${course.code} - ${course.name}`,
-            description: this.buildDescription(course),
-            location: meeting.location,
+            summary: this.buildSummary(course, meeting),
+            description: this.buildDescription(course, meeting),
+            location: this.buildLocation(course, meeting),
+            room: meeting.location || '',
             dtstart: this.getFirstOccurrence(meeting.startDate, meeting.days, meeting.startTime),
-            dtend: this.getFirstOccurrence(meeting.startDate, meeting.days, meeting.endTime),
+            // Without an end time the classes are written as having no length
+            dtend: this.getFirstOccurrence(meeting.startDate, meeting.days, meeting.endTime || meeting.startTime),
             rrule: this.buildRRule(meeting),
+            // A cancelled class may also fall on a holiday
+            exdates: [...new Set([...this.getExcludedOccurrences(meeting), ...cancelled])].sort(),
             categories: course.format || 'Lecture',
-            status: 'CONFIRMED'
+            status: 'CONFIRMED',
+            alarm: this.reminders.getReminder(course),
+            course: course,
+            meeting: meeting,
+            cancelled: cancelled
         };
 
         events.push(event);
+        
+        for (const { override, occurrence } of overrides.filter(({ override }) => !override.cancelled)) {
+            events.push(this.createChangedClass(course, event, occurrence, override));
+        }
         return events;
     }
 
+    /**
+     * Create the event replacing one class of a series that was moved or
+     * changed room
+     */
+    createChangedClass(course, series, occurrence, override) {
+        const recurrence = this.createRecurrence();
+        const changed = recurrence.applyOverride(occurrence, override);
+        const original = `${occurrence.date} ${occurrence.startTime}${occurrence.location ? `, ${occurrence.location}` : ''}`;
+        // Templates see the class as it now is: its room, times and weekday
+        const meeting = { ...changed, days: [recurrence.getDayCode(changed.date)] };
+
+        return {
+            uid: series.uid,
+            series: series,
+            recurrenceId: this.formatOccurrence(occurrence.date, occurrence.startTime),
+            summary: this.buildSummary(course, meeting),
+            description: [`Changed from ${original}`, this.buildDescription(course, meeting)].filter(line => line).join('\n'),
+            location: this.buildLocation(course, meeting),
+            room: changed.location || '',
+            dtstart: this.formatOccurrence(changed.date, changed.startTime),
+            // Same length as the series' classes when it has no end time of its own
+            dtend: this.formatOccurrence(changed.date, changed.endTime || changed.startTime),
+            rrule: null,
+            exdates: [],
+            categories: series.categories,
+            status: 'CONFIRMED',
+            alarm: series.alarm,
+            course: course
+        };
+    }
+
+    /**
+     * Format a date and time as a local ICS date-time, e.g. "20251020T090000"
+     */
+    formatOccurrence(date, time) {
+        return `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+    }
+
+    /**
+     * Create a single event for an exam, deadline or other one-off event,
+     * filed under the course's category
+     */
+    createOneOffEvent(course, item) {
+        const date = item.date.replace(/-/g, '');
+        const label = item.title || item.type;
+        const details = [`Type: ${item.type}`, this.buildDescription(course, item)];
+
+        return {
+            uid: this.generateOneOffUID(course, item),
+            summary: `${course.code} - ${label}`,
+            description: details.filter(detail => detail).join('\n'),
+            location: this.buildLocation(course, item),
+            room: item.location || '',
+            dtstart: item.startTime ? `${date}T${item.startTime.replace(':', '')}00` : date,
+            dtend: item.startTime
+                ? `${date}T${(item.endTime || item.startTime).replace(':', '')}00`
+                : this.shiftDate(item.date, 1).replace(/-/g, ''),
+            allDay: !item.startTime,
+            rrule: null,
+            exdates: [],
+            categories: `${course.format || 'Lecture'},${item.type}`,
+            status: 'CONFIRMED',
+            // Reminder rules for the event type (e.g. "Final Exam") or course apply
+            alarm: this.reminders.getReminder({ ...course, format: item.type }),
+            course: course,
+            item: item
+        };
+    }
+
+    /**
+     * Recurrence engine using the current holidays
+     */
+    createRecurrence() {
+        const Recurrence = typeof RecurrenceEngine !== 'undefined' ? RecurrenceEngine : require('./recurrence');
+        return new Recurrence({ holidays: this.holidays });
+    }
+
+    /**
+     * Merge meetings that only differ by date range (e.g. split around the
+     * reading break) into one series whose gaps are skipped
+     */
+    mergeSplitMeetings(meetings) {
+        return this.createRecurrence().mergeSplitMeetings(meetings);
+    }
+
+    /**
+     * Get EXDATE values for occurrences that fall on holidays, breaks or
+     * gaps between split meeting ranges
+     */
+    getExcludedOccurrences(meeting) {
+        if (!meeting.startTime) return [];
+
+        return this.createRecurrence().getExcludedDates(meeting)
+            .map(date => this.formatOccurrence(date, meeting.startTime));
+    }
+
+    /**
+     * Shift a YYYY-MM-DD date string by a number of days
+     */
+    shiftDate(dateStr, days) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day + days));
+
+        return date.toISOString().split('T')[0];
+    }
+
+    /**
+     * Build event title from the title template (by default naming the
+     * component for labs, tutorials, etc.)
+     * @param {Object} meeting - The meeting, class or one-off event, for its room and times
+     */
+    buildSummary(course, meeting = null) {
+        return this.templates.render('summary', this.getTemplateFields(course, meeting));
+    }
+
     /**
      * Build event description
      */
-    buildDescription(course) {
-        const lines = [];
-        
-        if (course.name) lines.push(`Course: ${course.code} - ${course.name}`);
-        if (course.section) lines.push(`Section: ${course.section}`);
-        if (course.instructor) lines.push(`Instructor: ${course.instructor}`);
-        if (course.credits) lines.push(`Credits: ${course.credits}`);
-        if (course.format) lines.push(`Format: ${course.format}`);
-        if (course.delivery) lines.push(`Delivery: ${course.delivery}`);
-        if (course.status) lines.push(`Status: ${course.status}`);
-        
+    buildDescription(course, meeting = null) {
         // Use actual newlines, they'll be escaped properly by escapeText()
-        return lines.join('\n');
+        return this.templates.render('description', this.getTemplateFields(course, meeting));
+    }
+
+    buildLocation(course, meeting = null) {
+        return this.templates.render('location', this.getTemplateFields(course, meeting));
+    }
+
+    /**
+     * Values for the template fields (see EventTemplates)
+     */
+    getTemplateFields(course, meeting = null) {
+        const dayNames = { MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat', SU: 'Sun' };
+        const startDate = (meeting && (meeting.startDate || meeting.date)) || course.startDate;
+        
+        return {
+            code: course.code,
+            name: course.name,
+            section: course.section,
+            sectionNumber: this.getSectionId(course.section),
+            format: course.format,
+            component: course.format && course.format !== 'Lecture' ? course.format : '',
+            delivery: course.delivery,
+            instructor: course.instructor,
+            credits: course.credits,
+            status: course.status,
+            room: meeting ? meeting.location : '',
+            days: meeting && meeting.days ? meeting.days.map(day => dayNames[day] || day).join(' ') : '',
+            startTime: meeting ? meeting.startTime : '',
+            endTime: meeting ? meeting.endTime : '',
+            term: startDate ? this.getTermCode(startDate) : ''
+        };
     }
 
     /**
@@ -145,20 +382,127 @@ class CalendarGenerator {
     }
 
     /**
-     * Generate unique ID for event
+     * Generate a stable ID for event
+     * Derived from course, section, term and meeting days, so a re-export
+     * after a time or room change updates the existing event instead of
+     * creating a duplicate. Meetings of one section on the same days add
+     * their times and first date (withPattern) to tell them apart.
+     */
+    generateUID(course, meeting, withPattern = false) {
+        const courseId = course.code.replace(/[^a-zA-Z0-9]/g, '');
+        const sectionId = this.getSectionId(course.section);
+        const termId = this.getTermCode(meeting.startDate || course.startDate);
+        const daysId = (meeting.days || []).join('');
+        const patternId = withPattern
+            ? [`${meeting.startTime || ''}${meeting.endTime || ''}`.replace(/:/g, ''), (meeting.startDate || '').replace(/-/g, '')]
+            : [];
+        const namespace = String(this.uidNamespace || '').replace(/[^a-zA-Z0-9]/g, '');
+        
+        const parts = [courseId, sectionId, termId, daysId, ...patternId, namespace].filter(part => part);
+        return `${parts.join('-')}@workday-cal`;
+    }
+
+    /**
+     * Generate a stable ID for a one-off event from its course, type and date
+     */
+    generateOneOffUID(course, item) {
+        const courseId = course.code.replace(/[^a-zA-Z0-9]/g, '');
+        const sectionId = this.getSectionId(course.section);
+        const typeId = item.type.replace(/[^a-zA-Z0-9]/g, '').toUpperCase();
+        const dateId = item.date.replace(/-/g, '');
+        const namespace = String(this.uidNamespace || '').replace(/[^a-zA-Z0-9]/g, '');
+
+        const parts = [courseId, sectionId, typeId, dateId, namespace].filter(part => part);
+        return `${parts.join('-')}@workday-cal`;
+    }
+
+    /**
+     * Extract the section number from a Workday section label
+     * e.g. "CPSC_V 110-101 - Computation, Programs, and Programming" -> "101"
+     */
+    getSectionId(section) {
+        if (!section) return '';
+        
+        const Parser = typeof WorkdayParser !== 'undefined' ? WorkdayParser : require('./parser');
+        return Parser.getSectionNumber(section) || String(section).replace(/[^a-zA-Z0-9]/g, '').toUpperCase();
+    }
+
+    /**
+     * Get the UBC session code for a date, e.g. "2025W1" or "2026S2"
      */
-    generateUID(course, meeting) {
-        const timestamp = Date.now();
-        const courseId = course.code.replace(/\s+/g, '');
-        const meetingId = `${meeting.startDate}-${meeting.days.join('')}`.replace(/[^a-zA-Z0-9]/g, '');
+    getTermCode(dateStr) {
+        if (!dateStr) return '';
         
-        return `${courseId}-${meetingId}-${timestamp}@workday-cal`;
+        const [year, month] = dateStr.split('-').map(Number);
+        if (month >= 9) return `${year}W1`;
+        if (month <= 4) return `${year - 1}W2`;
+        if (month <= 6) return `${year}S1`;
+        return `${year}S2`;
+    }
+
+    /**
+     * Assign SEQUENCE and LAST-MODIFIED to an event
+     * New events start at 0, unchanged ones keep their previous revision and
+     * changed ones count up from it
+     */
+    applyRevision(event, now) {
+        // Changed classes share their series' UID
+        const key = event.recurrenceId ? `${event.uid}#${event.recurrenceId}` : event.uid;
+        const fingerprint = this.getEventFingerprint(event);
+        const previous = this.revisions[key];
+        
+        if (previous && previous.fingerprint === fingerprint) {
+            event.sequence = previous.sequence;
+            event.lastModified = previous.lastModified;
+            return;
+        }
+        
+        event.sequence = previous ? previous.sequence + 1 : 0;
+        event.lastModified = this.getCurrentTimestamp(now);
+        this.revisions[key] = {
+            fingerprint: fingerprint,
+            sequence: event.sequence,
+            lastModified: event.lastModified
+        };
+    }
+
+    /**
+     * Hash the parts of an event a calendar client displays (FNV-1a)
+     */
+    getEventFingerprint(event) {
+        const content = JSON.stringify([
+            event.summary,
+            event.description,
+            event.location,
+            event.dtstart,
+            event.dtend,
+            event.rrule,
+            event.exdates,
+            event.categories,
+            event.status,
+            // Only events with a reminder include it, so existing fingerprints still match
+            ...(event.alarm !== null && event.alarm !== undefined ? [event.alarm] : []),
+            ...(event.recurrenceId ? [event.recurrenceId] : [])
+        ]);
+        
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < content.length; i++) {
+            hash ^= content.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        
+        return hash.toString(16).padStart(8, '0');
     }
 
     /**
      * Build complete ICS content
+     * @param {Object} options
+     * @param {string|null} options.method - iTIP method (default PUBLISH); null
+     *                                       leaves it out, as calendar servers require
+     * @param {Array} options.properties - Extra calendar properties, e.g. "X-FOO:bar"
      */
-    buildICSContent(events) {
+    buildICSContent(events, now = new Date(), options = {}) {
+        const method = options.method !== undefined ? options.method : this.method;
         const lines = [];
         
         // Calendar header
@@ -166,29 +510,23 @@ class CalendarGenerator {
         lines.push('VERSION:2.0');
         lines.push(`PRODID:-//${this.prodId}//EN`);
         lines.push('CALSCALE:GREGORIAN');
-        lines.push('METHOD:PUBLISH');
+        if (method) {
+            lines.push(`METHOD:${method}`);
+        }
         lines.push('X-WR-CALNAME:UBC Course Schedule');
         lines.push('X-WR-CALDESC:Course schedule imported from UBC Workday');
-        lines.push('X-WR-TIMEZONE:America/Vancouver');
-        
-        // Timezone definition
-        lines.push('BEGIN:VTIMEZONE');
-        lines.push('TZID:America/Vancouver');
-        lines.push('BEGIN:DAYLIGHT');
-        lines.push('TZOFFSETFROM:-0800');
-        lines.push('TZOFFSETTO:-0700');
-        lines.push('TZNAME:PDT');
-        lines.push('DTSTART:20250309T020000');
-        lines.push('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU');
-        lines.push('END:DAYLIGHT');
-        lines.push('BEGIN:STANDARD');
-        lines.push('TZOFFSETFROM:-0700');
-        lines.push('TZOFFSETTO:-0800');
-        lines.push('TZNAME:PST');
-        lines.push('DTSTART:20251102T020000');
-        lines.push('RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU');
-        lines.push('END:STANDARD');
-        lines.push('END:VTIMEZONE');
+        lines.push(`X-WR-TIMEZONE:${this.timezone}`);
+        
+        if (this.refreshInterval) {
+            lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${this.refreshInterval}`);
+            lines.push(`X-PUBLISHED-TTL:${this.refreshInterval}`);
+        }
+        
+        lines.push(...(options.properties || []));
+        
+        // Timezone definition covering every year the events touch
+        const [startYear, endYear] = this.getYearRange(events);
+        lines.push(...this.timezoneBuilder.buildVTimezone(startYear, endYear));
         
         // Add events
         for (const event of events) {
@@ -196,14 +534,27 @@ class CalendarGenerator {
             
             lines.push('BEGIN:VEVENT');
             lines.push(`UID:${event.uid}`);
-            lines.push(`DTSTAMP:${this.getCurrentTimestamp()}`);
-            lines.push(`DTSTART;TZID=America/Vancouver:${event.dtstart}`);
-            lines.push(`DTEND;TZID=America/Vancouver:${event.dtend}`);
+            lines.push(`DTSTAMP:${this.getCurrentTimestamp(now)}`);
+            if (event.allDay) {
+                lines.push(`DTSTART;VALUE=DATE:${event.dtstart}`);
+                lines.push(`DTEND;VALUE=DATE:${event.dtend}`);
+            } else {
+                lines.push(`DTSTART;TZID=${this.timezone}:${event.dtstart}`);
+                lines.push(`DTEND;TZID=${this.timezone}:${event.dtend}`);
+            }
+            
+            if (event.recurrenceId) {
+                lines.push(`RECURRENCE-ID;TZID=${this.timezone}:${event.recurrenceId}`);
+            }
             
             if (event.rrule) {
                 lines.push(`RRULE:${event.rrule}`);
             }
             
+            for (const exdate of event.exdates || []) {
+                lines.push(`EXDATE;TZID=${this.timezone}:${exdate}`);
+            }
+            
             lines.push(`SUMMARY:${this.escapeText(event.summary)}`);
             
             if (event.description) {
@@ -219,6 +570,25 @@ class CalendarGenerator {
             }
             
             lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+            
+            if (event.sequence !== undefined) {
+                lines.push(`SEQUENCE:${event.sequence}`);
+            }
+            
+            if (event.lastModified) {
+                lines.push(`LAST-MODIFIED:${event.lastModified}`);
+            }
+            
+            lines.push(...this.buildCourseProperties(event));
+            
+            if (event.alarm !== null && event.alarm !== undefined) {
+                lines.push('BEGIN:VALARM');
+                lines.push('ACTION:DISPLAY');
+                lines.push(`DESCRIPTION:${this.escapeText(event.summary)}`);
+                lines.push(`TRIGGER:${this.reminders.formatTrigger(event.alarm)}`);
+                lines.push('END:VALARM');
+            }
+
             lines.push('END:VEVENT');
         }
         
@@ -230,10 +600,80 @@ class CalendarGenerator {
     }
 
     /**
-     * Get current timestamp in ICS format
+     * Build the X-WORKDAY- properties that let ICSImporter restore the
+     * course, its meeting dates, cancelled classes and one-off events
      */
-    getCurrentTimestamp() {
-        const now = new Date();
+    buildCourseProperties(event) {
+        const course = event.course;
+        if (!course) return [];
+        
+        const properties = [
+            ['COURSE', course.code],
+            ['COURSE-NAME', course.name],
+            ['SECTION', course.section],
+            ['INSTRUCTOR', course.instructor],
+            ['CREDITS', course.credits],
+            ['FORMAT', course.format],
+            ['DELIVERY', course.delivery],
+            ['STATUS', course.status],
+            ['START-DATE', course.startDate],
+            ['END-DATE', course.endDate]
+        ];
+        
+        if (event.meeting && event.meeting.startDate && event.meeting.endDate) {
+            // Ranges as in the export, before split meetings were merged
+            let start = event.meeting.startDate;
+            const ranges = [];
+            for (const gap of event.meeting.gaps || []) {
+                ranges.push(`${start}/${this.shiftDate(gap.startDate, -1)}`);
+                start = this.shiftDate(gap.endDate, 1);
+            }
+            ranges.push(`${start}/${event.meeting.endDate}`);
+            
+            // Lists of dates, so their commas are separators rather than text
+            properties.push(['MEETING-DATES', ranges, true]);
+            properties.push(['CANCELLED', event.cancelled || [], true]);
+        }
+        
+        if (event.item) {
+            properties.push(['EVENT-TYPE', event.item.type], ['EVENT-TITLE', event.item.title]);
+        }
+        
+        const lines = properties
+            .filter(([, value, list]) => list ? value.length > 0 : value)
+            .map(([name, value, list]) => `X-WORKDAY-${name}:${list ? value.join(',') : this.escapeText(String(value))}`);
+        
+        // The location template may have changed what LOCATION says
+        if (event.room !== undefined && event.room !== (event.location || '')) {
+            lines.push(`X-WORKDAY-ROOM:${this.escapeText(event.room)}`);
+        }
+        return lines;
+    }
+
+    /**
+     * Get the first and last calendar years covered by events
+     */
+    getYearRange(events) {
+        const years = [];
+        
+        for (const event of events) {
+            if (event.dtstart) years.push(Number(event.dtstart.slice(0, 4)));
+            const until = event.rrule && event.rrule.match(/UNTIL=(\d{4})/);
+            if (until) years.push(Number(until[1]));
+        }
+        
+        if (years.length === 0) {
+            const year = new Date().getFullYear();
+            return [year, year];
+        }
+        
+        return [Math.min(...years), Math.max(...years)];
+    }
+
+    /**
+     * Get current (or given) timestamp in ICS UTC format
+     */
+    getCurrentTimestamp(now = new Date()) {
         const year = now.getUTCFullYear();
         const month = (now.getUTCMonth() + 1).toString().padStart(2, '0');
         const day = now.getUTCDate().toString().padStart(2, '0');
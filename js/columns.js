@@ -0,0 +1,364 @@
+/**
+ * Column mapping module for finding course fields in an export by header
+ */
+
+class ColumnMapper {
+    constructor() {
+        // Fields read from each course row. position is the column in the
+        // Workday Excel export, used when a column has no usable header
+        this.fields = [
+            { field: 'listing', label: 'Course Listing', type: 'course', position: 1, required: true,
+                aliases: ['course', 'courses', 'course title', 'course name', 'class', 'subject'] },
+            { field: 'credits', label: 'Credits', type: 'number', position: 4,
+                aliases: ['credit', 'units', 'credit hours'] },
+            { field: 'grading', label: 'Grading Basis', type: 'text', position: 5,
+                aliases: ['grading', 'grading option'] },
+            { field: 'section', label: 'Section', type: 'section', position: 6,
+                aliases: ['course section', 'section number', 'class section'] },
+            { field: 'status', label: 'Registration Status', type: 'text', position: 7,
+                aliases: ['status', 'enrollment status', 'enrolment status'] },
+            { field: 'format', label: 'Instructional Format', type: 'text', position: 8,
+                aliases: ['format', 'component', 'activity', 'instructional method'] },
+            { field: 'delivery', label: 'Delivery Mode', type: 'text', position: 9,
+                aliases: ['delivery', 'mode', 'delivery method'] },
+            { field: 'meetings', label: 'Meeting Patterns', type: 'meeting', position: 10, required: true,
+                aliases: ['meeting pattern', 'meetings', 'meeting times', 'schedule', 'days and times'] },
+            { field: 'instructor', label: 'Instructor', type: 'text', position: 11,
+                aliases: ['instructors', 'professor', 'teacher', 'faculty'] },
+            { field: 'startDate', label: 'Start Date', type: 'date', position: 12,
+                aliases: ['start', 'begin date', 'first day'] },
+            { field: 'endDate', label: 'End Date', type: 'date', position: 13,
+                aliases: ['end', 'finish date', 'last day'] }
+        ];
+
+        // Confidence given to each way of finding a column
+        this.sourceConfidence = {
+            manual: 1,
+            header: 1,
+            alias: 0.9,
+            offset: 0.9,
+            content: 0.6,
+            position: 0.4
+        };
+    }
+
+    /**
+     * Work out which column holds each field
+     * @param {Array} headers - Header row cells
+     * @param {Array} rows - Data rows, used to check column contents
+     * @param {Object} overrides - Optional { field: index } chosen by the user
+     *                             (null for a field that isn't in the file)
+     * @returns {Object} { fields: { field: { field, label, index, header, source,
+     *                   confidence, validity, guessed } }, headers, uncertain, offset }
+     *                   (offset: columns the whole header row was shifted by, usually 0)
+     */
+    map(headers, rows = [], overrides = {}) {
+        headers = (headers || []).map(header => header === null || header === undefined ? '' : String(header).trim());
+        rows = rows.filter(row => row && row.length > 0).slice(0, 50);
+
+        const assigned = {};
+        const used = new Set();
+        const assign = (field, index, source, score) => {
+            assigned[field] = { index, source, score };
+            if (index !== null) used.add(index);
+        };
+
+        // The user's choices come first
+        for (const [field, index] of Object.entries(overrides || {})) {
+            if (this.getField(field)) {
+                assign(field, index === null || index === undefined || index < 0 ? null : Number(index), 'manual', 1);
+            }
+        }
+
+        // Match headers, best scores first
+        const candidates = [];
+        headers.forEach((header, index) => {
+            if (!header) return;
+            for (const definition of this.fields) {
+                const match = this.scoreHeader(header, definition);
+                if (match) {
+                    candidates.push({ field: definition.field, index, ...match });
+                }
+            }
+        });
+        candidates.sort((a, b) => b.score - a.score || a.index - b.index);
+
+        for (const candidate of candidates) {
+            if (assigned[candidate.field] || used.has(candidate.index)) continue;
+            assign(candidate.field, candidate.index, candidate.source, candidate.score);
+        }
+
+        // A header row shifted by a column (a common spreadsheet artefact)
+        // puts every field beside its header, so try shifting the whole row
+        // before checking columns one at a time
+        const offset = this.findRowOffset(assigned, rows);
+        if (offset !== 0) {
+            const shifted = this.fields.filter(definition =>
+                assigned[definition.field] && assigned[definition.field].source !== 'manual');
+            shifted.forEach(definition => used.delete(assigned[definition.field].index));
+
+            for (const definition of shifted) {
+                const entry = assigned[definition.field];
+                const index = entry.index + offset;
+                delete assigned[definition.field];
+
+                // Left for the content and position checks below
+                if (index < 0 || used.has(index)) continue;
+                assign(definition.field, index, 'offset', entry.score * this.sourceConfidence.offset);
+            }
+        }
+
+        // Check contents, moving to a neighbouring column when the data sits
+        // one column off its header (as in the Workday Excel export)
+        for (const definition of this.fields) {
+            const entry = assigned[definition.field];
+            if (!entry || entry.source === 'manual' || definition.type === 'text') continue;
+
+            const validity = this.validateColumn(definition, rows, entry.index);
+            if (validity !== null && validity >= 0.5) continue;
+
+            const neighbour = [entry.index + 1, entry.index - 1]
+                .filter(index => index >= 0 && !used.has(index))
+                .find(index => (this.validateColumn(definition, rows, index) || 0) >= 0.8);
+
+            if (neighbour !== undefined) {
+                used.delete(entry.index);
+                assign(definition.field, neighbour, 'offset', entry.score * this.sourceConfidence.offset);
+            }
+        }
+
+        // Find missing fields by their contents, then by Workday position
+        for (const definition of this.fields) {
+            if (assigned[definition.field]) continue;
+
+            if (definition.type !== 'text') {
+                const index = this.findColumnByContent(definition, rows, used);
+                if (index >= 0) {
+                    assign(definition.field, index, 'content', this.sourceConfidence.content);
+                    continue;
+                }
+            }
+
+            const position = definition.position;
+            const positionValid = definition.type === 'text' ||
+                (this.validateColumn(definition, rows, position) || 0) >= 0.8;
+            if (!used.has(position) && !headers[position] && positionValid &&
+                rows.some(row => this.hasValue(row[position]))) {
+                assign(definition.field, position, 'position', this.sourceConfidence.position);
+            }
+        }
+
+        const fields = {};
+        for (const definition of this.fields) {
+            const entry = assigned[definition.field] || { index: null, source: 'missing', score: 0 };
+            const index = entry.index;
+
+            fields[definition.field] = {
+                field: definition.field,
+                label: definition.label,
+                index: index,
+                header: index !== null && headers[index] ? headers[index] : null,
+                source: entry.source,
+                confidence: Math.round(entry.score * 100) / 100,
+                validity: index !== null && definition.type !== 'text'
+                    ? this.validateColumn(definition, rows, index)
+                    : null,
+                guessed: ['fuzzy', 'content', 'position'].includes(entry.source)
+            };
+        }
+
+        const uncertain = this.fields.some(definition => {
+            const field = fields[definition.field];
+            if (field.source === 'missing') return definition.required;
+            return field.guessed || field.confidence < 0.8;
+        });
+
+        return { fields, headers, uncertain, offset };
+    }
+
+    /**
+     * Find how far the data sits from its header row, when most fields with
+     * checkable contents agree on it
+     * @param {Object} assigned - Columns matched by header, by field
+     * @returns {number} -1, 0 or 1
+     */
+    findRowOffset(assigned, rows) {
+        const checked = this.fields.filter(definition => definition.type !== 'text' &&
+            assigned[definition.field] && assigned[definition.field].source !== 'manual');
+        const validFields = offset => checked.filter(definition =>
+            (this.validateColumn(definition, rows, assigned[definition.field].index + offset) || 0) >= 0.8).length;
+
+        let best = 0;
+        let bestCount = validFields(0);
+        for (const offset of [1, -1]) {
+            const count = validFields(offset);
+            if (count > bestCount) {
+                best = offset;
+                bestCount = count;
+            }
+        }
+
+        return bestCount > checked.length / 2 ? best : 0;
+    }
+
+    getField(field) {
+        return this.fields.find(definition => definition.field === field);
+    }
+
+    /**
+     * Score how well a header names a field
+     * @returns {Object|null} { score, source } or null when it doesn't match
+     */
+    scoreHeader(header, definition) {
+        const name = this.normalize(header);
+        if (!name) return null;
+
+        const label = this.normalize(definition.label);
+        if (name === label) {
+            return { score: this.sourceConfidence.header, source: 'header' };
+        }
+
+        const aliases = definition.aliases.map(alias => this.normalize(alias));
+        if (aliases.includes(name)) {
+            return { score: this.sourceConfidence.alias, source: 'alias' };
+        }
+
+        let best = 0;
+        for (const candidate of [label, ...aliases]) {
+            // Header containing a known name, e.g. "Meeting Patterns (Days/Times)"
+            if (candidate.length >= 5 && ` ${name} `.includes(` ${candidate} `)) {
+                best = Math.max(best, 0.6 + 0.25 * (candidate.length / name.length));
+            }
+
+            // Small typos and spelling differences, e.g. "Instuctor"
+            const similarity = this.similarity(name, candidate);
+            if (similarity >= 0.8) {
+                best = Math.max(best, similarity * 0.85);
+            }
+        }
+
+        return best >= 0.6 ? { score: best, source: 'fuzzy' } : null;
+    }
+
+    /**
+     * Lowercase a header and reduce it to words
+     */
+    normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Similarity of two strings from 0 to 1 (Levenshtein distance)
+     */
+    similarity(a, b) {
+        if (a === b) return 1;
+        if (!a || !b) return 0;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+
+        return 1 - previous[b.length] / Math.max(a.length, b.length);
+    }
+
+    /**
+     * Check that a value has the type a field expects
+     */
+    isValid(type, value) {
+        if (!this.hasValue(value)) return false;
+        if (value instanceof Date) return type === 'date';
+
+        const text = String(value).trim();
+        switch (type) {
+            case 'course':
+                return /^[A-Z]{2,4}(_[VG])?\s*\d{3}/.test(text);
+            case 'number':
+                return /^\d+(\.\d+)?$/.test(text);
+            case 'section':
+                return /[A-Z]{2,4}(_[VG])?\s*\d{3}[A-Z]?-[A-Z0-9]+/i.test(text) || /^[A-Z0-9]{3,4}$/.test(text);
+            case 'meeting':
+                return /\d{1,2}:\d{2}\s*[ap]\.?m/i.test(text);
+            case 'date':
+                return /^\d{4}-\d{2}-\d{2}/.test(text) ||
+                    /^\d{1,2}\/\d{1,2}\/\d{2,4}$/.test(text) ||
+                    /^[A-Z][a-z]{2,8}\.? \d{1,2},? \d{4}$/.test(text);
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Fraction of the non-empty values in a column that have the right type
+     * @returns {number|null} 0 to 1, or null when the column is empty
+     */
+    validateColumn(definition, rows, index) {
+        if (index === null || index === undefined || index < 0) return null;
+
+        let filled = 0;
+        let valid = 0;
+        for (const row of rows) {
+            if (!this.hasValue(row[index])) continue;
+            filled++;
+            if (this.isValid(definition.type, row[index])) valid++;
+        }
+
+        return filled > 0 ? valid / filled : null;
+    }
+
+    /**
+     * Find the first unused column whose contents all look like a field
+     * @returns {number} Index, or -1
+     */
+    findColumnByContent(definition, rows, used) {
+        const width = Math.max(0, ...rows.map(row => row.length));
+
+        for (let index = 0; index < width; index++) {
+            if (used.has(index)) continue;
+            if ((this.validateColumn(definition, rows, index) || 0) >= 0.8) {
+                return index;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Read a field from a row using a mapping from map()
+     */
+    getValue(row, mapping, field) {
+        const entry = mapping.fields[field];
+        if (!entry || entry.index === null) return '';
+
+        const value = row[entry.index];
+        return this.hasValue(value) ? value : '';
+    }
+
+    hasValue(value) {
+        return value !== null && value !== undefined && String(value).trim() !== '';
+    }
+
+    /**
+     * Spreadsheet column letter for a 0-based index (0 -> "A")
+     */
+    columnLetter(index) {
+        let letter = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+        }
+        return letter;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ColumnMapper;
+}
@@ -0,0 +1,178 @@
+/**
+ * Conflict detection module for finding overlapping classes and exams
+ */
+
+class ConflictDetector {
+    constructor() {
+        this.dayCodes = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+        this.dayNames = { 'MO': 'Mon', 'TU': 'Tue', 'WE': 'Wed', 'TH': 'Thu', 'FR': 'Fri', 'SA': 'Sat', 'SU': 'Sun' };
+
+        // Bounds for meetings without dates
+        this.openStart = '0000-01-01';
+        this.openEnd = '9999-12-31';
+    }
+
+    /**
+     * Find every pair of sections that meet at the same time: weekly meetings
+     * sharing a day, overlapping in time and in date range, and exams or other
+     * timed one-off events that fall on another meeting or event
+     * @param {Array} courses - Parsed courses (one per section)
+     * @returns {Array} Array of { first, second, days, startDate, endDate, startTime, endTime }
+     *                  where first/second are { course, meeting } or { course, event }
+     */
+    findConflicts(courses) {
+        const slots = [];
+        for (const course of courses || []) {
+            for (const meeting of course.meetings || []) {
+                if (meeting.startTime && meeting.endTime && meeting.days && meeting.days.length > 0) {
+                    slots.push({ course, meeting });
+                }
+            }
+            for (const event of course.events || []) {
+                if (event.startTime && event.endTime && event.endTime > event.startTime) {
+                    slots.push({ course, event });
+                }
+            }
+        }
+
+        const conflicts = [];
+        const seen = new Set();
+        for (let i = 0; i < slots.length; i++) {
+            for (let j = i + 1; j < slots.length; j++) {
+                // Meetings of one section never conflict with each other
+                if (this.getKey(slots[i].course) === this.getKey(slots[j].course)) continue;
+
+                const overlap = this.compareSlots(slots[i], slots[j]);
+                if (!overlap) continue;
+
+                // Meetings split around a break repeat the same overlap
+                const id = [this.getKey(slots[i].course), this.getKey(slots[j].course),
+                    overlap.days.join(','), overlap.startTime, overlap.endTime].join('|');
+                if (seen.has(id)) continue;
+                seen.add(id);
+
+                conflicts.push({ first: slots[i], second: slots[j], ...overlap });
+            }
+        }
+
+        return conflicts;
+    }
+
+    /**
+     * Work out when two meetings or events overlap
+     * @returns {Object|null} { days, startDate, endDate, startTime, endTime } or null
+     */
+    compareSlots(a, b) {
+        const startTime = a.meeting ? a.meeting.startTime : a.event.startTime;
+        const endTime = a.meeting ? a.meeting.endTime : a.event.endTime;
+        const otherStart = b.meeting ? b.meeting.startTime : b.event.startTime;
+        const otherEnd = b.meeting ? b.meeting.endTime : b.event.endTime;
+
+        if (!(startTime < otherEnd && otherStart < endTime)) return null;
+
+        const rangeA = this.getDateRange(a);
+        const rangeB = this.getDateRange(b);
+        const startDate = rangeA.startDate > rangeB.startDate ? rangeA.startDate : rangeB.startDate;
+        const endDate = rangeA.endDate < rangeB.endDate ? rangeA.endDate : rangeB.endDate;
+        if (startDate > endDate) return null;
+
+        const daysA = a.meeting ? a.meeting.days : [this.getDayCode(a.event.date)];
+        const daysB = b.meeting ? b.meeting.days : [this.getDayCode(b.event.date)];
+        const days = this.getDaysBetween(startDate, endDate)
+            .filter(day => daysA.includes(day) && daysB.includes(day));
+        if (days.length === 0) return null;
+
+        return {
+            days: days,
+            startDate: startDate,
+            endDate: endDate,
+            startTime: startTime > otherStart ? startTime : otherStart,
+            endTime: endTime < otherEnd ? endTime : otherEnd
+        };
+    }
+
+    /**
+     * Dates a meeting or event covers; meetings without dates use the
+     * course's, and are open-ended when it has none either
+     */
+    getDateRange(slot) {
+        if (slot.event) {
+            return { startDate: slot.event.date, endDate: slot.event.date };
+        }
+
+        return {
+            startDate: slot.meeting.startDate || slot.course.startDate || this.openStart,
+            endDate: slot.meeting.endDate || slot.course.endDate || this.openEnd
+        };
+    }
+
+    /**
+     * Weekday codes that occur between two dates, in week order
+     */
+    getDaysBetween(startDate, endDate) {
+        const [year, month, day] = startDate.split('-').map(Number);
+        const start = Date.UTC(year, month - 1, day);
+        const [endYear, endMonth, endDay] = endDate.split('-').map(Number);
+        const length = Math.round((Date.UTC(endYear, endMonth - 1, endDay) - start) / 86400000) + 1;
+
+        const days = new Set();
+        for (let offset = 0; offset < Math.min(length, 7); offset++) {
+            days.add(this.dayCodes[new Date(start + offset * 86400000).getUTCDay()]);
+        }
+        return this.dayCodes.slice(1).concat('SU').filter(code => days.has(code));
+    }
+
+    getDayCode(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        return this.dayCodes[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+    }
+
+    getKey(course) {
+        return course.key || course.code;
+    }
+
+    /**
+     * Group conflicts by the section they involve
+     * @returns {Map} Section key -> array of { conflict, other } (other is the
+     *                clashing { course, meeting } or { course, event })
+     */
+    groupBySection(conflicts) {
+        const bySection = new Map();
+        const add = (slot, other, conflict) => {
+            const key = this.getKey(slot.course);
+            if (!bySection.has(key)) bySection.set(key, []);
+            bySection.get(key).push({ conflict, other });
+        };
+
+        for (const conflict of conflicts) {
+            add(conflict.first, conflict.second, conflict);
+            add(conflict.second, conflict.first, conflict);
+        }
+        return bySection;
+    }
+
+    /**
+     * Describe a conflict from one side, e.g.
+     * "CPSC 110 (Laboratory): Mon 09:00-10:00, 2025-09-08 to 2025-12-01"
+     */
+    describe(conflict, other) {
+        const course = other.course;
+        const what = other.event
+            ? ` ${other.event.title || other.event.type}`
+            : course.format && course.format !== 'Lecture' ? ` (${course.format})` : '';
+        const days = conflict.days.map(day => this.dayNames[day]).join(', ');
+        let dates = '';
+        if (conflict.startDate === conflict.endDate) {
+            dates = `, ${conflict.startDate}`;
+        } else if (conflict.startDate !== this.openStart && conflict.endDate !== this.openEnd) {
+            dates = `, ${conflict.startDate} to ${conflict.endDate}`;
+        }
+
+        return `${course.code}${what}: ${days} ${conflict.startTime}-${conflict.endTime}${dates}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConflictDetector;
+}
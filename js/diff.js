@@ -0,0 +1,162 @@
+/**
+ * Schedule diff module for comparing two Workday exports
+ */
+
+class ScheduleDiff {
+    constructor() {
+        // Fields compared between exports, in display order
+        this.fields = [
+            { field: 'time', label: 'Time' },
+            { field: 'room', label: 'Room' },
+            { field: 'instructor', label: 'Instructor' },
+            { field: 'dates', label: 'Dates' },
+            { field: 'status', label: 'Status' }
+        ];
+    }
+
+    /**
+     * Parse two exports (Excel, CSV or HTML) and compare them
+     * @param {ArrayBuffer|string} oldData - Older export
+     * @param {ArrayBuffer|string} newData - Newer export
+     * @returns {Object} Diff result (see compare)
+     */
+    compareExports(oldData, newData) {
+        const Parser = typeof WorkdayParser !== 'undefined' ? WorkdayParser : require('./parser');
+
+        // Separate parser instances, since header detection is stateful
+        const oldCourses = new Parser().parse(oldData);
+        const newCourses = new Parser().parse(newData);
+
+        return this.compare(oldCourses, newCourses);
+    }
+
+    /**
+     * Compare two parsed course lists
+     * @param {Array} oldCourses
+     * @param {Array} newCourses
+     * @returns {Object} { added, dropped, modified, unchanged, hasChanges }
+     */
+    compare(oldCourses, newCourses) {
+        const oldMap = this.indexCourses(oldCourses);
+        const newMap = this.indexCourses(newCourses);
+
+        const result = {
+            added: [],
+            dropped: [],
+            modified: [],
+            unchanged: [],
+            hasChanges: false
+        };
+
+        for (const [key, course] of newMap) {
+            const previous = oldMap.get(key);
+            if (!previous) {
+                result.added.push({ key, course });
+                continue;
+            }
+
+            const changes = this.compareCourse(previous, course);
+            if (changes.length > 0) {
+                result.modified.push({ key, before: previous, after: course, changes });
+            } else {
+                result.unchanged.push({ key, course });
+            }
+        }
+
+        for (const [key, course] of oldMap) {
+            if (!newMap.has(key)) {
+                result.dropped.push({ key, course });
+            }
+        }
+
+        result.hasChanges = result.added.length > 0 ||
+            result.dropped.length > 0 ||
+            result.modified.length > 0;
+
+        return result;
+    }
+
+    /**
+     * Key courses by code and section so labs and tutorials stay distinct
+     */
+    indexCourses(courses) {
+        const map = new Map();
+
+        for (const course of courses || []) {
+            if (!course || !course.code) continue;
+
+            const key = this.getCourseKey(course);
+            if (!map.has(key)) {
+                map.set(key, course);
+            }
+        }
+
+        return map;
+    }
+
+    getCourseKey(course) {
+        if (course.key) return course.key;
+
+        const Parser = typeof WorkdayParser !== 'undefined' ? WorkdayParser : require('./parser');
+        const section = course.section ? String(course.section).trim() : '';
+        const sectionId = Parser.getSectionNumber(section) || section;
+
+        return sectionId ? `${course.code} ${sectionId}` : course.code;
+    }
+
+    /**
+     * List field-level changes between two versions of a course
+     * @returns {Array} Array of { field, label, before, after }
+     */
+    compareCourse(before, after) {
+        const changes = [];
+
+        for (const { field, label } of this.fields) {
+            const oldValue = this.describeField(before, field);
+            const newValue = this.describeField(after, field);
+
+            if (oldValue !== newValue) {
+                changes.push({ field, label, before: oldValue, after: newValue });
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * Summarize one comparable field of a course as a string
+     */
+    describeField(course, field) {
+        const meetings = course.meetings || [];
+
+        switch (field) {
+            case 'time':
+                return meetings
+                    .map(m => `${(m.days || []).join(',')} ${m.startTime || ''}-${m.endTime || ''}`.trim())
+                    .filter((value, index, all) => all.indexOf(value) === index)
+                    .join('; ');
+            case 'room':
+                return meetings
+                    .map(m => m.location || '')
+                    .filter((value, index, all) => value && all.indexOf(value) === index)
+                    .join('; ');
+            case 'instructor':
+                return String(course.instructor || '').trim();
+            case 'dates': {
+                if (course.startDate || course.endDate) {
+                    return `${course.startDate || ''} - ${course.endDate || ''}`;
+                }
+                return meetings.map(m => `${m.startDate} - ${m.endDate}`).join('; ');
+            }
+            case 'status':
+                return String(course.status || '').trim();
+            default:
+                return '';
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScheduleDiff;
+}
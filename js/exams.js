@@ -0,0 +1,266 @@
+/**
+ * Exam schedule module for one-off course events (midterms, finals, deadlines)
+ */
+
+class ExamSchedule {
+    constructor() {
+        // Event types, checked in order against pasted text
+        this.types = [
+            { type: 'Final Exam', pattern: /\bfinals?\b/i },
+            { type: 'Midterm', pattern: /\bmid-?terms?\b/i },
+            { type: 'Quiz', pattern: /\bquiz(zes)?\b/i },
+            { type: 'Deadline', pattern: /\b(due|deadline|project|assignment|essay|report)\b/i },
+            { type: 'Exam', pattern: /\bexam(ination)?s?\b/i }
+        ];
+
+        this.months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    }
+
+    /**
+     * Check and tidy a one-off event
+     * @param {Object} fields - { type, title, date, startTime, endTime, location }
+     *                          Dates are YYYY-MM-DD and times HH:MM (24-hour).
+     *                          Without a start time the event lasts all day;
+     *                          without an end time it is a point in time (a deadline)
+     * @returns {Object} Event for course.events
+     */
+    createEvent(fields) {
+        const event = {
+            type: String(fields.type || 'Exam').trim(),
+            title: String(fields.title || '').trim(),
+            date: String(fields.date || '').trim(),
+            startTime: this.normalizeTime(fields.startTime),
+            endTime: this.normalizeTime(fields.endTime),
+            location: String(fields.location || '').trim()
+        };
+
+        const Holidays = typeof HolidayCalendar !== 'undefined' ? HolidayCalendar : require('./holidays');
+        if (!Holidays.isDate(event.date)) {
+            throw new Error(`Invalid event date: "${fields.date || ''}" (expected YYYY-MM-DD)`);
+        }
+        if (event.startTime === undefined || event.endTime === undefined) {
+            throw new Error(`Invalid event time for ${event.date} (expected HH:MM)`);
+        }
+        if (event.endTime && !event.startTime) {
+            throw new Error(`Event on ${event.date} has an end time but no start time`);
+        }
+        if (event.endTime && event.endTime < event.startTime) {
+            throw new Error(`Event on ${event.date} ends (${event.endTime}) before it starts (${event.startTime})`);
+        }
+
+        return event;
+    }
+
+    /**
+     * Add a one-off event to a course
+     * @returns {Object} The added event
+     */
+    addEvent(course, fields) {
+        const event = this.createEvent(fields);
+
+        if (!course.events) course.events = [];
+        course.events.push(event);
+        course.events.sort((a, b) => (a.date + (a.startTime || '')).localeCompare(b.date + (b.startTime || '')));
+
+        return event;
+    }
+
+    removeEvent(course, event) {
+        const index = (course.events || []).indexOf(event);
+        if (index >= 0) course.events.splice(index, 1);
+    }
+
+    /**
+     * Read a pasted exam schedule, one exam per line, e.g.
+     * "CPSC 110 101  Final Exam  Dec 10, 2025  12:00 PM - 2:30 PM  OSBO A"
+     * Lines without a course code (headers) are ignored
+     * @param {string} text - Pasted text (tabs, "|" or runs of spaces between cells)
+     * @param {Array} courses - Parsed courses to attach the events to
+     * @returns {Object} { events: [{ course, event }], unmatched: [{ line, reason }] }
+     */
+    parse(text, courses) {
+        const result = { events: [], unmatched: [] };
+
+        for (const rawLine of String(text || '').split(/\r?\n/)) {
+            const line = rawLine.trim();
+            const code = line.match(/\b([A-Z]{2,4})(?:_[A-Z])?\s*(\d{3}[A-Z]?)\b(?:\s*-\s*|\s+)?([A-Z0-9]{3})?\b/);
+            if (!code) continue;
+
+            const courseCode = `${code[1]} ${code[2]}`;
+            const course = this.findCourse(courses, courseCode, code[3]);
+            if (!course) {
+                result.unmatched.push({ line, reason: `${courseCode} isn't in this schedule` });
+                continue;
+            }
+
+            const date = this.findDate(line, course);
+            if (!date) {
+                result.unmatched.push({ line, reason: 'No date found' });
+                continue;
+            }
+
+            const times = this.findTimes(line);
+            const type = this.findType(line);
+            const used = [code[0], date.text, ...times.map(time => time.text)];
+
+            try {
+                const event = this.createEvent({
+                    type: type,
+                    date: date.value,
+                    startTime: times[0] ? times[0].value : '',
+                    endTime: times[1] ? times[1].value : '',
+                    location: this.findLocation(line, used)
+                });
+                result.events.push({ course, event });
+            } catch (error) {
+                result.unmatched.push({ line, reason: error.message });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Add parsed events to their courses, skipping ones already there
+     * @returns {number} Number of events added
+     */
+    attach(parsed) {
+        let added = 0;
+
+        for (const { course, event } of parsed.events) {
+            const exists = (course.events || []).some(existing =>
+                existing.type === event.type && existing.date === event.date && existing.startTime === event.startTime);
+            if (!exists) {
+                this.addEvent(course, event);
+                added++;
+            }
+        }
+
+        return added;
+    }
+
+    /**
+     * Find the section an exam belongs to: the named section, else the
+     * course's lecture, else its first section
+     */
+    findCourse(courses, code, section) {
+        const matches = (courses || []).filter(course => course.code === code);
+        if (section) {
+            const exact = matches.find(course => course.key === `${code} ${section}`);
+            if (exact) return exact;
+        }
+
+        return matches.find(course => !course.format || course.format === 'Lecture') || matches[0] || null;
+    }
+
+    /**
+     * Find a date as YYYY-MM-DD or "Dec 10, 2025"; without a year, the year
+     * the course ends in is used
+     * @returns {Object|null} { value, text }
+     */
+    findDate(line, course) {
+        const iso = line.match(/\b(\d{4})[-/](\d{2})[-/](\d{2})\b/);
+        if (iso) {
+            return { value: `${iso[1]}-${iso[2]}-${iso[3]}`, text: iso[0] };
+        }
+
+        const named = line.match(/\b(?:(?:mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?,?\s+)?(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?/i);
+        if (!named) return null;
+
+        const month = this.months.indexOf(named[1].toLowerCase()) + 1;
+        const year = named[3] || this.getCourseEndYear(course);
+        if (!year) return null;
+
+        return {
+            value: `${year}-${String(month).padStart(2, '0')}-${named[2].padStart(2, '0')}`,
+            text: named[0]
+        };
+    }
+
+    getCourseEndYear(course) {
+        const dates = [course.endDate, ...(course.meetings || []).map(meeting => meeting.endDate)]
+            .filter(date => date)
+            .sort();
+        return dates.length > 0 ? dates[dates.length - 1].slice(0, 4) : null;
+    }
+
+    /**
+     * Find times such as "12:00 PM", "7 p.m." or "14:00"
+     * @returns {Array} Array of { value (HH:MM), text }
+     */
+    findTimes(line) {
+        const times = [];
+        const pattern = /\b(\d{1,2})(?::(\d{2}))?\s*([ap])\.?\s*m\b\.?|\b(\d{1,2}):(\d{2})\b/gi;
+        let match;
+
+        while ((match = pattern.exec(line)) !== null) {
+            let hours;
+            let minutes;
+            if (match[3]) {
+                hours = Number(match[1]) % 12 + (match[3].toLowerCase() === 'p' ? 12 : 0);
+                minutes = Number(match[2] || 0);
+            } else {
+                hours = Number(match[4]);
+                minutes = Number(match[5]);
+            }
+
+            if (hours < 24 && minutes < 60) {
+                times.push({
+                    value: `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`,
+                    text: match[0]
+                });
+            }
+        }
+
+        return times;
+    }
+
+    findType(line) {
+        const match = this.types.find(({ pattern }) => pattern.test(line));
+        return match ? match.type : 'Final Exam';
+    }
+
+    /**
+     * Treat the cells left over after the course, date, times and type as the location
+     */
+    findLocation(line, used) {
+        let rest = line;
+        for (const text of used) {
+            rest = rest.replace(text, '\t');
+        }
+        for (const { pattern } of this.types) {
+            rest = rest.replace(new RegExp(pattern.source, 'gi'), '\t');
+        }
+
+        return rest
+            .split(/\t|\||\s{2,}|\s+-\s+/)
+            .map(cell => cell.replace(/^[\s,-]+|[\s,-]+$/g, ''))
+            .filter(cell => cell && !/^(to|at|on|ubcv?|vancouver|okanagan)$/i.test(cell))
+            .join(' ');
+    }
+
+    /**
+     * Read a time as HH:MM
+     * @returns {string|undefined} HH:MM, '' when empty, or undefined when invalid
+     */
+    normalizeTime(time) {
+        if (time === null || time === undefined || String(time).trim() === '') return '';
+
+        const match = String(time).trim().match(/^(\d{1,2}):(\d{2})$/);
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return undefined;
+
+        return `${match[1].padStart(2, '0')}:${match[2]}`;
+    }
+
+    /**
+     * Describe an event for display, e.g. "Final Exam"
+     */
+    getLabel(event) {
+        return event.title || event.type;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExamSchedule;
+}
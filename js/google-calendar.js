@@ -0,0 +1,327 @@
+/**
+ * Google Calendar module for adding a schedule straight to a Google account
+ *
+ * Classes go to their own "UBC Courses" calendar through the Google Calendar
+ * REST API. Events are matched by their iCalendar UID, so exporting again
+ * updates them instead of adding copies. Requests go through a replaceable
+ * HTTP function, and sign-in through a replaceable auth object, so both can
+ * be pointed at a stand-in server.
+ */
+
+class GoogleCalendarError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'GoogleCalendarError';
+        this.status = status;
+    }
+}
+
+/**
+ * Client-side OAuth with Google Identity Services (token model)
+ */
+class GoogleAuth {
+    /**
+     * @param {Object} options
+     * @param {string} options.clientId - OAuth client ID for this site
+     * @param {string} options.scope - Access to ask for (default: calendars and events)
+     */
+    constructor(options = {}) {
+        this.clientId = options.clientId;
+        this.scope = options.scope || 'https://www.googleapis.com/auth/calendar';
+        this.libraryUrl = 'https://accounts.google.com/gsi/client';
+        this.token = null;
+        this.expiresAt = 0;
+    }
+
+    /**
+     * Get an access token, asking the user to sign in when there's no valid one
+     * @returns {Promise<string>}
+     */
+    async getAccessToken() {
+        if (this.token && Date.now() < this.expiresAt) {
+            return this.token;
+        }
+
+        await this.loadLibrary();
+        const response = await new Promise((resolve, reject) => {
+            const client = window.google.accounts.oauth2.initTokenClient({
+                client_id: this.clientId,
+                scope: this.scope,
+                callback: resolve,
+                error_callback: (error) => reject(new GoogleCalendarError(401, `Google sign-in failed: ${error.message || error.type}`))
+            });
+            client.requestAccessToken();
+        });
+
+        if (response.error) {
+            throw new GoogleCalendarError(401, `Google sign-in failed: ${response.error_description || response.error}`);
+        }
+
+        this.token = response.access_token;
+        // Renew a minute early
+        this.expiresAt = Date.now() + (Number(response.expires_in) - 60) * 1000;
+        return this.token;
+    }
+
+    /**
+     * Forget the token, e.g. after the API rejects it
+     */
+    clearToken() {
+        this.token = null;
+        this.expiresAt = 0;
+    }
+
+    loadLibrary() {
+        if (window.google && window.google.accounts && window.google.accounts.oauth2) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = this.libraryUrl;
+            script.async = true;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new GoogleCalendarError(0, 'Couldn\'t load Google sign-in. Are you online?'));
+            document.head.appendChild(script);
+        });
+    }
+}
+
+class GoogleCalendarExporter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.auth - Has getAccessToken() and clearToken(), e.g. a GoogleAuth
+     * @param {Function} options.http - Sends { method, url, headers, body } and resolves to
+     *                                  { status, body } with the body parsed (default: fetch)
+     * @param {string} options.apiBase - Calendar API address (default Google's)
+     * @param {string} options.calendarName - Calendar the classes go in (default "UBC Courses")
+     */
+    constructor(options = {}) {
+        this.auth = options.auth;
+        this.http = options.http || GoogleCalendarExporter.fetchJSON;
+        this.apiBase = (options.apiBase || 'https://www.googleapis.com/calendar/v3').replace(/\/+$/, '');
+        this.calendarName = options.calendarName || 'UBC Courses';
+        this.fingerprintKey = 'workdayCalFingerprint';
+    }
+
+    /**
+     * Default HTTP function, using fetch
+     */
+    static async fetchJSON(request) {
+        const response = await fetch(request.url, {
+            method: request.method,
+            headers: request.headers,
+            body: request.body
+        });
+        const text = await response.text();
+
+        let body = null;
+        try {
+            body = text ? JSON.parse(text) : null;
+        } catch (error) {
+            body = { error: { message: text } };
+        }
+        return { status: response.status, body };
+    }
+
+    /**
+     * Add or update the courses' events in the "UBC Courses" calendar,
+     * creating the calendar the first time
+     * @param {Array} courses - Parsed courses
+     * @param {CalendarGenerator} generator - Builds the events (holidays, reminders, UIDs)
+     * @returns {Promise<Object>} { calendarId, created, updated, unchanged }
+     */
+    async exportCourses(courses, generator) {
+        const timeZone = generator.timezone;
+        const events = generator.createEvents(courses)
+            .filter(event => event.dtstart && event.dtend);
+        const calendar = await this.findOrCreateCalendar(timeZone);
+        const result = { calendarId: calendar.id, created: 0, updated: 0, unchanged: 0 };
+
+        // Series first, so their changed classes have instances to replace
+        const seriesIds = new Map();
+        for (const event of events.filter(event => !event.recurrenceId)) {
+            const body = this.toGoogleEvent(event, timeZone, generator.getEventFingerprint(event));
+            const { id, outcome } = await this.saveEvent(calendar.id, body);
+            seriesIds.set(event.uid, id);
+            result[outcome]++;
+        }
+
+        for (const event of events.filter(event => event.recurrenceId)) {
+            const seriesId = seriesIds.get(event.uid);
+            const body = this.toGoogleEvent(event, timeZone, generator.getEventFingerprint(event));
+            const outcome = await this.saveChangedClass(calendar.id, seriesId, event.recurrenceId, body, timeZone);
+            result[outcome]++;
+        }
+
+        return result;
+    }
+
+    /**
+     * Find the calendar by name among the user's own calendars, or create it
+     */
+    async findOrCreateCalendar(timeZone) {
+        let pageToken = null;
+        do {
+            const page = await this.request('GET', '/users/me/calendarList', null, {
+                minAccessRole: 'owner',
+                pageToken: pageToken
+            });
+            const calendar = (page.items || []).find(item => item.summary === this.calendarName);
+            if (calendar) return calendar;
+            pageToken = page.nextPageToken;
+        } while (pageToken);
+
+        return this.request('POST', '/calendars', {
+            summary: this.calendarName,
+            description: 'Course schedule imported from UBC Workday',
+            timeZone: timeZone
+        });
+    }
+
+    /**
+     * Insert an event, or update the one with the same iCalendar UID
+     * @returns {Promise<Object>} { id, outcome } where outcome is created, updated or unchanged
+     */
+    async saveEvent(calendarId, body) {
+        const path = `/calendars/${encodeURIComponent(calendarId)}/events`;
+
+        // Deleted events keep their UID, so look for those too and bring them back
+        const matches = await this.request('GET', path, null, { iCalUID: body.iCalUID, showDeleted: 'true' });
+        const existing = (matches.items || [])[0];
+
+        if (!existing) {
+            const created = await this.request('POST', path, body);
+            return { id: created.id, outcome: 'created' };
+        }
+
+        if (existing.status !== 'cancelled' && this.getFingerprint(existing) === this.getFingerprint(body)) {
+            return { id: existing.id, outcome: 'unchanged' };
+        }
+
+        const updated = await this.request('PUT', `${path}/${encodeURIComponent(existing.id)}`, body);
+        return { id: updated.id, outcome: 'updated' };
+    }
+
+    /**
+     * Replace one class of a series with its changed time or room
+     * @param {string} recurrenceId - Original start, e.g. "20251020T090000"
+     * @returns {Promise<string>} updated or unchanged
+     */
+    async saveChangedClass(calendarId, seriesId, recurrenceId, body, timeZone) {
+        const path = `/calendars/${encodeURIComponent(calendarId)}/events`;
+        const instances = await this.request('GET', `${path}/${encodeURIComponent(seriesId)}/instances`, null, {
+            timeZone: timeZone,
+            showDeleted: 'true',
+            maxResults: 2500
+        });
+
+        const originalStart = this.formatDateTime(recurrenceId).slice(0, 16);
+        const instance = (instances.items || []).find(item => item.originalStartTime
+            && (item.originalStartTime.dateTime || '').slice(0, 16) === originalStart);
+        if (!instance) {
+            throw new GoogleCalendarError(404, `No class at ${originalStart.replace('T', ' ')} in ${body.summary} to change`);
+        }
+
+        if (instance.status !== 'cancelled' && this.getFingerprint(instance) === this.getFingerprint(body)) {
+            return 'unchanged';
+        }
+
+        // Instances keep the series' UID
+        const changes = { ...body };
+        delete changes.iCalUID;
+        await this.request('PATCH', `${path}/${encodeURIComponent(instance.id)}`, changes);
+        return 'updated';
+    }
+
+    /**
+     * Convert a generated event to the Calendar API's format
+     * @param {Object} event - From CalendarGenerator.createEvents
+     * @param {string} fingerprint - Kept on the event to skip unchanged ones next time
+     */
+    toGoogleEvent(event, timeZone, fingerprint) {
+        const body = {
+            iCalUID: event.uid,
+            summary: event.summary,
+            description: event.description || '',
+            location: event.location || '',
+            start: this.formatTime(event.dtstart, event.allDay, timeZone),
+            end: this.formatTime(event.dtend, event.allDay, timeZone),
+            status: 'confirmed',
+            reminders: { useDefault: false, overrides: [] },
+            extendedProperties: { private: { [this.fingerprintKey]: fingerprint } }
+        };
+
+        if (event.rrule) {
+            body.recurrence = [`RRULE:${event.rrule}`];
+            if (event.exdates && event.exdates.length > 0) {
+                body.recurrence.push(`EXDATE;TZID=${timeZone}:${event.exdates.join(',')}`);
+            }
+        }
+
+        if (event.alarm !== null && event.alarm !== undefined) {
+            body.reminders.overrides.push({ method: 'popup', minutes: event.alarm });
+        }
+
+        return body;
+    }
+
+    /**
+     * Convert an ICS date ("20251020") or local date-time ("20251020T090000")
+     */
+    formatTime(value, allDay, timeZone) {
+        if (allDay) {
+            return { date: `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}` };
+        }
+        return { dateTime: this.formatDateTime(value), timeZone: timeZone };
+    }
+
+    formatDateTime(value) {
+        return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}T${value.slice(9, 11)}:${value.slice(11, 13)}:${value.slice(13, 15)}`;
+    }
+
+    getFingerprint(event) {
+        const properties = event.extendedProperties && event.extendedProperties.private;
+        return properties ? properties[this.fingerprintKey] : undefined;
+    }
+
+    /**
+     * Call the API, signing in again once if the token has expired
+     * @returns {Promise<Object>} Response body
+     */
+    async request(method, path, body, query = {}, retried = false) {
+        const params = Object.entries(query)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+        const url = `${this.apiBase}${path}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+
+        const token = await this.auth.getAccessToken();
+        const headers = { 'Authorization': `Bearer ${token}` };
+        if (body) headers['Content-Type'] = 'application/json';
+
+        const response = await this.http({
+            method: method,
+            url: url,
+            headers: headers,
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (response.status === 401 && !retried) {
+            this.auth.clearToken();
+            return this.request(method, path, body, query, true);
+        }
+
+        if (response.status < 200 || response.status >= 300) {
+            const message = response.body && response.body.error && response.body.error.message;
+            throw new GoogleCalendarError(response.status, message || `Google Calendar responded ${response.status}`);
+        }
+        return response.body || {};
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GoogleCalendarExporter;
+    module.exports.GoogleCalendarError = GoogleCalendarError;
+    module.exports.GoogleAuth = GoogleAuth;
+}
@@ -0,0 +1,263 @@
+/**
+ * Holiday and break calendar module for skipping days without classes
+ */
+
+class HolidayCalendar {
+    /**
+     * @param {Object} options
+     * @param {boolean} options.includeBuiltIn - Include UBC statutory holidays and breaks (default true)
+     * @param {Array} options.additions - Extra dates or ranges to skip (see addException)
+     */
+    constructor(options = {}) {
+        this.includeBuiltIn = options.includeBuiltIn !== false;
+        this.additions = [];
+        this.cache = new Map();
+
+        (options.additions || []).forEach(addition => this.addException(addition));
+    }
+
+    /**
+     * Check for a real YYYY-MM-DD date (not "2025-13-45" or "2025-02-30")
+     */
+    static isDate(text) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(text));
+        if (!match) return false;
+
+        const [year, month, day] = match.slice(1).map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    }
+
+    /**
+     * Add a user-supplied date or date range to skip
+     * Accepts "2025-10-14", "2025-10-14 - 2025-10-16" or { startDate, endDate, name }
+     */
+    addException(addition) {
+        let entry = addition;
+
+        if (typeof addition === 'string') {
+            const match = addition.trim().match(/^(\d{4}-\d{2}-\d{2})(?:\s*(?:-|to)\s*(\d{4}-\d{2}-\d{2}))?$/);
+            if (!match) {
+                throw new Error(`Invalid date to skip: "${addition}" (expected YYYY-MM-DD)`);
+            }
+            entry = { startDate: match[1], endDate: match[2] || match[1] };
+        }
+
+        if (!entry || !entry.startDate) {
+            throw new Error('Invalid date to skip: a start date is required');
+        }
+
+        const endDate = entry.endDate || entry.startDate;
+        for (const date of [entry.startDate, endDate]) {
+            if (!HolidayCalendar.isDate(date)) {
+                throw new Error(`Invalid date to skip: "${date}" (expected YYYY-MM-DD)`);
+            }
+        }
+        if (endDate < entry.startDate) {
+            throw new Error(`Invalid date range to skip: ${entry.startDate} is after ${endDate}`);
+        }
+
+        this.additions.push({
+            startDate: entry.startDate,
+            endDate: endDate,
+            name: entry.name || 'No classes',
+            type: 'custom'
+        });
+    }
+
+    /**
+     * Parse a free-form list of dates and ranges (comma or newline separated)
+     */
+    addExceptionsFromText(text) {
+        if (!text) return;
+
+        text.split(/[\n,;]+/)
+            .map(part => part.trim())
+            .filter(part => part)
+            .forEach(part => this.addException(part));
+    }
+
+    /**
+     * Remove all user-supplied additions
+     */
+    clearExceptions() {
+        this.additions = [];
+    }
+
+    /**
+     * Get the built-in UBC holidays and breaks for a calendar year
+     * @param {number} year
+     * @returns {Array} Array of { date, name, type } sorted by date
+     */
+    getBuiltInHolidays(year) {
+        if (this.cache.has(year)) {
+            return this.cache.get(year);
+        }
+
+        const holidays = [];
+        const add = (date, name, type = 'holiday') => {
+            holidays.push({ date: this.formatDate(date), name, type });
+        };
+
+        // Statutory holidays observed by UBC
+        add(this.observed(this.utcDate(year, 1, 1)), "New Year's Day");
+        const familyDay = this.nthWeekday(year, 2, 1, 3);
+        add(familyDay, 'Family Day');
+
+        const easter = this.easterSunday(year);
+        add(this.addDays(easter, -2), 'Good Friday');
+        add(this.addDays(easter, 1), 'Easter Monday');
+
+        add(this.victoriaDay(year), 'Victoria Day');
+        add(this.observed(this.utcDate(year, 7, 1)), 'Canada Day');
+        add(this.nthWeekday(year, 8, 1, 1), 'BC Day');
+        add(this.nthWeekday(year, 9, 1, 1), 'Labour Day');
+        add(this.observed(this.utcDate(year, 9, 30)), 'National Day for Truth and Reconciliation');
+        add(this.nthWeekday(year, 10, 1, 2), 'Thanksgiving');
+        add(this.observed(this.utcDate(year, 11, 11)), 'Remembrance Day');
+
+        const christmas = this.observed(this.utcDate(year, 12, 25));
+        add(christmas, 'Christmas Day');
+        // Boxing Day moves past Christmas when Christmas itself was moved
+        let boxingDay = this.observed(this.utcDate(year, 12, 26));
+        if (this.formatDate(boxingDay) === this.formatDate(christmas)) {
+            boxingDay = this.addDays(christmas, 1);
+        }
+        add(boxingDay, 'Boxing Day');
+
+        // February midterm break: the teaching week that contains Family Day
+        for (let offset = 1; offset <= 4; offset++) {
+            add(this.addDays(familyDay, offset), 'Midterm Break', 'break');
+        }
+
+        holidays.sort((a, b) => a.date.localeCompare(b.date));
+        this.cache.set(year, holidays);
+        return holidays;
+    }
+
+    /**
+     * Get every skipped date between two dates (inclusive)
+     * @param {string} startDate - YYYY-MM-DD
+     * @param {string} endDate - YYYY-MM-DD
+     * @returns {Array} Array of { date, name, type } sorted by date
+     */
+    getExclusions(startDate, endDate) {
+        if (!startDate || !endDate) return [];
+
+        const exclusions = new Map();
+        const startYear = parseInt(startDate.split('-')[0]);
+        const endYear = parseInt(endDate.split('-')[0]);
+
+        if (this.includeBuiltIn) {
+            for (let year = startYear; year <= endYear; year++) {
+                for (const holiday of this.getBuiltInHolidays(year)) {
+                    if (holiday.date >= startDate && holiday.date <= endDate) {
+                        exclusions.set(holiday.date, holiday);
+                    }
+                }
+            }
+        }
+
+        for (const addition of this.additions) {
+            if (addition.endDate < startDate || addition.startDate > endDate) continue;
+
+            let current = this.parseDate(addition.startDate);
+            const last = this.parseDate(addition.endDate);
+            while (current <= last) {
+                const date = this.formatDate(current);
+                if (date >= startDate && date <= endDate && !exclusions.has(date)) {
+                    exclusions.set(date, { date, name: addition.name, type: addition.type });
+                }
+                current = this.addDays(current, 1);
+            }
+        }
+
+        return Array.from(exclusions.values()).sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Check whether classes are skipped on a date
+     * @param {string} date - YYYY-MM-DD
+     */
+    isExcluded(date) {
+        return this.getExclusions(date, date).length > 0;
+    }
+
+    /**
+     * Compute Easter Sunday (anonymous Gregorian algorithm)
+     */
+    easterSunday(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+        return this.utcDate(year, month, day);
+    }
+
+    /**
+     * Victoria Day: the last Monday before May 25
+     */
+    victoriaDay(year) {
+        const may24 = this.utcDate(year, 5, 24);
+        const daysBack = (may24.getUTCDay() + 6) % 7;
+        return this.addDays(may24, -daysBack);
+    }
+
+    /**
+     * Get the nth occurrence of a weekday in a month (weekday: 0 = Sunday)
+     */
+    nthWeekday(year, month, weekday, n) {
+        const first = this.utcDate(year, month, 1);
+        const offset = (weekday - first.getUTCDay() + 7) % 7;
+        return this.addDays(first, offset + (n - 1) * 7);
+    }
+
+    /**
+     * Move a holiday that falls on a weekend to the following Monday
+     */
+    observed(date) {
+        const day = date.getUTCDay();
+        if (day === 6) return this.addDays(date, 2);
+        if (day === 0) return this.addDays(date, 1);
+        return date;
+    }
+
+    utcDate(year, month, day) {
+        return new Date(Date.UTC(year, month - 1, day));
+    }
+
+    addDays(date, days) {
+        const result = new Date(date.getTime());
+        result.setUTCDate(result.getUTCDate() + days);
+        return result;
+    }
+
+    parseDate(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return this.utcDate(year, month, day);
+    }
+
+    formatDate(date) {
+        const year = date.getUTCFullYear();
+        const month = (date.getUTCMonth() + 1).toString().padStart(2, '0');
+        const day = date.getUTCDate().toString().padStart(2, '0');
+
+        return `${year}-${month}-${day}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HolidayCalendar;
+}
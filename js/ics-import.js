@@ -0,0 +1,419 @@
+/**
+ * ICS import module for reading a calendar exported by this converter back
+ * into courses, so a schedule can be edited without the original export
+ *
+ * Courses come from the X-WORKDAY- properties CalendarGenerator writes on
+ * every event. Calendars exported before those were added are read from the
+ * event titles and descriptions instead. Holidays and breaks aren't part of
+ * a course, so skipped dates are only kept for classes that were cancelled
+ * (or, in those older calendars, any that aren't UBC holidays).
+ */
+
+class ICSImporter {
+    constructor() {
+        this.dayCodes = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+    }
+
+    /**
+     * Restore courses from an ICS file
+     * @param {string} text - ICS contents
+     * @param {Object} diagnostics - Optional report to add counts and warnings to
+     *                               (see WorkdayParser.createDiagnostics)
+     * @returns {Array} Array of parsed courses, without keys
+     */
+    parse(text, diagnostics = null) {
+        const events = this.readEvents(text);
+        const courses = new Map();
+        const series = new Map();
+        const warn = (message, value = '') => {
+            if (diagnostics) diagnostics.warnings.push({ row: null, sheet: null, message, value });
+        };
+
+        if (diagnostics) {
+            diagnostics.courseRows = events.length;
+            diagnostics.meetingLines = events.filter(event => event.rrule).length;
+        }
+
+        const getCourse = (fields) => {
+            const key = [fields.code, fields.section, fields.format].join('|');
+            if (!courses.has(key)) {
+                const { startDate, endDate, ...course } = fields;
+                if (startDate) course.startDate = startDate;
+                if (endDate) course.endDate = endDate;
+                courses.set(key, { student: null, ...course, meetings: [] });
+            }
+            return courses.get(key);
+        };
+
+        // Series first, so changed classes can find theirs
+        const ordered = [
+            ...events.filter(event => !event.recurrenceId),
+            ...events.filter(event => event.recurrenceId)
+        ];
+
+        for (const event of ordered) {
+            const fields = this.getCourseFields(event);
+            if (!fields) {
+                warn('Skipped an event that wasn\'t exported by this converter', event.summary);
+                continue;
+            }
+
+            if (event.recurrenceId) {
+                const meeting = series.get(event.uid);
+                if (!meeting) {
+                    warn(`${fields.code}: skipped a changed class without its recurring event`, event.summary);
+                    continue;
+                }
+                this.addOverride(meeting.course, meeting, event);
+            } else if (event.rrule) {
+                const meeting = this.addMeetings(getCourse(fields), event);
+                if (!meeting) {
+                    warn(`${fields.code}: couldn't read the repeating schedule`, event.rrule);
+                    if (diagnostics) diagnostics.unparsedMeetings.push({ row: null, sheet: null, line: event.rrule });
+                    continue;
+                }
+                series.set(event.uid, meeting);
+            } else {
+                this.addOneOffEvent(getCourse(fields), event);
+            }
+
+            if (diagnostics) diagnostics.coursesParsed++;
+        }
+
+        // Courses without their own dates span their meetings
+        for (const course of courses.values()) {
+            const starts = course.meetings.map(meeting => meeting.startDate).sort();
+            const ends = course.meetings.map(meeting => meeting.endDate).sort();
+            if (!course.startDate && starts.length > 0) course.startDate = starts[0];
+            if (!course.endDate && ends.length > 0) course.endDate = ends[ends.length - 1];
+        }
+
+        return Array.from(courses.values());
+    }
+
+    /**
+     * Read the VEVENTs of a calendar, leaving out their alarms
+     * @returns {Array} Array of { uid, recurrenceId, dtstart, dtend, allDay, rrule,
+     *                  exdates, summary, description, location, categories, properties }
+     */
+    readEvents(text) {
+        // Long lines are folded onto lines starting with a space or tab
+        const lines = String(text).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const events = [];
+        const components = [];
+        let event = null;
+
+        for (const line of lines) {
+            const property = this.parseLine(line);
+            if (!property) continue;
+
+            if (property.name === 'BEGIN') {
+                components.push(property.value.toUpperCase());
+                if (property.value.toUpperCase() === 'VEVENT') {
+                    event = { exdates: [], properties: {} };
+                }
+                continue;
+            }
+            if (property.name === 'END') {
+                if (components.pop() === 'VEVENT' && event) {
+                    events.push(event);
+                    event = null;
+                }
+                continue;
+            }
+            if (!event || components[components.length - 1] !== 'VEVENT') continue;
+
+            switch (property.name) {
+                case 'UID':
+                    event.uid = property.value;
+                    break;
+                case 'RECURRENCE-ID':
+                    event.recurrenceId = property.value;
+                    break;
+                case 'DTSTART':
+                    event.dtstart = property.value;
+                    event.allDay = property.params.VALUE === 'DATE' || /^\d{8}$/.test(property.value);
+                    break;
+                case 'DTEND':
+                    event.dtend = property.value;
+                    break;
+                case 'RRULE':
+                    event.rrule = property.value;
+                    break;
+                case 'EXDATE':
+                    event.exdates.push(...property.value.split(','));
+                    break;
+                case 'SUMMARY':
+                case 'DESCRIPTION':
+                case 'LOCATION':
+                case 'CATEGORIES':
+                    event[property.name.toLowerCase()] = this.unescapeText(property.value);
+                    break;
+                default:
+                    if (property.name.startsWith('X-WORKDAY-')) {
+                        event.properties[property.name.slice('X-WORKDAY-'.length)] = property.value;
+                    }
+            }
+        }
+
+        return events.filter(event => event.dtstart);
+    }
+
+    /**
+     * Split a content line into its name, parameters and value
+     * e.g. "DTSTART;TZID=America/Vancouver:20250908T090000"
+     */
+    parseLine(line) {
+        const match = line.match(/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^;:]*))*):(.*)$/);
+        if (!match) return null;
+
+        const params = {};
+        for (const [, name, value] of match[2].matchAll(/;([A-Za-z0-9-]+)=("[^"]*"|[^;:]*)/g)) {
+            params[name.toUpperCase()] = value.replace(/^"|"$/g, '');
+        }
+        return { name: match[1].toUpperCase(), params, value: match[3] };
+    }
+
+    unescapeText(text) {
+        return text.replace(/\\([\\;,nN])/g, (match, character) => (character === 'n' || character === 'N' ? '\n' : character));
+    }
+
+    /**
+     * Get an event's course, from its X-WORKDAY- properties or else its
+     * title and description
+     * @returns {Object|null} { code, name, section, credits, instructor, format,
+     *                        delivery, status, startDate, endDate }, or null for
+     *                        events that aren't classes or exams
+     */
+    getCourseFields(event) {
+        const properties = event.properties;
+        const text = name => (properties[name] ? this.unescapeText(properties[name]) : '');
+
+        if (properties.COURSE) {
+            return {
+                code: text('COURSE'),
+                name: text('COURSE-NAME'),
+                section: text('SECTION'),
+                credits: text('CREDITS'),
+                instructor: text('INSTRUCTOR'),
+                format: text('FORMAT'),
+                delivery: text('DELIVERY'),
+                status: text('STATUS'),
+                startDate: text('START-DATE'),
+                endDate: text('END-DATE')
+            };
+        }
+
+        // e.g. "CPSC 110 - Computation, Programs, and Programming (Laboratory)"
+        const title = (event.summary || '').match(/^([A-Z]{2,5} \d{3}[A-Z]?) - (.+)$/);
+        if (!title) return null;
+
+        const details = {};
+        for (const line of (event.description || '').split('\n')) {
+            const detail = line.match(/^(Course|Section|Instructor|Credits|Format|Delivery|Status|Type): (.*)$/);
+            if (detail) details[detail[1]] = detail[2].trim();
+        }
+
+        const format = details.Format || '';
+        let name = details.Course ? details.Course.slice(title[1].length + 3) : title[2];
+        if (!details.Course && format && name.endsWith(` (${format})`)) {
+            name = name.slice(0, -format.length - 3);
+        }
+
+        return {
+            code: title[1],
+            name: name,
+            section: details.Section || '',
+            credits: details.Credits || '',
+            instructor: details.Instructor || '',
+            format: format,
+            delivery: details.Delivery || '',
+            status: details.Status || '',
+            startDate: '',
+            endDate: ''
+        };
+    }
+
+    /**
+     * Add the meetings of a recurring event to its course, with its
+     * cancelled classes
+     * @returns {Object|null} { course, startTime, endTime, location } to find
+     *                        its changed classes against
+     */
+    addMeetings(course, event) {
+        const rule = {};
+        for (const part of event.rrule.split(';')) {
+            const [name, value] = part.split('=');
+            rule[name.toUpperCase()] = value;
+        }
+
+        const days = (rule.BYDAY || '').split(',').filter(day => this.dayCodes.includes(day));
+        if (rule.FREQ !== 'WEEKLY' || days.length === 0 || !rule.UNTIL || event.allDay) {
+            return null;
+        }
+
+        const ranges = (event.properties['MEETING-DATES'] || '').split(',')
+            .map(range => range.split('/'))
+            .filter(range => range.length === 2 && range.every(date => /^\d{4}-\d{2}-\d{2}$/.test(date)));
+        if (ranges.length === 0) {
+            ranges.push([this.formatDate(event.dtstart), this.formatDate(rule.UNTIL)]);
+        }
+
+        const meeting = {
+            course: course,
+            startTime: this.formatTime(event.dtstart),
+            endTime: this.formatTime(event.dtend || event.dtstart),
+            location: this.getRoom(event)
+        };
+
+        for (const [startDate, endDate] of ranges) {
+            course.meetings.push({
+                startDate: startDate,
+                endDate: endDate,
+                days: days,
+                startTime: meeting.startTime,
+                endTime: meeting.endTime,
+                location: meeting.location
+            });
+        }
+
+        let cancelledClasses = (event.properties.CANCELLED || '').split(',').filter(value => value);
+        if (!event.properties.COURSE) {
+            // Older exports don't say which skipped dates were cancelled, so
+            // keep those that aren't holidays or breaks
+            const excluded = new Set(this.createRecurrence().getExcludedDates(course.meetings[course.meetings.length - 1]));
+            cancelledClasses = event.exdates.filter(exdate => !excluded.has(this.formatDate(exdate)));
+        }
+
+        for (const cancelled of cancelledClasses) {
+            this.addCourseOverride(course, {
+                date: this.formatDate(cancelled),
+                startTime: this.formatTime(cancelled),
+                cancelled: true
+            });
+        }
+
+        return meeting;
+    }
+
+    /**
+     * Turn a changed class (RECURRENCE-ID) back into the change made to it
+     */
+    addOverride(course, meeting, event) {
+        const fields = {
+            date: this.formatDate(event.recurrenceId),
+            startTime: this.formatTime(event.recurrenceId)
+        };
+        const date = this.formatDate(event.dtstart);
+        const startTime = this.formatTime(event.dtstart);
+        const endTime = event.dtend ? this.formatTime(event.dtend) : '';
+
+        if (date !== fields.date) fields.newDate = date;
+        if (startTime !== fields.startTime) fields.newStartTime = startTime;
+        const room = this.getRoom(event);
+        if (room !== meeting.location) fields.newLocation = room;
+
+        // A new start time alone keeps the class's length
+        const length = this.toMinutes(meeting.endTime) - this.toMinutes(meeting.startTime);
+        const expectedEnd = fields.newStartTime
+            ? this.formatMinutes(this.toMinutes(startTime) + length)
+            : meeting.endTime;
+        if (endTime && endTime !== expectedEnd) fields.newEndTime = endTime;
+
+        if (fields.newDate || fields.newStartTime || fields.newEndTime || fields.newLocation) {
+            this.addCourseOverride(course, fields);
+        }
+    }
+
+    addCourseOverride(course, fields) {
+        const override = this.createRecurrence().createOverride(fields);
+
+        if (!course.overrides) course.overrides = [];
+        course.overrides.push(override);
+        course.overrides.sort((a, b) => (a.date + a.startTime).localeCompare(b.date + b.startTime));
+    }
+
+    /**
+     * Recurrence engine with the built-in holidays
+     */
+    createRecurrence() {
+        const Recurrence = typeof RecurrenceEngine !== 'undefined' ? RecurrenceEngine : require('./recurrence');
+        return new Recurrence();
+    }
+
+    /**
+     * Add an exam, deadline or other one-off event to its course
+     */
+    addOneOffEvent(course, event) {
+        // Older exports only have the type in the description and categories
+        const typeLine = (event.description || '').match(/^Type: (.*)$/m);
+        const categories = (event.categories || '').split(',');
+        const type = event.properties['EVENT-TYPE']
+            ? this.unescapeText(event.properties['EVENT-TYPE'])
+            : (typeLine ? typeLine[1].trim() : categories[categories.length - 1] || 'Exam');
+
+        let title = event.properties['EVENT-TITLE'] ? this.unescapeText(event.properties['EVENT-TITLE']) : '';
+        if (!event.properties.COURSE) {
+            const label = (event.summary || '').slice(course.code.length + 3);
+            title = label !== type ? label : '';
+        }
+
+        const item = {
+            type: type,
+            title: title,
+            date: this.formatDate(event.dtstart),
+            startTime: event.allDay ? '' : this.formatTime(event.dtstart),
+            endTime: '',
+            location: this.getRoom(event)
+        };
+
+        // Deadlines are written ending when they start
+        if (!event.allDay && event.dtend && event.dtend !== event.dtstart) {
+            item.endTime = this.formatTime(event.dtend);
+        }
+
+        if (!course.events) course.events = [];
+        course.events.push(item);
+        course.events.sort((a, b) => (a.date + (a.startTime || '')).localeCompare(b.date + (b.startTime || '')));
+    }
+
+    /**
+     * The room as entered, which LOCATION may only show part of when the
+     * location template was changed
+     */
+    getRoom(event) {
+        if (event.properties.ROOM !== undefined) {
+            return this.unescapeText(event.properties.ROOM);
+        }
+        return event.location || '';
+    }
+
+    /**
+     * "20250908T090000" or "20250908" -> "2025-09-08"
+     */
+    formatDate(value) {
+        return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+    }
+
+    /**
+     * "20250908T090000" -> "09:00"
+     */
+    formatTime(value) {
+        return `${value.slice(9, 11)}:${value.slice(11, 13)}`;
+    }
+
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    formatMinutes(total) {
+        const minutes = Math.min(total, 23 * 60 + 59);
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ICSImporter;
+}
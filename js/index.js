@@ -0,0 +1,41 @@
+/**
+ * Node entry point exposing the converter modules
+ */
+
+const WorkdayParser = require('./parser');
+const ICSImporter = require('./ics-import');
+const ColumnMapper = require('./columns');
+const CalendarGenerator = require('./calendar');
+const HolidayCalendar = require('./holidays');
+const TimezoneBuilder = require('./timezone');
+const ReminderRules = require('./reminders');
+const EventTemplates = require('./templates');
+const ExamSchedule = require('./exams');
+const ConflictDetector = require('./conflicts');
+const RecurrenceEngine = require('./recurrence');
+const ScheduleDiff = require('./diff');
+const GoogleCalendarExporter = require('./google-calendar');
+const OutlookCalendarExporter = require('./outlook-calendar');
+const CalDAVExporter = require('./caldav');
+
+module.exports = {
+    WorkdayParser,
+    WorkdayParseError: WorkdayParser.WorkdayParseError,
+    ICSImporter,
+    ColumnMapper,
+    CalendarGenerator,
+    HolidayCalendar,
+    TimezoneBuilder,
+    ReminderRules,
+    EventTemplates,
+    ExamSchedule,
+    ConflictDetector,
+    RecurrenceEngine,
+    ScheduleDiff,
+    GoogleCalendarExporter,
+    GoogleCalendarError: GoogleCalendarExporter.GoogleCalendarError,
+    OutlookCalendarExporter,
+    OutlookCalendarError: OutlookCalendarExporter.OutlookCalendarError,
+    CalDAVExporter,
+    CalDAVError: CalDAVExporter.CalDAVError
+};
@@ -0,0 +1,425 @@
+/**
+ * Outlook calendar module for adding a schedule through Microsoft Graph
+ *
+ * Works with Microsoft 365 (e.g. UBC) and personal Outlook.com accounts.
+ * Classes are created as recurring events in a chosen calendar, then skipped
+ * dates are deleted from each series and moved classes are changed. Graph
+ * doesn't let events be created with an iCalendar UID, so each event carries
+ * its UID in an extended property and exporting again updates it. Requests
+ * go through a replaceable HTTP function, and sign-in through a replaceable
+ * auth object, so both can be pointed at a stand-in server.
+ */
+
+class OutlookCalendarError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'OutlookCalendarError';
+        this.status = status;
+    }
+}
+
+/**
+ * Client-side OAuth with the Microsoft Authentication Library (MSAL)
+ */
+class MicrosoftAuth {
+    /**
+     * @param {Object} options
+     * @param {string} options.clientId - Application (client) ID registered in Microsoft Entra
+     * @param {string} options.authority - Sign-in authority (default: work, school
+     *                                     and personal accounts)
+     * @param {Array} options.scopes - Access to ask for (default: read and write calendars)
+     */
+    constructor(options = {}) {
+        this.clientId = options.clientId;
+        this.authority = options.authority || 'https://login.microsoftonline.com/common';
+        this.scopes = options.scopes || ['Calendars.ReadWrite'];
+        this.libraryUrl = 'https://alcdn.msauth.net/browser/2.38.3/js/msal-browser.min.js';
+        this.client = null;
+        this.token = null;
+        this.expiresAt = 0;
+    }
+
+    /**
+     * Get an access token, asking the user to sign in when there's no valid one
+     * @returns {Promise<string>}
+     */
+    async getAccessToken() {
+        if (this.token && Date.now() < this.expiresAt) {
+            return this.token;
+        }
+
+        const client = await this.getClient();
+        const account = client.getAllAccounts()[0];
+        let result;
+        try {
+            if (!account) throw new Error('Not signed in');
+            result = await client.acquireTokenSilent({ scopes: this.scopes, account });
+        } catch (error) {
+            try {
+                result = await client.acquireTokenPopup({ scopes: this.scopes });
+            } catch (popupError) {
+                throw new OutlookCalendarError(401, `Microsoft sign-in failed: ${popupError.errorMessage || popupError.message}`);
+            }
+        }
+
+        this.token = result.accessToken;
+        // Renew a minute early
+        this.expiresAt = new Date(result.expiresOn).getTime() - 60000;
+        return this.token;
+    }
+
+    /**
+     * Forget the token, e.g. after the API rejects it
+     */
+    clearToken() {
+        this.token = null;
+        this.expiresAt = 0;
+    }
+
+    async getClient() {
+        if (!this.client) {
+            await this.loadLibrary();
+            this.client = new window.msal.PublicClientApplication({
+                auth: {
+                    clientId: this.clientId,
+                    authority: this.authority,
+                    redirectUri: window.location.origin + window.location.pathname
+                },
+                cache: { cacheLocation: 'sessionStorage' }
+            });
+        }
+        return this.client;
+    }
+
+    loadLibrary() {
+        if (window.msal && window.msal.PublicClientApplication) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = this.libraryUrl;
+            script.async = true;
+            script.onload = () => resolve();
+            script.onerror = () => reject(new OutlookCalendarError(0, 'Couldn\'t load Microsoft sign-in. Are you online?'));
+            document.head.appendChild(script);
+        });
+    }
+}
+
+class OutlookCalendarExporter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.auth - Has getAccessToken() and clearToken(), e.g. a MicrosoftAuth
+     * @param {Function} options.http - Sends { method, url, headers, body } and resolves to
+     *                                  { status, body } with the body parsed (default: fetch)
+     * @param {string} options.apiBase - Graph address (default Microsoft's)
+     * @param {string} options.calendarName - Calendar created when none is chosen
+     *                                        (default "UBC Courses")
+     */
+    constructor(options = {}) {
+        this.auth = options.auth;
+        this.http = options.http || OutlookCalendarExporter.fetchJSON;
+        this.apiBase = (options.apiBase || 'https://graph.microsoft.com/v1.0').replace(/\/+$/, '');
+        this.calendarName = options.calendarName || 'UBC Courses';
+
+        // Extended properties holding the iCalendar UID and a fingerprint of
+        // what was last sent (the GUID names this app's property set)
+        this.uidProperty = 'String {5f1c3a8e-2d4b-4c7a-9e6f-8b0d1a2c3e4f} Name WorkdayCalUid';
+        this.fingerprintProperty = 'String {5f1c3a8e-2d4b-4c7a-9e6f-8b0d1a2c3e4f} Name WorkdayCalFingerprint';
+
+        this.dayNames = {
+            'SU': 'sunday', 'MO': 'monday', 'TU': 'tuesday', 'WE': 'wednesday',
+            'TH': 'thursday', 'FR': 'friday', 'SA': 'saturday'
+        };
+    }
+
+    /**
+     * Default HTTP function, using fetch
+     */
+    static async fetchJSON(request) {
+        const response = await fetch(request.url, {
+            method: request.method,
+            headers: request.headers,
+            body: request.body
+        });
+        const text = await response.text();
+
+        let body = null;
+        try {
+            body = text ? JSON.parse(text) : null;
+        } catch (error) {
+            body = { error: { message: text } };
+        }
+        return { status: response.status, body };
+    }
+
+    /**
+     * List the calendars the signed-in user can add events to
+     * @returns {Promise<Array>} Array of { id, name, isDefault }
+     */
+    async listCalendars() {
+        const calendars = await this.requestAll('/me/calendars', { $select: 'id,name,canEdit,isDefaultCalendar' });
+
+        return calendars
+            .filter(calendar => calendar.canEdit !== false)
+            .map(calendar => ({ id: calendar.id, name: calendar.name, isDefault: Boolean(calendar.isDefaultCalendar) }));
+    }
+
+    /**
+     * Add or update the courses' events
+     * @param {Array} courses - Parsed courses
+     * @param {CalendarGenerator} generator - Builds the events (holidays, reminders, UIDs)
+     * @param {string|null} calendarId - Calendar to use; by default the "UBC Courses"
+     *                                   calendar, created the first time
+     * @returns {Promise<Object>} { calendarId, created, updated, unchanged }
+     */
+    async exportCourses(courses, generator, calendarId = null) {
+        const timezone = generator.timezoneBuilder;
+        const events = generator.createEvents(courses)
+            .filter(event => event.dtstart && event.dtend);
+        const calendar = calendarId ? { id: calendarId } : await this.findOrCreateCalendar();
+        const result = { calendarId: calendar.id, created: 0, updated: 0, unchanged: 0 };
+
+        for (const event of events.filter(event => !event.recurrenceId)) {
+            const body = this.toGraphEvent(event, timezone.tzid, generator.getEventFingerprint(event));
+            const { id, outcome } = await this.saveEvent(calendar.id, event.uid, body);
+            result[outcome]++;
+
+            // Graph series can't be created with exceptions, so apply them to its occurrences
+            const changed = events.filter(other => other.series === event);
+            if (event.rrule && (event.exdates.length > 0 || changed.length > 0)) {
+                const outcomes = await this.applyExceptions(id, event, changed, timezone);
+                for (const changedOutcome of outcomes) {
+                    result[changedOutcome]++;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Find the "UBC Courses" calendar, or create it
+     */
+    async findOrCreateCalendar() {
+        const calendars = await this.listCalendars();
+        const calendar = calendars.find(item => item.name === this.calendarName);
+        if (calendar) return calendar;
+
+        return this.request('POST', '/me/calendars', { name: this.calendarName });
+    }
+
+    /**
+     * Create an event, or update the one carrying the same iCalendar UID
+     * @returns {Promise<Object>} { id, outcome } where outcome is created, updated or unchanged
+     */
+    async saveEvent(calendarId, uid, body) {
+        const path = `/me/calendars/${encodeURIComponent(calendarId)}/events`;
+        const matches = await this.request('GET', path, null, {
+            $filter: `singleValueExtendedProperties/Any(ep: ep/id eq '${this.uidProperty}' and ep/value eq '${uid.replace(/'/g, '\'\'')}')`,
+            $expand: `singleValueExtendedProperties($filter=id eq '${this.fingerprintProperty}')`,
+            $select: 'id'
+        });
+        const existing = (matches.value || [])[0];
+
+        if (!existing) {
+            const created = await this.request('POST', path, body);
+            return { id: created.id, outcome: 'created' };
+        }
+
+        if (this.getFingerprint(existing) === this.getFingerprint(body)) {
+            return { id: existing.id, outcome: 'unchanged' };
+        }
+
+        await this.request('PATCH', `/me/events/${encodeURIComponent(existing.id)}`, body);
+        return { id: existing.id, outcome: 'updated' };
+    }
+
+    /**
+     * Delete the skipped occurrences of a series and change its moved classes
+     * @param {Array} changed - Changed-class events of this series
+     * @param {TimezoneBuilder} timezone - Zone the event times are in
+     * @returns {Promise<Array>} updated or unchanged for each changed class
+     */
+    async applyExceptions(seriesId, event, changed, timezone) {
+        const range = this.toGraphRecurrence(event.rrule, event.dtstart, timezone.tzid).range;
+        const occurrences = await this.requestAll(`/me/events/${encodeURIComponent(seriesId)}/instances`, {
+            startDateTime: `${range.startDate}T00:00:00`,
+            endDateTime: `${this.shiftDate(range.endDate, 1)}T00:00:00`,
+            $select: 'id,originalStart,start,end,location,subject'
+        }, { 'Prefer': `outlook.timezone="${timezone.tzid}"` });
+
+        const findOccurrence = (local) => {
+            const instant = timezone.getInstant(local).getTime();
+            return occurrences.find(occurrence => new Date(occurrence.originalStart).getTime() === instant);
+        };
+
+        for (const exdate of event.exdates) {
+            const occurrence = findOccurrence(exdate);
+            if (occurrence) {
+                await this.request('DELETE', `/me/events/${encodeURIComponent(occurrence.id)}`);
+            }
+        }
+
+        const outcomes = [];
+        for (const changedClass of changed) {
+            const occurrence = findOccurrence(changedClass.recurrenceId);
+            if (!occurrence) {
+                throw new OutlookCalendarError(404, `No class at ${this.formatDateTime(changedClass.recurrenceId).replace('T', ' ').slice(0, 16)} in ${event.summary} to change`);
+            }
+
+            const body = this.toGraphEvent(changedClass, timezone.tzid, '');
+            const current = [occurrence.start, occurrence.end].map(time => (time && time.dateTime || '').slice(0, 19));
+            const location = occurrence.location ? occurrence.location.displayName || '' : '';
+            if (current[0] === body.start.dateTime && current[1] === body.end.dateTime && location === body.location.displayName) {
+                outcomes.push('unchanged');
+                continue;
+            }
+
+            await this.request('PATCH', `/me/events/${encodeURIComponent(occurrence.id)}`, {
+                start: body.start,
+                end: body.end,
+                location: body.location,
+                body: body.body
+            });
+            outcomes.push('updated');
+        }
+        return outcomes;
+    }
+
+    /**
+     * Convert a generated event to Graph's format
+     * @param {Object} event - From CalendarGenerator.createEvents
+     * @param {string} fingerprint - Kept on the event to skip unchanged ones next time
+     */
+    toGraphEvent(event, timeZone, fingerprint) {
+        const body = {
+            subject: event.summary,
+            body: { contentType: 'text', content: event.description || '' },
+            location: { displayName: event.location || '' },
+            start: { dateTime: this.formatDateTime(event.dtstart), timeZone: timeZone },
+            end: { dateTime: this.formatDateTime(event.dtend), timeZone: timeZone },
+            isAllDay: Boolean(event.allDay),
+            isReminderOn: event.alarm !== null && event.alarm !== undefined,
+            singleValueExtendedProperties: [
+                { id: this.uidProperty, value: event.uid },
+                { id: this.fingerprintProperty, value: fingerprint }
+            ]
+        };
+
+        if (body.isReminderOn) {
+            body.reminderMinutesBeforeStart = event.alarm;
+        }
+
+        if (event.rrule) {
+            body.recurrence = this.toGraphRecurrence(event.rrule, event.dtstart, timeZone);
+        }
+
+        return body;
+    }
+
+    /**
+     * Convert a weekly RRULE, e.g. "FREQ=WEEKLY;UNTIL=20251201T235959;BYDAY=MO,WE"
+     */
+    toGraphRecurrence(rrule, dtstart, timeZone) {
+        const parts = {};
+        for (const part of rrule.split(';')) {
+            const [key, value] = part.split('=');
+            parts[key] = value;
+        }
+
+        return {
+            pattern: {
+                type: 'weekly',
+                interval: Number(parts.INTERVAL || 1),
+                daysOfWeek: parts.BYDAY.split(',').map(day => this.dayNames[day]),
+                firstDayOfWeek: 'sunday'
+            },
+            range: {
+                type: 'endDate',
+                startDate: this.formatDateTime(dtstart).slice(0, 10),
+                endDate: this.formatDateTime(parts.UNTIL).slice(0, 10),
+                recurrenceTimeZone: timeZone
+            }
+        };
+    }
+
+    /**
+     * Convert an ICS date ("20251020") or local date-time ("20251020T090000");
+     * dates become midnight, as Graph wants for all-day events
+     */
+    formatDateTime(value) {
+        const time = value.length > 8 ? value.slice(9) : '000000';
+        return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}T${time.slice(0, 2)}:${time.slice(2, 4)}:${time.slice(4, 6)}`;
+    }
+
+    shiftDate(dateStr, days) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+    }
+
+    getFingerprint(event) {
+        const property = (event.singleValueExtendedProperties || [])
+            .find(item => item.id.toLowerCase() === this.fingerprintProperty.toLowerCase());
+        return property ? property.value : undefined;
+    }
+
+    /**
+     * Call Graph for every page of a collection
+     * @returns {Promise<Array>} All items
+     */
+    async requestAll(path, query = {}, headers = {}) {
+        const items = [];
+        let page = await this.request('GET', path, null, query, headers);
+        items.push(...(page.value || []));
+
+        while (page['@odata.nextLink']) {
+            page = await this.request('GET', page['@odata.nextLink'], null, {}, headers);
+            items.push(...(page.value || []));
+        }
+        return items;
+    }
+
+    /**
+     * Call Graph, signing in again once if the token has expired
+     * @param {string} path - Path under apiBase, or a full URL (e.g. a next page link)
+     * @returns {Promise<Object>} Response body
+     */
+    async request(method, path, body = null, query = {}, headers = {}, retried = false) {
+        const params = Object.entries(query)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+        const base = /^https?:/.test(path) ? path : `${this.apiBase}${path}`;
+        const url = `${base}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+
+        const token = await this.auth.getAccessToken();
+        const requestHeaders = { ...headers, 'Authorization': `Bearer ${token}` };
+        if (body) requestHeaders['Content-Type'] = 'application/json';
+
+        const response = await this.http({
+            method: method,
+            url: url,
+            headers: requestHeaders,
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        if (response.status === 401 && !retried) {
+            this.auth.clearToken();
+            return this.request(method, path, body, query, headers, true);
+        }
+
+        if (response.status < 200 || response.status >= 300) {
+            const message = response.body && response.body.error && response.body.error.message;
+            throw new OutlookCalendarError(response.status, message || `Microsoft Graph responded ${response.status}`);
+        }
+        return response.body || {};
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OutlookCalendarExporter;
+    module.exports.OutlookCalendarError = OutlookCalendarError;
+    module.exports.MicrosoftAuth = MicrosoftAuth;
+}
@@ -2,10 +2,98 @@
  * Parser module for UBC Workday Excel schedule files
  */
 
+/**
+ * Error thrown when an export can't be read, carrying the diagnostics
+ * gathered so far and troubleshooting hints
+ */
+class WorkdayParseError extends Error {
+    constructor(message, diagnostics = null, hints = []) {
+        super(message);
+        this.name = 'WorkdayParseError';
+        this.diagnostics = diagnostics;
+        this.hints = hints;
+    }
+}
+
 class WorkdayParser {
     constructor() {
         this.headerRow = 6; // Headers are at row 6 (0-indexed: 5)
         this.dataStartRow = 7; // Data starts at row 7 (0-indexed: 6)
+        this.xlsx = typeof XLSX !== 'undefined' ? XLSX : require('xlsx');
+        
+        // Report from the most recent parse (see createDiagnostics)
+        this.diagnostics = null;
+        
+        // Finds each field's column from the headers
+        const Mapper = typeof ColumnMapper !== 'undefined' ? ColumnMapper : require('./columns');
+        this.columnMapper = new Mapper();
+        this.columnOverrides = {};
+        this.columnMapping = null;
+        this.columnMappingHeaders = null;
+        
+        // Sheet being parsed, for diagnostics on multi-sheet workbooks
+        this.currentSheet = null;
+    }
+
+    /**
+     * Parse an export in any supported format (Excel, CSV or HTML), or a
+     * calendar exported by this converter
+     * @param {ArrayBuffer|Uint8Array|string} data - File contents
+     * @param {string} fileName - Optional file name, used as a detection hint
+     * @returns {Array} Array of parsed courses
+     */
+    parse(data, fileName = '') {
+        switch (this.detectFormat(data, fileName)) {
+            case 'html':
+                return this.parseHTML(this.decodeText(data));
+            case 'csv':
+                return this.parseCSV(this.decodeText(data));
+            case 'ics':
+                return this.parseICS(this.decodeText(data));
+            default:
+                return this.parseExcel(data);
+        }
+    }
+
+    /**
+     * Parse an export and return the diagnostics report alongside the courses
+     * @returns {Object} { courses, diagnostics }
+     */
+    parseWithDiagnostics(data, fileName = '') {
+        const courses = this.parse(data, fileName);
+        return { courses, diagnostics: this.diagnostics };
+    }
+
+    /**
+     * Detect the format of an export from its contents, falling back to the
+     * file extension
+     * @returns {string} 'excel', 'csv', 'html' or 'ics'
+     */
+    detectFormat(data, fileName = '') {
+        if (typeof data !== 'string') {
+            const bytes = new Uint8Array(data.buffer ? data.buffer.slice(data.byteOffset, data.byteOffset + Math.min(data.byteLength, 512)) : data.slice(0, 512));
+            
+            // XLSX files are zip archives ("PK"), XLS files are OLE documents
+            if (bytes[0] === 0x50 && bytes[1] === 0x4B) return 'excel';
+            if (bytes[0] === 0xD0 && bytes[1] === 0xCF && bytes[2] === 0x11 && bytes[3] === 0xE0) return 'excel';
+        }
+        
+        const head = this.decodeText(data).slice(0, 2048).trim().toLowerCase();
+        if (head.startsWith('begin:vcalendar')) return 'ics';
+        if (head.startsWith('<') || /<(table|html|tr)[\s>]/.test(head)) return 'html';
+        
+        if (/\.(xlsx|xls)$/i.test(fileName)) return 'excel';
+        if (/\.html?$/i.test(fileName)) return 'html';
+        return 'csv';
+    }
+
+    /**
+     * Decode file contents as UTF-8 text
+     */
+    decodeText(data) {
+        if (typeof data === 'string') return data.replace(/^\uFEFF/, '');
+        
+        return new TextDecoder('utf-8').decode(data).replace(/^\uFEFF/, '');
     }
 
     /**
@@ -14,8 +102,10 @@ class WorkdayParser {
      * @returns {Array} Array of parsed courses
      */
     parseExcel(data) {
+        this.diagnostics = this.createDiagnostics('excel');
+        
         try {
-            const workbook = XLSX.read(data, { 
+            const workbook = this.xlsx.read(data, { 
                 type: 'array', 
                 cellDates: true,
                 cellFormula: false,  // Don't evaluate formulas
@@ -23,191 +113,565 @@ class WorkdayParser {
                 cellNF: false,       // Don't apply number formats
                 sheetStubs: true     // Include empty cells
             });
-            const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+            // Parse every sheet; sheets that aren't schedules are skipped
+            const courses = [];
+            const errors = [];
             
-            // Fix the range if it's incorrectly set (common with merged cells)
-            if (!worksheet['!ref'] || worksheet['!ref'] === 'A1') {
-                // Scan to find the actual range
-                let maxRow = 0, maxCol = 0;
-                for (const cell in worksheet) {
-                    if (cell[0] === '!') continue;
-                    const decoded = XLSX.utils.decode_cell(cell);
-                    maxRow = Math.max(maxRow, decoded.r);
-                    maxCol = Math.max(maxCol, decoded.c);
-                }
-                if (maxRow > 0 || maxCol > 0) {
-                    worksheet['!ref'] = XLSX.utils.encode_range({
-                        s: {r: 0, c: 0},
-                        e: {r: maxRow, c: maxCol}
-                    });
+            for (const sheetName of workbook.SheetNames) {
+                const jsonData = this.readSheet(workbook.Sheets[sheetName]);
+                if (jsonData.length === 0) continue;
+                
+                // Header detection starts over on each sheet (Workday puts headers on row 6)
+                this.headerRow = 6;
+                this.dataStartRow = 7;
+                this.currentSheet = sheetName;
+                
+                try {
+                    const sheetCourses = this.parseRows(jsonData);
+                    sheetCourses.forEach(course => { course.sheet = sheetName; });
+                    courses.push(...sheetCourses);
+                    this.diagnostics.sheets.push({ name: sheetName, courses: sheetCourses.length, error: null });
+                } catch (error) {
+                    if (!(error instanceof WorkdayParseError)) throw error;
+                    errors.push(error);
+                    this.diagnostics.sheets.push({ name: sheetName, courses: 0, error: error.message });
                 }
             }
             
+            if (courses.length === 0 && errors.length > 0) {
+                throw errors[0];
+            }
             
-            // Convert to JSON - prefer text values (w) over raw values (v)
-            const jsonData = [];
-            const range = XLSX.utils.decode_range(worksheet['!ref']);
+            for (const sheet of this.diagnostics.sheets) {
+                if (sheet.error) {
+                    this.diagnostics.notes.push(`Skipped sheet "${sheet.name}": ${sheet.error}`);
+                }
+            }
+            this.scoreDiagnostics(this.diagnostics);
             
-            for (let R = range.s.r; R <= range.e.r; ++R) {
-                const row = [];
-                for (let C = range.s.c; C <= range.e.c; ++C) {
-                    const cell_address = XLSX.utils.encode_cell({r: R, c: C});
-                    const cell = worksheet[cell_address];
-                    if (cell) {
-                        // Prefer display text (w) over value (v)
-                        row.push(cell.w || cell.v || '');
-                    } else {
-                        row.push(null);
-                    }
+            return courses;
+        } finally {
+            this.currentSheet = null;
+        }
+    }
+
+    /**
+     * Read a worksheet into rows of cell values
+     */
+    readSheet(worksheet) {
+        // Fix the range if it's incorrectly set (common with merged cells)
+        if (!worksheet['!ref'] || worksheet['!ref'] === 'A1') {
+            // Scan to find the actual range
+            let maxRow = 0, maxCol = 0;
+            for (const cell in worksheet) {
+                if (cell[0] === '!') continue;
+                const decoded = this.xlsx.utils.decode_cell(cell);
+                maxRow = Math.max(maxRow, decoded.r);
+                maxCol = Math.max(maxCol, decoded.c);
+            }
+            if (maxRow > 0 || maxCol > 0) {
+                worksheet['!ref'] = this.xlsx.utils.encode_range({
+                    s: {r: 0, c: 0},
+                    e: {r: maxRow, c: maxCol}
+                });
+            }
+        }
+        
+        if (!worksheet['!ref']) return [];
+        
+        // Convert to JSON - prefer text values (w) over raw values (v)
+        const jsonData = [];
+        const range = this.xlsx.utils.decode_range(worksheet['!ref']);
+        
+        for (let R = range.s.r; R <= range.e.r; ++R) {
+            const row = [];
+            for (let C = range.s.c; C <= range.e.c; ++C) {
+                const cell_address = this.xlsx.utils.encode_cell({r: R, c: C});
+                const cell = worksheet[cell_address];
+                if (cell) {
+                    // Prefer display text (w) over value (v)
+                    row.push(cell.w || cell.v || '');
+                } else {
+                    row.push(null);
                 }
-                jsonData.push(row);
             }
+            jsonData.push(row);
+        }
+        
+        return jsonData;
+    }
 
+    /**
+     * Group courses by student, or by sheet for sheets without student info
+     * @param {Array} courses - Parsed courses
+     * @returns {Array} Array of { key, id, label, student, sheets, courses }
+     */
+    groupByStudent(courses) {
+        const groups = new Map();
+        
+        for (const course of courses) {
+            const student = course.student && (course.student.id || course.student.name) ? course.student : null;
+            const id = student ? (student.id || student.name) : (course.sheet || 'schedule');
+            const key = student ? `student:${id}` : `sheet:${id}`;
+            
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    key: key,
+                    id: id,
+                    label: student
+                        ? (student.id && student.name ? `${student.name} (${student.id})` : id)
+                        : (course.sheet || 'Schedule'),
+                    student: student,
+                    sheets: [],
+                    courses: []
+                });
+            }
+            
+            const group = groups.get(key);
+            if (course.sheet && !group.sheets.includes(course.sheet)) {
+                group.sheets.push(course.sheet);
+            }
+            group.courses.push(course);
+        }
+        
+        return Array.from(groups.values());
+    }
 
-            // Try to auto-detect header row if default doesn't work
-            let actualHeaderRow = this.headerRow - 1;
-            let headers = jsonData[actualHeaderRow];
+    /**
+     * Parse a CSV (or tab-separated, when copied from a table) export
+     * @param {string} text - CSV contents
+     * @returns {Array} Array of parsed courses
+     */
+    parseCSV(text) {
+        this.diagnostics = this.createDiagnostics('csv');
+        
+        const rows = this.parseDelimited(text);
+        if (rows.length === 0) {
+            throw new WorkdayParseError('Invalid file format: the CSV file is empty', this.diagnostics);
+        }
+        
+        return this.parseRows(rows, this.findHeaderRow(rows));
+    }
+
+    /**
+     * Parse a saved or pasted Workday "View My Courses" page
+     * @param {string} html - Page or table HTML
+     * @returns {Array} Array of parsed courses
+     */
+    parseHTML(html) {
+        this.diagnostics = this.createDiagnostics('html');
+        
+        const rows = this.extractHTMLRows(html);
+        if (rows.length === 0) {
+            throw new WorkdayParseError('Invalid file format: no table found in the HTML. Save the Workday "View My Courses" page, or copy the course table.', this.diagnostics);
+        }
+        
+        return this.parseRows(rows, this.findHeaderRow(rows));
+    }
+
+    /**
+     * Read the courses back from a calendar exported by this converter
+     * @param {string} text - ICS contents
+     * @returns {Array} Array of parsed courses
+     */
+    parseICS(text) {
+        this.diagnostics = this.createDiagnostics('ics');
+        this.diagnostics.strictHeaders = true;
+        
+        const Importer = typeof ICSImporter !== 'undefined' ? ICSImporter : require('./ics-import');
+        const courses = new Importer().parse(text, this.diagnostics);
+        if (courses.length === 0) {
+            throw new WorkdayParseError('No classes found in the calendar. Only .ics files exported by this converter can be opened.', this.diagnostics);
+        }
+        
+        for (const course of courses) {
+            course.key = this.getCourseKey(course);
+        }
+        this.scoreDiagnostics(this.diagnostics);
+        
+        return courses;
+    }
+
+    /**
+     * Parse a grid of cell values laid out like the Workday Excel export
+     * @param {Array} jsonData - Array of rows, each an array of cell values
+     * @param {number} headerIndex - Optional 0-based header row, when already known
+     * @returns {Array} Array of parsed courses
+     */
+    parseRows(jsonData, headerIndex = -1) {
+        const diagnostics = this.diagnostics || this.createDiagnostics('rows');
+        this.diagnostics = diagnostics;
+        
+        if (headerIndex >= 0) {
+            this.headerRow = headerIndex + 1;
+            this.dataStartRow = headerIndex + 2;
+        }
+        
+        // Try to auto-detect header row if default doesn't work
+        let actualHeaderRow = this.headerRow - 1;
+        let headers = jsonData[actualHeaderRow];
+        
+        // If default header row doesn't validate, search for headers
+        if (!this.validateHeaders(headers)) {
+            diagnostics.notes.push(`Headers were not at row ${this.headerRow}, searched the first 20 rows`);
             
-            // If default header row doesn't validate, search for headers
-            if (!this.validateHeaders(headers)) {
-                console.log('Default header row failed, searching for headers...');
-                console.log('Headers at row 6:', headers ? headers.slice(0, 10) : 'undefined');
-                
-                for (let i = 0; i < Math.min(20, jsonData.length); i++) {
-                    const testHeaders = jsonData[i];
-                    if (testHeaders && testHeaders.length > 0) {
-                        const headerPreview = testHeaders.slice(0, 5).filter(h => h).join(', ');
-                        console.log(`Row ${i + 1}: ${headerPreview}`);
-                    }
-                    
-                    if (this.validateHeaders(testHeaders)) {
-                        console.log(`✓ Found valid headers at row ${i + 1}`);
-                        actualHeaderRow = i;
-                        headers = testHeaders;
-                        this.headerRow = i + 1;
-                        this.dataStartRow = i + 2;
-                        break;
-                    }
+            for (let i = 0; i < Math.min(20, jsonData.length); i++) {
+                if (this.validateHeaders(jsonData[i])) {
+                    diagnostics.notes.push(`Found headers at row ${i + 1}`);
+                    actualHeaderRow = i;
+                    headers = jsonData[i];
+                    this.headerRow = i + 1;
+                    this.dataStartRow = i + 2;
+                    break;
                 }
-            } else {
-                console.log('✓ Headers validated at default row 6');
             }
+        }
+        
+        diagnostics.rowsScanned += jsonData.length;
+        diagnostics.headerRow = this.headerRow;
 
-            if (jsonData.length < this.dataStartRow) {
-                throw new Error('Invalid file format: insufficient data rows');
+        if (jsonData.length < this.dataStartRow) {
+            throw new WorkdayParseError('Invalid file format: insufficient data rows', diagnostics,
+                this.getFormatHints(jsonData, headers));
+        }
+        
+        if (!this.validateHeaders(headers)) {
+            throw new WorkdayParseError('Invalid file format: expected UBC Workday course schedule format', diagnostics,
+                this.getFormatHints(jsonData, headers));
+        }
+        
+        diagnostics.strictHeaders = this.hasStrictHeaders(headers);
+        
+        const dataRows = jsonData.slice(this.dataStartRow - 1);
+        this.columnMapping = null;
+        const mapping = this.getColumnMapping(headers, dataRows);
+        diagnostics.headers = mapping.headers;
+        diagnostics.columnCount = dataRows.reduce((width, row) => Math.max(width, (row || []).length), headers.length);
+        diagnostics.columns = mapping.fields;
+        diagnostics.uncertainColumns = mapping.uncertain;
+        
+        if (mapping.offset) {
+            diagnostics.notes.push(`The data sits one column to the ${mapping.offset > 0 ? 'right' : 'left'} of its headers, so every column was read shifted`);
+        }
+        
+        for (const column of Object.values(mapping.fields)) {
+            if (column.source === 'missing' && this.columnMapper.getField(column.field).required) {
+                diagnostics.notes.push(`No ${column.label} column found`);
             }
-            
-            if (!this.validateHeaders(headers)) {
-                // Provide detailed error message with what was found
-                const headerPreview = headers ? headers.slice(0, 10).filter(h => h).join(', ') : 'No headers found';
-                
-                // Also show a sample of data to help diagnose
-                let dataSample = '';
-                if (jsonData.length > 0) {
-                    dataSample = '\n\nFirst few rows of data:\n';
-                    for (let i = 0; i < Math.min(3, jsonData.length); i++) {
-                        const row = jsonData[i];
-                        if (row && row.length > 0) {
-                            dataSample += `Row ${i + 1}: ${row.slice(0, 5).map(c => c || '[empty]').join(' | ')}\n`;
-                        }
-                    }
-                }
-                
-                const errorDetails = [
-                    'Invalid file format: expected UBC Workday course schedule format',
-                    '',
-                    'Expected format:',
-                    '- Excel file exported from UBC Workday',
-                    '- Headers should include: Drop, Credits, Grading',
-                    '- Course data should follow the headers',
-                    '',
-                    'Found at row ' + this.headerRow + ': ' + headerPreview,
-                    dataSample,
-                    'Troubleshooting:',
-                    '1. Ensure file is exported from UBC Workday "View My Courses"',
-                    '2. Use the "Export to Excel" button',
-                    '3. Don\'t modify the file before uploading',
-                    '4. If the problem persists, report an issue on GitHub with the error details'
-                ].join('\n');
-                
-                throw new Error(errorDetails);
+        }
+        
+        const listingIndex = mapping.fields.listing.index;
+
+        // Extract courses
+        const courses = [];
+        
+        // Sheets may name the student above the headers
+        let currentStudent = null;
+        for (const row of jsonData.slice(0, this.headerRow - 1)) {
+            const cell = (row || []).find(value => typeof value === 'string' && this.parseStudentInfo(value));
+            if (cell) {
+                currentStudent = this.parseStudentInfo(cell);
+                break;
             }
+        }
 
-            // Extract courses
-            const courses = [];
-            let currentStudent = null;
-            let courseRowsFound = 0;
-
-            for (let i = this.dataStartRow - 1; i < jsonData.length; i++) {
-                const row = jsonData[i];
-                if (!row || row.length === 0) continue;
-
-                // Check if first column contains student info AND course info together
-                // This happens in the actual Workday export format
-                if (row[0] && typeof row[0] === 'string' && row[0].includes('(') && row[0].includes(')')) {
-                    // Extract student info from the complex first column
-                    const studentMatch = row[0].match(/([^(]+)\((\d+)\)/);
-                    if (studentMatch) {
-                        currentStudent = {
-                            name: studentMatch[1].trim(),
-                            id: studentMatch[2],
-                            term: 'Current Term'
-                        };
-                    }
+        for (let i = this.dataStartRow - 1; i < jsonData.length; i++) {
+            const row = jsonData[i];
+            if (!row || row.length === 0) continue;
+            const rowNumber = i + 1;
+
+            // Check if first column contains student info AND course info together
+            // This happens in the actual Workday export format
+            if (row[0] && typeof row[0] === 'string' && row[0].includes('(') && row[0].includes(')')) {
+                // Extract student info from the complex first column
+                const studentMatch = row[0].match(/([^(]+)\((\d+)\)/);
+                if (studentMatch) {
+                    currentStudent = {
+                        name: studentMatch[1].trim(),
+                        id: studentMatch[2],
+                        term: 'Current Term'
+                    };
                 }
+            }
 
-                
-                // Parse course if we have valid data in Drop column (index 1)
-                // Also try other columns if column 1 doesn't have course data
-                let courseFound = false;
-                
-                // Try column 1 first (standard format)
-                if (row[1]) {
-                    const cellValue = String(row[1]);
-                    if (cellValue.includes('_V ')) {
-                        courseRowsFound++;
-                        const course = this.parseCourseRow(row, headers, currentStudent);
-                        if (course && course.code) {
-                            courses.push(course);
-                            courseFound = true;
-                        }
+            
+            // Parse course if we have valid data in the Course Listing column
+            // Also try other columns if it doesn't have course data
+            let courseFound = false;
+            let courseLike = false;
+            
+            // Try the Course Listing column first
+            if (listingIndex !== null && row[listingIndex]) {
+                const cellValue = String(row[listingIndex]);
+                if (cellValue.includes('_V ')) {
+                    courseLike = true;
+                    const course = this.parseCourseRow(row, headers, currentStudent, rowNumber);
+                    if (course && course.code) {
+                        courses.push(course);
+                        courseFound = true;
                     }
                 }
-                
-                // If no course found in column 1, scan other columns for course codes
-                if (!courseFound) {
-                    for (let col = 0; col < Math.min(10, row.length); col++) {
-                        if (row[col]) {
-                            const cellValue = String(row[col]);
-                            // Look for various course code patterns
-                            if (cellValue.includes('_V ') || 
-                                cellValue.match(/^[A-Z]{2,4}\s+\d{3}/) ||  // e.g., "CPSC 110"
-                                cellValue.match(/^[A-Z]{2,4}_[VG]\s+\d{3}/)) {  // e.g., "CPSC_V 110" or "CPSC_G 110"
-                                
-                                courseRowsFound++;
-                                // Create a adjusted row with course data in expected position
-                                const adjustedRow = [...row];
-                                if (col !== 1) {
-                                    adjustedRow[1] = row[col];
-                                }
-                                const course = this.parseCourseRow(adjustedRow, headers, currentStudent);
-                                if (course && course.code) {
-                                    courses.push(course);
-                                    courseFound = true;
-                                    break;
-                                }
+            }
+            
+            // If no course found there, scan other columns for course codes
+            if (!courseFound && listingIndex !== null) {
+                for (let col = 0; col < Math.min(10, row.length); col++) {
+                    if (row[col]) {
+                        const cellValue = String(row[col]);
+                        // Look for various course code patterns
+                        if (cellValue.includes('_V ') || 
+                            cellValue.match(/^[A-Z]{2,4}\s+\d{3}/) ||  // e.g., "CPSC 110"
+                            cellValue.match(/^[A-Z]{2,4}_[VG]\s+\d{3}/)) {  // e.g., "CPSC_V 110" or "CPSC_G 110"
+                            
+                            courseLike = true;
+                            // Create a adjusted row with course data in expected position
+                            const adjustedRow = [...row];
+                            if (col !== listingIndex) {
+                                adjustedRow[listingIndex] = row[col];
+                            }
+                            const course = this.parseCourseRow(adjustedRow, headers, currentStudent, rowNumber);
+                            if (course && course.code) {
+                                courses.push(course);
+                                courseFound = true;
+                                break;
                             }
                         }
                     }
                 }
             }
+            
+            if (courseLike) {
+                diagnostics.courseRows++;
+                if (!courseFound) {
+                    this.addWarning(rowNumber, 'Row looks like a course but could not be read', row.filter(c => c).slice(0, 3).join(' | '));
+                }
+            }
+        }
 
-            return courses;
-        } catch (error) {
-            console.error('Error parsing Excel:', error);
-            // Pass through the original error message without wrapping
-            throw error;
+        diagnostics.coursesParsed += courses.length;
+        this.scoreDiagnostics(diagnostics);
+
+        return courses;
+    }
+
+    /**
+     * Split delimited text into rows of cells (RFC 4180 quoting, which keeps
+     * multi-line meeting patterns together)
+     */
+    parseDelimited(text) {
+        const sample = text.split('\n').slice(0, 20).join('\n');
+        const tabs = (sample.match(/\t/g) || []).length;
+        const commas = (sample.match(/,/g) || []).length;
+        const delimiter = tabs > commas ? '\t' : ',';
+        
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        
+        return rows.map(cells => cells.map(value => value.trim() === '' ? null : value.replace(/\r/g, '')));
+    }
+
+    /**
+     * Extract table rows from HTML, keeping line breaks inside cells
+     * Starts at the first row that looks like the Workday header row
+     */
+    extractHTMLRows(html) {
+        const rows = [];
+        const rowPattern = /<tr[^>]*>([\s\S]*?)<\/tr>/gi;
+        const cellPattern = /<(td|th)([^>]*)>([\s\S]*?)<\/\1>/gi;
+        
+        let rowMatch;
+        while ((rowMatch = rowPattern.exec(html)) !== null) {
+            const row = [];
+            let cellMatch;
+            cellPattern.lastIndex = 0;
+            
+            while ((cellMatch = cellPattern.exec(rowMatch[1])) !== null) {
+                const text = this.htmlToText(cellMatch[3]);
+                row.push(text || null);
+                
+                // Keep columns aligned across merged cells
+                const colspan = cellMatch[2].match(/colspan\s*=\s*["']?(\d+)/i);
+                for (let i = 1; colspan && i < Number(colspan[1]); i++) {
+                    row.push(null);
+                }
+            }
+            
+            if (row.length > 0) rows.push(row);
+        }
+        
+        const headerIndex = rows.findIndex(row => this.validateHeaders(row));
+        return headerIndex > 0 ? rows.slice(headerIndex) : rows;
+    }
+
+    /**
+     * Convert a fragment of cell HTML to text
+     */
+    htmlToText(html) {
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—' };
+        
+        return html
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(div|p|li)>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&#x([0-9a-f]+);/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (m, dec) => String.fromCharCode(Number(dec)))
+            .replace(/&([a-z]+);/gi, (m, name) => entities[name.toLowerCase()] || m)
+            .split('\n')
+            .map(line => line.replace(/[ \t\u00A0]+/g, ' ').trim())
+            .filter(line => line)
+            .join('\n');
+    }
+
+    /**
+     * Create an empty diagnostics report
+     * @param {string} format - 'excel', 'csv', 'html', 'ics' or 'rows'
+     */
+    createDiagnostics(format) {
+        return {
+            format: format,
+            headerRow: null,
+            strictHeaders: false,
+            headers: [],
+            columnCount: 0, // Widest of the header and data rows
+            columns: {},
+            uncertainColumns: false,
+            rowsScanned: 0,
+            courseRows: 0,
+            coursesParsed: 0,
+            meetingLines: 0,
+            warnings: [],
+            unparsedMeetings: [],
+            sheets: [],
+            notes: [],
+            confidence: 0,
+            confidenceLevel: 'low'
+        };
+    }
+
+    /**
+     * Record a problem with a row
+     */
+    addWarning(row, message, value = '') {
+        if (!this.diagnostics) return;
+        this.diagnostics.warnings.push({ row, sheet: this.currentSheet, message, value: value ? String(value) : '' });
+    }
+
+    /**
+     * Choose columns by hand, for exports whose headers weren't recognized
+     * @param {Object} overrides - { field: index } (see ColumnMapper.map)
+     */
+    setColumnOverrides(overrides) {
+        this.columnOverrides = { ...(overrides || {}) };
+        this.columnMapping = null;
+        this.columnMappingHeaders = null;
+    }
+
+    /**
+     * Get the column mapping for a header row, checking it against sample rows
+     */
+    getColumnMapping(headers, rows = []) {
+        if (!this.columnMapping || this.columnMappingHeaders !== headers) {
+            this.columnMapping = this.columnMapper.map(headers, rows, this.columnOverrides);
+            this.columnMappingHeaders = headers;
+        }
+        return this.columnMapping;
+    }
+
+    /**
+     * Troubleshooting hints for an export that doesn't look like Workday's,
+     * with what was found to help diagnose it
+     */
+    getFormatHints(jsonData, headers) {
+        const headerPreview = headers ? headers.slice(0, 10).filter(h => h).join(', ') : 'No headers found';
+        
+        const sample = [];
+        for (let i = 0; i < Math.min(3, jsonData.length); i++) {
+            const row = jsonData[i];
+            if (row && row.length > 0) {
+                sample.push(`Row ${i + 1}: ${row.slice(0, 5).map(c => c || '[empty]').join(' | ')}`);
+            }
         }
+        
+        return [
+            'Expected format:',
+            '- Excel, CSV or HTML export from UBC Workday "View My Courses"',
+            '- Headers should include: Drop, Credits, Grading',
+            '- Course data should follow the headers',
+            '',
+            `Found at row ${this.headerRow}: ${headerPreview}`,
+            '',
+            ...(sample.length > 0 ? ['First few rows of data:', ...sample, ''] : []),
+            'Troubleshooting:',
+            '1. Ensure file is exported from UBC Workday "View My Courses"',
+            '2. Use the "Export to Excel" button',
+            '3. Don\'t modify the file before uploading',
+            '4. If the problem persists, report an issue on GitHub with the error details'
+        ];
+    }
+
+    /**
+     * Score how much of the export was understood (0 to 1)
+     */
+    scoreDiagnostics(diagnostics) {
+        const rowScore = diagnostics.courseRows > 0
+            ? diagnostics.coursesParsed / diagnostics.courseRows
+            : 0;
+        
+        const meetingScore = diagnostics.meetingLines > 0
+            ? (diagnostics.meetingLines - diagnostics.unparsedMeetings.length) / diagnostics.meetingLines
+            : 1;
+        
+        const headerScore = diagnostics.strictHeaders ? 1 : 0.8;
+        
+        diagnostics.confidence = Math.round(rowScore * meetingScore * headerScore * 100) / 100;
+        diagnostics.confidenceLevel = diagnostics.confidence >= 0.9 ? 'high'
+            : diagnostics.confidence >= 0.6 ? 'medium'
+            : 'low';
+        
+        return diagnostics;
+    }
+
+    /**
+     * Find the 0-based index of the header row within the first 20 rows
+     * @returns {number} Index, or -1 when no row looks like headers
+     */
+    findHeaderRow(rows) {
+        return rows.slice(0, 20).findIndex(row => this.validateHeaders(row));
     }
 
     /**
@@ -216,6 +680,29 @@ class WorkdayParser {
     validateHeaders(headers) {
         if (!headers || headers.length < 5) return false;
         
+        if (this.hasStrictHeaders(headers)) {
+            return true;
+        }
+        
+        // Also check if it looks like course data even without exact headers
+        // Look for patterns like course codes (e.g., "CPSC_V 110")
+        const hasCourseLikeHeaders = headers.some(h => 
+            h && (h.includes('Course') || h.includes('Subject') || h.includes('Class'))
+        );
+        
+        if (hasCourseLikeHeaders) {
+            return true;
+        }
+        
+        return false;
+    }
+
+    /**
+     * Check for one of the known Workday header combinations
+     */
+    hasStrictHeaders(headers) {
+        if (!headers) return false;
+        
         // The key headers we absolutely need to identify this as a Workday schedule
         // Try multiple possible header combinations for flexibility
         const possibleHeaderSets = [
@@ -239,16 +726,6 @@ class WorkdayParser {
             }
         }
         
-        // Also check if it looks like course data even without exact headers
-        // Look for patterns like course codes (e.g., "CPSC_V 110")
-        const hasCourseLikeHeaders = headers.some(h => 
-            h && (h.includes('Course') || h.includes('Subject') || h.includes('Class'))
-        );
-        
-        if (hasCourseLikeHeaders) {
-            return true;
-        }
-        
         return false;
     }
 
@@ -269,8 +746,9 @@ class WorkdayParser {
 
     /**
      * Parse a course row
+     * @param {number} rowNumber - Optional 1-based row number for diagnostics
      */
-    parseCourseRow(row, headers, studentInfo) {
+    parseCourseRow(row, headers, studentInfo, rowNumber = null) {
         const course = {
             student: studentInfo,
             code: '',
@@ -284,13 +762,8 @@ class WorkdayParser {
             meetings: []
         };
 
-        // Map columns by header index - headers might have empty cells at the beginning
-        const columnMap = {};
-        headers.forEach((header, index) => {
-            if (header && header.trim()) {
-                columnMap[header.trim()] = index;
-            }
-        });
+        const mapping = this.getColumnMapping(headers, [row]);
+        const value = (field) => this.columnMapper.getValue(row, mapping, field);
 
         // Handle the case where student info is in first column
         // and actual course data starts from "Drop" column
@@ -302,11 +775,8 @@ class WorkdayParser {
             }
         }
 
-        // Extract course code and name from Drop column
-        // IMPORTANT: In the CSV, headers start at column B (index 1) but "Drop" header might map to index 2
-        // However, the actual course data is ALWAYS at index 1 in the data rows
-        // This is because column A contains merged student info spanning multiple rows
-        const courseListing = row[1];  // Always use index 1 for course data
+        // Extract course code and name from the Course Listing column
+        const courseListing = value('listing');
         
         if (courseListing) {
             // Ensure it's a string
@@ -329,7 +799,7 @@ class WorkdayParser {
                 course.name = courseMatch[3].trim();
             } else {
                 // If no pattern matches, try to extract whatever we can
-                console.log('Could not parse course:', courseStr);
+                this.addWarning(rowNumber, 'Could not read the course code and name', courseStr);
                 // Use the whole string as course code if we can't parse it
                 const parts = courseStr.split(/[-–—:]/);
                 if (parts.length >= 2) {
@@ -339,43 +809,82 @@ class WorkdayParser {
             }
         }
 
-        // The actual data appears to be shifted - adjust indices
-        // Credits is in column 4 (index 3) but shows as "3" in column 5 (index 4)
-        course.credits = row[4] || row[columnMap['Credits']] || '';
-        course.section = row[6] || row[columnMap['Section']] || '';
-        course.status = row[7] || row[columnMap['Registration Status']] || '';
-        course.format = row[8] || row[columnMap['Instructional Format']] || '';
-        course.delivery = row[9] || row[columnMap['Delivery Mode']] || '';
+        course.credits = value('credits');
+        course.section = value('section');
+        course.status = value('status');
+        course.format = value('format');
+        course.delivery = value('delivery');
         
-        // Meeting patterns is in column 10 (index 9)
-        const meetingPattern = row[10] || row[columnMap['Meeting Patterns']] || '';
+        if (course.credits && !this.columnMapper.isValid('number', course.credits)) {
+            this.addWarning(rowNumber, `${course.code}: credits should be a number`, course.credits);
+            course.credits = '';
+        }
+        
+        const meetingPattern = value('meetings');
         if (meetingPattern) {
-            course.meetings = this.parseMeetingPatterns(meetingPattern);
+            course.meetings = this.parseMeetingPatterns(String(meetingPattern), rowNumber);
+        }
+        if (course.code && course.meetings.length === 0) {
+            this.addWarning(rowNumber, `${course.code}: no meeting times, so no calendar events will be created`, meetingPattern);
         }
         
-        // Instructor is in column 11 (index 10)
-        course.instructor = row[11] || row[columnMap['Instructor']] || '';
+        course.instructor = value('instructor');
 
-        // Dates are in columns 12 and 13 (indices 11 and 12)
-        const startDate = row[12] || row[columnMap['Start Date']];
-        const endDate = row[13] || row[columnMap['End Date']];
+        const startDate = value('startDate');
+        const endDate = value('endDate');
         
         if (startDate) course.startDate = this.parseDate(startDate);
         if (endDate) course.endDate = this.parseDate(endDate);
+        
+        if (startDate && !course.startDate) {
+            this.addWarning(rowNumber, `${course.code}: could not read the start date`, startDate);
+        }
+        if (endDate && !course.endDate) {
+            this.addWarning(rowNumber, `${course.code}: could not read the end date`, endDate);
+        }
+
+        course.key = this.getCourseKey(course);
 
         return course;
     }
 
+    /**
+     * Build a key identifying one section (lecture, lab, tutorial...) of a course
+     * e.g. code "CPSC 110" and section "CPSC_V 110-L1A" -> "CPSC 110 L1A"
+     */
+    getCourseKey(course) {
+        const section = course.section ? String(course.section).trim() : '';
+        const sectionNumber = WorkdayParser.getSectionNumber(section);
+
+        if (sectionNumber) return `${course.code} ${sectionNumber}`;
+        if (section) return `${course.code} ${section}`;
+        if (course.format) return `${course.code} ${course.format}`;
+        return course.code;
+    }
+
+    /**
+     * Read the section number from a Workday section label
+     * e.g. "CPSC_V 110-L1A - Computation, Programs, and Programming" -> "L1A"
+     * @returns {string} The section number, or '' for labels without one
+     */
+    static getSectionNumber(section) {
+        const match = String(section || '').match(/\d{3}[A-Z]?-([A-Z0-9]+)/i);
+        return match ? match[1].toUpperCase() : '';
+    }
+
     /**
      * Parse meeting patterns string into structured data
+     * @param {number} rowNumber - Optional 1-based row number for diagnostics
      */
-    parseMeetingPatterns(pattern) {
+    parseMeetingPatterns(pattern, rowNumber = null) {
         if (!pattern || typeof pattern !== 'string') return [];
         
         const meetings = [];
         const lines = pattern.split('\n').filter(line => line.trim());
         
         for (const line of lines) {
+            const count = meetings.length;
+            
             // Pattern: "2025-09-02 - 2025-12-04 | Tue Thu | 3:30 p.m. - 5:00 p.m. | UBCV | Building | Floor: X | Room: Y"
             const parts = line.split('|').map(p => p.trim());
             
@@ -402,6 +911,13 @@ class WorkdayParser {
                     });
                 }
             }
+            
+            if (this.diagnostics) {
+                this.diagnostics.meetingLines++;
+                if (meetings.length === count) {
+                    this.diagnostics.unparsedMeetings.push({ row: rowNumber, sheet: this.currentSheet, line: line.trim() });
+                }
+            }
         }
         
         return meetings;
@@ -486,7 +1002,7 @@ class WorkdayParser {
                 return date.toISOString().split('T')[0];
             }
         } catch (e) {
-            console.warn('Could not parse date:', dateStr);
+            // Unreadable dates are reported by parseCourseRow
         }
         
         return null;
@@ -496,4 +1012,5 @@ class WorkdayParser {
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = WorkdayParser;
+    module.exports.WorkdayParseError = WorkdayParseError;
 }
\ No newline at end of file
@@ -0,0 +1,466 @@
+/**
+ * Recurrence module for expanding weekly meetings into dated class occurrences
+ */
+
+class RecurrenceEngine {
+    /**
+     * @param {Object} options
+     * @param {HolidayCalendar} options.holidays - Dates without classes (default UBC holidays and breaks)
+     */
+    constructor(options = {}) {
+        const Holidays = typeof HolidayCalendar !== 'undefined' ? HolidayCalendar : require('./holidays');
+        this.holidays = options.holidays || new Holidays();
+        this.dayCodes = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+    }
+
+    /**
+     * Expand courses into every class, exam and deadline on its actual date
+     * @param {Array} courses - Parsed courses
+     * @param {Object} range - Optional { startDate, endDate } to keep
+     * @returns {Object} { occurrences, skipped } sorted by date and time, where
+     *   occurrences are { date, startTime, endTime, location, course, meeting|event }
+     *   and skipped are { date, startTime, reason, course, meeting } for classes
+     *   that don't happen (holidays, breaks, cancellations). Changed classes
+     *   have their new date, time and room, plus original: { date, startTime }
+     *   and the override
+     */
+    expand(courses, range = {}) {
+        const occurrences = [];
+        const skipped = [];
+
+        for (const course of courses || []) {
+            const expanded = this.expandCourse(course);
+            occurrences.push(...expanded.occurrences);
+            skipped.push(...expanded.skipped);
+        }
+
+        const inRange = item => (!range.startDate || item.date >= range.startDate) &&
+            (!range.endDate || item.date <= range.endDate);
+        const byDate = (a, b) => (a.date + (a.startTime || '')).localeCompare(b.date + (b.startTime || '')) ||
+            a.course.code.localeCompare(b.course.code);
+
+        return {
+            occurrences: occurrences.filter(inRange).sort(byDate),
+            skipped: skipped.filter(inRange).sort(byDate)
+        };
+    }
+
+    /**
+     * Expand one course's meetings and events
+     * @returns {Object} { occurrences, skipped } in no particular order
+     */
+    expandCourse(course) {
+        const occurrences = [];
+        const skipped = [];
+
+        for (const occurrence of this.getClasses(course, skipped)) {
+            const override = this.findOverride(course, occurrence.date, occurrence.startTime);
+            if (override && override.cancelled) {
+                skipped.push({ date: occurrence.date, startTime: occurrence.startTime, reason: 'Cancelled',
+                    course, meeting: occurrence.meeting, override });
+            } else {
+                occurrences.push(override ? this.applyOverride(occurrence, override) : occurrence);
+            }
+        }
+
+        for (const event of course.events || []) {
+            occurrences.push({
+                date: event.date,
+                startTime: event.startTime || '',
+                endTime: event.endTime || '',
+                location: event.location || '',
+                course: course,
+                event: event
+            });
+        }
+
+        return { occurrences, skipped };
+    }
+
+    /**
+     * Get a course's classes as scheduled, before any are cancelled or changed
+     * @param {Object} course - Parsed course
+     * @param {Array} skipped - Optional array to collect classes skipped for holidays and breaks
+     * @returns {Array} Occurrences in meeting order
+     */
+    getClasses(course, skipped = []) {
+        const classes = [];
+        const seen = new Set();
+
+        for (const meeting of this.mergeSplitMeetings(course.meetings || [])) {
+            const excluded = this.getExclusionMap(meeting);
+
+            for (const date of this.getMeetingDates(meeting)) {
+                // Duplicate rows for one section would give a class twice
+                const id = [date, meeting.startTime, meeting.location].join('|');
+                if (seen.has(id)) continue;
+                seen.add(id);
+
+                if (excluded.has(date)) {
+                    skipped.push({ date, startTime: meeting.startTime || '', reason: excluded.get(date), course, meeting });
+                    continue;
+                }
+
+                classes.push({
+                    date: date,
+                    startTime: meeting.startTime || '',
+                    endTime: meeting.endTime || '',
+                    location: meeting.location || '',
+                    course: course,
+                    meeting: meeting
+                });
+            }
+        }
+
+        return classes;
+    }
+
+    /**
+     * Check and tidy a change to one class
+     * @param {Object} fields - { date, startTime } of the class as scheduled, and
+     *                          either cancelled: true or any of newDate,
+     *                          newStartTime, newEndTime and newLocation
+     *                          (empty fields keep the class's own)
+     * @returns {Object} Override for course.overrides
+     */
+    createOverride(fields) {
+        const override = {
+            date: String(fields.date || '').trim(),
+            startTime: this.normalizeTime(fields.startTime),
+            cancelled: Boolean(fields.cancelled),
+            newDate: fields.cancelled ? '' : String(fields.newDate || '').trim(),
+            newStartTime: fields.cancelled ? '' : this.normalizeTime(fields.newStartTime),
+            newEndTime: fields.cancelled ? '' : this.normalizeTime(fields.newEndTime),
+            newLocation: fields.cancelled ? '' : String(fields.newLocation || '').trim()
+        };
+
+        for (const date of [override.date, override.newDate]) {
+            if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date)))) {
+                throw new Error(`Invalid date: "${date}" (expected YYYY-MM-DD)`);
+            }
+        }
+        if (!override.date) {
+            throw new Error('Choose the class to change');
+        }
+        if ([override.startTime, override.newStartTime, override.newEndTime].includes(undefined)) {
+            throw new Error(`Invalid time for the class on ${override.date} (expected HH:MM)`);
+        }
+        if (!override.cancelled && !override.newDate && !override.newStartTime &&
+            !override.newEndTime && !override.newLocation) {
+            throw new Error(`Nothing to change for the class on ${override.date}`);
+        }
+
+        return override;
+    }
+
+    /**
+     * Cancel or change one of a course's classes, replacing any earlier
+     * change to it
+     * @returns {Object} The saved override
+     */
+    setOverride(course, fields) {
+        const override = this.createOverride(fields);
+        const scheduled = this.getClasses(course)
+            .find(occurrence => occurrence.date === override.date && occurrence.startTime === override.startTime);
+        if (!scheduled) {
+            throw new Error(`${course.code} has no class on ${override.date}${override.startTime ? ` at ${override.startTime}` : ''}`);
+        }
+
+        const changed = this.applyOverride(scheduled, override);
+        if (changed.endTime && changed.startTime && changed.endTime <= changed.startTime) {
+            throw new Error(`The class on ${changed.date} would end (${changed.endTime}) before it starts (${changed.startTime})`);
+        }
+
+        this.removeOverride(course, this.findOverride(course, override.date, override.startTime));
+        if (!course.overrides) course.overrides = [];
+        course.overrides.push(override);
+        course.overrides.sort((a, b) => (a.date + a.startTime).localeCompare(b.date + b.startTime));
+
+        return override;
+    }
+
+    removeOverride(course, override) {
+        const index = (course.overrides || []).indexOf(override);
+        if (index >= 0) course.overrides.splice(index, 1);
+    }
+
+    findOverride(course, date, startTime) {
+        return (course.overrides || [])
+            .find(override => override.date === date && override.startTime === (startTime || '')) || null;
+    }
+
+    /**
+     * A class with an override's changes; a new start time without a new end
+     * time keeps the class's length
+     */
+    applyOverride(occurrence, override) {
+        let endTime = override.newEndTime || occurrence.endTime;
+        if (override.newStartTime && !override.newEndTime && occurrence.startTime && occurrence.endTime) {
+            endTime = this.addMinutes(override.newStartTime,
+                this.toMinutes(occurrence.endTime) - this.toMinutes(occurrence.startTime));
+        }
+
+        return {
+            ...occurrence,
+            date: override.newDate || occurrence.date,
+            startTime: override.newStartTime || occurrence.startTime,
+            endTime: endTime,
+            location: override.newLocation || occurrence.location,
+            original: { date: occurrence.date, startTime: occurrence.startTime },
+            override: override
+        };
+    }
+
+    /**
+     * Find the overrides that apply to one of a course's meetings, as
+     * returned by mergeSplitMeetings; changes to classes that are no longer
+     * in the schedule (e.g. after re-importing) are left out
+     * @returns {Array} Array of { override, occurrence (as scheduled) }
+     */
+    getMeetingOverrides(course, meeting) {
+        if (!course.overrides || course.overrides.length === 0) return [];
+
+        const excluded = this.getExclusionMap(meeting);
+        return this.getMeetingDates(meeting)
+            .filter(date => !excluded.has(date))
+            .map(date => ({ date, override: this.findOverride(course, date, meeting.startTime) }))
+            .filter(({ override }) => override)
+            .map(({ date, override }) => ({
+                override,
+                occurrence: {
+                    date,
+                    startTime: meeting.startTime || '',
+                    endTime: meeting.endTime || '',
+                    location: meeting.location || '',
+                    course,
+                    meeting
+                }
+            }));
+    }
+
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Add minutes to an HH:MM time, stopping at the end of the day
+     */
+    addMinutes(time, minutes) {
+        const total = Math.min(this.toMinutes(time) + minutes, 23 * 60 + 59);
+        return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Read a time as HH:MM
+     * @returns {string|undefined} HH:MM, '' when empty, or undefined when invalid
+     */
+    normalizeTime(time) {
+        if (time === null || time === undefined || String(time).trim() === '') return '';
+
+        const match = String(time).trim().match(/^(\d{1,2}):(\d{2})$/);
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return undefined;
+
+        return `${match[1].padStart(2, '0')}:${match[2]}`;
+    }
+
+    /**
+     * Merge meetings that only differ by date range (e.g. split around the
+     * reading break) into one series whose gaps are skipped
+     */
+    mergeSplitMeetings(meetings) {
+        const groups = new Map();
+
+        for (const meeting of meetings) {
+            const key = [
+                (meeting.days || []).join(','),
+                meeting.startTime,
+                meeting.endTime,
+                meeting.location
+            ].join('|');
+
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(meeting);
+        }
+
+        const merged = [];
+        for (const group of groups.values()) {
+            if (group.length === 1 || group.some(m => !m.startDate || !m.endDate)) {
+                merged.push(...group);
+                continue;
+            }
+
+            const sorted = [...group].sort((a, b) => a.startDate.localeCompare(b.startDate));
+            const gaps = [];
+            let coveredUntil = sorted[0].endDate;
+
+            for (const meeting of sorted.slice(1)) {
+                const gapStart = this.shiftDate(coveredUntil, 1);
+                const gapEnd = this.shiftDate(meeting.startDate, -1);
+                if (gapStart <= gapEnd) {
+                    gaps.push({ startDate: gapStart, endDate: gapEnd });
+                }
+                if (meeting.endDate > coveredUntil) {
+                    coveredUntil = meeting.endDate;
+                }
+            }
+
+            merged.push({
+                ...sorted[0],
+                endDate: coveredUntil,
+                gaps: gaps
+            });
+        }
+
+        return merged;
+    }
+
+    /**
+     * Get the dates (YYYY-MM-DD) a meeting's weekly pattern falls on between
+     * its start and end dates, before anything is skipped
+     */
+    getMeetingDates(meeting) {
+        if (!meeting.startDate || !meeting.endDate || !meeting.days || meeting.days.length === 0) {
+            return [];
+        }
+
+        const dates = [];
+        for (let date = meeting.startDate; date <= meeting.endDate; date = this.shiftDate(date, 1)) {
+            if (meeting.days.includes(this.getDayCode(date))) {
+                dates.push(date);
+            }
+        }
+
+        return dates;
+    }
+
+    /**
+     * Dates a meeting's pattern falls on but that have no class: holidays,
+     * breaks and gaps between split meeting ranges
+     * @returns {Array} YYYY-MM-DD dates
+     */
+    getExcludedDates(meeting) {
+        const excluded = this.getExclusionMap(meeting);
+        return this.getMeetingDates(meeting).filter(date => excluded.has(date));
+    }
+
+    /**
+     * Reasons for skipping dates in a meeting's range, by date
+     */
+    getExclusionMap(meeting) {
+        const excluded = new Map();
+
+        for (const gap of meeting.gaps || []) {
+            for (let date = gap.startDate; date <= gap.endDate; date = this.shiftDate(date, 1)) {
+                excluded.set(date, 'No classes');
+            }
+        }
+        // Named holidays and breaks win over unnamed gaps
+        for (const holiday of this.holidays.getExclusions(meeting.startDate, meeting.endDate)) {
+            excluded.set(holiday.date, holiday.name);
+        }
+
+        return excluded;
+    }
+
+    /**
+     * Sum up a course's classes for display
+     * @returns {Object} { count, firstDate, lastDate, skipped: [{ date, reason }] }
+     */
+    summarize(course) {
+        const { occurrences, skipped } = this.expand([course]);
+        const classes = occurrences.filter(occurrence => occurrence.meeting);
+        const skippedDates = new Map(skipped.map(item => [item.date, item.reason]));
+
+        return {
+            count: classes.length,
+            firstDate: classes.length > 0 ? classes[0].date : null,
+            lastDate: classes.length > 0 ? classes[classes.length - 1].date : null,
+            skipped: Array.from(skippedDates, ([date, reason]) => ({ date, reason }))
+        };
+    }
+
+    /**
+     * Write courses out as a plain text schedule, with each course's class
+     * count, changed classes, exams and deadlines (the web app's "Copy Event
+     * Details" and the CLI's text format)
+     * @param {Array} courses - Parsed courses
+     * @returns {string} Text schedule
+     */
+    formatSchedule(courses) {
+        const dayNames = { 'MO': 'Mon', 'TU': 'Tue', 'WE': 'Wed', 'TH': 'Thu', 'FR': 'Fri', 'SA': 'Sat', 'SU': 'Sun' };
+
+        let text = 'UBC Course Schedule\n';
+        text += '===================\n\n';
+
+        for (const course of courses) {
+            text += `${course.code} - ${course.name}\n`;
+            if (course.section) text += `Section: ${course.section}\n`;
+            if (course.format) text += `Format: ${course.format}\n`;
+            if (course.instructor) text += `Instructor: ${course.instructor}\n`;
+            if (course.credits) text += `Credits: ${course.credits}\n`;
+
+            for (const meeting of course.meetings || []) {
+                const days = (meeting.days || []).map(d => dayNames[d] || d).join(', ');
+                text += `Schedule: ${days} ${this.formatTime(meeting.startTime)}-${this.formatTime(meeting.endTime)}\n`;
+                text += `Period: ${meeting.startDate} to ${meeting.endDate}\n`;
+                if (meeting.location) text += `Location: ${meeting.location}\n`;
+            }
+
+            // e.g. "Classes: 24 (2025-09-02 to 2025-12-04, none on 2025-10-13 Thanksgiving)"
+            const summary = this.summarize(course);
+            if (summary.count > 0) {
+                const skipped = summary.skipped.map(({ date, reason }) => `${date} ${reason}`).join(', ');
+                text += `Classes: ${summary.count} (${summary.firstDate} to ${summary.lastDate}${skipped ? `, none on ${skipped}` : ''})\n`;
+            }
+            for (const changed of this.expand([course]).occurrences.filter(occurrence => occurrence.override)) {
+                text += `Changed: ${changed.original.date} ${this.formatTime(changed.original.startTime)} -> ` +
+                    `${changed.date} ${this.formatTime(changed.startTime)}-${this.formatTime(changed.endTime)}` +
+                    `${changed.location ? ` (${changed.location})` : ''}\n`;
+            }
+
+            for (const event of course.events || []) {
+                const time = event.startTime ? ` ${this.formatTime(event.startTime)}${event.endTime ? `-${this.formatTime(event.endTime)}` : ''}` : '';
+                text += `${event.title || event.type}: ${event.date}${time}${event.location ? ` (${event.location})` : ''}\n`;
+            }
+            text += '\n';
+        }
+
+        return text;
+    }
+
+    /**
+     * Format "HH:MM" as e.g. "2:00 PM"
+     */
+    formatTime(time24) {
+        if (!time24) return '';
+
+        const [hours, minutes] = time24.split(':').map(Number);
+        const period = hours >= 12 ? 'PM' : 'AM';
+        const hours12 = hours % 12 || 12;
+
+        return `${hours12}:${minutes.toString().padStart(2, '0')} ${period}`;
+    }
+
+    getDayCode(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        return this.dayCodes[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+    }
+
+    /**
+     * Shift a YYYY-MM-DD date string by a number of days
+     */
+    shiftDate(dateStr, days) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day + days));
+
+        return date.toISOString().split('T')[0];
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecurrenceEngine;
+}
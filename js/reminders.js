@@ -0,0 +1,189 @@
+/**
+ * Reminder rules module for choosing VALARM reminders per course
+ */
+
+class ReminderRules {
+    /**
+     * Minutes are counted before the class starts; null means no reminder.
+     * More specific rules win: section, then course, then delivery mode,
+     * then instructional format, then the default
+     * @param {Object} options
+     * @param {number|null} options.defaultMinutes - Reminder for every class (default none)
+     * @param {Object} options.formats - By instructional format, e.g. { Laboratory: 60 }
+     * @param {Object} options.deliveries - By delivery mode, e.g. { 'Online Learning': null }
+     * @param {Object} options.courses - By section key or course code, e.g. { 'CPSC 110 L1A': 30 }
+     */
+    constructor(options = {}) {
+        this.defaultMinutes = null;
+        this.formats = {};
+        this.deliveries = {};
+        this.courses = {};
+
+        if (options.defaultMinutes !== undefined) this.setDefault(options.defaultMinutes);
+        for (const [format, minutes] of Object.entries(options.formats || {})) {
+            this.setFormatReminder(format, minutes);
+        }
+        for (const [delivery, minutes] of Object.entries(options.deliveries || {})) {
+            this.setDeliveryReminder(delivery, minutes);
+        }
+        for (const [course, minutes] of Object.entries(options.courses || {})) {
+            this.setCourseReminder(course, minutes);
+        }
+    }
+
+    setDefault(minutes) {
+        this.defaultMinutes = this.parseMinutes(minutes);
+    }
+
+    setFormatReminder(format, minutes) {
+        this.setRule(this.formats, format, minutes);
+    }
+
+    setDeliveryReminder(delivery, minutes) {
+        this.setRule(this.deliveries, delivery, minutes);
+    }
+
+    /**
+     * @param {string} course - Section key (e.g. "CPSC 110 L1A") or course code (e.g. "CPSC 110")
+     */
+    setCourseReminder(course, minutes) {
+        this.setRule(this.courses, course, minutes);
+    }
+
+    /**
+     * Set a rule, or remove it when minutes is undefined so the next rule applies
+     */
+    setRule(rules, name, minutes) {
+        const key = this.normalize(name);
+        if (minutes === undefined) {
+            delete rules[key];
+        } else {
+            rules[key] = this.parseMinutes(minutes);
+        }
+    }
+
+    /**
+     * Get one rule as set, or undefined when the next rule applies
+     */
+    getRule(rules, name) {
+        const key = this.normalize(name);
+        return Object.prototype.hasOwnProperty.call(rules, key) ? rules[key] : undefined;
+    }
+
+    /**
+     * Get the reminder for a course
+     * @param {Object} course - Parsed course
+     * @returns {number|null} Minutes before the class, or null for none
+     */
+    getReminder(course) {
+        const candidates = [
+            [this.courses, course.key],
+            [this.courses, course.code],
+            [this.deliveries, course.delivery],
+            [this.formats, course.format || 'Lecture']
+        ];
+
+        for (const [rules, name] of candidates) {
+            const rule = name ? this.getRule(rules, name) : undefined;
+            if (rule !== undefined) {
+                return rule;
+            }
+        }
+
+        return this.defaultMinutes;
+    }
+
+    /**
+     * Read a reminder time: a number of minutes, or text such as "10",
+     * "10m", "1h", "1 hour 30 min", "1d" or "none"
+     * @returns {number|null} Minutes, or null for no reminder
+     */
+    parseMinutes(value) {
+        if (value === null || value === false) return null;
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value) || value < 0) {
+                throw new Error(`Invalid reminder: ${value} (expected minutes before the class)`);
+            }
+            return Math.round(value);
+        }
+
+        const text = String(value).trim().toLowerCase();
+        if (text === '' || text === 'none' || text === 'off') return null;
+        if (/^\d+$/.test(text)) return Number(text);
+
+        const units = { d: 1440, day: 1440, days: 1440, h: 60, hr: 60, hrs: 60, hour: 60, hours: 60,
+            m: 1, min: 1, mins: 1, minute: 1, minutes: 1 };
+        const pattern = /(\d+)\s*([a-z]+)/g;
+        let minutes = 0;
+        let consumed = '';
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            if (!units[match[2]]) break;
+            minutes += Number(match[1]) * units[match[2]];
+            consumed += match[0];
+        }
+
+        if (!consumed || consumed.replace(/\s/g, '') !== text.replace(/\s/g, '')) {
+            throw new Error(`Invalid reminder: "${value}" (expected e.g. 10m, 1h or none)`);
+        }
+        return minutes;
+    }
+
+    /**
+     * Format minutes as an ICS duration before the event, e.g. 90 -> "-PT1H30M"
+     */
+    formatTrigger(minutes) {
+        if (minutes === 0) return 'PT0M';
+
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+        const mins = minutes % 60;
+
+        let duration = '-P';
+        if (days) duration += `${days}D`;
+        if (hours || mins) {
+            duration += 'T';
+            if (hours) duration += `${hours}H`;
+            if (mins) duration += `${mins}M`;
+        }
+        return duration;
+    }
+
+    /**
+     * Describe a reminder for display, e.g. 60 -> "1 hour before"
+     */
+    describe(minutes) {
+        if (minutes === null || minutes === undefined) return 'No reminder';
+        if (minutes === 0) return 'At start time';
+        if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? '' : 's'} before`;
+        if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'} before`;
+        return `${minutes} minutes before`;
+    }
+
+    hasRules() {
+        return this.defaultMinutes !== null ||
+            [this.formats, this.deliveries, this.courses].some(rules => Object.keys(rules).length > 0);
+    }
+
+    normalize(name) {
+        return name ? String(name).trim().toLowerCase().replace(/\s+/g, ' ') : '';
+    }
+
+    /**
+     * Plain object for saving, accepted by the constructor
+     */
+    toJSON() {
+        return {
+            defaultMinutes: this.defaultMinutes,
+            formats: { ...this.formats },
+            deliveries: { ...this.deliveries },
+            courses: { ...this.courses }
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReminderRules;
+}
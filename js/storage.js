@@ -0,0 +1,278 @@
+/**
+ * Schedule storage module for keeping imported schedules in this browser
+ *
+ * Nothing is saved until the user opts in, and nothing leaves the device:
+ * schedules go to IndexedDB, or localStorage where IndexedDB isn't available.
+ */
+
+class ScheduleStore {
+    /**
+     * @param {Object} options
+     * @param {IDBFactory|null} options.indexedDB - Defaults to the browser's
+     * @param {Storage|null} options.localStorage - Defaults to the browser's; also holds the opt-in
+     */
+    constructor(options = {}) {
+        const scope = typeof window !== 'undefined' ? window : {};
+        this.indexedDB = options.indexedDB !== undefined ? options.indexedDB : this.getGlobal(scope, 'indexedDB');
+        this.localStorage = options.localStorage !== undefined ? options.localStorage : this.getGlobal(scope, 'localStorage');
+
+        this.dbName = 'workday-cal';
+        this.storeName = 'schedules';
+        this.settingsKey = 'workday-cal:storage';
+        this.schedulesKey = 'workday-cal:schedules';
+        this.presetsKey = 'workday-cal:templates';
+        this.db = null;
+    }
+
+    /**
+     * Read a browser global; storage access throws when cookies are blocked
+     */
+    getGlobal(scope, name) {
+        try {
+            return scope[name] || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    isAvailable() {
+        return Boolean(this.indexedDB || this.localStorage);
+    }
+
+    isEnabled() {
+        return this.readSettings().enabled === true;
+    }
+
+    /**
+     * Turn saving on or off; turning it off deletes everything saved
+     */
+    async setEnabled(enabled) {
+        if (!this.localStorage) {
+            throw new Error('This browser doesn\'t allow saving data for this page');
+        }
+
+        if (enabled) {
+            this.writeSettings({ ...this.readSettings(), enabled: true });
+            return;
+        }
+
+        await this.clear();
+        this.localStorage.removeItem(this.settingsKey);
+    }
+
+    /**
+     * ID of the schedule that was open when the page was last left, if any
+     */
+    getLastOpened() {
+        return this.readSettings().lastOpened || null;
+    }
+
+    setLastOpened(id) {
+        if (!this.isEnabled()) return;
+        this.writeSettings({ ...this.readSettings(), lastOpened: id || null });
+    }
+
+    /**
+     * Save a schedule, replacing any saved under the same ID
+     * @param {Object} schedule - { id, name, studentGroups, activeGroup, selected, settings };
+     *                            a new ID is given when it has none
+     * @returns {Promise<Object>} The saved schedule
+     */
+    async save(schedule) {
+        if (!this.isEnabled()) {
+            throw new Error('Saving schedules is turned off');
+        }
+
+        const saved = {
+            ...schedule,
+            id: schedule.id || this.createId(),
+            savedAt: new Date().toISOString()
+        };
+
+        // Plain data only (no DOM or class instances), the same in both backends
+        const record = JSON.parse(JSON.stringify(saved));
+        if (this.indexedDB) {
+            await this.request(this.storeName, 'readwrite', store => store.put(record));
+        } else {
+            const schedules = this.readLocal();
+            schedules[record.id] = record;
+            this.writeLocal(schedules);
+        }
+
+        return record;
+    }
+
+    /**
+     * @returns {Promise<Object|null>} The saved schedule, or null when there's none
+     */
+    async load(id) {
+        if (!this.isEnabled()) return null;
+
+        if (this.indexedDB) {
+            return (await this.request(this.storeName, 'readonly', store => store.get(id))) || null;
+        }
+        return this.readLocal()[id] || null;
+    }
+
+    /**
+     * List saved schedules, most recently saved first
+     * @returns {Promise<Array>} Array of { id, name, savedAt, sections }
+     */
+    async list() {
+        if (!this.isEnabled()) return [];
+
+        const schedules = this.indexedDB
+            ? await this.request(this.storeName, 'readonly', store => store.getAll())
+            : Object.values(this.readLocal());
+
+        return schedules
+            .map(schedule => ({
+                id: schedule.id,
+                name: schedule.name,
+                savedAt: schedule.savedAt,
+                sections: schedule.sections || 0
+            }))
+            .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    async remove(id) {
+        if (this.indexedDB) {
+            await this.request(this.storeName, 'readwrite', store => store.delete(id));
+        } else if (this.localStorage) {
+            const schedules = this.readLocal();
+            delete schedules[id];
+            this.writeLocal(schedules);
+        }
+
+        if (this.getLastOpened() === id) {
+            this.setLastOpened(null);
+        }
+    }
+
+    async clear() {
+        if (this.indexedDB) {
+            await this.request(this.storeName, 'readwrite', store => store.clear());
+        }
+        if (this.localStorage) {
+            this.localStorage.removeItem(this.schedulesKey);
+        }
+    }
+
+    /**
+     * Event template presets the user saved. Saving one is its own opt-in, so
+     * presets are kept when remembering schedules is turned off.
+     * @returns {Array} Array of { name, summary, description, location }, by name
+     */
+    listPresets() {
+        const presets = this.readJSON(this.presetsKey) || {};
+        return Object.values(presets).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Save a preset, replacing any with the same name
+     */
+    savePreset(name, templates) {
+        if (!this.localStorage) {
+            throw new Error('This browser doesn\'t allow saving data for this page');
+        }
+        name = String(name || '').trim();
+        if (!name) {
+            throw new Error('Give the preset a name');
+        }
+
+        const presets = this.readJSON(this.presetsKey) || {};
+        presets[name] = { name, ...templates };
+        try {
+            this.localStorage.setItem(this.presetsKey, JSON.stringify(presets));
+        } catch (error) {
+            throw new Error(`Couldn't save the preset: ${error.message}`);
+        }
+        return presets[name];
+    }
+
+    removePreset(name) {
+        if (!this.localStorage) return;
+
+        const presets = this.readJSON(this.presetsKey) || {};
+        delete presets[name];
+        if (Object.keys(presets).length > 0) {
+            this.localStorage.setItem(this.presetsKey, JSON.stringify(presets));
+        } else {
+            this.localStorage.removeItem(this.presetsKey);
+        }
+    }
+
+    createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    readSettings() {
+        return this.readJSON(this.settingsKey) || {};
+    }
+
+    writeSettings(settings) {
+        this.localStorage.setItem(this.settingsKey, JSON.stringify(settings));
+    }
+
+    readLocal() {
+        return this.readJSON(this.schedulesKey) || {};
+    }
+
+    writeLocal(schedules) {
+        try {
+            this.localStorage.setItem(this.schedulesKey, JSON.stringify(schedules));
+        } catch (error) {
+            throw new Error(`Couldn't save the schedule: ${error.message}`);
+        }
+    }
+
+    readJSON(key) {
+        if (!this.localStorage) return null;
+
+        try {
+            return JSON.parse(this.localStorage.getItem(key));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Open the database, creating the schedules store the first time
+     */
+    openDatabase() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const open = this.indexedDB.open(this.dbName, 1);
+            open.onupgradeneeded = () => {
+                open.result.createObjectStore(this.storeName, { keyPath: 'id' });
+            };
+            open.onsuccess = () => {
+                this.db = open.result;
+                resolve(this.db);
+            };
+            open.onerror = () => reject(open.error);
+        });
+    }
+
+    /**
+     * Run one request against the schedules store
+     * @param {Function} makeRequest - Called with the object store, returns an IDBRequest
+     */
+    async request(storeName, mode, makeRequest) {
+        const db = await this.openDatabase();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Saving was cancelled'));
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScheduleStore;
+}
@@ -0,0 +1,160 @@
+/**
+ * Event template module for choosing how class titles, descriptions and
+ * locations are written
+ *
+ * Templates are plain text with fields in braces, e.g. "{code} {format} – {room}".
+ * Text in square brackets is left out when a field in it is empty, so
+ * "{code}[ ({component})]" only adds the parentheses for labs and tutorials.
+ * In multi-line templates, lines left empty that way are dropped.
+ */
+
+class EventTemplates {
+    /**
+     * @param {Object} options
+     * @param {string} options.summary - Event title (default: "{code} - {name}" and the component)
+     * @param {string} options.description - Event notes (default: one line per course detail)
+     * @param {string} options.location - Event location (default: "{room}")
+     */
+    constructor(options = {}) {
+        this.fields = {
+            code: 'Course code, e.g. CPSC 110',
+            name: 'Course name',
+            section: 'Section as Workday lists it',
+            sectionNumber: 'Section number, e.g. 101 or L1A',
+            format: 'Instructional format, e.g. Lecture or Laboratory',
+            component: 'Format, left empty for lectures',
+            delivery: 'Delivery mode, e.g. In Person Learning',
+            instructor: 'Instructor',
+            credits: 'Credits',
+            status: 'Registration status',
+            room: 'Room, or an exam\'s location',
+            days: 'Class days, e.g. Mon Wed Fri',
+            startTime: 'Start time, e.g. 09:00',
+            endTime: 'End time, e.g. 10:00',
+            term: 'Term, e.g. 2025W1'
+        };
+        this.parts = { summary: 'title', description: 'description', location: 'location' };
+
+        const defaults = this.getDefaults();
+        for (const part of Object.keys(this.parts)) {
+            this.setTemplate(part, options[part] !== undefined && options[part] !== null ? options[part] : defaults[part]);
+        }
+    }
+
+    /**
+     * The layout used before templates could be changed
+     */
+    getDefaults() {
+        return {
+            summary: '{code} - {name}[ ({component})]',
+            description: [
+                '[Course: {code} - {name}]',
+                '[Section: {section}]',
+                '[Instructor: {instructor}]',
+                '[Credits: {credits}]',
+                '[Format: {format}]',
+                '[Delivery: {delivery}]',
+                '[Status: {status}]'
+            ].join('\n'),
+            location: '{room}'
+        };
+    }
+
+    /**
+     * Ready-made templates to start from
+     * @returns {Array} Array of { name, summary, description, location }
+     */
+    getBuiltInPresets() {
+        const defaults = this.getDefaults();
+        return [
+            { name: 'Default', ...defaults },
+            { name: 'Short', ...defaults, summary: '{code}[ {component}]' },
+            { name: 'With section', ...defaults, summary: '{code} {sectionNumber}[ ({component})] – {name}' },
+            { name: 'Room in title', ...defaults, summary: '{code} {format}[ – {room}]' }
+        ];
+    }
+
+    /**
+     * Change one template, checking it first
+     * @param {string} part - summary, description or location
+     */
+    setTemplate(part, template) {
+        if (!this.parts[part]) {
+            throw new Error(`Unknown template: ${part} (expected summary, description or location)`);
+        }
+        this.validate(String(template), this.parts[part]);
+        this[part] = String(template);
+    }
+
+    /**
+     * Check a template's fields and brackets
+     * @param {string} label - What the template is for, for error messages
+     */
+    validate(template, label = 'template') {
+        let depth = 0;
+        for (const character of template) {
+            if (character === '[') depth++;
+            if (character === ']') depth--;
+            if (depth > 1) throw new Error(`Brackets can't be nested in the ${label} template`);
+            if (depth < 0) throw new Error(`The ${label} template has a "]" without a "["`);
+        }
+        if (depth !== 0) {
+            throw new Error(`The ${label} template has a "[" without a "]"`);
+        }
+
+        for (const [, name] of template.matchAll(/\{([^{}]*)\}/g)) {
+            if (!Object.prototype.hasOwnProperty.call(this.fields, name)) {
+                throw new Error(`Unknown field {${name}} in the ${label} template (expected one of ${Object.keys(this.fields).map(field => `{${field}}`).join(', ')})`);
+            }
+        }
+    }
+
+    /**
+     * Write one part of an event
+     * @param {string} part - summary, description or location
+     * @param {Object} fields - Values by field name (see CalendarGenerator.getTemplateFields)
+     * @returns {string}
+     */
+    render(part, fields) {
+        return this.renderTemplate(this[part], fields);
+    }
+
+    renderTemplate(template, fields) {
+        const value = name => (fields[name] === null || fields[name] === undefined ? '' : String(fields[name]));
+        const fill = text => text.replace(/\{(\w+)\}/g, (match, name) => value(name));
+
+        return template.split('\n')
+            .map(line => ({
+                line,
+                text: fill(line.replace(/\[([^\]]*)\]/g, (match, optional) => {
+                    const names = Array.from(optional.matchAll(/\{(\w+)\}/g), field => field[1]);
+                    return names.some(name => !value(name)) ? '' : optional;
+                }))
+            }))
+            // Drop lines that only had missing details, keeping blank lines the template has
+            .filter(({ line, text }) => text.trim() || !line.trim())
+            .map(({ text }) => text)
+            .join('\n');
+    }
+
+    isDefault() {
+        const defaults = this.getDefaults();
+        return Object.keys(this.parts).every(part => this[part] === defaults[part]);
+    }
+
+    /**
+     * Plain object for saving, accepted by the constructor
+     */
+    toJSON() {
+        return {
+            summary: this.summary,
+            description: this.description,
+            location: this.location
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventTemplates;
+}
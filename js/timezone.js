@@ -0,0 +1,225 @@
+/**
+ * Timezone module for building VTIMEZONE components from IANA zone rules
+ */
+
+class TimezoneBuilder {
+    /**
+     * @param {string} tzid - IANA timezone name, e.g. "America/Vancouver"
+     */
+    constructor(tzid = 'America/Vancouver') {
+        try {
+            this.formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: tzid,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            });
+            this.nameFormatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: tzid,
+                timeZoneName: 'short'
+            });
+        } catch (error) {
+            throw new Error(`Unknown timezone: "${tzid}" (expected an IANA name such as America/Vancouver)`);
+        }
+
+        this.tzid = tzid;
+    }
+
+    /**
+     * Get the UTC offset in minutes at an instant
+     * @param {Date} date
+     * @returns {number} Offset in minutes (e.g. -420 for PDT)
+     */
+    getOffset(date) {
+        const parts = {};
+        for (const part of this.formatter.formatToParts(date)) {
+            parts[part.type] = part.value;
+        }
+
+        const asUTC = Date.UTC(
+            Number(parts.year),
+            Number(parts.month) - 1,
+            Number(parts.day),
+            Number(parts.hour),
+            Number(parts.minute),
+            Number(parts.second)
+        );
+
+        // Drop milliseconds so the difference is a whole number of minutes
+        const instant = Math.floor(date.getTime() / 1000) * 1000;
+        return Math.round((asUTC - instant) / 60000);
+    }
+
+    /**
+     * Get the instant a local date-time falls on in this zone
+     * @param {string} local - ICS local date-time, e.g. "20251020T090000"
+     * @returns {Date}
+     */
+    getInstant(local) {
+        const asUTC = Date.UTC(
+            Number(local.slice(0, 4)),
+            Number(local.slice(4, 6)) - 1,
+            Number(local.slice(6, 8)),
+            Number(local.slice(9, 11)),
+            Number(local.slice(11, 13)),
+            Number(local.slice(13, 15))
+        );
+
+        // Near a transition the offset differs either side, so check it again at the guess
+        const guess = asUTC - this.getOffset(new Date(asUTC)) * 60000;
+        return new Date(asUTC - this.getOffset(new Date(guess)) * 60000);
+    }
+
+    /**
+     * Get the abbreviated zone name at an instant (e.g. "PDT"), or null when
+     * the platform only knows a "GMT+x" style name
+     */
+    getAbbreviation(date) {
+        const part = this.nameFormatter.formatToParts(date).find(p => p.type === 'timeZoneName');
+        if (!part || /^(GMT|UTC)([+-]|$)/.test(part.value)) {
+            return null;
+        }
+        return part.value;
+    }
+
+    /**
+     * Find every offset transition between two instants
+     * @param {Date} start
+     * @param {Date} end
+     * @returns {Array} Array of { date, offsetFrom, offsetTo }
+     */
+    findTransitions(start, end) {
+        const transitions = [];
+        const step = 24 * 60 * 60 * 1000;
+
+        let previous = start.getTime();
+        let previousOffset = this.getOffset(start);
+
+        for (let time = previous + step; time <= end.getTime() + step; time += step) {
+            const current = Math.min(time, end.getTime());
+            const offset = this.getOffset(new Date(current));
+
+            if (offset !== previousOffset) {
+                // Narrow the transition down to the minute
+                let low = previous;
+                let high = current;
+                while (high - low > 60000) {
+                    const mid = low + Math.floor((high - low) / 120000) * 60000;
+                    if (this.getOffset(new Date(mid)) === previousOffset) {
+                        low = mid;
+                    } else {
+                        high = mid;
+                    }
+                }
+
+                transitions.push({
+                    date: new Date(high),
+                    offsetFrom: previousOffset,
+                    offsetTo: offset
+                });
+            }
+
+            previous = current;
+            previousOffset = offset;
+            if (current === end.getTime()) break;
+        }
+
+        return transitions;
+    }
+
+    /**
+     * Build VTIMEZONE lines covering a range of years
+     * Transitions from the year before are included so the first event is
+     * always preceded by an observance
+     * @param {number} startYear
+     * @param {number} endYear
+     * @returns {Array} ICS lines from BEGIN:VTIMEZONE to END:VTIMEZONE
+     */
+    buildVTimezone(startYear, endYear = startYear) {
+        const rangeStart = new Date(Date.UTC(startYear - 1, 0, 1));
+        const rangeEnd = new Date(Date.UTC(endYear + 1, 0, 1));
+        const transitions = this.findTransitions(rangeStart, rangeEnd);
+
+        const lines = [];
+        lines.push('BEGIN:VTIMEZONE');
+        lines.push(`TZID:${this.tzid}`);
+
+        if (transitions.length === 0) {
+            // Fixed-offset zone
+            const offset = this.getOffset(rangeStart);
+            lines.push('BEGIN:STANDARD');
+            lines.push('DTSTART:19700101T000000');
+            lines.push(`TZOFFSETFROM:${this.formatOffset(offset)}`);
+            lines.push(`TZOFFSETTO:${this.formatOffset(offset)}`);
+            const name = this.getAbbreviation(rangeStart);
+            if (name) lines.push(`TZNAME:${name}`);
+            lines.push('END:STANDARD');
+        }
+
+        for (const transition of transitions) {
+            const type = this.isDaylight(transition) ? 'DAYLIGHT' : 'STANDARD';
+            const localStart = new Date(transition.date.getTime() + transition.offsetFrom * 60000);
+
+            lines.push(`BEGIN:${type}`);
+            lines.push(`DTSTART:${this.formatLocal(localStart)}`);
+            lines.push(`TZOFFSETFROM:${this.formatOffset(transition.offsetFrom)}`);
+            lines.push(`TZOFFSETTO:${this.formatOffset(transition.offsetTo)}`);
+            const name = this.getAbbreviation(transition.date);
+            if (name) lines.push(`TZNAME:${name}`);
+            lines.push(`END:${type}`);
+        }
+
+        lines.push('END:VTIMEZONE');
+        return lines;
+    }
+
+    /**
+     * A transition enters daylight time when it moves to the larger of the
+     * offsets in effect around it during that year
+     */
+    isDaylight(transition) {
+        const year = transition.date.getUTCFullYear();
+        const january = this.getOffset(new Date(Date.UTC(year, 0, 1)));
+        const july = this.getOffset(new Date(Date.UTC(year, 6, 1)));
+
+        if (january === july) {
+            return false;
+        }
+        return transition.offsetTo === Math.max(january, july);
+    }
+
+    /**
+     * Format an offset in minutes as ICS UTC offset, e.g. -420 -> "-0700"
+     */
+    formatOffset(minutes) {
+        const sign = minutes < 0 ? '-' : '+';
+        const abs = Math.abs(minutes);
+        const hours = Math.floor(abs / 60).toString().padStart(2, '0');
+        const mins = (abs % 60).toString().padStart(2, '0');
+
+        return `${sign}${hours}${mins}`;
+    }
+
+    /**
+     * Format a shifted Date's UTC fields as ICS local date-time
+     */
+    formatLocal(date) {
+        const year = date.getUTCFullYear();
+        const month = (date.getUTCMonth() + 1).toString().padStart(2, '0');
+        const day = date.getUTCDate().toString().padStart(2, '0');
+        const hours = date.getUTCHours().toString().padStart(2, '0');
+        const minutes = date.getUTCMinutes().toString().padStart(2, '0');
+        const seconds = date.getUTCSeconds().toString().padStart(2, '0');
+
+        return `${year}${month}${day}T${hours}${minutes}${seconds}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimezoneBuilder;
+}
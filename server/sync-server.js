@@ -0,0 +1,476 @@
+/**
+ * Sync server for publishing schedules as subscribable calendar feeds
+ *
+ * Each feed keeps its last uploaded schedule on disk and is served at
+ * /feeds/<name>.ics, so a calendar app subscribed to that URL picks up
+ * changes without re-importing. Runs locally; nothing is sent elsewhere.
+ *
+ * Web pages may only use the server from the app's own origins, so another
+ * site open in the browser can't read or change the schedules, and requests
+ * must name the server itself as their Host, so a site can't reach it through
+ * a DNS name of its own either. Everything but the calendars also needs a
+ * token, kept in the data folder between runs.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { WorkdayParser, CalendarGenerator, HolidayCalendar, ReminderRules, EventTemplates, TimezoneBuilder } = require('../js');
+
+class SyncServerError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'SyncServerError';
+        this.status = status;
+    }
+}
+
+class SyncServer {
+    /**
+     * @param {Object} options
+     * @param {string} options.dataDir - Where feeds are saved (default ~/.workday-cal/feeds)
+     * @param {string} options.host - Address to listen on (default 127.0.0.1, this machine only)
+     * @param {number} options.port - Port to listen on (default 8787)
+     * @param {string} options.refreshInterval - How often subscribers should refresh,
+     *                                           as an ICS duration (default PT1H)
+     * @param {number} options.maxUploadBytes - Largest accepted upload (default 10 MB)
+     * @param {Array} options.origins - Web app origins allowed to use the server from a
+     *                                  browser (default: the hosted app)
+     * @param {string} options.token - Needed for everything but the calendars
+     *                                 (default: a random one, saved in dataDir)
+     */
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || path.join(os.homedir(), '.workday-cal', 'feeds');
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port !== undefined ? options.port : 8787;
+        this.refreshInterval = options.refreshInterval || 'PT1H';
+        this.maxUploadBytes = options.maxUploadBytes || 10 * 1024 * 1024;
+        this.origins = (options.origins || ['https://voctory.github.io']).map(origin => origin.replace(/\/+$/, ''));
+        this.token = options.token || null;
+        this.server = null;
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<string>} Base URL, e.g. "http://127.0.0.1:8787"
+     */
+    start() {
+        fs.mkdirSync(this.dataDir, { recursive: true });
+        this.token = this.token || this.loadToken();
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                this.port = this.server.address().port;
+                resolve(this.getBaseUrl());
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+
+    /**
+     * Read the token saved by an earlier run, or make one up and save it, so
+     * the web app's copy keeps working after a restart
+     */
+    loadToken() {
+        const file = path.join(this.dataDir, 'token');
+        if (fs.existsSync(file)) {
+            const saved = fs.readFileSync(file, 'utf8').trim();
+            if (saved) return saved;
+        }
+
+        const token = crypto.randomBytes(18).toString('base64url');
+        fs.writeFileSync(file, token + '\n', { mode: 0o600 });
+        return token;
+    }
+
+    getBaseUrl(hostHeader) {
+        const host = hostHeader || `${this.host.includes(':') ? `[${this.host}]` : this.host}:${this.port}`;
+        return `http://${host}`;
+    }
+
+    /**
+     * Route a request
+     *   GET    /                     List feeds
+     *   GET    /feeds/<name>.ics     Calendar for a feed
+     *   GET    /feeds/<name>.json    Stored schedule for a feed
+     *   PUT    /feeds/<name>         Replace a feed's schedule (POST also accepted)
+     *   DELETE /feeds/<name>         Remove a feed
+     *
+     * Everything but the calendars needs the token.
+     */
+    async handleRequest(req, res) {
+        try {
+            this.checkHost(req);
+            this.checkOrigin(req, res);
+
+            const url = new URL(req.url, 'http://localhost');
+            const match = url.pathname.match(/^\/feeds\/([^/]+?)(\.ics|\.json)?$/);
+
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204);
+                res.end();
+            } else if (url.pathname === '/' && req.method === 'GET') {
+                this.checkToken(req);
+                this.sendJSON(res, 200, { feeds: this.listFeeds().map(feed => this.describeFeed(feed, req)) });
+            } else if (match && match[2] === '.ics' && req.method === 'GET') {
+                this.sendCalendar(req, res, this.loadFeed(match[1]));
+            } else if (match && match[2] === '.json' && req.method === 'GET') {
+                this.checkToken(req);
+                this.sendJSON(res, 200, this.loadFeed(match[1]));
+            } else if (match && !match[2] && (req.method === 'PUT' || req.method === 'POST')) {
+                this.checkToken(req);
+                const body = await this.readBody(req);
+                const feed = this.publish(match[1], this.parseUpload(body, req.headers['content-type'], url));
+                this.sendJSON(res, 200, this.describeFeed(feed, req));
+            } else if (match && !match[2] && req.method === 'DELETE') {
+                this.checkToken(req);
+                this.deleteFeed(match[1]);
+                res.writeHead(204);
+                res.end();
+            } else {
+                throw new SyncServerError(match || url.pathname === '/' ? 405 : 404,
+                    match || url.pathname === '/' ? `${req.method} is not supported here` : 'Not found');
+            }
+        } catch (error) {
+            const status = error.status || 500;
+            this.sendJSON(res, status, { error: error.message, hints: error.hints || [] });
+        }
+    }
+
+    /**
+     * Only answer requests addressed to this server, by the address it listens
+     * on or as localhost. A page that points a DNS name of its own at this
+     * computer (DNS rebinding) counts as the same origin as the server and
+     * would get around the origin check otherwise. Listening on every address
+     * (e.g. 0.0.0.0 behind a proxy), any name may be used, and only the
+     * calendars can be read without the token.
+     */
+    checkHost(req) {
+        if (this.host === '0.0.0.0' || this.host === '::') return;
+
+        const bound = this.host.includes(':') ? `[${this.host}]` : this.host;
+        const allowed = [bound, 'localhost'].map(name => `${name}:${this.port}`.toLowerCase());
+        if (this.port === 80) allowed.push(bound.toLowerCase(), 'localhost');
+
+        if (!allowed.includes(String(req.headers.host || '').toLowerCase())) {
+            throw new SyncServerError(403, `This server only answers requests for ${allowed[0]} or ${allowed[1]}`);
+        }
+    }
+
+    /**
+     * Let the app's origins use the server from a browser. Pages from other
+     * origins get no CORS headers, so they can't read responses, and can't
+     * make changes at all (a form or no-cors request needs no preflight).
+     */
+    checkOrigin(req, res) {
+        const origin = req.headers.origin;
+        if (!origin) return; // Calendar apps, curl and the like
+
+        if (this.origins.includes(origin)) {
+            res.setHeader('Access-Control-Allow-Origin', origin);
+            res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, POST, DELETE, OPTIONS');
+            res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, If-None-Match');
+            res.setHeader('Vary', 'Origin');
+            return;
+        }
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            throw new SyncServerError(403, `Web pages from ${origin} can't change feeds here (start the server with --origin ${origin} to allow it)`);
+        }
+    }
+
+    checkToken(req) {
+        const given = Buffer.from(String(req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+        const expected = Buffer.from(this.token);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            throw new SyncServerError(401, 'This server needs its token (Authorization: Bearer <token>)');
+        }
+    }
+
+    sendJSON(res, status, value) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(value, null, 2) + '\n');
+    }
+
+    /**
+     * Send a feed's calendar, answering 304 when the subscriber is up to date
+     */
+    sendCalendar(req, res, feed) {
+        const content = this.renderFeed(feed);
+
+        // DTSTAMP changes on every render, so leave it out of the ETag
+        const etag = `"${crypto.createHash('sha1').update(content.replace(/^DTSTAMP:.*$/gm, '')).digest('hex')}"`;
+        const headers = {
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': `inline; filename="${feed.name}.ics"`,
+            'Cache-Control': 'no-cache',
+            'ETag': etag,
+            'Last-Modified': new Date(feed.updated).toUTCString()
+        };
+
+        if (req.headers['if-none-match'] === etag) {
+            res.writeHead(304, headers);
+            res.end();
+            return;
+        }
+
+        res.writeHead(200, headers);
+        res.end(content);
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > this.maxUploadBytes) {
+                    // Drain the rest so the error can still be sent
+                    req.removeAllListeners('data');
+                    req.resume();
+                    reject(new SyncServerError(413, `Upload is larger than ${Math.round(this.maxUploadBytes / 1048576)} MB`));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => resolve(Buffer.concat(chunks)));
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Read an upload: JSON from the web app ({ courses, settings, source }),
+     * or a Workday export (Excel, CSV or HTML) named by ?file=
+     */
+    parseUpload(body, contentType, url) {
+        if (body.length === 0) {
+            throw new SyncServerError(400, 'The upload is empty');
+        }
+
+        if (/application\/json/i.test(contentType || '')) {
+            let upload;
+            try {
+                upload = JSON.parse(body.toString('utf8'));
+            } catch (error) {
+                throw new SyncServerError(400, `Invalid JSON: ${error.message}`);
+            }
+            if (!upload || !Array.isArray(upload.courses)) {
+                throw new SyncServerError(400, 'Expected { "courses": [...] }');
+            }
+            this.checkCourses(upload.courses);
+            return { courses: upload.courses, settings: upload.settings || {}, source: upload.source || '' };
+        }
+
+        const fileName = url.searchParams.get('file') || '';
+        try {
+            const courses = new WorkdayParser().parse(body, fileName);
+            return { courses, settings: {}, source: fileName };
+        } catch (error) {
+            const parseError = new SyncServerError(422, error.message);
+            parseError.hints = error.hints;
+            throw parseError;
+        }
+    }
+
+    /**
+     * Check uploaded courses have what the calendar is built from, naming the
+     * first entry that doesn't
+     */
+    checkCourses(courses) {
+        const days = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+        const isTime = value => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+        const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+        courses.forEach((course, index) => {
+            const fail = (problem) => {
+                const name = course && typeof course.code === 'string' && course.code ? ` ("${course.code}")` : '';
+                throw new SyncServerError(400, `Course ${index + 1}${name} ${problem}`);
+            };
+
+            if (!course || typeof course !== 'object') fail('is not an object');
+            if (typeof course.code !== 'string' || !course.code.trim()) fail('needs a "code", e.g. "CPSC 110"');
+            if (!Array.isArray(course.meetings)) fail('needs a "meetings" list');
+            for (const field of ['events', 'overrides']) {
+                if (course[field] !== undefined && !Array.isArray(course[field])) fail(`has a "${field}" that is not a list`);
+            }
+
+            course.meetings.forEach((meeting, number) => {
+                const where = `meeting ${number + 1}`;
+                if (!meeting || typeof meeting !== 'object') fail(`${where} is not an object`);
+                if (!Array.isArray(meeting.days) || !meeting.days.every(day => days.includes(day))) {
+                    fail(`${where} needs "days" as a list of ${days.join(', ')}`);
+                }
+                if (!isTime(meeting.startTime)) fail(`${where} needs a "startTime" as HH:MM`);
+                if (meeting.endTime && !isTime(meeting.endTime)) fail(`${where} has an "endTime" that is not HH:MM`);
+                if (!isDate(meeting.startDate) || !isDate(meeting.endDate)) {
+                    fail(`${where} needs a "startDate" and "endDate" as YYYY-MM-DD`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Replace a feed's schedule, keeping event revisions so subscribers see
+     * changed events as updates
+     * @param {string} name - Feed name (letters, digits, "-" and "_")
+     * @param {Object} upload - { courses, settings, source }
+     * @returns {Object} Saved feed
+     */
+    publish(name, upload) {
+        const previous = this.findFeed(name);
+        const feed = {
+            name: this.checkName(name),
+            source: upload.source || '',
+            updated: new Date().toISOString(),
+            courses: upload.courses,
+            settings: this.createSettings(upload.settings),
+            revisions: previous ? previous.revisions : {}
+        };
+
+        if (feed.courses.length === 0) {
+            throw new SyncServerError(422, 'No courses to publish');
+        }
+
+        // Work out new revisions now, so serving the calendar never writes
+        this.createGenerator(feed, feed.revisions).createEvents(feed.courses);
+        this.saveFeed(feed);
+        return feed;
+    }
+
+    /**
+     * Keep only settings the generator understands, checking them on the way
+     * @param {Object} settings - { timezone, holidays: { includeBuiltIn, additions },
+     *                            reminders, templates, uidNamespace }
+     */
+    createSettings(settings = {}) {
+        try {
+            const holidays = new HolidayCalendar(settings.holidays || {});
+            const reminders = new ReminderRules(settings.reminders || {});
+            const templates = new EventTemplates(settings.templates || {});
+            const timezone = new TimezoneBuilder(settings.timezone || 'America/Vancouver');
+
+            return {
+                timezone: timezone.tzid,
+                holidays: { includeBuiltIn: holidays.includeBuiltIn, additions: holidays.additions },
+                reminders: reminders.toJSON(),
+                templates: templates.toJSON(),
+                uidNamespace: String(settings.uidNamespace || '')
+            };
+        } catch (error) {
+            throw new SyncServerError(400, `Invalid settings: ${error.message}`);
+        }
+    }
+
+    /**
+     * @param {Object} revisions - Event revisions, updated by the generator
+     */
+    createGenerator(feed, revisions) {
+        return new CalendarGenerator({
+            holidays: new HolidayCalendar(feed.settings.holidays),
+            reminders: new ReminderRules(feed.settings.reminders),
+            templates: new EventTemplates(feed.settings.templates || {}),
+            timezone: feed.settings.timezone,
+            uidNamespace: feed.settings.uidNamespace,
+            revisions: revisions,
+            refreshInterval: this.refreshInterval
+        });
+    }
+
+    /**
+     * Generate a feed's calendar from its stored revisions, leaving the feed as it is
+     */
+    renderFeed(feed) {
+        const revisions = JSON.parse(JSON.stringify(feed.revisions || {}));
+        return this.createGenerator(feed, revisions).generateICS(feed.courses) + '\r\n';
+    }
+
+    describeFeed(feed, req) {
+        const url = `${this.getBaseUrl(req && req.headers.host)}/feeds/${feed.name}.ics`;
+        const sections = new Set(feed.courses.map(course => course.key || course.code)).size;
+
+        return {
+            name: feed.name,
+            source: feed.source,
+            updated: feed.updated,
+            sections: sections,
+            url: url,
+            webcal: url.replace(/^https?:/, 'webcal:')
+        };
+    }
+
+    checkName(name) {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(name);
+        } catch (error) {
+            throw new SyncServerError(400, `Invalid feed name: "${name}" (use letters, digits, "-" and "_")`);
+        }
+        if (!/^[a-z0-9][a-z0-9_-]{0,63}$/i.test(decoded)) {
+            throw new SyncServerError(400, `Invalid feed name: "${decoded}" (use letters, digits, "-" and "_")`);
+        }
+        return decoded;
+    }
+
+    getFeedPath(name) {
+        return path.join(this.dataDir, `${this.checkName(name)}.json`);
+    }
+
+    findFeed(name) {
+        const file = this.getFeedPath(name);
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    }
+
+    loadFeed(name) {
+        const feedName = this.checkName(name);
+        const feed = this.findFeed(feedName);
+        if (!feed) {
+            throw new SyncServerError(404, `No feed named "${feedName}"`);
+        }
+        return feed;
+    }
+
+    /**
+     * Write a feed through a temporary file, so a crash never leaves half a schedule
+     */
+    saveFeed(feed) {
+        const file = this.getFeedPath(feed.name);
+        const temp = `${file}.${process.pid}.tmp`;
+
+        fs.writeFileSync(temp, JSON.stringify(feed, null, 2));
+        fs.renameSync(temp, file);
+    }
+
+    deleteFeed(name) {
+        const feedName = this.checkName(name);
+        const file = this.getFeedPath(feedName);
+        if (!fs.existsSync(file)) {
+            throw new SyncServerError(404, `No feed named "${feedName}"`);
+        }
+        fs.unlinkSync(file);
+    }
+
+    listFeeds() {
+        if (!fs.existsSync(this.dataDir)) return [];
+
+        return fs.readdirSync(this.dataDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => this.findFeed(path.basename(file, '.json')))
+            .filter(feed => feed)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+}
+
+module.exports = SyncServer;
+module.exports.SyncServerError = SyncServerError;
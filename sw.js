@@ -0,0 +1,89 @@
+/**
+ * Service worker that keeps the converter working offline
+ *
+ * The app shell and vendored libraries are cached on install. Pages and the
+ * files they load are fetched from the network first, falling back to the
+ * cache offline, so a new version's page never runs with the previous
+ * version's scripts.
+ */
+
+// Bump when files are added to or removed from the shell
+const CACHE_NAME = 'workday-cal-v5';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.json',
+    'css/styles.css',
+    'vendor/xlsx.full.min.js',
+    'vendor/html2canvas.min.js',
+    'js/columns.js',
+    'js/parser.js',
+    'js/ics-import.js',
+    'js/holidays.js',
+    'js/timezone.js',
+    'js/reminders.js',
+    'js/templates.js',
+    'js/exams.js',
+    'js/conflicts.js',
+    'js/recurrence.js',
+    'js/calendar.js',
+    'js/diff.js',
+    'js/storage.js',
+    'js/google-calendar.js',
+    'js/outlook-calendar.js',
+    'js/calendar-view.js',
+    'js/app.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('workday-cal-') && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Tutorials, sync servers and calendar sites are never cached
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    event.respondWith(fetchFromNetwork(request));
+});
+
+/**
+ * Network first, so a new version is used as soon as it's online, keeping
+ * the cached copy up to date for offline use
+ */
+async function fetchFromNetwork(request) {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        // Check with the server past the browser's HTTP cache too
+        const response = await fetch(request, request.mode === 'navigate' ? undefined : { cache: 'no-cache' });
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        // Files opened in the installed app arrive as a navigation too
+        if (!cached && request.mode === 'navigate') {
+            return cache.match('index.html');
+        }
+        return cached || Response.error();
+    }
+}
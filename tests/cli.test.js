@@ -0,0 +1,153 @@
+/**
+ * Tests for the command-line interface (bin/workday-cal.js), run with Node's
+ * test runner: npm test
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main, parseArgs } = require('../bin/workday-cal');
+const pkg = require('../package.json');
+
+const CSV = [
+    'Course Listing,Section,Instructional Format,Meeting Patterns,Instructor,Credits',
+    '"CPSC_V 110 - Computation",CPSC_V 110-101,Lecture,"2025-09-02 - 2025-12-04 | Tue Thu | 2:00 p.m. - 3:30 p.m. | DMP 110",Dr. Jane Smith,4',
+    '"MATH_V 101 - Integral Calculus",MATH_V 101-201,Lecture,"2026-01-05 - 2026-04-08 | Mon Wed Fri | 10:00 a.m. - 11:00 a.m. | LSK 200",Dr. John Doe,3'
+].join('\n') + '\n';
+
+/**
+ * Run the CLI, collecting what it writes
+ * @returns {Object} { code, stdout, stderr }
+ */
+function run(argv, env = {}) {
+    const result = { stdout: '', stderr: '' };
+    const io = {
+        stdout: { write: text => { result.stdout += text; } },
+        stderr: { write: text => { result.stderr += text; } }
+    };
+    result.code = main(argv, io, env);
+    return result;
+}
+
+describe('parseArgs', () => {
+    it('reads commands, options and repeated options', () => {
+        const { command, file, extra, options } = parseArgs(['convert', 'courses.xlsx', '-o', 'out.ics',
+            '--term', '2025W1', '-t', 'W2', '--course=CPSC 110', '--no-holidays', '--description', 'Room: {room}\\n{days}']);
+
+        assert.equal(command, 'convert');
+        assert.equal(file, 'courses.xlsx');
+        assert.deepEqual(extra, []);
+        assert.equal(options.output, 'out.ics');
+        assert.deepEqual(options.terms, ['2025W1', 'W2']);
+        assert.deepEqual(options.courses, ['CPSC 110']);
+        assert.equal(options.holidays, false);
+        assert.equal(options.templates.description, 'Room: {room}\n{days}');
+    });
+
+    it('rejects missing values, unknown options and bad values', () => {
+        assert.throws(() => parseArgs(['convert', 'courses.xlsx', '-o']), /Option -o requires a value/);
+        assert.throws(() => parseArgs(['convert', 'courses.xlsx', '--term', '--verbose']), /Option --term requires a value/);
+        assert.throws(() => parseArgs(['convert', 'courses.xlsx', '--colour']), /Unknown option: --colour/);
+        assert.throws(() => parseArgs(['convert', 'courses.xlsx', '-f', 'pdf']), /Unknown format: pdf/);
+        assert.throws(() => parseArgs(['serve', '--port', '99999']), /Invalid port: 99999/);
+    });
+});
+
+describe('main', () => {
+    let dir;
+    let file;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workday-cal-cli-'));
+        file = path.join(dir, 'courses.csv');
+        fs.writeFileSync(file, CSV);
+    });
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('prints the version and help', () => {
+        assert.deepEqual(run(['--version']), { code: 0, stdout: `${pkg.version}\n`, stderr: '' });
+
+        const help = run(['--help']);
+        assert.equal(help.code, 0);
+        assert.match(help.stdout, /^Usage: workday-cal/);
+    });
+
+    it('exits with 2 for usage errors', () => {
+        for (const argv of [[], ['publish', file], ['convert'], ['convert', file, 'extra.csv'],
+            ['convert', file, '--colour'], ['convert', file, '--term', 'fall'], ['convert', file, '--per-student']]) {
+            const { code, stdout, stderr } = run(argv);
+            assert.equal(code, 2, argv.join(' '));
+            assert.equal(stdout, '');
+            assert.match(stderr, /Usage: workday-cal|Run "workday-cal --help" for usage/);
+        }
+    });
+
+    it('exits with 1 when the file can\'t be converted', () => {
+        const missing = run(['convert', path.join(dir, 'missing.csv')]);
+        assert.equal(missing.code, 1);
+        assert.match(missing.stderr, /^workday-cal: File not found/);
+
+        const filtered = run(['convert', file, '--course', 'PHYS 117']);
+        assert.equal(filtered.code, 1);
+        assert.match(filtered.stderr, /No courses found/);
+    });
+
+    it('writes only the calendar to stdout', () => {
+        const { code, stdout, stderr } = run(['convert', file, '--verbose']);
+
+        assert.equal(code, 0);
+        assert.match(stdout, /^BEGIN:VCALENDAR\r\n/);
+        assert.match(stdout, /END:VCALENDAR\r\n$/);
+        assert.match(stderr, /Parsed 2 of 2 course rows/);
+    });
+
+    it('filters sections and writes other formats', () => {
+        const text = run(['convert', file, '--term', '2025W1', '-f', 'text']);
+        assert.equal(text.code, 0);
+        assert.match(text.stdout, /^UBC Course Schedule\n/);
+        assert.match(text.stdout, /Classes: 26 \(2025-09-02 to 2025-12-04, none on .*2025-11-11 Remembrance Day\)/);
+        assert.doesNotMatch(text.stdout, /MATH 101/);
+
+        const output = path.join(dir, 'courses.json');
+        const json = run(['convert', file, '--course', 'MATH 101', '-o', output]);
+        assert.equal(json.code, 0);
+        assert.equal(json.stdout, '');
+        assert.match(json.stderr, /Wrote 1 section to /);
+        assert.deepEqual(JSON.parse(fs.readFileSync(output, 'utf8')).courses.map(course => course.key), ['MATH 101 201']);
+
+        const list = run(['list', file]);
+        assert.equal(list.code, 0);
+        assert.deepEqual(list.stdout.trim().split('\n').map(line => line.split('\t')[0]), ['CPSC 110 101', 'MATH 101 201']);
+    });
+
+    it('labels class times with the campus timezone without shifting them', () => {
+        const { code, stdout } = run(['convert', file, '--course', 'CPSC 110', '--campus-timezone', 'America/Toronto']);
+
+        assert.equal(code, 0);
+        assert.match(stdout, /DTSTART;TZID=America\/Toronto:20250902T140000/);
+        assert.match(stdout, /TZID:America\/Toronto/);
+
+        const unknown = run(['convert', file, '--campus-timezone', 'Mars/Olympus_Mons']);
+        assert.equal(unknown.code, 1);
+        assert.match(unknown.stderr, /Unknown timezone/);
+    });
+
+    it('keeps revisions between runs with --revisions', () => {
+        const revisions = path.join(dir, 'revisions.json');
+        const sequence = (csv) => {
+            fs.writeFileSync(file, csv);
+            return run(['convert', file, '--course', 'CPSC 110', '--revisions', revisions]).stdout.match(/SEQUENCE:(\d+)/)[1];
+        };
+
+        assert.equal(sequence(CSV), '0');
+        assert.equal(sequence(CSV), '0');
+        assert.equal(sequence(CSV.replace('DMP 110', 'DMP 310')), '1');
+        assert.equal(run(['convert', file, '--course', 'CPSC 110']).stdout.match(/SEQUENCE:(\d+)/)[1], '0',
+            'Without a revisions file every event is new');
+        fs.writeFileSync(file, CSV);
+    });
+});
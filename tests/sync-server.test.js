@@ -0,0 +1,311 @@
+/**
+ * Tests for the sync server (workday-cal serve), run with Node's test runner:
+ * npm test
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SyncServer = require('../server/sync-server');
+
+const course = {
+    code: 'CPSC 110',
+    name: 'Computation, Programs, and Programming',
+    section: 'CPSC_V 110-101',
+    format: 'Lecture',
+    startDate: '2025-09-02',
+    endDate: '2025-12-04',
+    key: 'CPSC 110 101',
+    meetings: [{ startDate: '2025-09-02', endDate: '2025-12-04', days: ['TU', 'TH'], startTime: '14:00', endTime: '15:30', location: 'DMP 110' }]
+};
+
+function createDataDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'workday-cal-test-'));
+}
+
+const auth = { Authorization: 'Bearer secret' };
+
+/**
+ * Start a server on a free port for the tests in a suite
+ */
+function useServer(options = {}) {
+    const context = {};
+
+    before(async () => {
+        context.dataDir = createDataDir();
+        context.server = new SyncServer({ port: 0, dataDir: context.dataDir, token: 'secret', ...options });
+        context.url = await context.server.start();
+    });
+    after(async () => {
+        await context.server.stop();
+        fs.rmSync(context.dataDir, { recursive: true, force: true });
+    });
+
+    return context;
+}
+
+function publish(context, name, courses = [course], headers = auth) {
+    return fetch(`${context.url}/feeds/${name}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ courses, settings: {}, source: 'test.xlsx' })
+    });
+}
+
+/**
+ * Make a request with the token
+ */
+function request(context, path, init = {}) {
+    return fetch(`${context.url}${path}`, { ...init, headers: { ...auth, ...init.headers } });
+}
+
+describe('SyncServer routes', () => {
+    const context = useServer();
+
+    it('publishes, lists, serves and deletes a feed', async () => {
+        const published = await publish(context, 'schedule');
+        assert.equal(published.status, 200);
+        const description = await published.json();
+        assert.equal(description.sections, 1);
+        assert.match(description.webcal, /^webcal:\/\/127\.0\.0\.1:\d+\/feeds\/schedule\.ics$/);
+
+        const list = await (await request(context, '/')).json();
+        assert.deepEqual(list.feeds.map(feed => feed.name), ['schedule']);
+
+        const calendar = await fetch(`${context.url}/feeds/schedule.ics`);
+        assert.equal(calendar.status, 200);
+        assert.match(calendar.headers.get('content-type'), /^text\/calendar/);
+        assert.match(await calendar.text(), /SUMMARY:CPSC 110 - Computation/);
+
+        const stored = await (await request(context, '/feeds/schedule.json')).json();
+        assert.equal(stored.courses[0].key, 'CPSC 110 101');
+
+        assert.equal((await request(context, '/feeds/schedule', { method: 'DELETE' })).status, 204);
+        assert.equal((await fetch(`${context.url}/feeds/schedule.ics`)).status, 404);
+    });
+
+    it('answers unknown paths and methods', async () => {
+        assert.equal((await fetch(`${context.url}/elsewhere`)).status, 404);
+        assert.equal((await request(context, '/', { method: 'DELETE' })).status, 405);
+        assert.equal((await request(context, '/feeds/schedule.ics', { method: 'PUT', body: 'x' })).status, 405);
+    });
+
+    it('rejects feed names that could leave the data folder', async () => {
+        for (const name of ['..%2F..%2Fescape', '..%5Cescape', '.hidden', 'a.b', 'a%00b']) {
+            const response = await publish(context, name);
+            assert.equal(response.status, 400, name);
+            assert.match((await response.json()).error, /Invalid feed name/);
+        }
+        assert.deepEqual(fs.readdirSync(path.dirname(context.dataDir)).filter(file => file === 'escape.json'), []);
+
+        for (const feedPath of ['/feeds/%E0.ics', '/feeds/%E0.json', '/feeds/%E0']) {
+            const response = await request(context, feedPath, feedPath.includes('.') ? {} : { method: 'DELETE' });
+            assert.equal(response.status, 400, feedPath);
+            assert.match((await response.json()).error, /Invalid feed name/);
+        }
+        const missing = await request(context, '/feeds/missing-feed', { method: 'DELETE' });
+        assert.equal(missing.status, 404);
+        assert.equal((await missing.json()).error, 'No feed named "missing-feed"');
+    });
+
+    it('rejects uploads without courses', async () => {
+        const response = await request(context, '/feeds/schedule', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: '{"sections": []}'
+        });
+        assert.equal(response.status, 400);
+        assert.equal((await publish(context, 'schedule', [])).status, 422);
+    });
+
+    it('names the course an upload can\'t be built from', async () => {
+        const meeting = course.meetings[0];
+        for (const [courses, message] of [
+            [[course, { ...course, code: undefined }], /^Course 2 needs a "code"/],
+            [[{ code: 'CPSC 110' }], /^Course 1 \("CPSC 110"\) needs a "meetings" list/],
+            [[{ ...course, meetings: [{ ...meeting, days: ['Tuesday'] }] }], /meeting 1 needs "days"/],
+            [[{ ...course, meetings: [meeting, { ...meeting, startTime: '2pm' }] }], /meeting 2 needs a "startTime" as HH:MM/],
+            [[{ ...course, meetings: [{ ...meeting, endTime: '25:00' }] }], /"endTime" that is not HH:MM/],
+            [[{ ...course, meetings: [{ ...meeting, startDate: null }] }], /needs a "startDate" and "endDate"/],
+            [[null], /^Course 1 is not an object/]
+        ]) {
+            const response = await publish(context, 'invalid', courses);
+            assert.equal(response.status, 400, message.source);
+            assert.match((await response.json()).error, message);
+        }
+        assert.ok(!fs.existsSync(path.join(context.dataDir, 'invalid.json')));
+    });
+
+    it('answers 304 when the subscriber is up to date', async () => {
+        await publish(context, 'etag');
+        const first = await fetch(`${context.url}/feeds/etag.ics`);
+        const etag = first.headers.get('etag');
+        assert.ok(etag);
+
+        // DTSTAMP differs between renders, the ETag doesn't
+        const again = await fetch(`${context.url}/feeds/etag.ics`, { headers: { 'If-None-Match': etag } });
+        assert.equal(again.status, 304);
+        assert.equal(await again.text(), '');
+    });
+});
+
+describe('SyncServer storage', () => {
+    const context = useServer({ maxUploadBytes: 2048 });
+
+    it('refuses uploads over the size limit', async () => {
+        const big = { ...course, name: 'x'.repeat(4096) };
+        const response = await publish(context, 'big', [big]);
+        assert.equal(response.status, 413);
+        assert.ok(!fs.existsSync(path.join(context.dataDir, 'big.json')));
+    });
+
+    it('saves through a temporary file', async () => {
+        assert.equal((await publish(context, 'saved')).status, 200);
+        const files = fs.readdirSync(context.dataDir);
+        assert.deepEqual(files.filter(file => file.endsWith('.tmp')), []);
+        assert.equal(JSON.parse(fs.readFileSync(path.join(context.dataDir, 'saved.json'), 'utf8')).name, 'saved');
+    });
+
+    it('never writes when serving a calendar', async () => {
+        await publish(context, 'polled');
+        const file = path.join(context.dataDir, 'polled.json');
+        const saved = fs.readFileSync(file, 'utf8');
+        const modified = fs.statSync(file).mtimeMs;
+
+        for (let i = 0; i < 3; i++) {
+            await (await fetch(`${context.url}/feeds/polled.ics`)).text();
+        }
+        assert.equal(fs.readFileSync(file, 'utf8'), saved);
+        assert.equal(fs.statSync(file).mtimeMs, modified);
+    });
+
+    it('keeps SEQUENCE for unchanged classes and bumps it for changed ones', async () => {
+        const sequence = async () => (await (await fetch(`${context.url}/feeds/revisions.ics`)).text()).match(/SEQUENCE:(\d+)/)[1];
+
+        await publish(context, 'revisions');
+        const first = await sequence();
+        await publish(context, 'revisions');
+        assert.equal(await sequence(), first);
+
+        await publish(context, 'revisions', [{ ...course, meetings: [{ ...course.meetings[0], location: 'DMP 310' }] }]);
+        assert.equal(Number(await sequence()), Number(first) + 1);
+    });
+});
+
+describe('SyncServer access', () => {
+    const context = useServer({ origins: ['https://app.example.com'] });
+
+    it('needs the token to list, read and change feeds, but not to subscribe', async () => {
+        assert.equal((await publish(context, 'private', [course], {})).status, 401);
+        assert.equal((await publish(context, 'private', [course], { Authorization: 'Bearer wrong' })).status, 401);
+        assert.equal((await publish(context, 'private', [course], auth)).status, 200);
+
+        assert.equal((await fetch(`${context.url}/`)).status, 401);
+        assert.equal((await fetch(`${context.url}/feeds/private.json`)).status, 401);
+        assert.equal((await fetch(`${context.url}/`, { headers: auth })).status, 200);
+        assert.equal((await fetch(`${context.url}/feeds/private.ics`)).status, 200);
+
+        assert.equal((await fetch(`${context.url}/feeds/private`, { method: 'DELETE' })).status, 401);
+    });
+
+    it('only lets the app\'s origins use it from a browser', async () => {
+        const allowed = await fetch(`${context.url}/feeds/private`, {
+            method: 'OPTIONS',
+            headers: { Origin: 'https://app.example.com', 'Access-Control-Request-Method': 'PUT' }
+        });
+        assert.equal(allowed.status, 204);
+        assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://app.example.com');
+        assert.match(allowed.headers.get('access-control-allow-headers'), /Authorization/);
+
+        const read = await fetch(`${context.url}/feeds/private.ics`, { headers: { Origin: 'https://evil.example.com' } });
+        assert.equal(read.headers.get('access-control-allow-origin'), null);
+
+        const write = await publish(context, 'private', [course], { ...auth, Origin: 'https://evil.example.com' });
+        assert.equal(write.status, 403);
+        assert.equal(write.headers.get('access-control-allow-origin'), null);
+        const remove = await fetch(`${context.url}/feeds/private`, { method: 'DELETE', headers: { ...auth, Origin: 'https://evil.example.com' } });
+        assert.equal(remove.status, 403);
+    });
+
+    it('only answers requests addressed to itself', async () => {
+        const port = context.server.port;
+        const get = (path, host, headers = {}) => new Promise((resolve, reject) => {
+            http.get({ host: '127.0.0.1', port, path, headers: { ...auth, ...headers, Host: host } }, response => {
+                response.resume();
+                resolve(response.statusCode);
+            }).on('error', reject);
+        });
+
+        assert.equal(await get('/', `127.0.0.1:${port}`), 200);
+        assert.equal(await get('/', `localhost:${port}`), 200);
+        // A page on a name pointed at this computer (DNS rebinding)
+        assert.equal(await get('/feeds/private.json', `evil.example:${port}`, { Origin: `http://evil.example:${port}` }), 403);
+        assert.equal(await get('/feeds/private.ics', 'evil.example'), 403);
+    });
+
+    it('makes up a token and keeps it between runs', async () => {
+        const dataDir = createDataDir();
+        try {
+            const first = new SyncServer({ port: 0, dataDir });
+            await first.start();
+            await first.stop();
+            const second = new SyncServer({ port: 0, dataDir });
+            await second.start();
+            await second.stop();
+
+            assert.ok(first.token.length >= 20);
+            assert.equal(second.token, first.token);
+            assert.equal(new SyncServer({ dataDir, token: 'mine' }).token, 'mine');
+        } finally {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('workday-cal serve', () => {
+    it('republishes the file when it changes', async (t) => {
+        const dataDir = createDataDir();
+        const file = path.join(dataDir, 'courses.csv');
+        const csv = location => [
+            'Course Listing,Section,Instructional Format,Meeting Patterns,Instructor,Credits',
+            `"CPSC_V 110 - Computation",CPSC_V 110-101,Lecture,"2025-09-02 - 2025-12-04 | Tue Thu | 2:00 p.m. - 3:30 p.m. | ${location}",Dr. Jane Smith,4`
+        ].join('\n') + '\n';
+        fs.writeFileSync(file, csv('DMP 110'));
+
+        const child = spawn(process.execPath, [path.join(__dirname, '..', 'bin', 'workday-cal.js'),
+            'serve', file, '--port', '0', '--data', path.join(dataDir, 'feeds')]);
+        t.after(() => {
+            child.kill();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        });
+
+        let output = '';
+        const waitFor = (pattern, count = 1) => new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${pattern}: ${output}`)), 15000);
+            const check = () => {
+                if ((output.match(new RegExp(pattern.source, 'g')) || []).length >= count) {
+                    clearTimeout(timer);
+                    child.stderr.off('data', check);
+                    resolve(output);
+                }
+            };
+            child.stderr.on('data', check);
+            check();
+        });
+        child.stderr.on('data', chunk => { output += chunk; });
+
+        const started = await waitFor(/Published 1 section to (webcal:\S+)/);
+        const url = started.match(/webcal(:\S+)/)[1].replace(/^:/, 'http:');
+        assert.match(await (await fetch(url)).text(), /LOCATION:DMP 110/);
+
+        // The watcher compares modification times, so make sure the new one differs
+        await new Promise(resolve => setTimeout(resolve, 1100));
+        fs.writeFileSync(file, csv('ICCS 005'));
+        await waitFor(/Published 1 section/, 2);
+        assert.match(await (await fetch(url)).text(), /LOCATION:ICCS 005/);
+    });
+});
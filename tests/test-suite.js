@@ -113,6 +113,76 @@ function assertContains(str, substring, message) {
     }
 }
 
+function assertDeepEquals(actual, expected, message) {
+    const actualJson = JSON.stringify(actual);
+    const expectedJson = JSON.stringify(expected);
+    if (actualJson !== expectedJson) {
+        throw new Error(message || `Expected ${expectedJson}, but got ${actualJson}`);
+    }
+}
+
+// Workday export layout used to build test workbooks
+const WORKDAY_HEADERS = [null, 'Course Listing', 'Drop', 'Swap', 'Credits', 'Grading Basis',
+    'Section', 'Registration Status', 'Instructional Format', 'Delivery Mode',
+    'Meeting Patterns', 'Instructor', 'Start Date', 'End Date'];
+
+function workdayRow(listing, section, meetingPattern, overrides = {}) {
+    const fields = {
+        credits: '3',
+        status: 'Registered',
+        format: 'Lecture',
+        delivery: 'In Person Learning',
+        instructor: 'Dr. Jane Smith',
+        startDate: '2025-09-02',
+        endDate: '2025-12-04',
+        ...overrides
+    };
+    return [null, listing, null, null, fields.credits, 'Graded', section, fields.status,
+        fields.format, fields.delivery, meetingPattern, fields.instructor, fields.startDate, fields.endDate];
+}
+
+// Build an in-memory Workday Excel export (headers on row 6)
+function buildWorkbook(rows) {
+    const aoa = [['View My Courses'], [], [], [], [], WORKDAY_HEADERS, ...rows];
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(aoa), 'View My Courses');
+    return XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+}
+
+// Lab section with one weekly meeting, added to calendars by the exporter tests
+function createLabCourse() {
+    return {
+        code: 'CPSC 110',
+        key: 'CPSC 110 L1A',
+        name: 'Computation, Programs, and Programming',
+        section: 'L1A',
+        format: 'Laboratory',
+        meetings: [{
+            days: ['MO'],
+            startTime: '09:00',
+            endTime: '11:00',
+            startDate: '2025-09-08',
+            endDate: '2025-12-01',
+            location: 'ICCS 005'
+        }]
+    };
+}
+
+// Sign-in stand-in handing out the given tokens in turn (then the last one
+// again), counting how often a token is thrown away
+function createTokenAuth(tokens = ['valid-token']) {
+    return {
+        requests: 0,
+        cleared: 0,
+        getAccessToken: async function() {
+            return tokens[Math.min(this.requests++, tokens.length - 1)];
+        },
+        clearToken: function() {
+            this.cleared++;
+        }
+    };
+}
+
 // Initialize test runner
 const runner = new TestRunner();
 
@@ -191,6 +261,419 @@ runner.describe('WorkdayParser', function() {
     });
 });
 
+// Test section-level parsing
+runner.describe('WorkdayParser Sections', function() {
+    const lecturePattern = '2025-09-02 - 2025-12-04 | Tue Thu | 2:00 p.m. - 3:30 p.m. | UBCV | DMP | Floor: 1 | Room: 110';
+    const labPattern = '2025-09-08 - 2025-12-01 | Mon | 9:00 a.m. - 11:00 a.m. | UBCV | ICCS | Floor: 0 | Room: 005';
+    const tutorialPattern = '2025-09-10 - 2025-12-03 | Wed | 4:00 p.m. - 5:00 p.m. | UBCV | ICCS | Floor: 2 | Room: 246';
+
+    this.it('should key courses by section', () => {
+        const parser = new WorkdayParser();
+        assertEquals(parser.getCourseKey({ code: 'CPSC 110', section: 'CPSC_V 110-L1A - Computation, Programs, and Programming' }), 'CPSC 110 L1A');
+        assertEquals(parser.getCourseKey({ code: 'CPSC 110', section: '', format: 'Tutorial' }), 'CPSC 110 Tutorial');
+        assertEquals(parser.getCourseKey({ code: 'CPSC 110' }), 'CPSC 110');
+    });
+
+    this.it('should read section numbers the same way everywhere', () => {
+        assertEquals(WorkdayParser.getSectionNumber('CPSC_V 110-l1a - Computation'), 'L1A');
+        assertEquals(WorkdayParser.getSectionNumber('MATH_V 100A-101'), '101');
+        assertEquals(WorkdayParser.getSectionNumber('Section 3'), '');
+        assertEquals(new CalendarGenerator().getSectionId('CPSC_V 110-L1A - Computation'), 'L1A');
+        assertEquals(new CalendarGenerator().getSectionId('Section 3'), 'SECTION3');
+        assertEquals(new ScheduleDiff().getCourseKey({ code: 'CPSC 110', section: 'CPSC_V 110-L1A' }), 'CPSC 110 L1A');
+    });
+
+    this.it('should keep labs and tutorials that share a code with the lecture', () => {
+        const data = buildWorkbook([
+            workdayRow('CPSC_V 110 - Computation, Programs, and Programming', 'CPSC_V 110-101', lecturePattern),
+            workdayRow('CPSC_V 110 - Computation, Programs, and Programming', 'CPSC_V 110-L1A', labPattern, { format: 'Laboratory' }),
+            workdayRow('CPSC_V 110 - Computation, Programs, and Programming', 'CPSC_V 110-T1B', tutorialPattern, { format: 'Tutorial' })
+        ]);
+
+        const courses = new WorkdayParser().parseExcel(data);
+        assertDeepEquals(courses.map(c => c.key), ['CPSC 110 101', 'CPSC 110 L1A', 'CPSC 110 T1B']);
+        assertDeepEquals(courses.map(c => c.format), ['Lecture', 'Laboratory', 'Tutorial']);
+        assertDeepEquals(courses[1].meetings[0].days, ['MO']);
+    });
+
+    this.it('should export each section as its own event', () => {
+        const data = buildWorkbook([
+            workdayRow('CPSC_V 110 - Computation, Programs, and Programming', 'CPSC_V 110-101', lecturePattern),
+            workdayRow('CPSC_V 110 - Computation, Programs, and Programming', 'CPSC_V 110-L1A', labPattern, { format: 'Laboratory' })
+        ]);
+
+        const ics = new CalendarGenerator().generateICS(new WorkdayParser().parseExcel(data));
+        assertEquals(ics.split('BEGIN:VEVENT').length - 1, 2);
+        assertContains(ics, 'UID:CPSC110-101-2025W1-TUTH@workday-cal');
+        assertContains(ics, 'UID:CPSC110-L1A-2025W1-MO@workday-cal');
+        assertContains(ics, 'SUMMARY:CPSC 110 - Computation\\, Programs\\, and Programming (Laboratory)');
+    });
+});
+
+// Test CSV and HTML importers
+runner.describe('WorkdayParser Importers', function() {
+    const pattern = '2025-09-02 - 2025-12-04 | Tue Thu | 2:00 p.m. - 3:30 p.m. | UBCV | DMP | Floor: 1 | Room: 110';
+
+    this.it('should detect formats from contents and file names', () => {
+        const parser = new WorkdayParser();
+        assertEquals(parser.detectFormat(new Uint8Array([0x50, 0x4B, 0x03, 0x04])), 'excel');
+        assertEquals(parser.detectFormat('<html><body><table></table></body></html>'), 'html');
+        assertEquals(parser.detectFormat('Course Listing,Credits\n'), 'csv');
+        assertEquals(parser.detectFormat(new TextEncoder().encode('<table><tr><td>x</td></tr></table>')), 'html');
+        assertEquals(parser.detectFormat('', 'View_My_Courses.xls'), 'excel');
+    });
+
+    this.it('should parse a CSV saved from the Excel export', () => {
+        const csv = [
+            'View My Courses',
+            '', '', '', '',
+            ',Course Listing,Drop,Swap,Credits,Grading Basis,Section,Registration Status,Instructional Format,Delivery Mode,Meeting Patterns,Instructor,Start Date,End Date',
+            `,"CPSC_V 110 - Computation, Programs, and Programming",,,3,Graded,CPSC_V 110-101,Registered,Lecture,In Person Learning,"${pattern}\n\n${pattern.replace('Tue Thu', 'Fri')}",Dr. Jane Smith,2025-09-02,2025-12-04`
+        ].join('\r\n');
+
+        const courses = new WorkdayParser().parse(csv, 'View_My_Courses.csv');
+        assertEquals(courses.length, 1);
+        assertEquals(courses[0].code, 'CPSC 110');
+        assertEquals(courses[0].name, 'Computation, Programs, and Programming');
+        assertEquals(courses[0].meetings.length, 2, 'Quoted multi-line meeting patterns should stay together');
+        assertEquals(courses[0].instructor, 'Dr. Jane Smith');
+    });
+
+    this.it('should parse CSV and tab-separated tables with reordered columns', () => {
+        const header = ['Course Listing', 'Section', 'Instructional Format', 'Meeting Patterns', 'Instructor', 'Credits', 'Grading Basis', 'Registration Status', 'Start Date', 'End Date'];
+        const row = ['MATH_V 100 - Differential Calculus', 'MATH_V 100-101', 'Lecture', pattern, 'Prof. John Doe', '3', 'Graded', 'Registered', '2025-09-02', '2025-12-04'];
+
+        for (const delimiter of [',', '\t']) {
+            const text = [header, row].map(cells => cells.join(delimiter)).join('\n');
+            const courses = new WorkdayParser().parseCSV(text);
+            assertEquals(courses.length, 1);
+            assertEquals(courses[0].code, 'MATH 100');
+            assertEquals(courses[0].credits, '3');
+            assertEquals(courses[0].instructor, 'Prof. John Doe');
+            assertEquals(courses[0].key, 'MATH 100 101');
+            assertEquals(courses[0].meetings[0].startTime, '14:00');
+        }
+    });
+
+    this.it('should parse a saved Workday HTML page', () => {
+        const html = `<!DOCTYPE html><html><body>
+            <table><tr><td>Navigation</td></tr></table>
+            <table>
+                <thead><tr><th>Course Listing</th><th>Credits</th><th>Grading Basis</th><th>Section</th>
+                    <th>Instructional Format</th><th>Delivery Mode</th><th>Meeting Patterns</th>
+                    <th>Registration Status</th><th>Instructor</th><th>Start Date</th><th>End Date</th></tr></thead>
+                <tbody>
+                    <tr><td><a href="#">CPSC_V 110 &ndash; Computation, Programs, and Programming</a></td><td>3</td><td>Graded</td>
+                        <td>CPSC_V 110-L1A</td><td>Laboratory</td><td>In Person Learning</td>
+                        <td><div>2025-09-08 - 2025-10-10 | Mon | 9:00 a.m. - 11:00 a.m. | UBCV | ICCS | Floor: 0 | Room: 005</div><div>2025-10-20 - 2025-12-01 | Mon | 9:00 a.m. - 11:00 a.m. | UBCV | ICCS | Floor: 0 | Room: 005</div></td>
+                        <td>Registered</td><td>Gregor&nbsp;Kiczales</td><td>2025-09-02</td><td>2025-12-04</td></tr>
+                </tbody>
+            </table></body></html>`;
+
+        const courses = new WorkdayParser().parse(html, 'View My Courses.html');
+        assertEquals(courses.length, 1);
+        assertEquals(courses[0].code, 'CPSC 110');
+        assertEquals(courses[0].format, 'Laboratory');
+        assertEquals(courses[0].instructor, 'Gregor Kiczales');
+        assertEquals(courses[0].meetings.length, 2);
+        assertEquals(courses[0].meetings[1].startDate, '2025-10-20');
+    });
+
+    this.it('should explain when HTML has no course table', () => {
+        let message = '';
+        try {
+            new WorkdayParser().parseHTML('<p>Nothing here</p>');
+        } catch (error) {
+            message = error.message;
+        }
+        assertContains(message, 'no table found');
+    });
+});
+
+// Test workbooks with several sheets or students
+runner.describe('WorkdayParser Workbooks', function() {
+    const pattern = '2025-09-02 - 2025-12-04 | Tue Thu | 2:00 p.m. - 3:30 p.m. | UBCV | DMP | Floor: 1 | Room: 110';
+
+    const withStudent = (student, row) => { row[0] = student; return row; };
+
+    const buildSheets = (sheets) => {
+        const workbook = XLSX.utils.book_new();
+        for (const [name, aoa] of sheets) {
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(aoa), name);
+        }
+        return XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+    };
+
+    this.it('should parse every sheet and skip ones that are not schedules', () => {
+        const parser = new WorkdayParser();
+        const courses = parser.parse(buildSheets([
+            ['Term 1', [['View My Courses'], [], [], [], [], WORKDAY_HEADERS,
+                workdayRow('CPSC_V 110 - Computation', 'CPSC_V 110-101', pattern)]],
+            ['Notes', [['Remember to register for labs']]],
+            ['Term 2', [['View My Courses'], [], [], [], [], WORKDAY_HEADERS,
+                workdayRow('MATH_V 101 - Integral Calculus', 'MATH_V 101-201', pattern.replace(/2025-09-02 - 2025-12-04/, '2026-01-05 - 2026-04-08'))]]
+        ]));
+
+        assertDeepEquals(courses.map(c => [c.code, c.sheet]), [['CPSC 110', 'Term 1'], ['MATH 101', 'Term 2']]);
+        assertEquals(parser.diagnostics.sheets.length, 3);
+        assertEquals(parser.diagnostics.coursesParsed, 2);
+        assert(parser.diagnostics.notes.some(note => note.includes('Skipped sheet "Notes"')), 'Expected a note about the skipped sheet');
+    });
+
+    this.it('should group courses by student', () => {
+        const parser = new WorkdayParser();
+        const courses = parser.parse(buildWorkbook([
+            withStudent('Jane Doe (11111111) - 2025 Winter', workdayRow('CPSC_V 110 - Computation', 'CPSC_V 110-101', pattern)),
+            workdayRow('MATH_V 100 - Differential Calculus', 'MATH_V 100-101', pattern),
+            withStudent('John Roe (22222222) - 2025 Winter', workdayRow('CPSC_V 110 - Computation', 'CPSC_V 110-101', pattern))
+        ]));
+
+        const groups = parser.groupByStudent(courses);
+        assertEquals(groups.length, 2);
+        assertEquals(groups[0].label, 'Jane Doe (11111111)');
+        assertDeepEquals(groups[0].courses.map(c => c.code), ['CPSC 110', 'MATH 100']);
+        assertEquals(groups[1].id, '22222222');
+        assertDeepEquals(groups[1].sheets, ['View My Courses']);
+    });
+
+    this.it('should read a student named above the headers', () => {
+        const parser = new WorkdayParser();
+        const courses = parser.parse(buildSheets([
+            ['Sam', [['Sam Poe (33333333) - 2025 Winter'], [], [], [], [], WORKDAY_HEADERS,
+                workdayRow('PHYS_V 101 - Energy', 'PHYS_V 101-101', pattern)]]
+        ]));
+
+        assertEquals(courses[0].student.id, '33333333');
+        assertEquals(parser.groupByStudent(courses)[0].label, 'Sam Poe (33333333)');
+    });
+
+    this.it('should group by sheet when there is no student info', () => {
+        const parser = new WorkdayParser();
+        const groups = parser.groupByStudent([
+            { code: 'CPSC 110', sheet: 'Term 1' },
+            { code: 'MATH 101', sheet: 'Term 2' }
+        ]);
+
+        assertDeepEquals(groups.map(group => group.label), ['Term 1', 'Term 2']);
+    });
+
+    this.it('should keep UIDs apart for different students', () => {
+        const course = { code: 'CPSC 110', section: 'CPSC_V 110-101' };
+        const meeting = { startDate: '2025-09-02', days: ['TU', 'TH'] };
+
+        const generator = new CalendarGenerator();
+        assertEquals(generator.generateUID(course, meeting), 'CPSC110-101-2025W1-TUTH@workday-cal');
+
+        generator.uidNamespace = '11111111';
+        assertEquals(generator.generateUID(course, meeting), 'CPSC110-101-2025W1-TUTH-11111111@workday-cal');
+    });
+});
+
+// Test header-driven column mapping
+runner.describe('ColumnMapper', function() {
+    const mapper = new ColumnMapper();
+    const pattern = '2025-09-02 - 2025-12-04 | Tue Thu | 2:00 p.m. - 3:30 p.m. | UBCV | DMP | Floor: 1 | Room: 110';
+
+    this.it('should map exact headers, aliases and near misses', () => {
+        const headers = ['Class', 'Instuctor', 'Meeting Patterns (Days/Times)', 'Units', 'Course Section'];
+        const rows = [['CPSC_V 110 - Computation', 'Dr. Jane Smith', pattern, '3', 'CPSC_V 110-101']];
+        const { fields } = mapper.map(headers, rows);
+
+        assertEquals(fields.listing.index, 0);
+        assertEquals(fields.listing.source, 'alias');
+        assertEquals(fields.instructor.index, 1);
+        assertEquals(fields.instructor.source, 'fuzzy');
+        assertEquals(fields.meetings.index, 2);
+        assertEquals(fields.credits.index, 3);
+        assertEquals(fields.section.index, 4);
+        assertEquals(fields.endDate.source, 'missing');
+    });
+
+    this.it('should find data sitting one column off its header', () => {
+        const headers = ['Course Listing', 'Drop', 'Swap', 'Credits'];
+        const rows = [[null, 'COMP_V 101 - Introduction to Computing', null, '3']];
+        const { fields, uncertain } = mapper.map(headers, rows);
+
+        assertEquals(fields.listing.index, 1);
+        assertEquals(fields.listing.source, 'offset');
+        assertEquals(fields.credits.index, 3);
+        assert(!fields.listing.guessed, 'An offset column is still named by its header');
+        assert(uncertain, 'No meeting patterns column should make the mapping uncertain');
+    });
+
+    this.it('should read a header row shifted by one column', () => {
+        // Headers start in column A, the data in column B
+        const aoa = [['View My Courses'], [], [], [], [], WORKDAY_HEADERS.slice(1),
+            workdayRow('CPSC_V 110 - Computation', 'CPSC_V 110-101', pattern),
+            workdayRow('CPSC_V 110 - Computation', 'CPSC_V 110-L1A', pattern, { format: 'Laboratory' }),
+            workdayRow('MATH_V 100 - Differential Calculus', 'MATH_V 100-101', pattern)];
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(aoa), 'View My Courses');
+
+        const { courses, diagnostics } = new WorkdayParser()
+            .parseWithDiagnostics(XLSX.write(workbook, { type: 'array', bookType: 'xlsx' }));
+        assertDeepEquals(courses.map(course => course.key), ['CPSC 110 101', 'CPSC 110 L1A', 'MATH 100 101']);
+        assertEquals(courses[1].format, 'Laboratory');
+        assertEquals(courses[0].instructor, 'Dr. Jane Smith');
+        assertEquals(courses[0].meetings.length, 1);
+        assertEquals(diagnostics.columns.listing.source, 'offset');
+        assert(diagnostics.notes.some(note => note.includes('one column to the right')), 'The shift should be noted');
+        assert(diagnostics.confidence >= 0.5, 'A consistent shift should still be read with confidence');
+    });
+
+    this.it('should find unlabelled columns by their contents', () => {
+        const headers = ['Course Listing', 'Notes', 'When'];
+        const rows = [
+            ['CPSC_V 110 - Computation', 'Bring a laptop', pattern],
+            ['MATH_V 101 - Integral Calculus', '', pattern]
+        ];
+        const { fields, uncertain } = mapper.map(headers, rows);
+
+        assertEquals(fields.meetings.index, 2);
+        assertEquals(fields.meetings.source, 'content');
+        assert(fields.meetings.guessed, 'Content matches should be flagged');
+        assert(uncertain, 'Guessed columns should make the mapping uncertain');
+    });
+
+    this.it('should prefer manual overrides', () => {
+        const headers = ['Course Listing', 'Instructor', 'Teaching Assistant'];
+        const { fields } = mapper.map(headers, [], { instructor: 2, credits: null });
+
+        assertEquals(fields.instructor.index, 2);
+        assertEquals(fields.instructor.source, 'manual');
+        assertEquals(fields.credits.index, null);
+    });
+
+    this.it('should validate column types', () => {
+        assert(mapper.isValid('course', 'CPSC_V 110 - Computation'));
+        assert(!mapper.isValid('course', 'Registered'));
+        assert(mapper.isValid('number', '3'));
+        assert(mapper.isValid('number', 1.5));
+        assert(!mapper.isValid('number', 'Graded'));
+        assert(mapper.isValid('date', '2025-09-02'));
+        assert(mapper.isValid('date', new Date(Date.UTC(2025, 8, 2))));
+        assert(!mapper.isValid('date', '3'));
+        assert(mapper.isValid('meeting', pattern));
+        assertEquals(mapper.columnLetter(0), 'A');
+        assertEquals(mapper.columnLetter(27), 'AB');
+    });
+
+    this.it('should parse a workbook with reordered columns', () => {
+        const headers = [null, 'Course Listing', 'Instructor', 'Meeting Patterns', 'Section',
+            'Instructional Format', 'Credits', 'Grading Basis', 'Start Date', 'End Date'];
+        const aoa = [['View My Courses'], [], [], [], [], headers,
+            [null, 'CPSC_V 110 - Computation, Programs, and Programming', 'Dr. Jane Smith', pattern,
+                'CPSC_V 110-L1A', 'Laboratory', '3', 'Graded', '2025-09-02', '2025-12-04']];
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(aoa), 'View My Courses');
+
+        const courses = new WorkdayParser().parse(XLSX.write(workbook, { type: 'array', bookType: 'xlsx' }));
+        assertEquals(courses.length, 1);
+        assertEquals(courses[0].instructor, 'Dr. Jane Smith');
+        assertEquals(courses[0].section, 'CPSC_V 110-L1A');
+        assertEquals(courses[0].format, 'Laboratory');
+        assertEquals(courses[0].credits, '3');
+        assertEquals(courses[0].key, 'CPSC 110 L1A');
+        assertEquals(courses[0].meetings[0].startTime, '14:00');
+    });
+
+    this.it('should re-read an export with hand-picked columns', () => {
+        const csv = [
+            'Course Listing,Instructor,Teaching Assistant,Meeting Patterns,Credits,Grading Basis',
+            `CPSC_V 110 - Computation,Dr. Jane Smith,Sam Lee,"${pattern}",3,Graded`
+        ].join('\n');
+
+        const parser = new WorkdayParser();
+        assertEquals(parser.parseCSV(csv)[0].instructor, 'Dr. Jane Smith');
+
+        parser.setColumnOverrides({ instructor: 2 });
+        assertEquals(parser.parseCSV(csv)[0].instructor, 'Sam Lee');
+        assertEquals(parser.diagnostics.columns.instructor.source, 'manual');
+    });
+
+    this.it('should count data columns past the headers', () => {
+        const csv = [
+            'Course Listing,Instructor,Credits,Grading Basis,Notes',
+            `CPSC_V 110 - Computation,Dr. Jane Smith,3,Graded,,"${pattern}"`
+        ].join('\n');
+
+        const parser = new WorkdayParser();
+        assertEquals(parser.parseCSV(csv)[0].meetings.length, 1);
+        assertEquals(parser.diagnostics.headers.length, 5);
+        assertEquals(parser.diagnostics.columnCount, 6, 'The meeting patterns column should be offered for remapping');
+        assertEquals(parser.diagnostics.columns.meetings.index, 5);
+    });
+
+    this.it('should warn about credits that are not numbers', () => {
+        const { courses, diagnostics } = new WorkdayParser().parseWithDiagnostics(buildWorkbook([
+            workdayRow('CPSC_V 110 - Computation', 'CPSC_V 110-101', pattern, { credits: 'Three' })
+        ]));
+
+        assertEquals(courses[0].credits, '');
+        assertContains(diagnostics.warnings[0].message, 'credits should be a number');
+    });
+});
+
+// Test parse diagnostics
+runner.describe('WorkdayParser Diagnostics', function() {
+    const pattern = '2025-09-02 - 2025-12-04 | Tue Thu | 2:00 p.m. - 3:30 p.m. | UBCV | DMP | Floor: 1 | Room: 110';
+
+    this.it('should report high confidence for a clean export', () => {
+        const { courses, diagnostics } = new WorkdayParser().parseWithDiagnostics(buildWorkbook([
+            workdayRow('CPSC_V 110 - Computation, Programs, and Programming', 'CPSC_V 110-101', pattern)
+        ]));
+
+        assertEquals(courses.length, 1);
+        assertEquals(diagnostics.format, 'excel');
+        assertEquals(diagnostics.headerRow, 6);
+        assert(diagnostics.strictHeaders, 'Workday headers should be recognized');
+        assertEquals(diagnostics.courseRows, 1);
+        assertEquals(diagnostics.coursesParsed, 1);
+        assertEquals(diagnostics.warnings.length, 0);
+        assertEquals(diagnostics.confidenceLevel, 'high');
+    });
+
+    this.it('should list meeting lines that could not be read', () => {
+        const parser = new WorkdayParser();
+        parser.parse(buildWorkbook([
+            workdayRow('CPSC_V 110 - Computation, Programs, and Programming', 'CPSC_V 110-101', `${pattern}\n\n${pattern.replace('Tue Thu', 'Fri')}\n\nTo be announced`)
+        ]));
+
+        const diagnostics = parser.diagnostics;
+        assertEquals(diagnostics.meetingLines, 3);
+        assertDeepEquals(diagnostics.unparsedMeetings, [{ row: 7, sheet: 'View My Courses', line: 'To be announced' }]);
+        assertEquals(diagnostics.confidenceLevel, 'medium');
+    });
+
+    this.it('should warn about courses without meeting times', () => {
+        const { courses, diagnostics } = new WorkdayParser().parseWithDiagnostics(buildWorkbook([
+            workdayRow('CPSC_V 110 - Computation, Programs, and Programming', 'CPSC_V 110-101', pattern),
+            workdayRow('MATH_V 101 - Integral Calculus', 'MATH_V 101-201', null)
+        ]));
+
+        assertEquals(courses.length, 2);
+        assertEquals(diagnostics.warnings.length, 1);
+        assertEquals(diagnostics.warnings[0].row, 8);
+        assertContains(diagnostics.warnings[0].message, 'MATH 101: no meeting times');
+    });
+
+    this.it('should throw WorkdayParseError with hints for unknown layouts', () => {
+        const csv = ['Name,Email', 'Jane,jane@example.com', 'John,john@example.com'].join('\n');
+        let caught = null;
+        try {
+            new WorkdayParser().parse(csv, 'contacts.csv');
+        } catch (error) {
+            caught = error;
+        }
+
+        assert(caught, 'Expected an error');
+        assertEquals(caught.name, 'WorkdayParseError');
+        assertContains(caught.message, 'Invalid file format');
+        assert(caught.hints.some(hint => hint.includes('View My Courses')), 'Expected troubleshooting hints');
+        assertEquals(caught.diagnostics.format, 'csv');
+    });
+});
+
 // Test CalendarGenerator
 runner.describe('CalendarGenerator', function() {
     const calendar = new CalendarGenerator();
@@ -267,6 +750,1834 @@ runner.describe('CalendarGenerator', function() {
         assertContains(ics, 'Test Course');
         assertContains(ics, 'RRULE:');
     });
+
+    this.it('should add refresh hints for subscribed feeds', () => {
+        const course = { code: 'CPSC 110', name: 'Computation', section: 'CPSC_V 110-101',
+            meetings: [{ startDate: '2025-09-02', endDate: '2025-12-04', days: ['TU'], startTime: '14:00', endTime: '15:30' }] };
+
+        const feed = new CalendarGenerator({ refreshInterval: 'PT1H' }).generateICS([course]);
+        assertContains(feed, 'REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+        assertContains(feed, 'X-PUBLISHED-TTL:PT1H');
+        assert(!new CalendarGenerator().generateICS([course]).includes('REFRESH-INTERVAL'),
+            'Downloaded calendars should not ask to be refreshed');
+    });
+});
+
+// Test reminder rules
+runner.describe('ReminderRules', function() {
+    const lecture = { code: 'CPSC 110', key: 'CPSC 110 101', format: 'Lecture', delivery: 'In Person Learning' };
+    const lab = { code: 'CPSC 110', key: 'CPSC 110 L1A', format: 'Laboratory', delivery: 'In Person Learning' };
+    const online = { code: 'MATH 100', key: 'MATH 100 99A', format: 'Lecture', delivery: 'Online Learning' };
+
+    this.it('should have no reminders by default', () => {
+        const rules = new ReminderRules();
+        assertEquals(rules.getReminder(lecture), null);
+        assert(!rules.hasRules(), 'No rules should be set');
+    });
+
+    this.it('should apply the most specific rule', () => {
+        const rules = new ReminderRules({
+            defaultMinutes: 10,
+            formats: { Laboratory: 60 },
+            deliveries: { 'Online Learning': null },
+            courses: { 'CPSC 110 L1A': '30m' }
+        });
+
+        assertEquals(rules.getReminder(lecture), 10);
+        assertEquals(rules.getReminder({ ...lab, key: 'CPSC 110 L1B' }), 60);
+        assertEquals(rules.getReminder(lab), 30);
+        assertEquals(rules.getReminder(online), null);
+
+        rules.setCourseReminder('CPSC 110 L1A', undefined);
+        assertEquals(rules.getReminder(lab), 60, 'Removing a rule should fall back to the format');
+    });
+
+    this.it('should parse reminder times', () => {
+        const rules = new ReminderRules();
+        assertEquals(rules.parseMinutes('15'), 15);
+        assertEquals(rules.parseMinutes('10m'), 10);
+        assertEquals(rules.parseMinutes('1 hour 30 min'), 90);
+        assertEquals(rules.parseMinutes('1d'), 1440);
+        assertEquals(rules.parseMinutes('none'), null);
+
+        let message = '';
+        try {
+            rules.parseMinutes('soon');
+        } catch (error) {
+            message = error.message;
+        }
+        assertContains(message, 'Invalid reminder');
+    });
+
+    this.it('should format ICS triggers', () => {
+        const rules = new ReminderRules();
+        assertEquals(rules.formatTrigger(10), '-PT10M');
+        assertEquals(rules.formatTrigger(90), '-PT1H30M');
+        assertEquals(rules.formatTrigger(1440), '-P1D');
+        assertEquals(rules.formatTrigger(0), 'PT0M');
+    });
+
+    this.it('should add VALARMs to events', () => {
+        const meeting = (days) => ({ startDate: '2025-09-02', endDate: '2025-12-04', days, startTime: '14:00', endTime: '15:30', location: 'DMP 110' });
+        const generator = new CalendarGenerator({
+            reminders: new ReminderRules({ formats: { Lecture: 10, Laboratory: null } })
+        });
+
+        const ics = generator.generateICS([
+            { ...lecture, name: 'Computation', section: 'CPSC_V 110-101', meetings: [meeting(['TU', 'TH'])] },
+            { ...lab, name: 'Computation', section: 'CPSC_V 110-L1A', meetings: [meeting(['MO'])] }
+        ]);
+
+        const events = ics.split('BEGIN:VEVENT').slice(1);
+        assertContains(events[0], 'BEGIN:VALARM\r\nACTION:DISPLAY\r\nDESCRIPTION:CPSC 110 - Computation\r\nTRIGGER:-PT10M\r\nEND:VALARM');
+        assert(!events[1].includes('VALARM'), 'Labs should have no reminder');
+    });
+
+    this.it('should bump SEQUENCE when a reminder changes', () => {
+        const course = { ...lecture, name: 'Computation', section: 'CPSC_V 110-101',
+            meetings: [{ startDate: '2025-09-02', endDate: '2025-12-04', days: ['TU'], startTime: '14:00', endTime: '15:30' }] };
+        const revisions = {};
+        const reminders = new ReminderRules();
+        const generator = new CalendarGenerator({ revisions, reminders });
+
+        const first = generator.generateICS([course]).match(/SEQUENCE:(\d+)/)[1];
+        reminders.setDefault(15);
+        const second = generator.generateICS([course]).match(/SEQUENCE:(\d+)/)[1];
+        assert(Number(second) > Number(first), 'Changing a reminder should update the event');
+    });
+});
+
+// Test event title, description and location templates
+runner.describe('EventTemplates', function() {
+    const lab = {
+        code: 'CPSC 110', name: 'Computation, Programs, and Programming', section: 'CPSC_V 110-L1A',
+        format: 'Laboratory', delivery: 'In Person Learning', instructor: '', credits: '4', status: 'Registered',
+        startDate: '2025-09-02', endDate: '2025-12-04', key: 'CPSC 110 L1A',
+        meetings: [{ startDate: '2025-09-02', endDate: '2025-12-04', days: ['MO', 'WE'], startTime: '14:00', endTime: '16:00', location: 'ICCS 005' }]
+    };
+
+    this.it('should fill in fields and leave out optional text', () => {
+        const templates = new EventTemplates();
+        assertEquals(templates.renderTemplate('{code} {format} – {room}', { code: 'CPSC 110', format: 'Laboratory', room: 'ICCS 005' }),
+            'CPSC 110 Laboratory – ICCS 005');
+        assertEquals(templates.renderTemplate('{code}[ ({component})]', { code: 'CPSC 110', component: '' }), 'CPSC 110');
+        assertEquals(templates.renderTemplate('{code}[ ({component})]', { code: 'CPSC 110', component: 'Laboratory' }), 'CPSC 110 (Laboratory)');
+        assertEquals(templates.renderTemplate('[Room: {room}]\n\nNotes[: {instructor}]', { room: '', instructor: '' }), '\nNotes',
+            'Lines emptied by missing fields should go, blank lines in the template should stay');
+    });
+
+    this.it('should reject unknown fields and unbalanced brackets', () => {
+        const templates = new EventTemplates();
+        const messageFor = (template) => {
+            try {
+                templates.setTemplate('summary', template);
+            } catch (error) {
+                return error.message;
+            }
+            return '';
+        };
+
+        assertContains(messageFor('{code} {teacher}'), 'Unknown field {teacher} in the title template');
+        assertContains(messageFor('{code} [({format})'), '"[" without a "]"');
+        assertContains(messageFor('{code} [[{format}]]'), 'nested');
+        assertEquals(templates.summary, templates.getDefaults().summary, 'A rejected template should not be used');
+    });
+
+    this.it('should write the built-in layout by default', () => {
+        const generator = new CalendarGenerator();
+        assert(generator.templates.isDefault(), 'Default templates should be the built-in ones');
+        assertEquals(generator.buildSummary(lab), 'CPSC 110 - Computation, Programs, and Programming (Laboratory)');
+        assertEquals(generator.buildDescription(lab), [
+            'Course: CPSC 110 - Computation, Programs, and Programming',
+            'Section: CPSC_V 110-L1A',
+            'Credits: 4',
+            'Format: Laboratory',
+            'Delivery: In Person Learning',
+            'Status: Registered'
+        ].join('\n'));
+    });
+
+    this.it('should use templates for SUMMARY, DESCRIPTION and LOCATION', () => {
+        const templates = new EventTemplates({
+            summary: '{code} {format} – {room}',
+            description: '{days} {startTime}–{endTime}\n[Instructor: {instructor}]\nTerm {term}',
+            location: '{room}, UBC Vancouver'
+        });
+        const ics = new CalendarGenerator({ templates }).generateICS([lab]);
+
+        assertContains(ics, 'SUMMARY:CPSC 110 Laboratory – ICCS 005\r\n');
+        assertContains(ics, 'DESCRIPTION:Mon Wed 14:00–16:00\\nTerm 2025W1\r\n');
+        assertContains(ics, 'LOCATION:ICCS 005\\, UBC Vancouver\r\n');
+        assertContains(ics, 'X-WORKDAY-ROOM:ICCS 005\r\n');
+    });
+
+    this.it('should fill in a moved class with its new room, day and time', () => {
+        const templates = new EventTemplates({ summary: '{code} – {room}', description: '{days} {startTime}–{endTime}' });
+        const course = JSON.parse(JSON.stringify(lab));
+        new RecurrenceEngine().setOverride(course, { date: '2025-10-20', startTime: '14:00', newDate: '2025-10-21', newStartTime: '15:00', newLocation: 'DMP 310' });
+        const [series, changed] = new CalendarGenerator({ templates }).createEvents([course]);
+
+        assertEquals(series.summary, 'CPSC 110 – ICCS 005');
+        assertEquals(changed.summary, 'CPSC 110 – DMP 310');
+        assertEquals(changed.description, 'Changed from 2025-10-20 14:00, ICCS 005\nTue 15:00–17:00');
+        assertEquals(changed.location, 'DMP 310');
+    });
+
+    this.it('should read rooms back from calendars with a location template', () => {
+        const templates = new EventTemplates({ summary: '{code}[ {component}]', location: '{room} (campus)' });
+        const ics = new CalendarGenerator({ templates }).generateICS([lab]);
+
+        const [course] = new WorkdayParser().parse(ics, 'schedule.ics');
+        assertEquals(course.name, lab.name);
+        assertEquals(course.meetings[0].location, 'ICCS 005');
+    });
+
+    this.it('should save and load as plain settings', () => {
+        const templates = new EventTemplates({ summary: '{code} {sectionNumber}' });
+        const copy = new EventTemplates(JSON.parse(JSON.stringify(templates)));
+        assertEquals(copy.summary, '{code} {sectionNumber}');
+        assertEquals(copy.location, '{room}');
+        assert(!copy.isDefault(), 'A changed template should not count as the default');
+        assert(templates.getBuiltInPresets().every(preset => new EventTemplates(preset)), 'Built-in presets should be valid');
+    });
+});
+
+// Test exams and other one-off events
+runner.describe('ExamSchedule', function() {
+    const createCourses = () => [
+        { code: 'CPSC 110', name: 'Computation', key: 'CPSC 110 101', section: 'CPSC_V 110-101', format: 'Lecture',
+            meetings: [{ startDate: '2025-09-02', endDate: '2025-12-04', days: ['TU', 'TH'], startTime: '14:00', endTime: '15:30' }] },
+        { code: 'CPSC 110', name: 'Computation', key: 'CPSC 110 L1A', section: 'CPSC_V 110-L1A', format: 'Laboratory',
+            meetings: [{ startDate: '2025-09-08', endDate: '2025-12-01', days: ['MO'], startTime: '09:00', endTime: '11:00' }] },
+        { code: 'MATH 101', name: 'Integral Calculus', key: 'MATH 101 201', section: 'MATH_V 101-201', format: 'Lecture',
+            meetings: [{ startDate: '2026-01-05', endDate: '2026-04-08', days: ['MO', 'WE', 'FR'], startTime: '10:00', endTime: '11:00' }] }
+    ];
+
+    this.it('should read a pasted exam schedule', () => {
+        const courses = createCourses();
+        const parsed = new ExamSchedule().parse([
+            'Course\tSection\tDate\tTime\tLocation',
+            'CPSC 110\t101\tWed Dec 10, 2025\t12:00 PM - 2:30 PM\tOSBO A',
+            'MATH_V 101-201 | Midterm | 2026-02-11 | 6:30 p.m. - 8:00 p.m. | WOOD 2'
+        ].join('\n'), courses);
+
+        assertEquals(parsed.unmatched.length, 0);
+        assertEquals(parsed.events.length, 2);
+        assertEquals(parsed.events[0].course, courses[0]);
+        assertDeepEquals(parsed.events[0].event, {
+            type: 'Final Exam', title: '', date: '2025-12-10', startTime: '12:00', endTime: '14:30', location: 'OSBO A'
+        });
+        assertEquals(parsed.events[1].event.type, 'Midterm');
+        assertEquals(parsed.events[1].event.startTime, '18:30');
+        assertEquals(parsed.events[1].event.location, 'WOOD 2');
+    });
+
+    this.it('should use the course end year and report unusable lines', () => {
+        const courses = createCourses();
+        const parsed = new ExamSchedule().parse([
+            'CPSC 110 L1A Project due Nov 28 11:59 PM',
+            'MATH 101 final exam',
+            'ENGL 112 Final Dec 12, 2025 9am'
+        ].join('\n'), courses);
+
+        assertEquals(parsed.events.length, 1);
+        assertEquals(parsed.events[0].course, courses[1], 'Named sections should be matched');
+        assertEquals(parsed.events[0].event.type, 'Deadline');
+        assertEquals(parsed.events[0].event.date, '2025-11-28');
+        assertEquals(parsed.events[0].event.endTime, '');
+
+        assertEquals(parsed.unmatched.length, 2);
+        assertContains(parsed.unmatched[0].reason, 'No date');
+        assertContains(parsed.unmatched[1].reason, "ENGL 112 isn't in this schedule");
+    });
+
+    this.it('should add events once and validate them', () => {
+        const exams = new ExamSchedule();
+        const course = createCourses()[0];
+        const text = 'CPSC 110 Final Dec 10, 2025 12:00 PM - 2:30 PM';
+
+        assertEquals(exams.attach(exams.parse(text, [course])), 1);
+        assertEquals(exams.attach(exams.parse(text, [course])), 0, 'Repeated imports should not duplicate exams');
+        exams.addEvent(course, { type: 'Midterm', date: '2025-10-15', startTime: '18:30', endTime: '20:00' });
+        assertDeepEquals(course.events.map(event => event.date), ['2025-10-15', '2025-12-10']);
+
+        const errors = [
+            { date: '2025-13-40' },
+            { date: '2025-02-30' },
+            { date: '2025-10-15', startTime: '25:00' },
+            { date: '2025-10-15', startTime: '20:00', endTime: '18:30' }
+        ].map(fields => {
+            try {
+                exams.createEvent(fields);
+                return '';
+            } catch (error) {
+                return error.message;
+            }
+        });
+        assertContains(errors[0], 'Invalid event date');
+        assertContains(errors[1], 'Invalid event date');
+        assertContains(errors[2], 'Invalid event time');
+        assertContains(errors[3], 'before it starts');
+    });
+
+    this.it('should export one-off events with the course category', () => {
+        const exams = new ExamSchedule();
+        const [lecture, lab] = createCourses();
+        exams.addEvent(lecture, { type: 'Final Exam', date: '2025-12-10', startTime: '12:00', endTime: '14:30', location: 'OSBO A' });
+        exams.addEvent(lab, { type: 'Deadline', title: 'Project', date: '2025-11-28' });
+
+        const generator = new CalendarGenerator({ reminders: new ReminderRules({ formats: { 'Final Exam': '1d' } }) });
+        const events = generator.generateICS([lecture, lab]).split('BEGIN:VEVENT').slice(1);
+        const exam = events.find(event => event.includes('SUMMARY:CPSC 110 - Final Exam'));
+        const deadline = events.find(event => event.includes('SUMMARY:CPSC 110 - Project'));
+
+        assert(exam && deadline, 'Both one-off events should be exported');
+        assertContains(exam, 'UID:CPSC110-101-FINALEXAM-20251210@workday-cal');
+        assertContains(exam, 'DTSTART;TZID=America/Vancouver:20251210T120000');
+        assertContains(exam, 'DTEND;TZID=America/Vancouver:20251210T143000');
+        assertContains(exam, 'LOCATION:OSBO A');
+        assertContains(exam, 'CATEGORIES:Lecture,Final Exam');
+        assertContains(exam, 'TRIGGER:-P1D');
+        assert(!exam.includes('RRULE'), 'One-off events should not repeat');
+
+        assertContains(deadline, 'DTSTART;VALUE=DATE:20251128');
+        assertContains(deadline, 'DTEND;VALUE=DATE:20251129');
+        assertContains(deadline, 'CATEGORIES:Laboratory,Deadline');
+        assert(!deadline.includes('VALARM'), 'Deadlines should have no reminder unless one is set');
+    });
+});
+
+// Test time conflicts between sections
+runner.describe('ConflictDetector', function() {
+    const section = (key, format, meetings, events) => ({
+        code: key.split(' ').slice(0, 2).join(' '), key, name: key, format, meetings, events
+    });
+    const meeting = (days, startTime, endTime, startDate = '2025-09-02', endDate = '2025-12-04') =>
+        ({ days, startTime, endTime, startDate, endDate });
+
+    this.it('should find meetings at the same time', () => {
+        const detector = new ConflictDetector();
+        const conflicts = detector.findConflicts([
+            section('CPSC 110 101', 'Lecture', [meeting(['TU', 'TH'], '14:00', '15:30')]),
+            section('MATH 100 101', 'Lecture', [meeting(['MO', 'WE', 'TH'], '15:00', '16:00', '2025-10-01', '2026-01-31')])
+        ]);
+
+        assertEquals(conflicts.length, 1);
+        assertDeepEquals(conflicts[0].days, ['TH']);
+        assertEquals(conflicts[0].startTime, '15:00');
+        assertEquals(conflicts[0].endTime, '15:30');
+        assertEquals(conflicts[0].startDate, '2025-10-01');
+        assertEquals(conflicts[0].endDate, '2025-12-04');
+        assertEquals(detector.describe(conflicts[0], conflicts[0].second),
+            'MATH 100: Thu 15:00-15:30, 2025-10-01 to 2025-12-04');
+    });
+
+    this.it('should ignore meetings that only look alike', () => {
+        const detector = new ConflictDetector();
+        const lecture = section('CPSC 110 101', 'Lecture', [meeting(['MO'], '10:00', '11:00')]);
+
+        // Back to back, other days, other terms, and a range with no Monday in common
+        assertEquals(detector.findConflicts([lecture, section('A 100 1', 'Lecture', [meeting(['MO'], '11:00', '12:00')])]).length, 0);
+        assertEquals(detector.findConflicts([lecture, section('A 100 1', 'Lecture', [meeting(['TU'], '10:00', '11:00')])]).length, 0);
+        assertEquals(detector.findConflicts([lecture, section('A 100 1', 'Lecture', [meeting(['MO'], '10:00', '11:00', '2026-01-05', '2026-04-08')])]).length, 0);
+        assertEquals(detector.findConflicts([lecture, section('A 100 1', 'Lecture', [meeting(['MO'], '10:00', '11:00', '2025-12-02', '2025-12-20')])]).length, 0);
+    });
+
+    this.it('should report split meetings and a section\'s own meetings once', () => {
+        const detector = new ConflictDetector();
+        const split = section('MATH 101 201', 'Lecture', [
+            meeting(['MO', 'WE'], '10:00', '11:00', '2026-01-05', '2026-02-13'),
+            meeting(['MO', 'WE'], '10:00', '11:00', '2026-02-23', '2026-04-08')
+        ]);
+        const lab = section('CPSC 110 L1A', 'Laboratory', [meeting(['MO'], '10:00', '12:00', '2026-01-05', '2026-04-08')]);
+
+        assertEquals(detector.findConflicts([split]).length, 0);
+        const conflicts = detector.findConflicts([split, lab]);
+        assertEquals(conflicts.length, 1);
+        assertEquals(detector.groupBySection(conflicts).get('CPSC 110 L1A').length, 1);
+        assertContains(detector.describe(conflicts[0], conflicts[0].first), 'MATH 101: Mon');
+    });
+
+    this.it('should check exams against classes and other exams', () => {
+        const detector = new ConflictDetector();
+        const conflicts = detector.findConflicts([
+            section('CPSC 110 101', 'Lecture', [meeting(['WE'], '18:00', '19:00')],
+                [{ type: 'Final Exam', title: '', date: '2025-12-10', startTime: '12:00', endTime: '14:30' }]),
+            section('MATH 100 101', 'Lecture', [],
+                [{ type: 'Midterm', title: '', date: '2025-10-15', startTime: '18:30', endTime: '20:00' },
+                    { type: 'Final Exam', title: '', date: '2025-12-10', startTime: '14:00', endTime: '16:30' }])
+        ]);
+
+        assertEquals(conflicts.length, 2);
+        const described = conflicts.map(conflict => detector.describe(conflict, conflict.second));
+        assertContains(described[0], 'MATH 100 Midterm: Wed 18:30-19:00, 2025-10-15');
+        assertContains(described[1], 'MATH 100 Final Exam: Wed 14:00-14:30, 2025-12-10');
+    });
+
+    this.it('should lay overlapping blocks side by side', () => {
+        const view = new CalendarView();
+        const item = (key, startTime, endTime) => ({ course: { code: key, key }, meeting: { startTime, endTime } });
+        const laidOut = view.layoutOverlaps([
+            item('A', '09:00', '10:00'),
+            item('B', '09:30', '11:00'),
+            item('C', '10:00', '11:00'),
+            item('D', '12:00', '13:00')
+        ]);
+        const byKey = Object.fromEntries(laidOut.map(block => [block.course.key, [block.column, block.columns]]));
+
+        assertDeepEquals(byKey, { A: [0, 2], B: [1, 2], C: [0, 2], D: [0, 1] });
+    });
+});
+
+// Test the calendar view's grid and dated views
+runner.describe('CalendarView', function() {
+    const section = (key, format, meetings, events) => ({
+        code: key.split(' ').slice(0, 2).join(' '), key, name: key, format, meetings, events
+    });
+    const meeting = (days, startTime, endTime, startDate = '2025-09-02', endDate = '2025-12-04') =>
+        ({ days, startTime, endTime, startDate, endDate, location: 'DMP 110' });
+
+    this.it('should fit the grid to weekend, early and late classes', () => {
+        const view = new CalendarView();
+        const courses = [
+            section('CPSC 110 L1A', 'Laboratory', [meeting(['MO'], '07:30', '09:00')]),
+            section('MATH 100 101', 'Lecture', [meeting(['SA'], '19:00', '21:30')])
+        ];
+
+        const compact = view.getGridRange(courses);
+        assertDeepEquals(compact.days.map(day => day.code), ['MO', 'TU', 'WE', 'TH', 'FR', 'SA']);
+        assertEquals(compact.startHour, 7);
+        assertEquals(compact.endHour, 22);
+
+        view.setRange('full');
+        const full = view.getGridRange([section('A 100 1', 'Lecture', [meeting(['TU'], '10:00', '11:00')])]);
+        assertEquals(full.days.length, 7);
+        assertEquals(full.startHour, 8);
+        assertEquals(full.endHour, 21);
+    });
+
+    this.it('should place early classes inside the grid', () => {
+        const view = new CalendarView();
+        const course = section('CPSC 110 L1A', 'Laboratory', [meeting(['MO'], '07:30', '09:00')]);
+        view.startHour = view.getGridRange([course]).startHour;
+
+        const block = view.createCourseBlock(course, course.meetings[0]);
+        assert(block !== null, 'Block should be drawn');
+        assertEquals(block.style.top, '30px');
+        assertEquals(block.style.height, '90px');
+    });
+
+    this.it('should expand meetings into their actual dates', () => {
+        const view = new CalendarView();
+        const { occurrences, skipped } = view.getOccurrences([
+            section('CPSC 110 L1A', 'Laboratory', [meeting(['MO'], '09:00', '11:00', '2025-09-15', '2025-10-27')],
+                [{ type: 'Midterm', title: '', date: '2025-10-20', startTime: '', endTime: '', location: '' }])
+        ]);
+
+        // Starts mid-September and skips Thanksgiving Monday
+        assertDeepEquals(occurrences.filter(item => item.meeting).map(item => item.date),
+            ['2025-09-15', '2025-09-22', '2025-09-29', '2025-10-06', '2025-10-20', '2025-10-27']);
+        assertEquals(skipped.length, 1);
+        assertEquals(skipped[0].date, '2025-10-13');
+
+        const midterm = occurrences.find(item => item.event);
+        assertEquals(midterm.date, '2025-10-20');
+        assertEquals(occurrences.indexOf(midterm), 4, 'All-day events come first on their day');
+    });
+
+    this.it('should show split meetings once and leave out skipped dates', () => {
+        const view = new CalendarView();
+        view.holidays = new HolidayCalendar({ includeBuiltIn: false, additions: ['2026-01-07'] });
+        const { occurrences, skipped } = view.getOccurrences([
+            section('MATH 101 201', 'Lecture', [
+                meeting(['WE'], '10:00', '11:00', '2026-01-05', '2026-01-16'),
+                meeting(['WE'], '10:00', '11:00', '2026-01-05', '2026-01-16'),
+                meeting(['WE'], '10:00', '11:00', '2026-01-26', '2026-01-30')
+            ])
+        ]);
+
+        assertDeepEquals(occurrences.map(item => item.date), ['2026-01-14', '2026-01-28']);
+        assertDeepEquals(skipped.map(item => item.date), ['2026-01-07', '2026-01-21']);
+        assertDeepEquals(view.getMonths('2025-11-20', '2026-02-02'), ['2025-11', '2025-12', '2026-01', '2026-02']);
+    });
+
+    this.it('should draw months and an agenda from the occurrences', () => {
+        const view = new CalendarView();
+        view.container = document.createElement('div');
+        const courses = [section('CPSC 110 L1A', 'Laboratory', [meeting(['MO'], '09:00', '11:00', '2025-09-29', '2025-10-20')])];
+
+        view.setMode('month');
+        view.render(courses);
+        assertEquals(view.container.querySelectorAll('.month-calendar').length, 2);
+        assertEquals(view.container.querySelectorAll('.month-item').length, 3);
+        assert(view.container.querySelector('.month-day[data-date="2025-10-13"]').classList.contains('skipped'));
+
+        view.setMode('agenda');
+        view.render(courses);
+        const days = view.container.querySelectorAll('.agenda-day');
+        assertEquals(days.length, 4);
+        assertContains(days[2].textContent, 'No classes: Thanksgiving');
+        assertContains(days[0].textContent, 'CPSC 110 - CPSC 110 L1A (Laboratory) · DMP 110');
+    });
+});
+
+// Test stable UIDs and revisions
+runner.describe('CalendarGenerator Revisions', function() {
+    const course = {
+        code: 'CPSC 110',
+        name: 'Computation, Programs, and Programming',
+        section: 'CPSC_V 110-101 - Computation, Programs, and Programming',
+        meetings: [{
+            startDate: '2025-09-02',
+            endDate: '2025-12-04',
+            days: ['TU', 'TH'],
+            startTime: '14:00',
+            endTime: '15:30',
+            location: 'Room 101'
+        }]
+    };
+
+    this.it('should derive UID from course, section, term and days', () => {
+        const calendar = new CalendarGenerator();
+        const uid = calendar.generateUID(course, course.meetings[0]);
+        assertEquals(uid, 'CPSC110-101-2025W1-TUTH@workday-cal');
+    });
+
+    this.it('should keep the UID when the time or room changes', () => {
+        const calendar = new CalendarGenerator();
+        const moved = { ...course.meetings[0], startTime: '16:00', endTime: '17:30', location: 'Room 202' };
+        assertEquals(calendar.generateUID(course, moved), calendar.generateUID(course, course.meetings[0]));
+    });
+
+    this.it('should map dates to UBC session codes', () => {
+        const calendar = new CalendarGenerator();
+        assertEquals(calendar.getTermCode('2025-09-02'), '2025W1');
+        assertEquals(calendar.getTermCode('2026-01-05'), '2025W2');
+        assertEquals(calendar.getTermCode('2026-05-11'), '2026S1');
+        assertEquals(calendar.getTermCode('2026-07-02'), '2026S2');
+    });
+
+    this.it('should disambiguate meetings sharing days in one section', () => {
+        const calendar = new CalendarGenerator();
+        const twice = {
+            ...course,
+            meetings: [
+                course.meetings[0],
+                { ...course.meetings[0], startTime: '17:00', endTime: '18:00' }
+            ]
+        };
+        const ics = calendar.generateICS([twice]);
+        assertContains(ics, 'UID:CPSC110-101-2025W1-TUTH-14001530-20250902@workday-cal');
+        assertContains(ics, 'UID:CPSC110-101-2025W1-TUTH-17001800-20250902@workday-cal');
+
+        const reordered = calendar.generateICS([{ ...twice, meetings: [...twice.meetings].reverse() }]);
+        const uidOf = (text, time) => text.split('BEGIN:VEVENT').find(event => event.includes(`T${time}`)).match(/UID:(.*)/)[1];
+        assertEquals(uidOf(reordered, '140000'), uidOf(ics, '140000'), 'Reordering meetings should keep their UIDs');
+        assertEquals(uidOf(reordered, '170000'), uidOf(ics, '170000'));
+
+        const duplicated = calendar.generateICS([{ ...course, meetings: [course.meetings[0], { ...course.meetings[0], location: 'DMP 310' }] }]);
+        assertContains(duplicated, 'UID:CPSC110-101-2025W1-TUTH-14001530-20250902-2@workday-cal');
+    });
+
+    this.it('should keep SEQUENCE for unchanged events and bump it for changed ones', () => {
+        const calendar = new CalendarGenerator();
+        const sequenceOf = ics => Number(ics.match(/SEQUENCE:(\d+)/)[1]);
+        const modifiedOf = ics => ics.match(/LAST-MODIFIED:(\d{8}T\d{6}Z)/)[1];
+
+        const first = calendar.generateICS([course]);
+        assertEquals(sequenceOf(first), 0, 'New events should start at SEQUENCE 0');
+        const again = calendar.generateICS([course]);
+        assertEquals(sequenceOf(again), sequenceOf(first));
+        assertEquals(modifiedOf(again), modifiedOf(first));
+
+        const changed = { ...course, meetings: [{ ...course.meetings[0], location: 'Room 202' }] };
+        const updated = calendar.generateICS([changed]);
+        assertEquals(sequenceOf(updated), 1, 'SEQUENCE should increase after a change');
+    });
+});
+
+// Test reading exported calendars back into courses
+runner.describe('ICSImporter', function() {
+    const createCourse = () => ({
+        student: null,
+        code: 'MATH 101',
+        name: 'Integral Calculus; with Applications',
+        section: 'MATH_V 101-201 - Integral Calculus',
+        credits: '3',
+        instructor: 'Dr. Jane Smith',
+        format: 'Lecture',
+        delivery: 'In Person Learning',
+        status: 'Registered',
+        startDate: '2026-01-05',
+        endDate: '2026-04-08',
+        // Split around the midterm break
+        meetings: [
+            { startDate: '2026-01-05', endDate: '2026-02-13', days: ['MO', 'WE', 'FR'], startTime: '10:00', endTime: '11:00', location: 'LSK 200' },
+            { startDate: '2026-02-23', endDate: '2026-04-08', days: ['MO', 'WE', 'FR'], startTime: '10:00', endTime: '11:00', location: 'LSK 200' }
+        ],
+        key: 'MATH 101 201'
+    });
+
+    const addChanges = (course) => {
+        const recurrence = new RecurrenceEngine();
+        recurrence.setOverride(course, { date: '2026-03-02', startTime: '10:00', cancelled: true });
+        recurrence.setOverride(course, { date: '2026-03-04', startTime: '10:00', newStartTime: '13:00', newLocation: 'DMP 310' });
+        const exams = new ExamSchedule();
+        exams.addEvent(course, { type: 'Final Exam', date: '2026-04-20', startTime: '12:00', endTime: '14:30', location: 'OSBO A' });
+        exams.addEvent(course, { type: 'Deadline', title: 'Project, part 1', date: '2026-03-27' });
+        return course;
+    };
+
+    this.it('should write the course on every event', () => {
+        const ics = new CalendarGenerator().generateICS([addChanges(createCourse())]);
+        assertContains(ics, 'X-WORKDAY-COURSE-NAME:Integral Calculus\\; with Applications');
+        assertContains(ics, 'X-WORKDAY-SECTION:MATH_V 101-201 - Integral Calculus');
+        assertContains(ics, 'X-WORKDAY-INSTRUCTOR:Dr. Jane Smith');
+        assertContains(ics, 'X-WORKDAY-CREDITS:3');
+        assertContains(ics, 'X-WORKDAY-MEETING-DATES:2026-01-05/2026-02-13,2026-02-23/2026-04-08');
+        assertContains(ics, 'X-WORKDAY-CANCELLED:20260302T100000');
+        assertContains(ics, 'X-WORKDAY-EVENT-TITLE:Project\\, part 1');
+    });
+
+    this.it('should restore courses, changed classes and exams exactly', () => {
+        const course = addChanges(createCourse());
+        const generator = new CalendarGenerator();
+        const ics = generator.generateICS([course]);
+
+        const parser = new WorkdayParser();
+        const courses = parser.parse(ics, 'schedule.ics');
+        assertEquals(parser.diagnostics.format, 'ics');
+        assertEquals(parser.diagnostics.confidenceLevel, 'high');
+
+        // Compare with sorted keys, as the order properties are set in differs
+        const sorted = value => Array.isArray(value) ? value.map(sorted)
+            : value && typeof value === 'object'
+                ? Object.keys(value).sort().reduce((result, key) => ({ ...result, [key]: sorted(value[key]) }), {})
+                : value;
+        assertDeepEquals(sorted(courses), sorted([course]));
+
+        const strip = text => text.replace(/^DTSTAMP:.*\r\n/gm, '');
+        assertEquals(strip(generator.generateICS(courses)), strip(ics), 'Exporting again should give the same calendar');
+    });
+
+    this.it('should read calendars exported before the course properties', () => {
+        const ics = new CalendarGenerator().generateICS([addChanges(createCourse())])
+            .split('\r\n').filter(line => !line.startsWith('X-WORKDAY-')).join('\r\n');
+
+        const [course] = new WorkdayParser().parse(ics, 'old.ics');
+        assertEquals(course.code, 'MATH 101');
+        assertEquals(course.name, 'Integral Calculus; with Applications');
+        assertEquals(course.instructor, 'Dr. Jane Smith');
+        assertEquals(course.credits, '3');
+        assertEquals(course.key, 'MATH 101 201');
+        assertEquals(course.meetings.length, 1, 'Split meetings come back as one');
+        assertDeepEquals(course.overrides.map(o => [o.date, o.cancelled, o.newStartTime]),
+            [['2026-03-02', true, ''], ['2026-03-04', false, '13:00']], 'Non-holiday skipped dates are cancellations');
+        assertDeepEquals(course.events.map(e => [e.type, e.title]), [['Deadline', 'Project, part 1'], ['Final Exam', '']]);
+    });
+
+    this.it('should skip events from other calendars', () => {
+        const ics = new CalendarGenerator().generateICS([createCourse()]).replace('END:VCALENDAR',
+            'BEGIN:VEVENT\r\nUID:dentist@example.com\r\nSUMMARY:Dentist\r\nDTSTART:20260110T100000Z\r\nEND:VEVENT\r\nEND:VCALENDAR');
+
+        const parser = new WorkdayParser();
+        assertEquals(parser.parse(ics, 'mixed.ics').length, 1);
+        assertEquals(parser.diagnostics.warnings.length, 1);
+        assertEquals(parser.diagnostics.warnings[0].value, 'Dentist');
+
+        let error = null;
+        try {
+            new WorkdayParser().parse('BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nSUMMARY:Dentist\r\nDTSTART:20260110T100000Z\r\nEND:VEVENT\r\nEND:VCALENDAR');
+        } catch (e) {
+            error = e;
+        }
+        assert(error instanceof WorkdayParseError, 'Should throw a WorkdayParseError');
+        assertContains(error.message, 'No classes found');
+    });
+});
+
+// Test TimezoneBuilder
+runner.describe('TimezoneBuilder', function() {
+    this.it('should compute offsets for Vancouver', () => {
+        const tz = new TimezoneBuilder('America/Vancouver');
+        assertEquals(tz.getOffset(new Date(Date.UTC(2025, 0, 15))), -480);
+        assertEquals(tz.getOffset(new Date(Date.UTC(2025, 6, 15))), -420);
+    });
+
+    this.it('should find the exact DST transitions for a year', () => {
+        const tz = new TimezoneBuilder('America/Vancouver');
+        const transitions = tz.findTransitions(new Date(Date.UTC(2026, 0, 1)), new Date(Date.UTC(2027, 0, 1)));
+        assertEquals(transitions.length, 2);
+        // 2026-03-08 02:00 PST and 2026-11-01 02:00 PDT
+        assertEquals(transitions[0].date.toISOString(), '2026-03-08T10:00:00.000Z');
+        assertEquals(transitions[1].date.toISOString(), '2026-11-01T09:00:00.000Z');
+    });
+
+    this.it('should find the instant of a local time', () => {
+        const tz = new TimezoneBuilder('America/Vancouver');
+        assertEquals(tz.getInstant('20251020T090000').toISOString(), '2025-10-20T16:00:00.000Z');
+        assertEquals(tz.getInstant('20260115T090000').toISOString(), '2026-01-15T17:00:00.000Z');
+        // The day clocks go back, and the day after they go forward
+        assertEquals(tz.getInstant('20261101T120000').toISOString(), '2026-11-01T20:00:00.000Z');
+        assertEquals(tz.getInstant('20260309T090000').toISOString(), '2026-03-09T16:00:00.000Z');
+    });
+
+    this.it('should build VTIMEZONE components with local start times', () => {
+        const lines = new TimezoneBuilder('America/Vancouver').buildVTimezone(2026, 2026);
+        assertEquals(lines[0], 'BEGIN:VTIMEZONE');
+        assertEquals(lines[lines.length - 1], 'END:VTIMEZONE');
+        const text = lines.join('\n');
+        assertContains(text, 'BEGIN:DAYLIGHT\nDTSTART:20260308T020000\nTZOFFSETFROM:-0800\nTZOFFSETTO:-0700');
+        assertContains(text, 'BEGIN:STANDARD\nDTSTART:20261101T020000\nTZOFFSETFROM:-0700\nTZOFFSETTO:-0800');
+        // Previous year's transition precedes the first event
+        assertContains(text, 'DTSTART:20251102T020000');
+    });
+
+    this.it('should handle southern hemisphere and fixed-offset zones', () => {
+        const sydney = new TimezoneBuilder('Australia/Sydney').buildVTimezone(2026, 2026).join('\n');
+        assertContains(sydney, 'BEGIN:DAYLIGHT\nDTSTART:20261004T020000\nTZOFFSETFROM:+1000\nTZOFFSETTO:+1100');
+
+        const tokyo = new TimezoneBuilder('Asia/Tokyo').buildVTimezone(2026, 2026).join('\n');
+        assertContains(tokyo, 'TZOFFSETFROM:+0900\nTZOFFSETTO:+0900');
+        assert(!tokyo.includes('DAYLIGHT'), 'Tokyo has no daylight time');
+    });
+
+    this.it('should reject unknown zones', () => {
+        let threw = false;
+        try {
+            new TimezoneBuilder('Mars/Olympus_Mons');
+        } catch (error) {
+            threw = true;
+            assertContains(error.message, 'Unknown timezone');
+        }
+        assert(threw, 'Should throw on an unknown zone');
+    });
+
+    this.it('should cover every year the exported events touch', () => {
+        const calendar = new CalendarGenerator({ timezone: 'America/Edmonton' });
+        const ics = calendar.generateICS([{
+            code: 'TEST 101',
+            name: 'Test Course',
+            meetings: [{
+                startDate: '2025-09-02',
+                endDate: '2026-04-08',
+                days: ['TU'],
+                startTime: '14:00',
+                endTime: '15:00',
+                location: 'Test'
+            }]
+        }]);
+        assertContains(ics, 'X-WR-TIMEZONE:America/Edmonton');
+        assertContains(ics, 'DTSTART;TZID=America/Edmonton:20250902T140000');
+        assertContains(ics, 'DTSTART:20260308T020000');
+        assertContains(ics, 'DTSTART:20261101T020000');
+    });
+});
+
+// Test HolidayCalendar
+runner.describe('HolidayCalendar', function() {
+    const holidays = new HolidayCalendar();
+
+    this.it('should compute moving statutory holidays', () => {
+        const dates2025 = holidays.getBuiltInHolidays(2025).map(h => `${h.date} ${h.name}`);
+        assert(dates2025.includes('2025-10-13 Thanksgiving'), 'Thanksgiving 2025 is Oct 13');
+        assert(dates2025.includes('2025-04-18 Good Friday'), 'Good Friday 2025 is Apr 18');
+        assert(dates2025.includes('2025-05-19 Victoria Day'), 'Victoria Day 2025 is May 19');
+        assert(dates2025.includes('2025-09-01 Labour Day'), 'Labour Day 2025 is Sep 1');
+    });
+
+    this.it('should include the February midterm break around Family Day', () => {
+        const exclusions = holidays.getExclusions('2026-02-14', '2026-02-22');
+        assertEquals(exclusions.map(e => e.date).join(','),
+            '2026-02-16,2026-02-17,2026-02-18,2026-02-19,2026-02-20');
+        assertEquals(exclusions[0].name, 'Family Day');
+    });
+
+    this.it('should observe weekend holidays on the following Monday', () => {
+        // Remembrance Day 2023 fell on a Saturday
+        assert(holidays.isExcluded('2023-11-13'), 'Should observe on Monday Nov 13');
+        // Christmas 2022 fell on a Sunday, pushing Boxing Day to Tuesday
+        assert(holidays.isExcluded('2022-12-26'), 'Should observe Christmas on Monday');
+        assert(holidays.isExcluded('2022-12-27'), 'Should observe Boxing Day on Tuesday');
+    });
+
+    this.it('should accept user-supplied dates and ranges', () => {
+        const custom = new HolidayCalendar({ includeBuiltIn: false });
+        custom.addExceptionsFromText('2025-10-01, 2025-10-20 - 2025-10-22');
+        custom.addException({ startDate: '2025-11-03', name: 'Department retreat' });
+
+        assertEquals(custom.getExclusions('2025-09-01', '2025-12-31').map(e => e.date).join(','),
+            '2025-10-01,2025-10-20,2025-10-21,2025-10-22,2025-11-03');
+        assert(!custom.isExcluded('2025-10-13'), 'Built-in holidays should be disabled');
+    });
+
+    this.it('should reject malformed dates', () => {
+        const custom = new HolidayCalendar({ includeBuiltIn: false });
+        const bad = ['next tuesday', '2025-13-45', '2025-02-30', '2025-10-14 foo', '2025-10-14 - 2025-10-1',
+            { startDate: '2025-10-32' }, { startDate: '2025-10-14', endDate: 'friday' }];
+
+        for (const addition of bad) {
+            let message = '';
+            try {
+                custom.addException(addition);
+            } catch (error) {
+                message = error.message;
+            }
+            assertContains(message, 'Invalid date to skip', `Should throw on ${JSON.stringify(addition)}`);
+        }
+        assertEquals(custom.additions.length, 0);
+        assert(HolidayCalendar.isDate('2024-02-29'), 'Should accept leap days');
+    });
+});
+
+// Test holiday exclusions in generated calendars
+runner.describe('CalendarGenerator Exclusions', function() {
+    const calendar = new CalendarGenerator();
+
+    this.it('should emit EXDATE for holidays that fall on class days', () => {
+        const courses = [{
+            code: 'TEST 101',
+            name: 'Test Course',
+            meetings: [{
+                startDate: '2025-09-02',
+                endDate: '2025-12-04',
+                days: ['MO', 'WE'],
+                startTime: '09:00',
+                endTime: '10:00',
+                location: 'Test Location'
+            }]
+        }];
+
+        const ics = calendar.generateICS(courses);
+        assertContains(ics, 'EXDATE;TZID=America/Vancouver:20251013T090000');
+        assert(!ics.includes('EXDATE;TZID=America/Vancouver:20251111'), 'Remembrance Day 2025 is a Tuesday');
+    });
+
+    this.it('should merge split meeting ranges and skip the gap', () => {
+        const meetings = [
+            { startDate: '2026-01-05', endDate: '2026-02-11', days: ['MO', 'WE'], startTime: '12:30', endTime: '14:00', location: 'Room 301' },
+            { startDate: '2026-02-23', endDate: '2026-04-08', days: ['MO', 'WE'], startTime: '12:30', endTime: '14:00', location: 'Room 301' }
+        ];
+
+        const merged = calendar.mergeSplitMeetings(meetings);
+        assertEquals(merged.length, 1, 'Should merge into a single series');
+        assertEquals(merged[0].endDate, '2026-04-08');
+
+        const exdates = calendar.getExcludedOccurrences(merged[0]);
+        assert(exdates.includes('20260216T123000'), 'Should skip Family Day');
+        assert(exdates.includes('20260218T123000'), 'Should skip the midterm break');
+        assert(!exdates.includes('20260211T123000'), 'Should keep the last class before the gap');
+        assert(!exdates.includes('20260223T123000'), 'Should keep the first class after the gap');
+    });
+
+    this.it('should leave out cancelled classes and replace changed ones', () => {
+        const generator = new CalendarGenerator();
+        const lab = {
+            code: 'CPSC 110',
+            name: 'Computation',
+            section: 'CPSC_V 110-L1A',
+            format: 'Laboratory',
+            meetings: [{ startDate: '2025-09-08', endDate: '2025-12-01', days: ['MO'], startTime: '09:00', endTime: '11:00', location: 'ICCS 005' }],
+            overrides: [
+                { date: '2025-10-20', startTime: '09:00', cancelled: true, newDate: '', newStartTime: '', newEndTime: '', newLocation: '' },
+                { date: '2025-10-27', startTime: '09:00', cancelled: false, newDate: '2025-10-28', newStartTime: '13:00', newEndTime: '', newLocation: 'ICCS 008' },
+                // No longer in the schedule (e.g. after re-importing), so ignored
+                { date: '2025-12-08', startTime: '09:00', cancelled: true, newDate: '', newStartTime: '', newEndTime: '', newLocation: '' }
+            ]
+        };
+
+        const ics = generator.generateICS([lab]);
+        const events = ics.split('BEGIN:VEVENT').slice(1);
+        assertEquals(events.length, 2);
+        assertContains(events[0], 'EXDATE;TZID=America/Vancouver:20251013T090000');
+        assertContains(events[0], 'EXDATE;TZID=America/Vancouver:20251020T090000');
+        assert(!ics.includes('20251208'), 'Stale changes should be ignored');
+
+        assertContains(events[1], 'UID:CPSC110-L1A-2025W1-MO@workday-cal');
+        assertContains(events[1], 'RECURRENCE-ID;TZID=America/Vancouver:20251027T090000');
+        assertContains(events[1], 'DTSTART;TZID=America/Vancouver:20251028T130000');
+        assertContains(events[1], 'DTEND;TZID=America/Vancouver:20251028T150000');
+        assertContains(events[1], 'LOCATION:ICCS 008');
+        assert(!events[1].includes('RRULE'), 'A changed class is a single event');
+
+        // The series and the changed class are tracked separately
+        assertDeepEquals(Object.keys(generator.revisions).sort(),
+            ['CPSC110-L1A-2025W1-MO@workday-cal', 'CPSC110-L1A-2025W1-MO@workday-cal#20251027T090000']);
+    });
+
+    this.it('should keep moved classes without an end time and skip each date once', () => {
+        const lab = {
+            code: 'CPSC 110', name: 'Computation', section: 'CPSC_V 110-L1A', format: 'Laboratory',
+            meetings: [{ startDate: '2025-09-08', endDate: '2025-12-01', days: ['MO'], startTime: '09:00', endTime: '', location: 'ICCS 005' }],
+            overrides: [
+                // Thanksgiving, which is skipped anyway
+                { date: '2025-10-13', startTime: '09:00', cancelled: true, newDate: '', newStartTime: '', newEndTime: '', newLocation: '' },
+                { date: '2025-10-27', startTime: '09:00', cancelled: false, newDate: '', newStartTime: '13:00', newEndTime: '', newLocation: '' }
+            ]
+        };
+
+        const events = new CalendarGenerator().generateICS([lab]).split('BEGIN:VEVENT').slice(1);
+        assertEquals(events.length, 2, 'Neither the series nor the moved class should be dropped');
+        assertEquals(events[0].split('EXDATE;TZID=America/Vancouver:20251013T090000').length, 2, 'Thanksgiving should be skipped once');
+        assertContains(events[1], 'DTSTART;TZID=America/Vancouver:20251027T130000');
+        assertContains(events[1], 'DTEND;TZID=America/Vancouver:20251027T130000');
+    });
+
+    this.it('should keep meetings with different times separate', () => {
+        const meetings = [
+            { startDate: '2025-09-02', endDate: '2025-10-10', days: ['TU'], startTime: '09:00', endTime: '10:00', location: 'A' },
+            { startDate: '2025-10-14', endDate: '2025-12-04', days: ['TU'], startTime: '11:00', endTime: '12:00', location: 'A' }
+        ];
+
+        assertEquals(calendar.mergeSplitMeetings(meetings).length, 2);
+    });
+});
+
+// Test RecurrenceEngine
+runner.describe('RecurrenceEngine', function() {
+    const recurrence = new RecurrenceEngine();
+    const course = (code, meetings, events) => ({ code, key: `${code} 101`, name: code, meetings, events });
+    const meeting = (days, startDate, endDate, startTime = '09:00') =>
+        ({ days, startDate, endDate, startTime, endTime: '10:00', location: 'Room 1' });
+
+    this.it('should list the dates a weekly pattern falls on', () => {
+        assertDeepEquals(recurrence.getMeetingDates(meeting(['TU', 'TH'], '2025-09-03', '2025-09-16')),
+            ['2025-09-04', '2025-09-09', '2025-09-11', '2025-09-16']);
+        assertDeepEquals(recurrence.getMeetingDates(meeting([], '2025-09-03', '2025-09-16')), []);
+        assertDeepEquals(recurrence.getMeetingDates({ days: ['MO'], startTime: '09:00' }), []);
+    });
+
+    this.it('should cross month, year and daylight saving boundaries', () => {
+        assertDeepEquals(recurrence.getMeetingDates(meeting(['SU'], '2025-10-26', '2025-11-09')),
+            ['2025-10-26', '2025-11-02', '2025-11-09']);
+        assertDeepEquals(recurrence.getMeetingDates(meeting(['WE'], '2025-12-24', '2026-01-07')),
+            ['2025-12-24', '2025-12-31', '2026-01-07']);
+        assertDeepEquals(recurrence.getMeetingDates(meeting(['SA'], '2028-02-26', '2028-03-04')),
+            ['2028-02-26', '2028-03-04']);
+    });
+
+    this.it('should skip holidays and say why', () => {
+        const { occurrences, skipped } = recurrence.expand([course('TEST 101', [meeting(['MO'], '2025-10-06', '2025-10-20')])]);
+
+        assertDeepEquals(occurrences.map(item => item.date), ['2025-10-06', '2025-10-20']);
+        assertEquals(occurrences[0].startTime, '09:00');
+        assertEquals(occurrences[0].location, 'Room 1');
+        assertEquals(skipped.length, 1);
+        assertEquals(skipped[0].date, '2025-10-13');
+        assertEquals(skipped[0].reason, 'Thanksgiving');
+        assertEquals(skipped[0].course.code, 'TEST 101');
+    });
+
+    this.it('should skip user-added dates and honour turning holidays off', () => {
+        const custom = new RecurrenceEngine({
+            holidays: new HolidayCalendar({ includeBuiltIn: false, additions: [{ startDate: '2025-10-20', endDate: '2025-10-24', name: 'Field trip' }] })
+        });
+        const { occurrences, skipped } = custom.expand([course('TEST 101', [meeting(['MO'], '2025-10-06', '2025-10-27')])]);
+
+        assertDeepEquals(occurrences.map(item => item.date), ['2025-10-06', '2025-10-13', '2025-10-27']);
+        assertDeepEquals(skipped.map(item => `${item.date} ${item.reason}`), ['2025-10-20 Field trip']);
+    });
+
+    this.it('should merge split meetings and name the break they skip', () => {
+        const split = course('MATH 101', [
+            meeting(['MO', 'WE'], '2026-01-05', '2026-02-11'),
+            meeting(['MO', 'WE'], '2026-02-23', '2026-04-08')
+        ]);
+        const { occurrences, skipped } = recurrence.expand([split]);
+
+        assertEquals(occurrences.length, 25);
+        assertDeepEquals(skipped.map(item => `${item.date} ${item.reason}`), [
+            '2026-02-16 Family Day',
+            '2026-02-18 Midterm Break',
+            '2026-04-06 Easter Monday'
+        ]);
+        assertDeepEquals(recurrence.getExcludedDates(recurrence.mergeSplitMeetings(split.meetings)[0]),
+            ['2026-02-16', '2026-02-18', '2026-04-06']);
+    });
+
+    this.it('should call gaps without a holiday plain days off', () => {
+        const meetings = recurrence.mergeSplitMeetings([
+            meeting(['TU'], '2025-09-02', '2025-09-09'),
+            meeting(['TU'], '2025-09-23', '2025-09-30')
+        ]);
+
+        assertEquals(meetings.length, 1);
+        assertDeepEquals(meetings[0].gaps, [{ startDate: '2025-09-10', endDate: '2025-09-22' }]);
+        assertDeepEquals(Array.from(recurrence.getExclusionMap(meetings[0])).filter(([date]) => date === '2025-09-16'),
+            [['2025-09-16', 'No classes']]);
+        assertEquals(recurrence.getExclusionMap(meetings[0]).get('2025-09-30'), 'National Day for Truth and Reconciliation');
+    });
+
+    this.it('should give each class once when rows are repeated', () => {
+        const repeated = course('TEST 101', [
+            meeting(['FR'], '2025-09-05', '2025-09-19'),
+            meeting(['FR'], '2025-09-05', '2025-09-19')
+        ]);
+
+        assertDeepEquals(recurrence.expand([repeated]).occurrences.map(item => item.date), ['2025-09-05', '2025-09-12', '2025-09-19']);
+    });
+
+    this.it('should include exams and sort everything by date, time and course', () => {
+        const courses = [
+            course('MATH 100', [meeting(['TU'], '2025-12-02', '2025-12-02', '11:00')],
+                [{ type: 'Final Exam', title: '', date: '2025-12-09', startTime: '08:30', endTime: '11:00', location: 'OSBO A' }]),
+            course('CPSC 110', [meeting(['TU'], '2025-12-02', '2025-12-02', '11:00')],
+                [{ type: 'Deadline', title: 'Project', date: '2025-12-09', startTime: '', endTime: '', location: '' }])
+        ];
+        const { occurrences } = recurrence.expand(courses);
+
+        assertDeepEquals(occurrences.map(item => `${item.date} ${item.startTime} ${item.course.code}`), [
+            '2025-12-02 11:00 CPSC 110',
+            '2025-12-02 11:00 MATH 100',
+            '2025-12-09  CPSC 110',
+            '2025-12-09 08:30 MATH 100'
+        ]);
+        assertEquals(occurrences[3].event.type, 'Final Exam');
+        assertEquals(occurrences[3].location, 'OSBO A');
+    });
+
+    this.it('should limit occurrences to a date range', () => {
+        const { occurrences, skipped } = recurrence.expand(
+            [course('TEST 101', [meeting(['MO'], '2025-09-08', '2025-12-01')])],
+            { startDate: '2025-10-01', endDate: '2025-10-31' });
+
+        assertDeepEquals(occurrences.map(item => item.date), ['2025-10-06', '2025-10-20', '2025-10-27']);
+        assertEquals(skipped.length, 1);
+    });
+
+    this.it('should summarize a course\'s classes', () => {
+        const summary = recurrence.summarize(course('TEST 101', [meeting(['MO'], '2025-09-08', '2025-12-01')]));
+
+        assertEquals(summary.count, 12);
+        assertEquals(summary.firstDate, '2025-09-08');
+        assertEquals(summary.lastDate, '2025-12-01');
+        assertDeepEquals(summary.skipped, [{ date: '2025-10-13', reason: 'Thanksgiving' }]);
+        assertEquals(recurrence.summarize(course('TEST 101', [])).count, 0);
+    });
+
+    this.it('should write a text schedule', () => {
+        const lab = course('CPSC 110', [meeting(['MO'], '2025-09-08', '2025-10-27')],
+            [{ type: 'Final Exam', title: '', date: '2025-12-10', startTime: '12:00', endTime: '14:30', location: 'OSBO A' }]);
+        recurrence.setOverride(lab, { date: '2025-10-20', startTime: '09:00', newStartTime: '13:00', newLocation: 'DMP 310' });
+
+        assertEquals(recurrence.formatSchedule([lab]), [
+            'UBC Course Schedule',
+            '===================',
+            '',
+            'CPSC 110 - CPSC 110',
+            'Schedule: Mon 9:00 AM-10:00 AM',
+            'Period: 2025-09-08 to 2025-10-27',
+            'Location: Room 1',
+            'Classes: 7 (2025-09-08 to 2025-10-27, none on 2025-10-13 Thanksgiving)',
+            'Changed: 2025-10-20 9:00 AM -> 2025-10-20 1:00 PM-2:00 PM (DMP 310)',
+            'Final Exam: 2025-12-10 12:00 PM-2:30 PM (OSBO A)',
+            '', ''
+        ].join('\n'));
+    });
+
+    this.it('should cancel or change single classes', () => {
+        const lab = course('CPSC 110', [meeting(['MO'], '2025-10-06', '2025-10-27')]);
+        recurrence.setOverride(lab, { date: '2025-10-20', startTime: '09:00', cancelled: true });
+        recurrence.setOverride(lab, { date: '2025-10-27', startTime: '9:00', newDate: '2025-10-28', newLocation: 'ICCS 008' });
+
+        const { occurrences, skipped } = recurrence.expand([lab]);
+        assertDeepEquals(occurrences.map(item => `${item.date} ${item.startTime}-${item.endTime} ${item.location}`),
+            ['2025-10-06 09:00-10:00 Room 1', '2025-10-28 09:00-10:00 ICCS 008']);
+        assertDeepEquals(occurrences[1].original, { date: '2025-10-27', startTime: '09:00' });
+        assertDeepEquals(skipped.map(item => `${item.date} ${item.reason}`), ['2025-10-13 Thanksgiving', '2025-10-20 Cancelled']);
+
+        // A second change to the same class replaces the first
+        recurrence.setOverride(lab, { date: '2025-10-20', startTime: '09:00', newStartTime: '11:00', newEndTime: '12:00' });
+        assertEquals(lab.overrides.length, 2);
+        assertEquals(recurrence.expand([lab]).occurrences[1].startTime, '11:00');
+
+        recurrence.removeOverride(lab, recurrence.findOverride(lab, '2025-10-20', '09:00'));
+        assertEquals(recurrence.expand([lab]).occurrences.length, 3);
+    });
+
+    this.it('should reject changes that don\'t fit the schedule', () => {
+        const lab = course('CPSC 110', [meeting(['MO'], '2025-10-06', '2025-10-27')]);
+        const rejects = (fields, message) => {
+            try {
+                recurrence.setOverride(lab, fields);
+            } catch (error) {
+                assertContains(error.message, message);
+                return;
+            }
+            throw new Error(`Expected "${message}"`);
+        };
+
+        rejects({ date: '2025-10-07', startTime: '09:00', cancelled: true }, 'no class on 2025-10-07');
+        rejects({ date: '2025-10-13', startTime: '09:00', cancelled: true }, 'no class on 2025-10-13');
+        rejects({ date: '2025-10-06', startTime: '09:00' }, 'Nothing to change');
+        rejects({ date: '2025-10-06', startTime: '09:00', newStartTime: '25:00' }, 'Invalid time');
+        rejects({ date: '2025-10-06', startTime: '09:00', newStartTime: '10:30', newEndTime: '10:00' }, 'would end (10:00) before it starts (10:30)');
+        rejects({ date: '2025-10-06', startTime: '09:00', newEndTime: '08:30' }, 'would end (08:30) before it starts (09:00)');
+        rejects({ date: '2025-10-06', startTime: '09:00', newDate: '2025-13-01' }, 'Invalid date');
+        assertEquals(lab.overrides, undefined);
+    });
+
+    this.it('should agree with the exported recurrence rules', () => {
+        const calendar = new CalendarGenerator();
+        const split = course('MATH 101', [
+            meeting(['MO', 'WE', 'FR'], '2026-01-05', '2026-02-13'),
+            meeting(['MO', 'WE', 'FR'], '2026-02-23', '2026-04-08')
+        ]);
+
+        const merged = calendar.mergeSplitMeetings(split.meetings)[0];
+        const exdates = calendar.getExcludedOccurrences(merged);
+        const ruleDates = recurrence.getMeetingDates(merged);
+
+        assertEquals(ruleDates.length - exdates.length, recurrence.expand([split]).occurrences.length);
+        assertContains(calendar.generateICS([split]), 'EXDATE;TZID=America/Vancouver:20260220T090000');
+    });
+});
+
+// Test ScheduleDiff
+runner.describe('ScheduleDiff', function() {
+    const diff = new ScheduleDiff();
+    const lecture = {
+        code: 'CPSC 110',
+        name: 'Computation, Programs, and Programming',
+        section: 'CPSC_V 110-101',
+        instructor: 'Dr. Jane Smith',
+        status: 'Registered',
+        startDate: '2025-09-02',
+        endDate: '2025-12-04',
+        meetings: [{ startDate: '2025-09-02', endDate: '2025-12-04', days: ['TU', 'TH'], startTime: '14:00', endTime: '15:30', location: 'UBCV | DMP | Room 110' }]
+    };
+    const lab = { ...lecture, section: 'CPSC_V 110-L1A', meetings: [{ ...lecture.meetings[0], days: ['MO'] }] };
+
+    this.it('should report added and dropped courses by section', () => {
+        const math = { ...lecture, code: 'MATH 100', name: 'Calculus', section: 'MATH_V 100-101' };
+        const result = diff.compare([lecture, lab], [lecture, math]);
+
+        assertDeepEquals(result.added.map(a => a.key), ['MATH 100 101']);
+        assertDeepEquals(result.dropped.map(d => d.key), ['CPSC 110 L1A']);
+        assertEquals(result.unchanged.length, 1);
+        assert(result.hasChanges, 'Should report changes');
+    });
+
+    this.it('should report field-level modifications', () => {
+        const moved = {
+            ...lecture,
+            instructor: 'Prof. John Doe',
+            status: 'Waitlisted',
+            meetings: [{ ...lecture.meetings[0], startTime: '15:30', endTime: '17:00', location: 'UBCV | SWNG | Room 121' }]
+        };
+        const result = diff.compare([lecture], [moved]);
+
+        assertEquals(result.modified.length, 1);
+        const fields = result.modified[0].changes.map(c => c.field);
+        assertDeepEquals(fields, ['time', 'room', 'instructor', 'status']);
+        assertEquals(result.modified[0].changes[0].before, 'TU,TH 14:00-15:30');
+        assertEquals(result.modified[0].changes[0].after, 'TU,TH 15:30-17:00');
+    });
+
+    this.it('should report date changes', () => {
+        const later = { ...lecture, startDate: '2025-09-08' };
+        const result = diff.compare([lecture], [later]);
+        assertDeepEquals(result.modified[0].changes.map(c => c.field), ['dates']);
+    });
+
+    this.it('should report no changes for identical schedules', () => {
+        const result = diff.compare([lecture, lab], [lecture, lab]);
+        assert(!result.hasChanges, 'Should not report changes');
+        assertEquals(result.unchanged.length, 2);
+    });
+
+    this.it('should compare two Excel exports', () => {
+        const pattern = '2025-09-02 - 2025-12-04 | Tue Thu | 2:00 p.m. - 3:30 p.m. | UBCV | DMP | Floor: 1 | Room: 110';
+        const moved = pattern.replace('Room: 110', 'Room: 310');
+        const oldData = buildWorkbook([workdayRow('CPSC_V 110 - Computation, Programs, and Programming', 'CPSC_V 110-101', pattern)]);
+        const newData = buildWorkbook([workdayRow('CPSC_V 110 - Computation, Programs, and Programming', 'CPSC_V 110-101', moved)]);
+
+        const result = diff.compareExports(oldData, newData);
+        assertEquals(result.modified.length, 1);
+        assertEquals(result.modified[0].changes[0].field, 'room');
+        assertContains(result.modified[0].changes[0].after, 'Room 310');
+    });
+});
+
+// Test adding schedules through the Google Calendar API
+runner.describe('GoogleCalendarExporter', function() {
+    // In-memory stand-in for the parts of the Calendar API the exporter uses
+    const createStandIn = () => {
+        const api = { calendars: [], events: [], changed: {}, requests: [], nextId: 1 };
+        api.http = async (request) => {
+            api.requests.push(request);
+            if (request.headers.Authorization !== 'Bearer valid-token') {
+                return { status: 401, body: { error: { message: 'Invalid Credentials' } } };
+            }
+
+            const url = new URL(request.url);
+            const path = url.pathname.replace('/calendar/v3', '');
+            const body = request.body ? JSON.parse(request.body) : null;
+            const id = () => `id${api.nextId++}`;
+            let match;
+
+            if (path === '/users/me/calendarList') {
+                return { status: 200, body: { items: api.calendars } };
+            }
+            if (path === '/calendars' && request.method === 'POST') {
+                const calendar = { id: id(), ...body };
+                api.calendars.push(calendar);
+                return { status: 200, body: calendar };
+            }
+            if ((match = path.match(/^\/calendars\/([^/]+)\/events$/))) {
+                const calendarId = decodeURIComponent(match[1]);
+                if (request.method === 'POST') {
+                    const event = { id: id(), calendarId, ...body };
+                    api.events.push(event);
+                    return { status: 200, body: event };
+                }
+                const uid = url.searchParams.get('iCalUID');
+                return { status: 200, body: { items: api.events.filter(e => e.calendarId === calendarId && e.iCalUID === uid) } };
+            }
+            if ((match = path.match(/^\/calendars\/[^/]+\/events\/([^/]+)\/instances$/))) {
+                // Weekly instances for ten weeks, with any changes made to them
+                const series = api.events.find(e => e.id === match[1]);
+                const first = new Date(series.start.dateTime + 'Z');
+                const items = [];
+                for (let week = 0; week < 10; week++) {
+                    const start = new Date(first.getTime() + week * 7 * 86400000).toISOString().slice(0, 19);
+                    const instanceId = `${series.id}_${start.replace(/\D/g, '')}`;
+                    items.push(api.changed[instanceId] || {
+                        ...series,
+                        id: instanceId,
+                        originalStartTime: { dateTime: `${start}-07:00`, timeZone: series.start.timeZone }
+                    });
+                }
+                return { status: 200, body: { items } };
+            }
+            if ((match = path.match(/^\/calendars\/[^/]+\/events\/([^/]+)$/))) {
+                const eventId = decodeURIComponent(match[1]);
+                if (request.method === 'PATCH') {
+                    const instances = await api.http({ ...request, method: 'GET', body: undefined,
+                        url: request.url.replace(/_\d+$/, '') + '/instances' });
+                    const instance = instances.body.items.find(item => item.id === eventId);
+                    api.changed[eventId] = { ...instance, ...body };
+                    return { status: 200, body: api.changed[eventId] };
+                }
+                const index = api.events.findIndex(e => e.id === eventId);
+                api.events[index] = { ...api.events[index], ...body, id: eventId };
+                return { status: 200, body: api.events[index] };
+            }
+            return { status: 404, body: { error: { message: 'Not Found' } } };
+        };
+        return api;
+    };
+
+    const exportCourses = (api, courses, options = {}) => {
+        const exporter = new GoogleCalendarExporter({ auth: options.auth || createTokenAuth(), http: api.http });
+        return exporter.exportCourses(courses, options.generator || new CalendarGenerator());
+    };
+
+    this.it('should create the calendar and add recurring classes', async () => {
+        const api = createStandIn();
+        const result = await exportCourses(api, [createLabCourse()]);
+
+        assertEquals(api.calendars.length, 1);
+        assertEquals(api.calendars[0].summary, 'UBC Courses');
+        assertEquals(api.calendars[0].timeZone, 'America/Vancouver');
+        assertEquals(result.calendarId, api.calendars[0].id);
+        assertEquals(result.created, 1);
+
+        const event = api.events[0];
+        assertContains(event.summary, 'CPSC 110');
+        assertEquals(event.location, 'ICCS 005');
+        assertDeepEquals(event.start, { dateTime: '2025-09-08T09:00:00', timeZone: 'America/Vancouver' });
+        assertDeepEquals(event.end, { dateTime: '2025-09-08T11:00:00', timeZone: 'America/Vancouver' });
+        assertContains(event.recurrence[0], 'RRULE:FREQ=WEEKLY');
+        assertContains(event.recurrence[1], 'EXDATE;TZID=America/Vancouver:20251013T090000', 'Should skip Thanksgiving');
+        assertEquals(event.iCalUID, 'CPSC110-L1A-2025W1-MO@workday-cal', 'Should keep the .ics UID');
+    });
+
+    this.it('should update events instead of adding copies', async () => {
+        const api = createStandIn();
+        const course = createLabCourse();
+        await exportCourses(api, [course]);
+
+        const again = await exportCourses(api, [course]);
+        assertEquals(api.calendars.length, 1, 'Should reuse the calendar');
+        assertEquals(api.events.length, 1, 'Should not add a copy');
+        assertEquals(again.unchanged, 1);
+        assert(!api.requests.some(r => r.method === 'PUT'), 'Should not resend unchanged events');
+
+        course.meetings[0].location = 'DMP 110';
+        const moved = await exportCourses(api, [course]);
+        assertEquals(moved.updated, 1);
+        assertEquals(api.events.length, 1);
+        assertEquals(api.events[0].location, 'DMP 110');
+    });
+
+    this.it('should add reminders and all-day deadlines', async () => {
+        const api = createStandIn();
+        const course = createLabCourse();
+        course.events = [{ type: 'Deadline', title: 'Project', date: '2025-11-28' }];
+
+        await exportCourses(api, [course], { generator: new CalendarGenerator({ reminders: new ReminderRules({ defaultMinutes: 15 }) }) });
+
+        const series = api.events.find(e => e.recurrence);
+        assertDeepEquals(series.reminders, { useDefault: false, overrides: [{ method: 'popup', minutes: 15 }] });
+        const deadline = api.events.find(e => !e.recurrence);
+        assertDeepEquals(deadline.start, { date: '2025-11-28' });
+        assertDeepEquals(deadline.end, { date: '2025-11-29' });
+        assertContains(api.requests[0].url, 'https://www.googleapis.com/calendar/v3/users/me/calendarList');
+    });
+
+    this.it('should move a changed class', async () => {
+        const api = createStandIn();
+        const course = createLabCourse();
+        new RecurrenceEngine().setOverride(course, { date: '2025-09-15', startTime: '09:00', newStartTime: '13:00', newLocation: 'DMP 310' });
+
+        const result = await exportCourses(api, [course]);
+        assertEquals(result.created, 1);
+        assertEquals(result.updated, 1, 'Should change the instance');
+
+        const changed = Object.values(api.changed)[0];
+        assertEquals(changed.originalStartTime.dateTime, '2025-09-15T09:00:00-07:00');
+        assertDeepEquals(changed.start, { dateTime: '2025-09-15T13:00:00', timeZone: 'America/Vancouver' });
+        assertEquals(changed.location, 'DMP 310');
+        assertEquals(changed.iCalUID, api.events[0].iCalUID, 'Should stay part of the series');
+
+        const again = await exportCourses(api, [course]);
+        assertEquals(again.unchanged, 2);
+    });
+
+    this.it('should sign in again once when the token has expired', async () => {
+        const api = createStandIn();
+        const auth = createTokenAuth(['expired-token', 'valid-token']);
+
+        const result = await exportCourses(api, [createLabCourse()], { auth });
+        assertEquals(result.created, 1);
+        assertEquals(auth.cleared, 1);
+    });
+
+    this.it('should report API errors', async () => {
+        const api = createStandIn();
+        let error = null;
+        try {
+            await exportCourses(api, [createLabCourse()], { auth: createTokenAuth(['revoked-token']) });
+        } catch (e) {
+            error = e;
+        }
+
+        assert(error instanceof GoogleCalendarError, 'Should throw a GoogleCalendarError');
+        assertEquals(error.status, 401);
+        assertEquals(error.message, 'Invalid Credentials');
+    });
+});
+
+// Test adding schedules through Microsoft Graph
+runner.describe('OutlookCalendarExporter', function() {
+    // In-memory stand-in for the parts of Graph the exporter uses
+    const createStandIn = () => {
+        const api = { calendars: [], events: [], deleted: new Set(), changed: {}, requests: [], nextId: 1 };
+        const timezone = new TimezoneBuilder('America/Vancouver');
+        const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+        // Occurrences of a series, skipping deleted ones and with changes applied
+        const getOccurrences = (series) => {
+            const { pattern, range } = series.recurrence;
+            const occurrences = [];
+            for (let date = range.startDate; date <= range.endDate;) {
+                const [year, month, day] = date.split('-').map(Number);
+                const weekday = days[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+                const id = `${series.id}_${date.replace(/-/g, '')}`;
+                if (pattern.daysOfWeek.includes(weekday) && !api.deleted.has(id)) {
+                    const time = series.start.dateTime.slice(11);
+                    occurrences.push(api.changed[id] || {
+                        id: id,
+                        originalStart: timezone.getInstant(`${date.replace(/-/g, '')}T${time.replace(/:/g, '')}`).toISOString(),
+                        start: { dateTime: `${date}T${time}.0000000`, timeZone: series.start.timeZone },
+                        end: { dateTime: `${date}T${series.end.dateTime.slice(11)}.0000000`, timeZone: series.end.timeZone },
+                        location: series.location
+                    });
+                }
+                date = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+            }
+            return occurrences;
+        };
+
+        api.http = async (request) => {
+            api.requests.push(request);
+            if (request.headers.Authorization !== 'Bearer valid-token') {
+                return { status: 401, body: { error: { code: 'InvalidAuthenticationToken', message: 'Access token has expired.' } } };
+            }
+
+            const url = new URL(request.url);
+            const path = url.pathname.replace('/v1.0', '');
+            const body = request.body ? JSON.parse(request.body) : null;
+            let match;
+
+            if (path === '/me/calendars') {
+                if (request.method === 'POST') {
+                    const calendar = { id: `cal${api.nextId++}`, canEdit: true, ...body };
+                    api.calendars.push(calendar);
+                    return { status: 201, body: calendar };
+                }
+                return { status: 200, body: { value: api.calendars } };
+            }
+            if ((match = path.match(/^\/me\/calendars\/([^/]+)\/events$/))) {
+                const calendarId = decodeURIComponent(match[1]);
+                if (request.method === 'POST') {
+                    const event = { id: `event${api.nextId++}`, calendarId, ...body };
+                    api.events.push(event);
+                    return { status: 201, body: event };
+                }
+                const uid = url.searchParams.get('$filter').match(/ep\/value eq '(.*)'\)$/)[1];
+                const items = api.events.filter(e => e.calendarId === calendarId
+                    && e.singleValueExtendedProperties.some(p => p.value === uid));
+                return { status: 200, body: { value: items } };
+            }
+            if ((match = path.match(/^\/me\/events\/([^/]+)\/instances$/))) {
+                // Ten a page, like Graph
+                const occurrences = getOccurrences(api.events.find(e => e.id === match[1]));
+                const skip = Number(url.searchParams.get('$skip') || 0);
+                const page = { value: occurrences.slice(skip, skip + 10) };
+                if (skip + 10 < occurrences.length) {
+                    url.searchParams.set('$skip', skip + 10);
+                    page['@odata.nextLink'] = url.toString();
+                }
+                return { status: 200, body: page };
+            }
+            if ((match = path.match(/^\/me\/events\/([^/]+)$/))) {
+                const eventId = decodeURIComponent(match[1]);
+                const series = api.events.find(e => e.id === eventId);
+                if (request.method === 'DELETE') {
+                    api.deleted.add(eventId);
+                    return { status: 204, body: null };
+                }
+                if (series) {
+                    Object.assign(series, body);
+                    return { status: 200, body: series };
+                }
+                const seriesId = eventId.split('_')[0];
+                const occurrence = getOccurrences(api.events.find(e => e.id === seriesId)).find(o => o.id === eventId);
+                api.changed[eventId] = { ...occurrence, ...body };
+                return { status: 200, body: api.changed[eventId] };
+            }
+            return { status: 404, body: { error: { message: 'Resource not found' } } };
+        };
+        return api;
+    };
+
+    const exportCourses = (api, courses, options = {}) => {
+        const exporter = new OutlookCalendarExporter({ auth: options.auth || createTokenAuth(), http: api.http, apiBase: 'http://localhost:8080/v1.0' });
+        return exporter.exportCourses(courses, options.generator || new CalendarGenerator(), options.calendarId || null);
+    };
+
+    this.it('should create the calendar and a recurring series without skipped dates', async () => {
+        const api = createStandIn();
+        const result = await exportCourses(api, [createLabCourse()]);
+
+        assertEquals(api.calendars.length, 1);
+        assertEquals(api.calendars[0].name, 'UBC Courses');
+        assertEquals(result.calendarId, api.calendars[0].id);
+        assertEquals(result.created, 1);
+
+        const event = api.events[0];
+        assertDeepEquals(event.start, { dateTime: '2025-09-08T09:00:00', timeZone: 'America/Vancouver' });
+        assertDeepEquals(event.recurrence.pattern.daysOfWeek, ['monday']);
+        assertEquals(event.recurrence.range.startDate, '2025-09-08');
+        assertEquals(event.recurrence.range.endDate, '2025-12-01');
+        assertEquals(event.location.displayName, 'ICCS 005');
+        assertEquals(event.singleValueExtendedProperties[0].value, 'CPSC110-L1A-2025W1-MO@workday-cal');
+
+        assertDeepEquals(Array.from(api.deleted), [`${event.id}_20251013`], 'Should delete the Thanksgiving class');
+    });
+
+    this.it('should update events instead of adding copies', async () => {
+        const api = createStandIn();
+        const course = createLabCourse();
+        await exportCourses(api, [course]);
+
+        const again = await exportCourses(api, [course]);
+        assertEquals(api.calendars.length, 1, 'Should reuse the calendar');
+        assertEquals(api.events.length, 1, 'Should not add a copy');
+        assertEquals(again.unchanged, 1);
+        assert(!api.requests.some(r => r.method === 'PATCH'), 'Should not resend unchanged events');
+
+        course.meetings[0].location = 'DMP 110';
+        const moved = await exportCourses(api, [course]);
+        assertEquals(moved.updated, 1);
+        assertEquals(api.events[0].location.displayName, 'DMP 110');
+    });
+
+    this.it('should move a changed class', async () => {
+        const api = createStandIn();
+        const course = createLabCourse();
+        new RecurrenceEngine().setOverride(course, { date: '2025-11-24', startTime: '09:00', newStartTime: '13:00', newLocation: 'DMP 310' });
+
+        const result = await exportCourses(api, [course]);
+        assertEquals(result.created, 1);
+        assertEquals(result.updated, 1, 'Should change the occurrence (on the second page)');
+
+        const changed = api.changed[`${api.events[0].id}_20251124`];
+        assertDeepEquals(changed.start, { dateTime: '2025-11-24T13:00:00', timeZone: 'America/Vancouver' });
+        assertDeepEquals(changed.end, { dateTime: '2025-11-24T15:00:00', timeZone: 'America/Vancouver' });
+        assertEquals(changed.location.displayName, 'DMP 310');
+
+        const again = await exportCourses(api, [course]);
+        assertEquals(again.unchanged, 2);
+    });
+
+    this.it('should use a chosen calendar', async () => {
+        const api = createStandIn();
+        api.calendars.push(
+            { id: 'default', name: 'Calendar', canEdit: true, isDefaultCalendar: true },
+            { id: 'shared', name: 'Team', canEdit: false }
+        );
+
+        const exporter = new OutlookCalendarExporter({ auth: createTokenAuth(), http: api.http });
+        assertDeepEquals(await exporter.listCalendars(), [{ id: 'default', name: 'Calendar', isDefault: true }]);
+
+        const result = await exportCourses(api, [createLabCourse()], { calendarId: 'default' });
+        assertEquals(result.calendarId, 'default');
+        assertEquals(api.calendars.length, 2, 'Should not create a calendar');
+        assertEquals(api.events[0].calendarId, 'default');
+    });
+
+    this.it('should add reminders and all-day deadlines', async () => {
+        const api = createStandIn();
+        const course = createLabCourse();
+        course.events = [{ type: 'Deadline', title: 'Project', date: '2025-11-28' }];
+
+        await exportCourses(api, [course], { generator: new CalendarGenerator({ reminders: new ReminderRules({ defaultMinutes: 15 }) }) });
+
+        const series = api.events.find(e => e.recurrence);
+        assertEquals(series.isReminderOn, true);
+        assertEquals(series.reminderMinutesBeforeStart, 15);
+        const deadline = api.events.find(e => !e.recurrence);
+        assertEquals(deadline.isAllDay, true);
+        assertEquals(deadline.start.dateTime, '2025-11-28T00:00:00');
+        assertEquals(deadline.end.dateTime, '2025-11-29T00:00:00');
+    });
+
+    this.it('should sign in again once, then report API errors', async () => {
+        const api = createStandIn();
+        const auth = createTokenAuth(['expired-token', 'valid-token']);
+        const result = await exportCourses(api, [createLabCourse()], { auth });
+        assertEquals(result.created, 1);
+        assertEquals(auth.cleared, 1);
+
+        let error = null;
+        try {
+            await exportCourses(api, [createLabCourse()], { auth: createTokenAuth(['revoked-token']) });
+        } catch (e) {
+            error = e;
+        }
+        assert(error instanceof OutlookCalendarError, 'Should throw an OutlookCalendarError');
+        assertEquals(error.status, 401);
+        assertEquals(error.message, 'Access token has expired.');
+    });
+});
+
+// Test adding schedules to a CalDAV calendar
+runner.describe('CalDAVExporter', function() {
+    // In-memory stand-in for a calendar collection at /dav/jane/ubc/
+    const createStandIn = () => {
+        const server = { resources: new Map(), requests: [], nextTag: 1 };
+        const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+        server.add = (name, data) => {
+            server.resources.set(`/dav/jane/ubc/${name}`, { data, etag: `"${server.nextTag++}"` });
+        };
+
+        server.http = async (request) => {
+            server.requests.push(request);
+            if (request.headers.Authorization !== `Basic ${btoa('jane:secret')}`) {
+                return { status: 401, headers: {}, body: 'Unauthorized' };
+            }
+
+            const path = new URL(request.url).pathname;
+            if (request.method === 'REPORT') {
+                if (path !== '/dav/jane/ubc/') {
+                    return { status: 405, headers: {}, body: '' };
+                }
+                const responses = Array.from(server.resources, ([href, resource]) =>
+                    `<d:response><d:href>${href}</d:href><d:propstat><d:prop>` +
+                    `<d:getetag>${escape(resource.etag)}</d:getetag>` +
+                    `<cal:calendar-data>${escape(resource.data)}</cal:calendar-data>` +
+                    '</d:prop><d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>');
+                return {
+                    status: 207,
+                    headers: {},
+                    body: '<?xml version="1.0"?><d:multistatus xmlns:d="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav">' +
+                        `${responses.join('')}</d:multistatus>`
+                };
+            }
+
+            const existing = server.resources.get(path);
+            const ifMatch = request.headers['If-Match'];
+            if ((ifMatch && (!existing || existing.etag !== ifMatch)) || (request.headers['If-None-Match'] === '*' && existing)) {
+                return { status: 412, headers: {}, body: '' };
+            }
+            if (request.method === 'PUT') {
+                server.resources.set(path, { data: request.body, etag: `"${server.nextTag++}"` });
+                return { status: existing ? 204 : 201, headers: {}, body: '' };
+            }
+            if (request.method === 'DELETE') {
+                server.resources.delete(path);
+                return { status: existing ? 204 : 404, headers: {}, body: '' };
+            }
+            return { status: 405, headers: {}, body: '' };
+        };
+        return server;
+    };
+
+    const exportCourses = (server, courses, options = {}) => {
+        const exporter = new CalDAVExporter({
+            url: 'http://localhost:5232/dav/jane/ubc',
+            username: 'jane',
+            password: 'secret',
+            http: server.http,
+            ...options
+        });
+        return exporter.exportCourses(courses, new CalendarGenerator());
+    };
+
+    const resourcePath = '/dav/jane/ubc/CPSC110-L1A-2025W1-MO_workday-cal.ics';
+
+    this.it('should put each class in its own resource with its changed classes', async () => {
+        const server = createStandIn();
+        const course = createLabCourse();
+        new RecurrenceEngine().setOverride(course, { date: '2025-11-24', startTime: '09:00', newStartTime: '13:00' });
+
+        const result = await exportCourses(server, [course]);
+        assertDeepEquals(result, { created: 1, updated: 0, unchanged: 0, deleted: 0 });
+
+        const put = server.requests.find(r => r.method === 'PUT');
+        assertEquals(put.headers['If-None-Match'], '*', 'Should not overwrite a resource it did not read');
+        assertEquals(put.headers['Content-Type'], 'text/calendar; charset=utf-8');
+
+        const data = server.resources.get(resourcePath).data;
+        assert(!data.includes('METHOD:'), 'Stored calendar resources must not have a METHOD');
+        assertEquals(data.match(/BEGIN:VEVENT/g).length, 2, 'Should keep the changed class with its series');
+        assertContains(data, 'UID:CPSC110-L1A-2025W1-MO@workday-cal');
+        assertContains(data, 'RECURRENCE-ID;TZID=America/Vancouver:20251124T090000');
+        assertContains(data, 'EXDATE;TZID=America/Vancouver:20251013T090000');
+    });
+
+    this.it('should replace changed classes only while their ETag matches', async () => {
+        const server = createStandIn();
+        const course = createLabCourse();
+        await exportCourses(server, [course]);
+
+        const again = await exportCourses(server, [course]);
+        assertDeepEquals(again, { created: 0, updated: 0, unchanged: 1, deleted: 0 });
+        assertEquals(server.requests.filter(r => r.method === 'PUT').length, 1, 'Should not resend unchanged classes');
+
+        course.meetings[0].location = 'DMP 110';
+        const etag = server.resources.get(resourcePath).etag;
+        const moved = await exportCourses(server, [course]);
+        assertEquals(moved.updated, 1);
+        assertEquals(server.requests[server.requests.length - 1].headers['If-Match'], etag);
+        assertContains(server.resources.get(resourcePath).data, 'LOCATION:DMP 110');
+    });
+
+    this.it('should update classes imported earlier under another name', async () => {
+        const server = createStandIn();
+        const ics = new CalendarGenerator().generateICS([createLabCourse()]);
+        server.add('imported-from-file.ics', ics);
+
+        const result = await exportCourses(server, [createLabCourse()]);
+        assertEquals(result.updated, 1, 'Should not add a second event with the same UID');
+        assertDeepEquals(Array.from(server.resources.keys()), ['/dav/jane/ubc/imported-from-file.ics']);
+    });
+
+    this.it('should delete dropped classes but not other events', async () => {
+        const server = createStandIn();
+        server.add('dentist.ics', 'BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nUID:dentist@example.com\r\nEND:VEVENT\r\nEND:VCALENDAR');
+        const lecture = { ...createLabCourse(), key: 'CPSC 110 101', section: '101' };
+        await exportCourses(server, [createLabCourse(), lecture]);
+        assertEquals(server.resources.size, 3);
+
+        const kept = await exportCourses(server, [createLabCourse()], { deleteMissing: false });
+        assertEquals(kept.deleted, 0);
+        assertEquals(server.resources.size, 3);
+
+        const dropped = await exportCourses(server, [createLabCourse()]);
+        assertDeepEquals(dropped, { created: 0, updated: 0, unchanged: 1, deleted: 1 });
+        assertDeepEquals(Array.from(server.resources.keys()), ['/dav/jane/ubc/dentist.ics', resourcePath]);
+    });
+
+    this.it('should report conflicts, wrong passwords and missing calendars', async () => {
+        const server = createStandIn();
+        const http = server.http;
+        await exportCourses(server, [createLabCourse()]);
+
+        // Someone else edits the class between reading and writing it
+        server.http = async (request) => {
+            if (request.method === 'PUT') server.resources.get(resourcePath).etag = '"edited"';
+            return http(request);
+        };
+        const course = createLabCourse();
+        course.meetings[0].location = 'DMP 110';
+
+        const errors = [];
+        for (const attempt of [
+            () => exportCourses(server, [course]),
+            () => exportCourses(server, [course], { password: 'wrong' }),
+            () => exportCourses(server, [course], { url: 'http://localhost:5232/dav/jane/' })
+        ]) {
+            try {
+                await attempt();
+            } catch (error) {
+                errors.push(error);
+            }
+        }
+
+        assert(errors.every(error => error instanceof CalDAVError), 'Should throw CalDAVErrors');
+        assertDeepEquals(errors.map(error => error.status), [412, 401, 405]);
+        assertContains(errors[2].message, 'isn\'t a CalDAV calendar');
+    });
+
+    this.it('should read multistatus responses with any prefix and CDATA', async () => {
+        const exporter = new CalDAVExporter({ url: 'https://example.com/cal/' });
+        const items = exporter.parseMultistatus(
+            '<multistatus xmlns="DAV:"><response><href>/cal/a.ics</href>' +
+            '<propstat><prop><getetag>&quot;abc&quot;</getetag><C:calendar-data xmlns:C="urn:ietf:params:xml:ns:caldav">' +
+            '<![CDATA[BEGIN:VCALENDAR\r\nUID:a&b\r\nEND:VCALENDAR]]></C:calendar-data></prop><status>HTTP/1.1 200 OK</status></propstat>' +
+            '<propstat><prop><displayname/></prop><status>HTTP/1.1 404 Not Found</status></propstat></response></multistatus>');
+
+        assertDeepEquals(items, [{ href: '/cal/a.ics', etag: '"abc"', calendarData: 'BEGIN:VCALENDAR\r\nUID:a&b\r\nEND:VCALENDAR' }]);
+    });
+});
+
+// Test saving schedules in the browser
+runner.describe('ScheduleStore', function() {
+    // In-memory stand-in for localStorage, without IndexedDB
+    const createStore = () => {
+        const items = {};
+        const localStorage = {
+            getItem: (key) => key in items ? items[key] : null,
+            setItem: (key, value) => { items[key] = String(value); },
+            removeItem: (key) => { delete items[key]; }
+        };
+        return { store: new ScheduleStore({ indexedDB: null, localStorage }), items };
+    };
+
+    const schedule = {
+        name: 'View_My_Courses.xlsx',
+        sections: 1,
+        studentGroups: [{ key: 'all', courses: [{ code: 'CPSC 110', key: 'CPSC 110 101', events: [], overrides: [] }] }],
+        selected: ['CPSC 110 101'],
+        settings: { skipHolidays: true, reminders: { defaultMinutes: 15 } }
+    };
+
+    this.it('should save nothing until turned on', async () => {
+        const { store, items } = createStore();
+        assert(!store.isEnabled(), 'Should start turned off');
+
+        let message = '';
+        try {
+            await store.save(schedule);
+        } catch (error) {
+            message = error.message;
+        }
+        assertContains(message, 'turned off');
+        assertEquals(Object.keys(items).length, 0, 'Should not write anything');
+        assertDeepEquals(await store.list(), []);
+    });
+
+    this.it('should save and load a schedule', async () => {
+        const { store } = createStore();
+        await store.setEnabled(true);
+
+        const saved = await store.save(schedule);
+        assert(saved.id, 'Should give the schedule an ID');
+        assert(saved.savedAt, 'Should record when it was saved');
+
+        const loaded = await store.load(saved.id);
+        assertEquals(loaded.name, 'View_My_Courses.xlsx');
+        assertDeepEquals(loaded.selected, ['CPSC 110 101']);
+        assertEquals(loaded.settings.reminders.defaultMinutes, 15);
+        assertEquals(await store.load('missing'), null);
+    });
+
+    this.it('should replace a schedule saved under the same ID', async () => {
+        const { store } = createStore();
+        await store.setEnabled(true);
+
+        const saved = await store.save(schedule);
+        await store.save({ ...schedule, id: saved.id, selected: [] });
+
+        const list = await store.list();
+        assertEquals(list.length, 1);
+        assertDeepEquals((await store.load(saved.id)).selected, []);
+    });
+
+    this.it('should list schedules most recently saved first', async () => {
+        const { store, items } = createStore();
+        await store.setEnabled(true);
+
+        const first = await store.save({ ...schedule, name: 'Term 1.xlsx' });
+        await store.save({ ...schedule, name: 'Term 2.xlsx' });
+        const saved = JSON.parse(items['workday-cal:schedules']);
+        saved[first.id].savedAt = '2020-01-01T00:00:00.000Z';
+        items['workday-cal:schedules'] = JSON.stringify(saved);
+
+        const list = await store.list();
+        assertDeepEquals(list.map(entry => entry.name), ['Term 2.xlsx', 'Term 1.xlsx']);
+        assertEquals(list[0].sections, 1);
+        assertEquals(list[0].studentGroups, undefined, 'Should list summaries only');
+    });
+
+    this.it('should remember the schedule left open', async () => {
+        const { store } = createStore();
+        await store.setEnabled(true);
+
+        const saved = await store.save(schedule);
+        store.setLastOpened(saved.id);
+        assertEquals(store.getLastOpened(), saved.id);
+
+        await store.remove(saved.id);
+        assertEquals(await store.load(saved.id), null);
+        assertEquals(store.getLastOpened(), null, 'Should forget a deleted schedule');
+    });
+
+    this.it('should delete everything when turned off', async () => {
+        const { store, items } = createStore();
+        await store.setEnabled(true);
+        const saved = await store.save(schedule);
+        store.setLastOpened(saved.id);
+
+        await store.setEnabled(false);
+        assert(!store.isEnabled(), 'Should be turned off');
+        assertEquals(Object.keys(items).length, 0, 'Should leave nothing behind');
+
+        await store.setEnabled(true);
+        assertDeepEquals(await store.list(), []);
+        assertEquals(store.getLastOpened(), null);
+    });
+
+    this.it('should keep template presets the user saved', async () => {
+        const { store } = createStore();
+        assertDeepEquals(store.listPresets(), []);
+
+        store.savePreset(' Short ', { summary: '{code}', description: '', location: '{room}' });
+        store.savePreset('Rooms', { summary: '{code} – {room}', description: '', location: '{room}' });
+        store.savePreset('Short', { summary: '{code}[ {component}]', description: '', location: '{room}' });
+        assertDeepEquals(store.listPresets().map(preset => [preset.name, preset.summary]),
+            [['Rooms', '{code} – {room}'], ['Short', '{code}[ {component}]']]);
+
+        await store.setEnabled(true);
+        await store.setEnabled(false);
+        assertEquals(store.listPresets().length, 2, 'Presets are saved on their own, not with schedules');
+
+        store.removePreset('Rooms');
+        assertDeepEquals(store.listPresets().map(preset => preset.name), ['Short']);
+
+        let message = '';
+        try {
+            store.savePreset('  ', {});
+        } catch (error) {
+            message = error.message;
+        }
+        assertContains(message, 'name');
+    });
 });
 
 // Test date handling edge cases